@@ -6,34 +6,130 @@
  */
 
 // ==================== Configuration (inlined for file:// compatibility) ====================
+// Prices and costs per currency, in major units (dollars, euros, pesos, yen)
 const CANDY_ITEMS = [
-  { id: 'lollipop', name: 'Lollipop', icon: '🍭', price: 0.50, cost: 0.20 },
-  { id: 'chocolate', name: 'Chocolate', icon: '🍫', price: 2.00, cost: 0.80 },
-  { id: 'gummy', name: 'Gummy Bears', icon: '🐻', price: 1.50, cost: 0.60 },
-  { id: 'candy', name: 'Hard Candy', icon: '🍬', price: 0.25, cost: 0.10 },
-  { id: 'cookie', name: 'Cookie', icon: '🍪', price: 1.00, cost: 0.40 },
-  { id: 'cake', name: 'Cupcake', icon: '🧁', price: 3.00, cost: 1.20 },
-  { id: 'icecream', name: 'Ice Cream', icon: '🍦', price: 2.50, cost: 1.00 },
-  { id: 'donut', name: 'Donut', icon: '🍩', price: 1.50, cost: 0.50 }
+  { id: 'lollipop', name: 'Lollipop', icon: '🍭', price: { USD: 0.50, EUR: 0.50, PHP: 25, JPY: 80 }, cost: { USD: 0.20, EUR: 0.20, PHP: 10, JPY: 30 } },
+  { id: 'chocolate', name: 'Chocolate', icon: '🍫', price: { USD: 2.00, EUR: 1.80, PHP: 100, JPY: 250 }, cost: { USD: 0.80, EUR: 0.70, PHP: 40, JPY: 100 } },
+  { id: 'gummy', name: 'Gummy Bears', icon: '🐻', price: { USD: 1.50, EUR: 1.40, PHP: 75, JPY: 200 }, cost: { USD: 0.60, EUR: 0.55, PHP: 30, JPY: 80 } },
+  { id: 'candy', name: 'Hard Candy', icon: '🍬', price: { USD: 0.25, EUR: 0.20, PHP: 15, JPY: 30 }, cost: { USD: 0.10, EUR: 0.08, PHP: 5, JPY: 10 } },
+  { id: 'cookie', name: 'Cookie', icon: '🍪', price: { USD: 1.00, EUR: 0.90, PHP: 50, JPY: 120 }, cost: { USD: 0.40, EUR: 0.35, PHP: 20, JPY: 50 } },
+  { id: 'cake', name: 'Cupcake', icon: '🧁', price: { USD: 3.00, EUR: 2.80, PHP: 150, JPY: 350 }, cost: { USD: 1.20, EUR: 1.10, PHP: 60, JPY: 140 } },
+  { id: 'icecream', name: 'Ice Cream', icon: '🍦', price: { USD: 2.50, EUR: 2.20, PHP: 125, JPY: 300 }, cost: { USD: 1.00, EUR: 0.90, PHP: 50, JPY: 120 } },
+  { id: 'donut', name: 'Donut', icon: '🍩', price: { USD: 1.50, EUR: 1.30, PHP: 75, JPY: 180 }, cost: { USD: 0.50, EUR: 0.45, PHP: 25, JPY: 70 } }
 ];
 
+// Coins and bills in the cash drawer, smallest first (see CurrencySystem.js)
+const CURRENCIES = Object.freeze({
+  USD: {
+    code: 'USD', name: 'US Dollar', flag: '🇺🇸',
+    symbol: '$', symbolAfter: false, decimals: 2, decimalMark: '.', groupMark: ',',
+    paymentStep: 1,
+    denominations: [
+      { value: 0.01, label: '1¢', type: 'coin' },
+      { value: 0.05, label: '5¢', type: 'coin' },
+      { value: 0.10, label: '10¢', type: 'coin' },
+      { value: 0.25, label: '25¢', type: 'coin' },
+      { value: 1, label: '$1', type: 'bill' },
+      { value: 5, label: '$5', type: 'bill' },
+      { value: 10, label: '$10', type: 'bill' },
+      { value: 20, label: '$20', type: 'bill' }
+    ]
+  },
+  EUR: {
+    code: 'EUR', name: 'Euro', flag: '🇪🇺',
+    symbol: '€', symbolAfter: true, decimals: 2, decimalMark: ',', groupMark: '.',
+    paymentStep: 1,
+    denominations: [
+      { value: 0.01, label: '1c', type: 'coin' },
+      { value: 0.02, label: '2c', type: 'coin' },
+      { value: 0.05, label: '5c', type: 'coin' },
+      { value: 0.10, label: '10c', type: 'coin' },
+      { value: 0.20, label: '20c', type: 'coin' },
+      { value: 0.50, label: '50c', type: 'coin' },
+      { value: 1, label: '1 €', type: 'coin' },
+      { value: 2, label: '2 €', type: 'coin' },
+      { value: 5, label: '5 €', type: 'bill' },
+      { value: 10, label: '10 €', type: 'bill' },
+      { value: 20, label: '20 €', type: 'bill' },
+      { value: 50, label: '50 €', type: 'bill' }
+    ]
+  },
+  PHP: {
+    code: 'PHP', name: 'Philippine Peso', flag: '🇵🇭',
+    symbol: '₱', symbolAfter: false, decimals: 2, decimalMark: '.', groupMark: ',',
+    paymentStep: 10,
+    denominations: [
+      { value: 0.01, label: '1s', type: 'coin' },
+      { value: 0.05, label: '5s', type: 'coin' },
+      { value: 0.25, label: '25s', type: 'coin' },
+      { value: 1, label: '₱1', type: 'coin' },
+      { value: 5, label: '₱5', type: 'coin' },
+      { value: 10, label: '₱10', type: 'coin' },
+      { value: 20, label: '₱20', type: 'coin' },
+      { value: 50, label: '₱50', type: 'bill' },
+      { value: 100, label: '₱100', type: 'bill' },
+      { value: 200, label: '₱200', type: 'bill' },
+      { value: 500, label: '₱500', type: 'bill' },
+      { value: 1000, label: '₱1000', type: 'bill' }
+    ]
+  },
+  JPY: {
+    code: 'JPY', name: 'Japanese Yen', flag: '🇯🇵',
+    symbol: '¥', symbolAfter: false, decimals: 0, decimalMark: '.', groupMark: ',',
+    paymentStep: 100,
+    denominations: [
+      { value: 1, label: '¥1', type: 'coin' },
+      { value: 5, label: '¥5', type: 'coin' },
+      { value: 10, label: '¥10', type: 'coin' },
+      { value: 50, label: '¥50', type: 'coin' },
+      { value: 100, label: '¥100', type: 'coin' },
+      { value: 500, label: '¥500', type: 'coin' },
+      { value: 1000, label: '¥1000', type: 'bill' },
+      { value: 5000, label: '¥5000', type: 'bill' },
+      { value: 10000, label: '¥10000', type: 'bill' }
+    ]
+  }
+});
+
 const SHOP_CONFIG = Object.freeze({
-  STARTING_MONEY: 20.00,
+  STARTING_MONEY: { USD: 20, EUR: 20, PHP: 1000, JPY: 3000 },
   CUSTOMERS_PER_DAY: 10,
   TIP_MULTIPLIER: 0.15,
+  EXTRA_PIECES_TIP: 0.5,        // share of the tip kept when change used more coins/bills than needed
+  
+  DEFAULT_CURRENCY: 'USD',
+  CURRENCY_KEY: 'candyShopCurrency',
   
   DIFFICULTY_SETTINGS: {
-    1: { maxItems: 1, maxQuantity: 5, exactChange: true, discount: false, tax: false },
-    2: { maxItems: 2, maxQuantity: 3, exactChange: false, discount: false, tax: false },
-    3: { maxItems: 2, maxQuantity: 3, exactChange: false, discount: false, tax: false },
-    4: { maxItems: 3, maxQuantity: 4, exactChange: false, discount: false, tax: false },
-    5: { maxItems: 3, maxQuantity: 4, exactChange: false, discount: true, tax: false },
-    6: { maxItems: 4, maxQuantity: 5, exactChange: false, discount: true, tax: true },
-    7: { maxItems: 5, maxQuantity: 5, exactChange: false, discount: true, tax: true }
+    1: { maxItems: 1, maxQuantity: 5, exactChange: true, deals: false, discount: false, tax: false, splitPayment: false },
+    2: { maxItems: 2, maxQuantity: 3, exactChange: false, deals: false, discount: false, tax: false, splitPayment: false },
+    3: { maxItems: 2, maxQuantity: 3, exactChange: false, deals: false, discount: false, tax: false, splitPayment: false },
+    4: { maxItems: 3, maxQuantity: 4, exactChange: false, deals: true, discount: false, tax: false, splitPayment: false },
+    5: { maxItems: 3, maxQuantity: 4, exactChange: false, deals: true, discount: true, tax: false, splitPayment: false },
+    6: { maxItems: 4, maxQuantity: 5, exactChange: false, deals: true, discount: true, tax: true, splitPayment: true },
+    7: { maxItems: 5, maxQuantity: 5, exactChange: false, deals: true, discount: true, tax: true, splitPayment: true }
   },
   
+  // Richer orders (see Receipt.js)
+  DEAL_CHANCE: 0.5,             // of a shop deal on one ordered item
+  BUNDLE_SIZE: 3,
+  BUNDLE_PRICE: 0.8,            // bundle price, times buying them one by one
+  GIFT_CARD_CHANCE: 0.5,        // of paying part with a gift card, where splitPayment is on
+  
   TAX_RATE: 0.08,
   
+  // Business mode (see ShopBusiness.js)
+  BUSINESS: {
+    MIN_LEVEL: 4,               // offered from this difficulty up
+    STARTING_STOCK: 5,          // of each item on day 1
+    MAX_STOCK: 30,              // of each item on the shelf
+    PRICE_MIN_MARKUP: 1,        // lowest price, times cost
+    PRICE_MAX_MARKUP: 2,        // highest price, times the list price
+    HISTORY_DAYS: 30,           // ledgers kept
+    SAVE_KEY: 'candyShopBusiness'
+  },
+  
+  GAME_ID: 'candy-shop',
   LEADERBOARD_KEY: 'candyShopLeaderboard'
 });
 
@@ -47,6 +143,15 @@ function getDifficultyFromAge(age) {
   return 7;
 }
 
+/**
+ * The shop's items with plain prices in one currency
+ * @param {string} code - CURRENCIES key
+ * @returns {Array<{id: string, name: string, icon: string, price: number, cost: number}>}
+ */
+function getItemsForCurrency(code) {
+  return CANDY_ITEMS.map(item => ({ ...item, price: item.price[code], cost: item.cost[code] }));
+}
+
 // ==================== Constants ====================
 const CUSTOMERS = [
     { name: 'Mocha', icon: '🐶', patience: 'high' },
@@ -70,6 +175,11 @@ const MESSAGES = {
         "Wonderful service! 💖",
         "That's correct! Amazing! 🌟"
     ],
+    tooPricey: [
+        "Hmm, that's a bit pricey for me... 💸",
+        "I'll come back when things are cheaper! 👛",
+        "Just looking, thanks! 👀"
+    ],
     wrong: [
         "Hmm, that's not right... 😕",
         "I think there's a mistake... 🤔",
@@ -80,16 +190,23 @@ const MESSAGES = {
 
 // ==================== Utility Classes ====================
 class CurrencyUtils {
+    /**
+     * Switches the currency every amount is formatted and rounded in
+     * @param {string} code - CURRENCIES key
+     * @returns {Object} The currency used
+     */
+    static use(code) {
+        CurrencyUtils.currency = CURRENCIES[code] || CURRENCIES[SHOP_CONFIG.DEFAULT_CURRENCY];
+        return CurrencyUtils.currency;
+    }
+    
     /**
      * Formats a number as currency string
      * @param {number} amount - Amount to format
      * @returns {string} Formatted currency string
      */
     static format(amount) {
-        if (typeof amount !== 'number' || isNaN(amount)) {
-            return '$0.00';
-        }
-        return '$' + Math.abs(amount).toFixed(2);
+        return CurrencySystem.format(amount, CurrencyUtils.currency);
     }
     
     /**
@@ -99,18 +216,19 @@ class CurrencyUtils {
      * @returns {number} Change amount
      */
     static calculateChange(paid, total) {
-        const paidCents = Math.round((paid || 0) * 100);
-        const totalCents = Math.round((total || 0) * 100);
-        return (paidCents - totalCents) / 100;
+        const currency = CurrencyUtils.currency;
+        const paidMinor = CurrencySystem.toMinor(paid, currency);
+        const totalMinor = CurrencySystem.toMinor(total, currency);
+        return CurrencySystem.fromMinor(paidMinor - totalMinor, currency);
     }
     
     /**
-     * Rounds to two decimal places safely
+     * Rounds to the currency's smallest unit safely
      * @param {number} amount - Amount to round
      * @returns {number} Rounded amount
      */
     static round(amount) {
-        return Math.round((amount || 0) * 100) / 100;
+        return CurrencySystem.round(amount, CurrencyUtils.currency);
     }
     
     /**
@@ -119,22 +237,12 @@ class CurrencyUtils {
      * @returns {number} Payment amount
      */
     static generatePayment(total) {
-        if (!total || total <= 0) return 1;
-        
-        const roundedUp = Math.ceil(total);
-        const options = [roundedUp];
-        
-        // Add nice round numbers above total
-        if (total <= 5) options.push(5);
-        if (total <= 10) options.push(10);
-        if (total <= 20) options.push(20);
-        
-        // Filter to only amounts >= total and pick one
-        const validOptions = options.filter(opt => opt >= total);
-        return validOptions[Math.floor(Math.random() * validOptions.length)] || roundedUp;
+        return CurrencySystem.generatePayment(total, CurrencyUtils.currency);
     }
 }
 
+CurrencyUtils.use(SHOP_CONFIG.DEFAULT_CURRENCY);
+
 class MathUtils {
     /**
      * Returns a random element from an array
@@ -158,6 +266,17 @@ class MathUtils {
         return Math.floor(Math.random() * (max - min + 1)) + min;
     }
     
+    /**
+     * Plural of an item name, e.g. Cookies, Hard Candies, Gummy Bears
+     * @param {string} name - Item name
+     * @returns {string} Plural name
+     */
+    static plural(name) {
+        if (name.endsWith('s')) return name;
+        if (/[^aeiou]y$/.test(name)) return name.slice(0, -1) + 'ies';
+        return name + 's';
+    }
+    
     /**
      * Shuffles an array in place
      * @param {Array} array - Array to shuffle
@@ -181,73 +300,30 @@ class OrderProcessor {
     }
     
     /**
-     * Calculates subtotal for items
+     * Works out an order step by step (see Receipt.js)
      * @param {Array} items - Array of {item, quantity} objects
-     * @returns {number} Subtotal
+     * @param {Object|null} order - Current order: its deals, discount (the coupon), useTax and payment
+     * @returns {Object} Receipt with steps, subtotal, discountAmount, taxAmount, total, paid and change
      */
-    calculateSubtotal(items) {
-        if (!Array.isArray(items)) return 0;
-        return items.reduce((sum, entry) => {
-            const price = entry?.item?.price || 0;
-            const quantity = entry?.quantity || 0;
-            return sum + (price * quantity);
-        }, 0);
-    }
-    
-    /**
-     * Applies discount to amount
-     * @param {number} amount - Original amount
-     * @param {Object|null} discount - Discount object {type, value}
-     * @returns {number} Discounted amount
-     */
-    applyDiscount(amount, discount) {
-        if (!discount || !amount) return amount || 0;
-        
-        if (discount.type === 'percent') {
-            return amount * (1 - (discount.value || 0) / 100);
-        }
-        if (discount.type === 'fixed') {
-            return Math.max(0, amount - (discount.value || 0));
-        }
-        return amount;
-    }
-    
-    /**
-     * Applies tax to amount
-     * @param {number} amount - Amount before tax
-     * @returns {number} Amount with tax
-     */
-    applyTax(amount) {
-        return (amount || 0) * (1 + this.taxRate);
-    }
-    
-    /**
-     * Calculates total with optional discount and tax
-     * @param {Array} items - Order items
-     * @param {Object|null} discount - Optional discount
-     * @param {boolean} includeTax - Whether to include tax
-     * @returns {Object} Breakdown of costs
-     */
-    calculateTotal(items, discount = null, includeTax = false) {
-        const subtotal = this.calculateSubtotal(items);
-        const discountAmount = discount ? subtotal - this.applyDiscount(subtotal, discount) : 0;
-        const afterDiscount = subtotal - discountAmount;
-        const taxAmount = includeTax ? afterDiscount * this.taxRate : 0;
-        const total = afterDiscount + taxAmount;
-        
-        return {
-            subtotal: CurrencyUtils.round(subtotal),
-            discountAmount: CurrencyUtils.round(discountAmount),
-            taxAmount: CurrencyUtils.round(taxAmount),
-            total: CurrencyUtils.round(total)
-        };
+    calculateTotal(items, order = null) {
+        return Receipt.calculate(Array.isArray(items) ? items : [], {
+            deals: order?.deals || [],
+            coupon: order?.discount || null,
+            taxRate: order?.useTax ? this.taxRate : 0,
+            payment: order?.payment || null
+        }, CurrencyUtils.currency);
     }
 }
 
 // ==================== Order Generator ====================
 class OrderGenerator {
-    constructor(difficulty) {
+    /**
+     * @param {number} difficulty - Difficulty level
+     * @param {Array} items - Shop items priced in the current currency
+     */
+    constructor(difficulty, items) {
         this.difficulty = difficulty;
+        this.items = items;
         this.settings = SHOP_CONFIG.DIFFICULTY_SETTINGS[difficulty] || SHOP_CONFIG.DIFFICULTY_SETTINGS[1];
     }
     
@@ -258,14 +334,17 @@ class OrderGenerator {
     generate() {
         const customer = MathUtils.randomPick(CUSTOMERS);
         const items = this.generateItems();
+        const deals = this.settings.deals ? this.generateDeals(items) : [];
         const discount = this.settings.discount ? this.generateDiscount() : null;
         
         return {
             customer,
             items,
+            deals,
             discount,
             useTax: this.settings.tax,
-            exactChange: this.settings.exactChange
+            exactChange: this.settings.exactChange,
+            payment: null
         };
     }
     
@@ -275,12 +354,13 @@ class OrderGenerator {
      */
     generateItems() {
         const itemCount = MathUtils.randomInt(1, this.settings.maxItems);
-        const availableItems = MathUtils.shuffle([...CANDY_ITEMS]);
+        const availableItems = MathUtils.shuffle([...this.items]);
         const orderItems = [];
         
         for (let i = 0; i < itemCount && i < availableItems.length; i++) {
             const item = availableItems[i];
-            const quantity = MathUtils.randomInt(1, this.settings.maxQuantity);
+            // No more than is on the shelf in business mode
+            const quantity = Math.min(MathUtils.randomInt(1, this.settings.maxQuantity), item.stock ?? Infinity);
             orderItems.push({ item, quantity });
         }
         
@@ -288,38 +368,113 @@ class OrderGenerator {
     }
     
     /**
-     * Generates a random discount
+     * Sometimes puts one ordered item on a shop deal: buy 2 get 1 free, or
+     * a bundle at a set price. The customer takes enough for the deal.
+     * @param {Array} items - Order items; the deal item's quantity may go up
+     * @returns {Array} Deals for Receipt.calculate()
+     */
+    generateDeals(items) {
+        if (Math.random() >= SHOP_CONFIG.DEAL_CHANCE) return [];
+        
+        const size = SHOP_CONFIG.BUNDLE_SIZE;
+        const entry = MathUtils.randomPick(items.filter(e => (e.item.stock ?? Infinity) >= size));
+        if (!entry) return [];
+        
+        const { item } = entry;
+        const plural = MathUtils.plural(item.name);
+        entry.quantity = Math.max(entry.quantity, size);
+        
+        if (Math.random() < 0.5) {
+            return [{ type: 'buyGetFree', itemId: item.id, buy: size - 1, free: 1, display: `Buy ${size - 1} ${plural}, get 1 free` }];
+        }
+        
+        // A round bundle price, a little under buying them one by one
+        const unit = CurrencyUtils.currency.paymentStep / 10;
+        const price = CurrencyUtils.round(Math.round(item.price * size * SHOP_CONFIG.BUNDLE_PRICE / unit) * unit);
+        if (price <= 0 || price >= CurrencyUtils.round(item.price * size)) return [];
+        
+        return [{ type: 'bundle', itemId: item.id, size, price, display: `${size} ${plural} for ${CurrencyUtils.format(price)}` }];
+    }
+    
+    /**
+     * Generates a random coupon: a percent off, or a fixed amount off
+     * orders over a minimum
      * @returns {Object} Discount object
      */
     generateDiscount() {
+        const step = CurrencyUtils.currency.paymentStep;
+        const fixed = (value, minimum) => ({
+            type: 'fixed',
+            value,
+            minimum,
+            display: `${CurrencyUtils.format(value)} off orders of ${CurrencyUtils.format(minimum)} or more!`
+        });
         const discounts = [
             { type: 'percent', value: 10, display: '10% off!' },
             { type: 'percent', value: 15, display: '15% off!' },
             { type: 'percent', value: 20, display: '20% off!' },
-            { type: 'percent', value: 25, display: '25% off!' }
+            { type: 'percent', value: 25, display: '25% off!' },
+            fixed(step, step * 5),
+            fixed(step * 2, step * 10)
         ];
         return MathUtils.randomPick(discounts);
     }
     
+    /**
+     * How the customer pays for a total: with cash, or where split payments
+     * are on, sometimes a gift card with cash for the rest
+     * @param {number} total - Order total
+     * @returns {{cash: number, giftCard?: number}} Payment for Receipt.calculate()
+     */
+    generatePayment(total) {
+        const step = CurrencyUtils.currency.paymentStep;
+        
+        if (this.settings.splitPayment && total > step * 2 && Math.random() < SHOP_CONFIG.GIFT_CARD_CHANCE) {
+            const giftCard = Math.floor(total / 2 / step) * step;
+            return { giftCard, cash: CurrencyUtils.generatePayment(CurrencyUtils.calculateChange(total, giftCard)) };
+        }
+        return { cash: CurrencyUtils.generatePayment(total) };
+    }
+    
+    /**
+     * Describes cash handed over, e.g. "a $10 bill" or "$7.00 in cash"
+     * @param {number} cash
+     * @returns {string}
+     */
+    describeCash(cash) {
+        const piece = CurrencyUtils.currency.denominations.find(d => d.value === cash);
+        return piece ? `a ${piece.label} ${piece.type}` : `${CurrencyUtils.format(cash)} in cash`;
+    }
+    
     /**
      * Builds order request text
      * @param {Array} items - Order items
-     * @param {Object|null} discount - Optional discount
+     * @param {Object|null} discount - Optional coupon
+     * @param {Array} deals - Shop deals the customer is using
+     * @param {Object|null} payment - How the customer pays, from generatePayment()
      * @returns {string} Order request string
      */
-    buildOrderText(items, discount = null) {
+    buildOrderText(items, discount = null, deals = [], payment = null) {
         if (!items || items.length === 0) return "Just looking, thanks!";
         
         const greeting = MathUtils.randomPick(MESSAGES.greetings);
         const itemTexts = items.map(entry => {
             const qty = entry.quantity;
-            const name = entry.item.name + (qty > 1 ? 's' : '');
+            const name = qty > 1 ? MathUtils.plural(entry.item.name) : entry.item.name;
             return `${qty} ${name}`;
         });
         
         let text = `${greeting} ${itemTexts.join(' and ')}, please!`;
+        deals.forEach(deal => {
+            text += ` (${deal.display}!)`;
+        });
         if (discount) {
-            text += ` (${discount.display})`;
+            text += ` I have a coupon: ${discount.display}`;
+        }
+        if (payment?.giftCard) {
+            text += ` I'll use my ${CurrencyUtils.format(payment.giftCard)} gift card and ${this.describeCash(payment.cash)}.`;
+        } else if (payment) {
+            text += ` Here's ${this.describeCash(payment.cash)}.`;
         }
         
         return text;
@@ -334,8 +489,12 @@ class CandyShopGame {
         this.musicEnabled = true;
         this.sfxEnabled = true;
         
+        // Currency and the shop's items priced in it
+        this.currencyCode = SHOP_CONFIG.DEFAULT_CURRENCY;
+        this.items = getItemsForCurrency(this.currencyCode);
+        
         // Game state
-        this.money = SHOP_CONFIG.STARTING_MONEY;
+        this.money = SHOP_CONFIG.STARTING_MONEY[this.currencyCode];
         this.tips = 0;
         this.day = 1;
         this.customerIndex = 0;
@@ -352,11 +511,23 @@ class CandyShopGame {
         this.awaitingChange = false;
         this.expectedChange = 0;
         this.paymentAmount = 0;
+        this.changeGiven = [];      // value of each coin/bill put in the change tray
+        
+        // Math skill mastery and caught mistakes (shared MathEngine), saved per
+        // player at the end of each day
+        this.mastery = {};
+        this.misconceptions = {};
+        this.changeProblem = null;  // MathEngine make-change problem for the current order
+        
+        // Business mode (null in a normal game)
+        this.business = null;
+        this.restockOrder = {};     // item id -> how many to buy
         
         // DOM elements
         this.screens = {
             start: document.getElementById('start-screen'),
             game: document.getElementById('game-screen'),
+            business: document.getElementById('business-screen'),
             result: document.getElementById('result-screen')
         };
         
@@ -377,7 +548,19 @@ class CandyShopGame {
         
         return {
             ageSelect: getElement('age-select'),
+            currencySelect: getElement('currency-select'),
             startBtn: getElement('start-btn'),
+            businessBtn: getElement('business-btn'),
+            businessDay: getElement('business-day'),
+            businessCash: getElement('business-cash'),
+            stockRows: getElement('stock-rows'),
+            restockCost: getElement('restock-cost'),
+            businessMessage: getElement('business-message'),
+            ledgerHistory: getElement('ledger-history'),
+            buyStockBtn: getElement('buy-stock-btn'),
+            openShopBtn: getElement('open-shop-btn'),
+            newBusinessBtn: getElement('new-business-btn'),
+            businessHomeBtn: getElement('business-home-btn'),
             highScoreValue: getElement('high-score-value'),
             dayDisplay: getElement('day-display'),
             moneyDisplay: getElement('money-display'),
@@ -395,7 +578,13 @@ class CandyShopGame {
             totalValue: getElement('total-value'),
             paymentArea: getElement('payment-area'),
             paymentAmount: getElement('payment-amount'),
-            changeInput: getElement('change-input'),
+            receipt: getElement('receipt'),
+            changePrompt: getElement('change-prompt'),
+            nextCustomerBtn: getElement('next-customer-btn'),
+            cashDrawer: getElement('cash-drawer'),
+            changeTray: getElement('change-tray'),
+            changeGivenValue: getElement('change-given-value'),
+            clearChangeBtn: getElement('clear-change-btn'),
             submitChangeBtn: getElement('submit-change-btn'),
             clearBtn: getElement('clear-btn'),
             completeBtn: getElement('complete-btn'),
@@ -411,6 +600,7 @@ class CandyShopGame {
             accuracyDisplay: getElement('accuracy-display'),
             starRating: getElement('star-rating'),
             newHighScore: getElement('new-high-score'),
+            dayLedger: getElement('day-ledger'),
             resultTitle: getElement('result-title')
         };
     }
@@ -419,9 +609,10 @@ class CandyShopGame {
      * Initializes the game
      */
     init() {
-        this.loadHighScore();
+        this.populateCurrencies();
+        this.setCurrency(this.loadCurrency());
         this.setupEventListeners();
-        this.renderCandyShelf();
+        this.updateBusinessButton();
     }
     
     /**
@@ -449,14 +640,43 @@ class CandyShopGame {
         this.elements.clearBtn?.addEventListener('click', () => this.clearOrder());
         this.elements.completeBtn?.addEventListener('click', () => this.completeOrder());
         this.elements.submitChangeBtn?.addEventListener('click', () => this.submitChange());
+        this.elements.nextCustomerBtn?.addEventListener('click', () => {
+            this.customerIndex++;
+            this.nextCustomer();
+        });
+        
+        this.elements.clearChangeBtn?.addEventListener('click', () => this.clearChange());
+        this.elements.currencySelect?.addEventListener('change', (e) => this.setCurrency(e.target.value));
         
-        // Change input - allow Enter key
-        this.elements.changeInput?.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.submitChange();
+        // Cash drawer - drag coins and bills to the tray, or back to the drawer
+        this.elements.changeTray?.addEventListener('dragover', (e) => e.preventDefault());
+        this.elements.changeTray?.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const [from, index] = (e.dataTransfer?.getData('text/plain') || '').split(':');
+            if (from === 'drawer') this.addChangePiece(Number(index));
+        });
+        this.elements.cashDrawer?.addEventListener('dragover', (e) => e.preventDefault());
+        this.elements.cashDrawer?.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const [from, index] = (e.dataTransfer?.getData('text/plain') || '').split(':');
+            if (from === 'tray') this.removeChangePiece(Number(index));
         });
         
-        // Result screen
-        this.elements.playAgainBtn?.addEventListener('click', () => this.startGame());
+        // Business mode
+        this.elements.businessBtn?.addEventListener('click', () => this.showBusiness());
+        this.elements.buyStockBtn?.addEventListener('click', () => this.buyStock());
+        this.elements.openShopBtn?.addEventListener('click', () => this.startBusinessDay());
+        this.elements.newBusinessBtn?.addEventListener('click', () => this.startNewBusiness());
+        this.elements.businessHomeBtn?.addEventListener('click', () => this.goHome());
+        
+        // Result screen - the next business day starts with restocking
+        this.elements.playAgainBtn?.addEventListener('click', () => {
+            if (this.business) {
+                this.showBusiness();
+            } else {
+                this.startGame();
+            }
+        });
         this.elements.homeBtn?.addEventListener('click', () => this.goHome());
     }
     
@@ -473,15 +693,25 @@ class CandyShopGame {
         }
     }
     
+    /**
+     * Storage key for the best tips in a currency
+     * @param {string} code - CURRENCIES key
+     * @returns {string} Storage key
+     */
+    getHighScoreKey(code) {
+        // Dollars keep the original key so existing best scores carry over
+        return code === 'USD' ? SHOP_CONFIG.LEADERBOARD_KEY : `${SHOP_CONFIG.LEADERBOARD_KEY}_${code}`;
+    }
+    
     /**
      * Loads high score from storage
      */
     loadHighScore() {
         try {
-            const saved = localStorage.getItem(SHOP_CONFIG.LEADERBOARD_KEY);
+            const saved = localStorage.getItem(this.getHighScoreKey(this.currencyCode));
             const highScore = saved ? parseFloat(saved) : 0;
             if (this.elements.highScoreValue) {
-                this.elements.highScoreValue.textContent = highScore.toFixed(2);
+                this.elements.highScoreValue.textContent = CurrencyUtils.format(highScore);
             }
         } catch (e) {
             console.warn('Could not load high score:', e);
@@ -494,9 +724,10 @@ class CandyShopGame {
      */
     saveHighScore(score) {
         try {
-            const current = parseFloat(localStorage.getItem(SHOP_CONFIG.LEADERBOARD_KEY) || '0');
+            const key = this.getHighScoreKey(this.currencyCode);
+            const current = parseFloat(localStorage.getItem(key) || '0');
             if (score > current) {
-                localStorage.setItem(SHOP_CONFIG.LEADERBOARD_KEY, score.toString());
+                localStorage.setItem(key, score.toString());
                 return true;
             }
         } catch (e) {
@@ -505,6 +736,58 @@ class CandyShopGame {
         return false;
     }
     
+    /**
+     * Fills the currency picker on the start screen
+     */
+    populateCurrencies() {
+        if (!this.elements.currencySelect) return;
+        
+        this.elements.currencySelect.innerHTML = '';
+        Object.values(CURRENCIES).forEach(currency => {
+            const option = document.createElement('option');
+            option.value = currency.code;
+            option.textContent = `${currency.flag} ${currency.name} (${currency.symbol})`;
+            this.elements.currencySelect.appendChild(option);
+        });
+    }
+    
+    /**
+     * Loads the player's chosen currency
+     * @returns {string} CURRENCIES key
+     */
+    loadCurrency() {
+        try {
+            const saved = localStorage.getItem(SHOP_CONFIG.CURRENCY_KEY);
+            if (saved && CURRENCIES[saved]) return saved;
+        } catch (e) {
+            console.warn('Could not load currency:', e);
+        }
+        return SHOP_CONFIG.DEFAULT_CURRENCY;
+    }
+    
+    /**
+     * Switches the shop to a currency: prices, cash drawer and best tips
+     * @param {string} code - CURRENCIES key
+     */
+    setCurrency(code) {
+        const currency = CurrencyUtils.use(code);
+        this.currencyCode = currency.code;
+        this.items = getItemsForCurrency(currency.code);
+        
+        try {
+            localStorage.setItem(SHOP_CONFIG.CURRENCY_KEY, currency.code);
+        } catch (e) {
+            console.warn('Could not save currency:', e);
+        }
+        
+        if (this.elements.currencySelect) {
+            this.elements.currencySelect.value = currency.code;
+        }
+        this.renderCandyShelf();
+        this.renderCashDrawer();
+        this.loadHighScore();
+    }
+    
     /**
      * Renders the candy shelf with items
      */
@@ -513,7 +796,7 @@ class CandyShopGame {
         
         this.elements.candyShelf.innerHTML = '';
         
-        CANDY_ITEMS.forEach((item, index) => {
+        this.items.forEach((item, index) => {
             const itemEl = document.createElement('div');
             itemEl.className = 'candy-item';
             itemEl.dataset.index = index;
@@ -521,18 +804,42 @@ class CandyShopGame {
                 <span class="candy-icon">${item.icon}</span>
                 <span class="candy-name">${item.name}</span>
                 <span class="candy-price">${CurrencyUtils.format(item.price)}</span>
+                ${item.stock !== undefined ? `<span class="candy-stock">×${item.stock}</span>` : ''}
             `;
             itemEl.addEventListener('click', () => this.addToOrder(index));
             this.elements.candyShelf.appendChild(itemEl);
         });
     }
     
+    /**
+     * Difficulty for the active player's age
+     * @returns {number} Difficulty level
+     */
+    getPlayerDifficulty() {
+        let age = 16;
+        if (typeof PlayerManager !== 'undefined' && PlayerManager.hasActivePlayer()) {
+            age = PlayerManager.getPlayerAge() || 16;
+        }
+        return getDifficultyFromAge(age);
+    }
+    
     /**
      * Starts a new game
      */
     startGame() {
         console.log('startGame() called');
         
+        this.business = null;
+        this.money = SHOP_CONFIG.STARTING_MONEY[this.currencyCode];
+        this.items = getItemsForCurrency(this.currencyCode);
+        this.renderCandyShelf();
+        this.openShop();
+    }
+    
+    /**
+     * Opens the shop for a day of customers
+     */
+    openShop() {
         // Initialize and start background music
         if (this.audio && this.musicEnabled) {
             try {
@@ -544,11 +851,7 @@ class CandyShopGame {
         }
         
         // Get difficulty from PlayerManager age
-        let age = 16;
-        if (typeof PlayerManager !== 'undefined' && PlayerManager.hasActivePlayer()) {
-            age = PlayerManager.getPlayerAge() || 16;
-        }
-        this.difficulty = getDifficultyFromAge(age);
+        this.difficulty = this.getPlayerDifficulty();
         
         const settings = SHOP_CONFIG.DIFFICULTY_SETTINGS[this.difficulty];
         
@@ -556,8 +859,12 @@ class CandyShopGame {
         const taxRate = settings.tax ? SHOP_CONFIG.TAX_RATE : 0;
         this.orderProcessor = new OrderProcessor(taxRate);
         
+        if (typeof MathEngine !== 'undefined') {
+            this.mastery = MathEngine.loadMastery();
+            this.misconceptions = MathEngine.loadMisconceptions();
+        }
+        
         // Reset game state
-        this.money = SHOP_CONFIG.STARTING_MONEY;
         this.tips = 0;
         this.customerIndex = 0;
         this.correctOrders = 0;
@@ -576,19 +883,36 @@ class CandyShopGame {
      * Generates and displays next customer
      */
     nextCustomer() {
-        if (this.customerIndex >= this.customersPerDay) {
+        // A business closes early once the shelves are empty
+        if (this.customerIndex >= this.customersPerDay || (this.business && !ShopBusiness.hasStock(this.business))) {
             this.endDay();
             return;
         }
         
+        // Business mode sells what is in stock, and customers may not want
+        // items priced above the list price
+        let wanted = this.items;
+        if (this.business) {
+            this.items = ShopBusiness.getShelfItems(this.business, getItemsForCurrency(this.currencyCode));
+            this.renderCandyShelf();
+            wanted = this.items.filter(item => Math.random() < ShopBusiness.getDemand(item.price, item.listPrice));
+        }
+        
         // Generate order
-        const generator = new OrderGenerator(this.difficulty);
+        const generator = new OrderGenerator(this.difficulty, wanted);
         this.currentOrder = generator.generate();
         
+        // Customers say up front how they will pay
+        if (!this.currentOrder.exactChange && this.currentOrder.items.length > 0) {
+            const { total } = this.orderProcessor.calculateTotal(this.currentOrder.items, this.currentOrder);
+            this.currentOrder.payment = generator.generatePayment(total);
+        }
+        
         // Reset order state
         this.selectedItems = [];
         this.awaitingChange = false;
         this.expectedChange = 0;
+        this.changeProblem = null;
         
         // Update UI
         this.renderCurrentOrder();
@@ -602,17 +926,41 @@ class CandyShopGame {
         if (this.elements.orderText) {
             this.elements.orderText.textContent = generator.buildOrderText(
                 this.currentOrder.items,
-                this.currentOrder.discount
+                this.currentOrder.discount,
+                this.currentOrder.deals,
+                this.currentOrder.payment
             );
         }
         
         // Hide payment area, show action buttons
         this.elements.paymentArea?.classList.add('hidden');
+        this.elements.changePrompt?.classList.remove('hidden');
+        this.elements.nextCustomerBtn?.classList.add('hidden');
         this.elements.completeBtn?.removeAttribute('disabled');
         this.elements.clearBtn?.classList.remove('hidden');
         
         // Update progress dots
         this.updateProgressDots();
+        
+        if (this.currentOrder.items.length === 0) {
+            this.customerLeaves();
+        }
+    }
+    
+    /**
+     * A business customer who wants nothing at today's prices moves on
+     */
+    customerLeaves() {
+        if (this.elements.orderText) {
+            this.elements.orderText.textContent = MathUtils.randomPick(MESSAGES.tooPricey);
+        }
+        this.elements.completeBtn?.setAttribute('disabled', 'true');
+        ShopBusiness.recordWalkout(this.business);
+        
+        setTimeout(() => {
+            this.customerIndex++;
+            this.nextCustomer();
+        }, 2000);
     }
     
     /**
@@ -640,16 +988,7 @@ class CandyShopGame {
         
         this.elements.orderItems.innerHTML = '';
         
-        // Group selected items by id
-        const grouped = this.selectedItems.reduce((acc, item) => {
-            const existing = acc.find(e => e.item.id === item.id);
-            if (existing) {
-                existing.quantity++;
-            } else {
-                acc.push({ item, quantity: 1 });
-            }
-            return acc;
-        }, []);
+        const grouped = this.groupSelectedItems();
         
         grouped.forEach((entry, index) => {
             const itemEl = document.createElement('div');
@@ -667,14 +1006,30 @@ class CandyShopGame {
         });
     }
     
+    /**
+     * Groups the selected items by id
+     * @returns {Array} Array of {item, quantity} objects
+     */
+    groupSelectedItems() {
+        return this.selectedItems.reduce((acc, item) => {
+            const existing = acc.find(e => e.item.id === item.id);
+            if (existing) {
+                existing.quantity++;
+            } else {
+                acc.push({ item, quantity: 1 });
+            }
+            return acc;
+        }, []);
+    }
+    
     /**
      * Adds item to order
-     * @param {number} itemIndex - Index of item in CANDY_ITEMS
+     * @param {number} itemIndex - Index of item on the shelf
      */
     addToOrder(itemIndex) {
         if (!this.isPlaying || this.awaitingChange) return;
         
-        const item = CANDY_ITEMS[itemIndex];
+        const item = this.items[itemIndex];
         if (item) {
             this.selectedItems.push(item);
             this.renderCurrentOrder();
@@ -712,24 +1067,10 @@ class CandyShopGame {
      * Updates the order summary display
      */
     updateOrderDisplay() {
-        const settings = SHOP_CONFIG.DIFFICULTY_SETTINGS[this.difficulty];
-        
         // Group items for calculation
-        const grouped = this.selectedItems.reduce((acc, item) => {
-            const existing = acc.find(e => e.item.id === item.id);
-            if (existing) {
-                existing.quantity++;
-            } else {
-                acc.push({ item, quantity: 1 });
-            }
-            return acc;
-        }, []);
+        const grouped = this.groupSelectedItems();
         
-        const breakdown = this.orderProcessor.calculateTotal(
-            grouped,
-            this.currentOrder?.discount,
-            settings.tax
-        );
+        const breakdown = this.orderProcessor.calculateTotal(grouped, this.currentOrder);
         
         // Update display
         if (this.elements.subtotalValue) {
@@ -781,42 +1122,41 @@ class CandyShopGame {
         }
         
         // Calculate total
-        const grouped = this.selectedItems.reduce((acc, item) => {
-            const existing = acc.find(e => e.item.id === item.id);
-            if (existing) {
-                existing.quantity++;
-            } else {
-                acc.push({ item, quantity: 1 });
-            }
-            return acc;
-        }, []);
+        const grouped = this.groupSelectedItems();
         
-        const breakdown = this.orderProcessor.calculateTotal(
-            grouped,
-            this.currentOrder.discount,
-            settings.tax
-        );
+        const receipt = this.orderProcessor.calculateTotal(grouped, this.currentOrder);
         
         // If exact change mode or difficulty 1, skip change calculation
         if (settings.exactChange || this.difficulty === 1) {
-            this.processCorrectOrder(breakdown.total);
+            this.processCorrectOrder(receipt);
             return;
         }
         
         // Otherwise, prompt for change
-        this.paymentAmount = CurrencyUtils.generatePayment(breakdown.total);
-        this.expectedChange = CurrencyUtils.calculateChange(this.paymentAmount, breakdown.total);
+        this.receipt = receipt;
+        this.paymentAmount = receipt.paid;
+        this.expectedChange = receipt.change;
+        
+        // The same problem the shared engine poses, with this customer's money
+        if (typeof MathEngine !== 'undefined') {
+            this.changeProblem = MathEngine.generate('make-change', {
+                currency: CurrencyUtils.currency,
+                amounts: [receipt.paid, receipt.due]
+            });
+        }
         
         this.awaitingChange = true;
+        this.changeGiven = [];
         
         // Update UI
         if (this.elements.paymentAmount) {
-            this.elements.paymentAmount.textContent = CurrencyUtils.format(this.paymentAmount);
-        }
-        if (this.elements.changeInput) {
-            this.elements.changeInput.value = '';
-            this.elements.changeInput.focus();
+            const giftCard = this.currentOrder.payment?.giftCard;
+            this.elements.paymentAmount.textContent = giftCard
+                ? `${CurrencyUtils.format(giftCard)} gift card + ${CurrencyUtils.format(this.paymentAmount)}`
+                : CurrencyUtils.format(this.paymentAmount);
         }
+        this.renderReceipt(receipt, false);
+        this.renderChangeTray();
         
         this.elements.paymentArea?.classList.remove('hidden');
         this.elements.completeBtn?.setAttribute('disabled', 'true');
@@ -852,67 +1192,215 @@ class CandyShopGame {
     }
     
     /**
-     * Submits change calculation
+     * Renders the coins and bills in the cash drawer
+     */
+    renderCashDrawer() {
+        if (!this.elements.cashDrawer) return;
+        
+        this.elements.cashDrawer.innerHTML = '';
+        
+        CurrencyUtils.currency.denominations.forEach((denomination, index) => {
+            const pieceEl = document.createElement('button');
+            pieceEl.type = 'button';
+            pieceEl.className = `money-piece ${denomination.type}`;
+            pieceEl.textContent = denomination.label;
+            pieceEl.draggable = true;
+            pieceEl.setAttribute('aria-label', `Add ${denomination.label}`);
+            pieceEl.addEventListener('dragstart', (e) => {
+                e.dataTransfer?.setData('text/plain', `drawer:${index}`);
+            });
+            pieceEl.addEventListener('click', () => this.addChangePiece(index));
+            this.elements.cashDrawer.appendChild(pieceEl);
+        });
+    }
+    
+    /**
+     * Renders the change tray and the amount in it
+     */
+    renderChangeTray() {
+        const currency = CurrencyUtils.currency;
+        
+        if (this.elements.changeTray) {
+            this.elements.changeTray.innerHTML = '';
+            
+            this.changeGiven.forEach((value, index) => {
+                const denomination = currency.denominations.find(d => d.value === value);
+                const pieceEl = document.createElement('button');
+                pieceEl.type = 'button';
+                pieceEl.className = `money-piece ${denomination.type}`;
+                pieceEl.textContent = denomination.label;
+                pieceEl.draggable = true;
+                pieceEl.setAttribute('aria-label', `Take back ${denomination.label}`);
+                pieceEl.addEventListener('dragstart', (e) => {
+                    e.dataTransfer?.setData('text/plain', `tray:${index}`);
+                });
+                pieceEl.addEventListener('click', () => this.removeChangePiece(index));
+                this.elements.changeTray.appendChild(pieceEl);
+            });
+        }
+        
+        if (this.elements.changeGivenValue) {
+            this.elements.changeGivenValue.textContent = CurrencyUtils.format(CurrencySystem.sum(this.changeGiven, currency));
+        }
+    }
+    
+    /**
+     * Puts a coin or bill from the drawer into the change tray
+     * @param {number} index - Index in the currency's denominations
+     */
+    addChangePiece(index) {
+        if (!this.awaitingChange) return;
+        
+        const denomination = CurrencyUtils.currency.denominations[index];
+        if (denomination) {
+            this.changeGiven.push(denomination.value);
+            this.renderChangeTray();
+            this.playSound('click');
+        }
+    }
+    
+    /**
+     * Puts a coin or bill from the change tray back in the drawer
+     * @param {number} index - Index in the change tray
+     */
+    removeChangePiece(index) {
+        if (!this.awaitingChange || index < 0 || index >= this.changeGiven.length) return;
+        
+        this.changeGiven.splice(index, 1);
+        this.renderChangeTray();
+    }
+    
+    /**
+     * Empties the change tray
+     */
+    clearChange() {
+        if (!this.awaitingChange) return;
+        
+        this.changeGiven = [];
+        this.renderChangeTray();
+    }
+    
+    /**
+     * Submits the change in the tray
      */
     submitChange() {
         if (!this.awaitingChange) return;
         
-        const inputValue = parseFloat(this.elements.changeInput?.value || '0');
-        const roundedInput = CurrencyUtils.round(inputValue);
-        const roundedExpected = CurrencyUtils.round(this.expectedChange);
-        
-        // Allow small tolerance for floating point
-        const isCorrect = Math.abs(roundedInput - roundedExpected) < 0.01;
-        
-        if (isCorrect) {
-            // Calculate total from current order
-            const settings = SHOP_CONFIG.DIFFICULTY_SETTINGS[this.difficulty];
-            const grouped = this.selectedItems.reduce((acc, item) => {
-                const existing = acc.find(e => e.item.id === item.id);
-                if (existing) {
-                    existing.quantity++;
-                } else {
-                    acc.push({ item, quantity: 1 });
-                }
-                return acc;
-            }, []);
-            
-            const breakdown = this.orderProcessor.calculateTotal(
-                grouped,
-                this.currentOrder.discount,
-                settings.tax
-            );
-            
-            this.processCorrectOrder(breakdown.total);
+        const result = CurrencySystem.checkChange(this.changeGiven, this.expectedChange, CurrencyUtils.currency);
+        const fewest = CurrencySystem.describePieces(result.fewest);
+        
+        if (result.amountCorrect) {
+            if (result.fewestUsed) {
+                this.processCorrectOrder(this.receipt);
+            } else {
+                // Right amount, but more coins and bills than needed
+                this.processCorrectOrder(
+                    this.receipt,
+                    SHOP_CONFIG.EXTRA_PIECES_TIP,
+                    `Right amount! Fewer pieces would be: ${fewest}`
+                );
+            }
         } else {
-            this.showFeedback(false, `The correct change was ${CurrencyUtils.format(this.expectedChange)}`);
+            const correct = `The correct change was ${CurrencyUtils.format(this.expectedChange)}`;
+            const tip = this.recordChangeMistake(CurrencySystem.sum(this.changeGiven, CurrencyUtils.currency));
+            this.showFeedback(false, (fewest ? `${correct}: ${fewest}` : correct) + (tip ? ` ${tip}` : ''));
             this.awaitingChange = false;
-            this.elements.paymentArea?.classList.add('hidden');
             this.totalOrders++;
+            this.recordSkills(false);
             
-            setTimeout(() => {
-                this.customerIndex++;
-                this.nextCustomer();
-            }, 2000);
+            // The worked receipt explains the change; the player moves on when ready
+            this.renderReceipt(this.receipt, true);
+            this.elements.changePrompt?.classList.add('hidden');
+            this.elements.nextCustomerBtn?.classList.remove('hidden');
         }
     }
     
     /**
-     * Processes a correct order
-     * @param {number} total - Order total
+     * Prints the receipt, one line per step
+     * @param {Object} receipt - From OrderProcessor.calculateTotal()
+     * @param {boolean} showChange - Whether to show the change, or leave it for the player
      */
-    processCorrectOrder(total) {
-        const tip = CurrencyUtils.round(total * SHOP_CONFIG.TIP_MULTIPLIER);
+    renderReceipt(receipt, showChange) {
+        const container = this.elements.receipt;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        receipt.steps.forEach(step => {
+            const hidden = step.kind === 'change' && !showChange;
+            const line = document.createElement('div');
+            line.className = `receipt-line receipt-${step.kind}`;
+            
+            const label = document.createElement('span');
+            label.className = 'receipt-label';
+            label.textContent = step.label;
+            
+            const math = document.createElement('span');
+            math.className = 'receipt-math';
+            math.textContent = hidden ? '' : step.math;
+            
+            const amount = document.createElement('span');
+            amount.className = 'receipt-amount';
+            amount.textContent = hidden ? '?' : (step.amount < 0 ? '-' : '') + CurrencyUtils.format(step.amount);
+            
+            line.append(label, math, amount);
+            container.appendChild(line);
+        });
+    }
+    
+    /**
+     * Records the math the current order practiced against the shared
+     * MathEngine skills. Orders paid with exact money leave the player no
+     * sums to do (the receipt works out deals, coupons and tax), so only
+     * counting out change is practice - of the engine's make-change skill.
+     * @param {boolean} correct - Whether the order was served right
+     */
+    recordSkills(correct) {
+        if (typeof MathEngine === 'undefined' || !this.changeProblem) return;
         
-        this.money += total;
+        MathEngine.recordResult(this.mastery, this.changeProblem.skill, correct);
+    }
+    
+    /**
+     * Counts wrong change that a common mistake gives (adding instead of
+     * taking away, a whole unit out) against the player's misconceptions
+     * @param {number} given - Change in the tray
+     * @returns {string|null} A tip about the mistake, or null when it isn't a known one
+     */
+    recordChangeMistake(given) {
+        const id = this.changeProblem?.misconceptions[given];
+        if (!id) return null;
+        
+        MathEngine.recordMisconception(this.misconceptions, id);
+        return MathEngine.getMisconception(id).tip;
+    }
+    
+    /**
+     * Processes a correct order
+     * @param {Object} receipt - From OrderProcessor.calculateTotal()
+     * @param {number} tipShare - Share of the full tip earned (0-1)
+     * @param {string|null} message - Feedback message, or null for a random cheer
+     */
+    processCorrectOrder(receipt, tipShare = 1, message = null) {
+        const { total, taxAmount } = receipt;
+        const tip = CurrencyUtils.round(total * SHOP_CONFIG.TIP_MULTIPLIER * tipShare);
+        
+        if (this.business) {
+            // Stock leaves the shelf; tips go into the till too, tax is paid on
+            const revenue = CurrencySystem.sum([total, -taxAmount], CurrencyUtils.currency);
+            ShopBusiness.recordSale(this.business, this.groupSelectedItems(), revenue, tip, CurrencyUtils.currency, taxAmount);
+            this.money = this.business.cash;
+        } else {
+            this.money += total;
+        }
         this.tips += tip;
         this.correctOrders++;
         this.totalOrders++;
+        this.recordSkills(true);
         
         this.awaitingChange = false;
         this.elements.paymentArea?.classList.add('hidden');
         
-        this.showFeedback(true, MathUtils.randomPick(MESSAGES.correct), `+${CurrencyUtils.format(tip)} tip!`);
+        this.showFeedback(true, message || MathUtils.randomPick(MESSAGES.correct), `+${CurrencyUtils.format(tip)} tip!`);
         this.updateHeader();
         
         setTimeout(() => {
@@ -972,10 +1460,14 @@ class CandyShopGame {
      */
     endDay() {
         this.isPlaying = false;
+        if (typeof MathEngine !== 'undefined') {
+            MathEngine.saveMastery(this.mastery, this.misconceptions);
+        }
         
         const accuracy = this.totalOrders > 0 ? (this.correctOrders / this.totalOrders) * 100 : 0;
         const stars = Math.ceil((this.correctOrders / this.customersPerDay) * 3);
-        const isNewRecord = this.saveHighScore(this.tips);
+        // Best tips are for the normal game; a business keeps its own books
+        const isNewRecord = this.business ? false : this.saveHighScore(this.tips);
         
         // Update result screen
         if (this.elements.resultTitle) {
@@ -1007,6 +1499,8 @@ class CandyShopGame {
             this.elements.newHighScore.classList.toggle('hidden', !isNewRecord);
         }
         
+        this.renderDayLedger(this.business ? this.closeBusinessDay() : null);
+        
         this.showScreen('result');
         this.loadHighScore();
     }
@@ -1017,6 +1511,8 @@ class CandyShopGame {
     goHome() {
         this.isPlaying = false;
         this.day = 1;
+        this.business = null;
+        this.updateBusinessButton();
         
         // Stop background music
         if (this.audio) {
@@ -1030,6 +1526,284 @@ class CandyShopGame {
         this.showScreen('start');
     }
     
+    /**
+     * Shows the business button to players old enough for it
+     */
+    updateBusinessButton() {
+        this.elements.businessBtn?.classList.toggle(
+            'hidden',
+            this.getPlayerDifficulty() < SHOP_CONFIG.BUSINESS.MIN_LEVEL
+        );
+    }
+    
+    /**
+     * Loads every saved business, by currency code
+     * @returns {Object<string, Object>} Businesses
+     */
+    loadBusinesses() {
+        try {
+            if (typeof PlayerManager !== 'undefined' && PlayerManager.hasActivePlayer()) {
+                return PlayerManager.getGameProgress(SHOP_CONFIG.GAME_ID)?.businesses || {};
+            }
+            return JSON.parse(localStorage.getItem(SHOP_CONFIG.BUSINESS.SAVE_KEY) || '{}');
+        } catch (e) {
+            console.warn('Could not load business:', e);
+            return {};
+        }
+    }
+    
+    /**
+     * Saves the business, for the active player if there is one
+     */
+    saveBusiness() {
+        const businesses = { ...this.loadBusinesses(), [this.business.currency]: this.business };
+        
+        try {
+            if (typeof PlayerManager !== 'undefined' && PlayerManager.hasActivePlayer()) {
+                PlayerManager.updateGameProgress(SHOP_CONFIG.GAME_ID, { businesses });
+            } else {
+                localStorage.setItem(SHOP_CONFIG.BUSINESS.SAVE_KEY, JSON.stringify(businesses));
+            }
+        } catch (e) {
+            console.warn('Could not save business:', e);
+        }
+    }
+    
+    /**
+     * Opens a new business in the current currency
+     * @returns {Object} Business
+     */
+    createBusiness() {
+        return ShopBusiness.createBusiness(getItemsForCurrency(this.currencyCode), this.currencyCode, {
+            startingMoney: SHOP_CONFIG.STARTING_MONEY[this.currencyCode],
+            startingStock: SHOP_CONFIG.BUSINESS.STARTING_STOCK
+        });
+    }
+    
+    /**
+     * Shows the stock room, where stock is bought and prices set between days
+     */
+    showBusiness() {
+        if (!this.business) {
+            this.business = this.loadBusinesses()[this.currencyCode] || this.createBusiness();
+        }
+        this.restockOrder = {};
+        this.showBusinessMessage('');
+        this.renderBusiness();
+        this.showScreen('business');
+    }
+    
+    /**
+     * Starts the business over after the player confirms
+     */
+    startNewBusiness() {
+        if (!window.confirm('Start a new business? Your shop, stock and books will be lost.')) return;
+        
+        this.business = this.createBusiness();
+        this.saveBusiness();
+        this.restockOrder = {};
+        this.showBusinessMessage('');
+        this.renderBusiness();
+    }
+    
+    /**
+     * Shows a message in the stock room
+     * @param {string} message - Empty to hide
+     * @param {boolean} isError - Whether something went wrong
+     */
+    showBusinessMessage(message, isError = false) {
+        if (!this.elements.businessMessage) return;
+        
+        this.elements.businessMessage.textContent = message;
+        this.elements.businessMessage.classList.toggle('hidden', !message);
+        this.elements.businessMessage.classList.toggle('error', isError);
+    }
+    
+    /**
+     * Renders the stock room: cash, stock, prices and past days
+     */
+    renderBusiness() {
+        const currency = CurrencyUtils.currency;
+        const items = getItemsForCurrency(this.currencyCode);
+        
+        if (this.elements.businessDay) {
+            this.elements.businessDay.textContent = `Day ${this.business.day}`;
+        }
+        if (this.elements.businessCash) {
+            this.elements.businessCash.textContent = CurrencyUtils.format(this.business.cash);
+        }
+        
+        if (this.elements.stockRows) {
+            this.elements.stockRows.innerHTML = '';
+            
+            items.forEach(item => {
+                const bounds = ShopBusiness.getPriceBounds(item, SHOP_CONFIG.BUSINESS, currency);
+                const step = 1 / Math.pow(10, currency.decimals);
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${item.icon} ${item.name}</td>
+                    <td>${this.business.stock[item.id] || 0}</td>
+                    <td>${CurrencyUtils.format(item.cost)}</td>
+                    <td><input type="number" class="price-input" min="${bounds.min}" max="${bounds.max}" step="${step}"
+                        value="${this.business.prices[item.id]}" aria-label="Price of ${item.name}"></td>
+                    <td><input type="number" class="buy-input" min="0" step="1"
+                        value="${this.restockOrder[item.id] || 0}" aria-label="${item.name} to buy"></td>
+                `;
+                
+                const priceInput = row.querySelector('.price-input');
+                priceInput.addEventListener('change', () => {
+                    const result = ShopBusiness.setPrice(
+                        this.business, item, parseFloat(priceInput.value), SHOP_CONFIG.BUSINESS, currency
+                    );
+                    if (result.success) {
+                        this.showBusinessMessage('');
+                        this.saveBusiness();
+                    } else {
+                        this.showBusinessMessage(result.error, true);
+                    }
+                    priceInput.value = this.business.prices[item.id];
+                });
+                
+                const buyInput = row.querySelector('.buy-input');
+                buyInput.addEventListener('input', () => {
+                    this.restockOrder[item.id] = Number(buyInput.value) || 0;
+                    this.updateRestockCost();
+                });
+                
+                this.elements.stockRows.appendChild(row);
+            });
+        }
+        
+        this.updateRestockCost();
+        this.renderLedgerHistory();
+    }
+    
+    /**
+     * Shows what the restock being planned would cost
+     */
+    updateRestockCost() {
+        if (!this.elements.restockCost) return;
+        
+        const cost = ShopBusiness.getRestockCost(this.restockOrder, getItemsForCurrency(this.currencyCode), CurrencyUtils.currency);
+        this.elements.restockCost.textContent = CurrencyUtils.format(cost);
+        this.elements.restockCost.classList.toggle('over-budget', cost > this.business.cash);
+    }
+    
+    /**
+     * Buys the planned restock
+     */
+    buyStock() {
+        if (!this.business) return;
+        
+        const result = ShopBusiness.restock(
+            this.business,
+            this.restockOrder,
+            getItemsForCurrency(this.currencyCode),
+            SHOP_CONFIG.BUSINESS,
+            CurrencyUtils.currency
+        );
+        
+        if (!result.success) {
+            this.showBusinessMessage(result.error, true);
+            return;
+        }
+        
+        this.restockOrder = {};
+        this.saveBusiness();
+        this.renderBusiness();
+        this.showBusinessMessage(result.spent > 0 ? `Bought stock for ${CurrencyUtils.format(result.spent)}` : '');
+    }
+    
+    /**
+     * Opens the business for the day
+     */
+    startBusinessDay() {
+        if (!this.business) return;
+        
+        if (!ShopBusiness.hasStock(this.business)) {
+            this.showBusinessMessage('Your shelves are empty - buy some stock first!', true);
+            return;
+        }
+        
+        this.day = this.business.day;
+        this.money = this.business.cash;
+        this.openShop();
+    }
+    
+    /**
+     * Closes the business's books for the day and saves it
+     * @returns {Object} The day's ledger, from ShopBusiness.closeDay()
+     */
+    closeBusinessDay() {
+        const ledger = ShopBusiness.closeDay(this.business, CurrencyUtils.currency, SHOP_CONFIG.BUSINESS.HISTORY_DAYS);
+        this.saveBusiness();
+        return ledger;
+    }
+    
+    /**
+     * Formats an amount that may be a loss
+     * @param {number} amount - Amount to format
+     * @returns {string} Formatted amount, with "-" for a loss
+     */
+    formatProfit(amount) {
+        return (amount < 0 ? '-' : '') + CurrencyUtils.format(amount);
+    }
+    
+    /**
+     * Renders a business day's ledger on the result screen
+     * @param {Object|null} ledger - From ShopBusiness.closeDay(), or null to hide it
+     */
+    renderDayLedger(ledger) {
+        if (!this.elements.dayLedger) return;
+        
+        this.elements.dayLedger.classList.toggle('hidden', !ledger);
+        if (!ledger) return;
+        
+        const rows = [
+            ['Revenue', '+' + CurrencyUtils.format(ledger.revenue)],
+            ['Cost of goods sold', '-' + CurrencyUtils.format(ledger.costOfGoods)],
+            ['Tips', '+' + CurrencyUtils.format(ledger.tips)],
+            ...(ledger.taxCollected > 0 ? [['Sales tax collected (paid to the town)', CurrencyUtils.format(ledger.taxCollected)]] : []),
+            ['Profit', this.formatProfit(ledger.profit)],
+            ['Spent on stock', CurrencyUtils.format(ledger.restocked)],
+            ['Customers who left', ledger.walkouts.toString()],
+            ['Cash in the till', CurrencyUtils.format(ledger.cash)]
+        ];
+        
+        this.elements.dayLedger.innerHTML = `
+            <table>
+                <caption>Day ${ledger.day} Ledger</caption>
+                ${rows.map(([label, value]) => `<tr${label === 'Profit' ? ' class="profit-row"' : ''}><th>${label}</th><td>${value}</td></tr>`).join('')}
+            </table>
+        `;
+    }
+    
+    /**
+     * Renders the books for the last few business days
+     */
+    renderLedgerHistory() {
+        if (!this.elements.ledgerHistory) return;
+        
+        const days = this.business.history.slice(-7).reverse();
+        this.elements.ledgerHistory.classList.toggle('hidden', days.length === 0);
+        
+        this.elements.ledgerHistory.innerHTML = `
+            <table>
+                <caption>Past Days</caption>
+                <tr><th>Day</th><th>Revenue</th><th>Cost</th><th>Tips</th><th>Profit</th></tr>
+                ${days.map(day => `
+                    <tr>
+                        <td>${day.day}</td>
+                        <td>${CurrencyUtils.format(day.revenue)}</td>
+                        <td>${CurrencyUtils.format(day.costOfGoods)}</td>
+                        <td>${CurrencyUtils.format(day.tips)}</td>
+                        <td class="${day.profit < 0 ? 'loss' : ''}">${this.formatProfit(day.profit)}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+    }
+    
     /**
      * Plays a sound effect
      * @param {string} type - Sound type
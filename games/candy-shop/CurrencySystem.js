@@ -0,0 +1,187 @@
+/**
+ * CurrencySystem.js - Money for Candy Shop
+ *
+ * Formats amounts and counts change in any currency from CURRENCIES
+ * (see candy-shop.config.js). Amounts are in major units (dollars, euros,
+ * pesos, yen) like the shop's prices; sums are done in whole minor units
+ * (cents, sentimo) so no floating point error creeps in.
+ *
+ * Change is judged two ways: is it the right amount, and was it made with
+ * the fewest coins and bills the drawer allows.
+ *
+ * @version 1.0.0
+ */
+
+const CurrencySystem = (function() {
+    'use strict';
+
+    // ==================== Amounts ====================
+
+    /**
+     * Converts an amount to whole minor units (e.g. dollars to cents)
+     * @param {number} amount
+     * @param {Object} currency - CURRENCIES entry
+     * @returns {number}
+     */
+    function toMinor(amount, currency) {
+        return Math.round((amount || 0) * Math.pow(10, currency.decimals));
+    }
+
+    /**
+     * Converts whole minor units back to an amount
+     * @param {number} minor
+     * @param {Object} currency
+     * @returns {number}
+     */
+    function fromMinor(minor, currency) {
+        return minor / Math.pow(10, currency.decimals);
+    }
+
+    /**
+     * Rounds to the currency's smallest unit
+     * @param {number} amount
+     * @param {Object} currency
+     * @returns {number}
+     */
+    function round(amount, currency) {
+        return fromMinor(toMinor(amount, currency), currency);
+    }
+
+    /**
+     * Adds up amounts without floating point error
+     * @param {number[]} amounts
+     * @param {Object} currency
+     * @returns {number}
+     */
+    function sum(amounts, currency) {
+        return fromMinor(amounts.reduce((total, amount) => total + toMinor(amount, currency), 0), currency);
+    }
+
+    /**
+     * Formats an amount, e.g. $1.50, 1,50 €, ₱25.00, ¥1,200.
+     * The sign is dropped; callers add "-" where it means something.
+     * @param {number} amount
+     * @param {Object} currency
+     * @returns {string}
+     */
+    function format(amount, currency) {
+        const value = typeof amount === 'number' && !isNaN(amount) ? Math.abs(amount) : 0;
+        const [whole, fraction] = value.toFixed(currency.decimals).split('.');
+        const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, currency.groupMark);
+        const number = fraction ? grouped + currency.decimalMark + fraction : grouped;
+
+        return currency.symbolAfter ? `${number} ${currency.symbol}` : currency.symbol + number;
+    }
+
+    // ==================== Change ====================
+
+    /**
+     * The fewest coins and bills that make an amount
+     * @param {number} amount
+     * @param {Object} currency
+     * @returns {Array<{value: number, label: string, type: string, count: number}>|null}
+     *   Largest first; null if the drawer can't make the amount
+     */
+    function fewestPieces(amount, currency) {
+        const target = toMinor(amount, currency);
+        const values = currency.denominations.map(d => toMinor(d.value, currency));
+
+        // fewest[n] = fewest pieces making n, last[n] = denomination used last
+        const fewest = new Array(target + 1).fill(Infinity);
+        const last = new Array(target + 1).fill(-1);
+        fewest[0] = 0;
+
+        for (let n = 1; n <= target; n++) {
+            values.forEach((value, index) => {
+                if (value <= n && fewest[n - value] + 1 < fewest[n]) {
+                    fewest[n] = fewest[n - value] + 1;
+                    last[n] = index;
+                }
+            });
+        }
+        if (fewest[target] === Infinity) return null;
+
+        const counts = new Map();
+        for (let n = target; n > 0; n -= values[last[n]]) {
+            counts.set(last[n], (counts.get(last[n]) || 0) + 1);
+        }
+
+        return [...counts.entries()]
+            .map(([index, count]) => ({ ...currency.denominations[index], count }))
+            .sort((a, b) => b.value - a.value);
+    }
+
+    /**
+     * Checks change built from the drawer
+     * @param {number[]} given - Value of each coin/bill handed over
+     * @param {number} change - Change owed
+     * @param {Object} currency
+     * @returns {{amountCorrect: boolean, fewestUsed: boolean, given: number, pieces: number, fewest: Array|null}}
+     *   fewest is the best way to make the change, from fewestPieces()
+     */
+    function checkChange(given, change, currency) {
+        const givenTotal = sum(given, currency);
+        const amountCorrect = toMinor(givenTotal, currency) === toMinor(change, currency);
+        const fewest = fewestPieces(change, currency);
+        const fewestCount = fewest ? fewest.reduce((count, piece) => count + piece.count, 0) : 0;
+
+        return {
+            amountCorrect,
+            fewestUsed: amountCorrect && given.length === fewestCount,
+            given: givenTotal,
+            pieces: given.length,
+            fewest
+        };
+    }
+
+    /**
+     * Describes coins and bills, e.g. "1 × $5, 2 × 25¢"
+     * @param {Array<{label: string, count: number}>} pieces - From fewestPieces()
+     * @returns {string}
+     */
+    function describePieces(pieces) {
+        return (pieces || []).map(piece => `${piece.count} × ${piece.label}`).join(', ');
+    }
+
+    // ==================== Payments ====================
+
+    /**
+     * An amount a customer might hand over: the total rounded up to the
+     * currency's payment step, or a bill that covers it
+     * @param {number} total
+     * @param {Object} currency
+     * @param {Function} [random] - Returns 0-1
+     * @returns {number}
+     */
+    function generatePayment(total, currency, random = Math.random) {
+        const step = currency.paymentStep;
+        if (!total || total <= 0) return step;
+
+        const options = [Math.ceil(round(total, currency) / step) * step];
+        currency.denominations
+            .filter(d => d.type === 'bill' && d.value >= total && d.value !== options[0])
+            .slice(0, 3)
+            .forEach(d => options.push(d.value));
+
+        return options[Math.floor(random() * options.length)];
+    }
+
+    // ==================== Public API ====================
+
+    return {
+        toMinor,
+        fromMinor,
+        round,
+        sum,
+        format,
+        fewestPieces,
+        checkChange,
+        describePieces,
+        generatePayment
+    };
+})();
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+    window.CurrencySystem = CurrencySystem;
+}
@@ -0,0 +1,214 @@
+/**
+ * Receipt.js - Order totals for Candy Shop, worked out step by step
+ *
+ * Works an order through in the order a till would:
+ *
+ *   items -> shop deals -> customer's coupon -> tax -> total
+ *         -> gift card -> cash handed over -> change
+ *
+ * and writes every step down, so the receipt can be printed for the
+ * customer and shown as the explanation when the change is wrong.
+ *
+ * Shop deals (on one item):
+ *   { type: 'buyGetFree', itemId, buy: 2, free: 1, display }  - every 3rd is free
+ *   { type: 'bundle', itemId, size: 3, price: 2.40, display } - 3 for a set price
+ * Coupons (on the order):
+ *   { type: 'percent', value: 10, display }
+ *   { type: 'fixed', value: 1, minimum: 5, display }          - only on orders of at least `minimum`
+ * Payment:
+ *   { cash: 10, giftCard: 3 }                                 - giftCard is optional
+ *
+ * Needs CurrencySystem.js loaded first.
+ *
+ * @version 1.0.0
+ */
+
+const Receipt = (function() {
+    'use strict';
+
+    // ==================== Deals ====================
+
+    /**
+     * What a shop deal takes off one line of the order
+     * @param {Object} deal
+     * @param {{item: Object, quantity: number}} entry - The deal's item
+     * @param {Object} currency
+     * @returns {{saving: number, math: string}}
+     */
+    function applyDeal(deal, entry, currency) {
+        const money = amount => CurrencySystem.format(amount, currency);
+        const { item, quantity } = entry;
+
+        if (deal.type === 'buyGetFree') {
+            const free = Math.floor(quantity / (deal.buy + deal.free)) * deal.free;
+            return {
+                saving: CurrencySystem.round(free * item.price, currency),
+                math: `${free} free × ${money(item.price)}`
+            };
+        }
+
+        if (deal.type === 'bundle') {
+            const bundles = Math.floor(quantity / deal.size);
+            const bundleSaving = CurrencySystem.round(deal.size * item.price - deal.price, currency);
+            return {
+                saving: CurrencySystem.round(bundles * bundleSaving, currency),
+                math: `${bundles} × (${deal.size} × ${money(item.price)} − ${money(deal.price)})`
+            };
+        }
+
+        return { saving: 0, math: '' };
+    }
+
+    /**
+     * What a coupon takes off the order
+     * @param {Object} coupon
+     * @param {number} amount - Order amount after deals
+     * @param {Object} currency
+     * @returns {{saving: number, math: string}}
+     */
+    function applyCoupon(coupon, amount, currency) {
+        const money = value => CurrencySystem.format(value, currency);
+
+        if (coupon.type === 'percent') {
+            return {
+                saving: CurrencySystem.round(amount * coupon.value / 100, currency),
+                math: `${money(amount)} × ${coupon.value}%`
+            };
+        }
+
+        if (coupon.type === 'fixed') {
+            if (amount < (coupon.minimum || 0)) {
+                return { saving: 0, math: `${money(amount)} is under ${money(coupon.minimum)}, so it can't be used` };
+            }
+            return { saving: Math.min(coupon.value, amount), math: `${money(coupon.value)} off` };
+        }
+
+        return { saving: 0, math: '' };
+    }
+
+    // ==================== Receipt ====================
+
+    /**
+     * Works out an order
+     * @param {Array<{item: Object, quantity: number}>} entries - Items bought, with prices
+     * @param {Object} options
+     * @param {Array} [options.deals] - Shop deals
+     * @param {Object|null} [options.coupon] - Customer's coupon
+     * @param {number} [options.taxRate] - e.g. 0.08; 0 for no tax
+     * @param {{cash: number, giftCard?: number}|null} [options.payment] - How the customer pays
+     * @param {Object} currency
+     * @returns {{steps: Array<{kind: string, label: string, math: string, amount: number}>,
+     *   subtotal: number, discountAmount: number, taxAmount: number, total: number,
+     *   due: number, paid: number, change: number}}
+     *   steps kinds: item, subtotal, deal, coupon, tax, total, payment, change.
+     *   Savings are negative amounts. due is what is left after a gift card.
+     */
+    function calculate(entries, options, currency) {
+        const { deals = [], coupon = null, taxRate = 0, payment = null } = options;
+        const money = amount => CurrencySystem.format(amount, currency);
+        const steps = [];
+
+        // Items
+        const amounts = entries.map(({ item, quantity }) => {
+            const amount = CurrencySystem.round(item.price * quantity, currency);
+            steps.push({ kind: 'item', label: `${item.icon} ${item.name}`, math: `${quantity} × ${money(item.price)}`, amount });
+            return amount;
+        });
+        const subtotal = CurrencySystem.sum(amounts, currency);
+        steps.push({
+            kind: 'subtotal',
+            label: 'Subtotal',
+            math: amounts.length > 1 ? amounts.map(money).join(' + ') : '',
+            amount: subtotal
+        });
+
+        // Shop deals
+        const dealSavings = [];
+        deals.forEach(deal => {
+            const entry = entries.find(e => e.item.id === deal.itemId);
+            if (!entry) return;
+
+            const { saving, math } = applyDeal(deal, entry, currency);
+            if (saving > 0) {
+                dealSavings.push(saving);
+                steps.push({ kind: 'deal', label: deal.display, math, amount: -saving });
+            }
+        });
+        let amount = CurrencySystem.sum([subtotal, -CurrencySystem.sum(dealSavings, currency)], currency);
+        if (dealSavings.length > 0) {
+            steps.push({
+                kind: 'subtotal',
+                label: 'After deals',
+                math: [subtotal, ...dealSavings].map(money).join(' − '),
+                amount
+            });
+        }
+
+        // Coupon
+        let couponSaving = 0;
+        if (coupon) {
+            const applied = applyCoupon(coupon, amount, currency);
+            couponSaving = applied.saving;
+            steps.push({ kind: 'coupon', label: coupon.display, math: applied.math, amount: -couponSaving });
+            amount = CurrencySystem.sum([amount, -couponSaving], currency);
+        }
+
+        // Tax
+        let taxAmount = 0;
+        if (taxRate > 0) {
+            const percent = Math.round(taxRate * 1000) / 10;
+            taxAmount = CurrencySystem.round(amount * taxRate, currency);
+            steps.push({ kind: 'tax', label: `Tax ${percent}%`, math: `${money(amount)} × ${percent}%`, amount: taxAmount });
+        }
+
+        const total = CurrencySystem.sum([amount, taxAmount], currency);
+        steps.push({
+            kind: 'total',
+            label: 'Total',
+            math: taxAmount > 0 ? `${money(amount)} + ${money(taxAmount)}` : '',
+            amount: total
+        });
+
+        // Payment
+        let due = total;
+        let paid = 0;
+        let change = 0;
+        if (payment) {
+            if (payment.giftCard) {
+                const used = Math.min(payment.giftCard, total);
+                due = CurrencySystem.sum([total, -used], currency);
+                steps.push({ kind: 'payment', label: 'Gift card', math: '', amount: -used });
+                steps.push({ kind: 'subtotal', label: 'Left to pay', math: `${money(total)} − ${money(used)}`, amount: due });
+            }
+
+            paid = payment.cash;
+            change = CurrencySystem.sum([paid, -due], currency);
+            steps.push({ kind: 'payment', label: 'Cash', math: '', amount: paid });
+            steps.push({ kind: 'change', label: 'Change', math: `${money(paid)} − ${money(due)}`, amount: change });
+        }
+
+        return {
+            steps,
+            subtotal,
+            discountAmount: CurrencySystem.sum([subtotal, -amount], currency),
+            taxAmount,
+            total,
+            due,
+            paid,
+            change
+        };
+    }
+
+    // ==================== Public API ====================
+
+    return {
+        applyDeal,
+        applyCoupon,
+        calculate
+    };
+})();
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+    window.Receipt = Receipt;
+}
@@ -0,0 +1,274 @@
+/**
+ * ShopBusiness.js - Business mode for Candy Shop
+ *
+ * The shop runs day after day with its own cash and stock. Customers can
+ * only buy what is on the shelf, and between days the player buys more
+ * stock at cost and sets their own prices (within SHOP_CONFIG.BUSINESS
+ * bounds). Each day closes with a ledger:
+ *
+ *   profit = revenue - cost of goods sold + tips
+ *
+ * Revenue is what items sold for before tax. Sales tax is collected from
+ * customers but paid on to the town, so it is listed in the ledger without
+ * going into the till or the profit.
+ *
+ * A business is plain data in one currency, so it can be saved as it is.
+ * Items are shop items from getItemsForCurrency(); their `price` is the
+ * list price and `cost` what a restock costs.
+ *
+ * Needs CurrencySystem.js loaded first.
+ *
+ * @version 1.0.0
+ */
+
+const ShopBusiness = (function() {
+    'use strict';
+
+    // ==================== Setup ====================
+
+    function emptyLedger(day) {
+        return { day, revenue: 0, costOfGoods: 0, tips: 0, taxCollected: 0, restocked: 0, customers: 0, walkouts: 0 };
+    }
+
+    /**
+     * Opens a new business
+     * @param {Array} items - Shop items in the business's currency
+     * @param {string} currencyCode - CURRENCIES key
+     * @param {Object} settings
+     * @param {number} settings.startingMoney - Cash on day 1
+     * @param {number} settings.startingStock - Of each item on day 1
+     * @returns {Object} Business
+     */
+    function createBusiness(items, currencyCode, settings) {
+        const stock = {};
+        const prices = {};
+        items.forEach(item => {
+            stock[item.id] = settings.startingStock;
+            prices[item.id] = item.price;
+        });
+
+        return {
+            currency: currencyCode,
+            day: 1,
+            cash: settings.startingMoney,
+            stock,
+            prices,
+            today: emptyLedger(1),
+            history: []
+        };
+    }
+
+    // ==================== Prices ====================
+
+    /**
+     * The lowest and highest price allowed for an item
+     * @param {Object} item
+     * @param {{PRICE_MIN_MARKUP: number, PRICE_MAX_MARKUP: number}} bounds - SHOP_CONFIG.BUSINESS
+     * @param {Object} currency
+     * @returns {{min: number, max: number}} min is a multiple of cost, max of the list price
+     */
+    function getPriceBounds(item, bounds, currency) {
+        return {
+            min: CurrencySystem.round(item.cost * bounds.PRICE_MIN_MARKUP, currency),
+            max: CurrencySystem.round(item.price * bounds.PRICE_MAX_MARKUP, currency)
+        };
+    }
+
+    /**
+     * Sets the price of an item
+     * @param {Object} business
+     * @param {Object} item
+     * @param {number} price
+     * @param {Object} bounds - SHOP_CONFIG.BUSINESS
+     * @param {Object} currency
+     * @returns {{success: boolean, error: string|null}}
+     */
+    function setPrice(business, item, price, bounds, currency) {
+        const { min, max } = getPriceBounds(item, bounds, currency);
+        const rounded = CurrencySystem.round(price, currency);
+
+        if (typeof price !== 'number' || isNaN(price) || rounded < min || rounded > max) {
+            return {
+                success: false,
+                error: `${item.name} must cost between ${CurrencySystem.format(min, currency)} and ${CurrencySystem.format(max, currency)}`
+            };
+        }
+
+        business.prices[item.id] = rounded;
+        return { success: true, error: null };
+    }
+
+    /**
+     * How likely a customer is to want an item at a price.
+     * Always at the list price or below, less and less above it.
+     * @param {number} price
+     * @param {number} listPrice
+     * @returns {number} 0-1
+     */
+    function getDemand(price, listPrice) {
+        if (price <= listPrice) return 1;
+        return Math.pow(listPrice / price, 2);
+    }
+
+    /**
+     * Items on the shelf, at the business's prices
+     * @param {Object} business
+     * @param {Array} items
+     * @returns {Array} Items with `price` set to the business's price, plus
+     *   `listPrice` and `stock`; sold out items are left out
+     */
+    function getShelfItems(business, items) {
+        return items
+            .filter(item => (business.stock[item.id] || 0) > 0)
+            .map(item => ({
+                ...item,
+                price: business.prices[item.id] ?? item.price,
+                listPrice: item.price,
+                stock: business.stock[item.id]
+            }));
+    }
+
+    // ==================== Stock ====================
+
+    /**
+     * What a restock would cost
+     * @param {Object<string, number>} order - Item id -> how many to buy
+     * @param {Array} items
+     * @param {Object} currency
+     * @returns {number}
+     */
+    function getRestockCost(order, items, currency) {
+        return CurrencySystem.sum(
+            items.map(item => item.cost * (order[item.id] || 0)),
+            currency
+        );
+    }
+
+    /**
+     * Buys stock at cost
+     * @param {Object} business
+     * @param {Object<string, number>} order - Item id -> how many to buy
+     * @param {Array} items
+     * @param {{MAX_STOCK: number}} limits - SHOP_CONFIG.BUSINESS
+     * @param {Object} currency
+     * @returns {{success: boolean, error: string|null, spent: number}}
+     */
+    function restock(business, order, items, limits, currency) {
+        for (const item of items) {
+            const quantity = order[item.id] || 0;
+            if (!Number.isInteger(quantity) || quantity < 0) {
+                return { success: false, error: `Buy a whole number of ${item.name}`, spent: 0 };
+            }
+            if ((business.stock[item.id] || 0) + quantity > limits.MAX_STOCK) {
+                return { success: false, error: `The shelf only holds ${limits.MAX_STOCK} of ${item.name}`, spent: 0 };
+            }
+        }
+
+        const spent = getRestockCost(order, items, currency);
+        if (spent > business.cash) {
+            return {
+                success: false,
+                error: `That costs ${CurrencySystem.format(spent, currency)} but you have ${CurrencySystem.format(business.cash, currency)}`,
+                spent: 0
+            };
+        }
+
+        items.forEach(item => {
+            business.stock[item.id] = (business.stock[item.id] || 0) + (order[item.id] || 0);
+        });
+        business.cash = CurrencySystem.sum([business.cash, -spent], currency);
+        business.today.restocked = CurrencySystem.sum([business.today.restocked, spent], currency);
+
+        return { success: true, error: null, spent };
+    }
+
+    // ==================== Sales ====================
+
+    /**
+     * Records a sale: stock goes down, cash goes up
+     * @param {Object} business
+     * @param {Array<{item: Object, quantity: number}>} entries - Items sold
+     * @param {number} revenue - What the customer paid for them, before tax
+     * @param {number} tip
+     * @param {Object} currency
+     * @param {number} [tax=0] - Sales tax collected, which is paid on and not kept
+     */
+    function recordSale(business, entries, revenue, tip, currency, tax = 0) {
+        const today = business.today;
+        const cost = CurrencySystem.sum(entries.map(entry => entry.item.cost * entry.quantity), currency);
+
+        entries.forEach(entry => {
+            business.stock[entry.item.id] = Math.max(0, (business.stock[entry.item.id] || 0) - entry.quantity);
+        });
+
+        today.revenue = CurrencySystem.sum([today.revenue, revenue], currency);
+        today.costOfGoods = CurrencySystem.sum([today.costOfGoods, cost], currency);
+        today.tips = CurrencySystem.sum([today.tips, tip], currency);
+        // Days saved before tax was tracked have no taxCollected
+        today.taxCollected = CurrencySystem.sum([today.taxCollected || 0, tax], currency);
+        today.customers++;
+        business.cash = CurrencySystem.sum([business.cash, revenue, tip], currency);
+    }
+
+    /**
+     * Records a customer who left without buying, finding nothing they
+     * wanted at the shop's prices
+     * @param {Object} business
+     */
+    function recordWalkout(business) {
+        business.today.walkouts++;
+    }
+
+    /**
+     * Whether anything is left to sell
+     * @param {Object} business
+     * @returns {boolean}
+     */
+    function hasStock(business) {
+        return Object.values(business.stock).some(count => count > 0);
+    }
+
+    /**
+     * Closes the day's books and starts the next day
+     * @param {Object} business
+     * @param {Object} currency
+     * @param {number} historyDays - Ledgers kept
+     * @returns {{day: number, revenue: number, costOfGoods: number, tips: number, taxCollected: number, restocked: number, customers: number, walkouts: number, profit: number, cash: number}}
+     */
+    function closeDay(business, currency, historyDays) {
+        const today = business.today;
+        const ledger = {
+            ...today,
+            taxCollected: today.taxCollected || 0,
+            profit: CurrencySystem.sum([today.revenue, -today.costOfGoods, today.tips], currency),
+            cash: business.cash
+        };
+
+        business.history = [...business.history, ledger].slice(-historyDays);
+        business.day++;
+        business.today = emptyLedger(business.day);
+
+        return ledger;
+    }
+
+    // ==================== Public API ====================
+
+    return {
+        createBusiness,
+        getPriceBounds,
+        setPrice,
+        getDemand,
+        getShelfItems,
+        getRestockCost,
+        restock,
+        recordSale,
+        recordWalkout,
+        hasStock,
+        closeDay
+    };
+})();
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+    window.ShopBusiness = ShopBusiness;
+}
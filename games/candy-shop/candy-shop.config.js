@@ -2,34 +2,130 @@
  * Candy Shop - Configuration
  */
 
+// Prices and costs per currency, in major units (dollars, euros, pesos, yen)
 export const CANDY_ITEMS = [
-  { id: 'lollipop', name: 'Lollipop', icon: '🍭', price: 0.50, cost: 0.20 },
-  { id: 'chocolate', name: 'Chocolate', icon: '🍫', price: 2.00, cost: 0.80 },
-  { id: 'gummy', name: 'Gummy Bears', icon: '🐻', price: 1.50, cost: 0.60 },
-  { id: 'candy', name: 'Hard Candy', icon: '🍬', price: 0.25, cost: 0.10 },
-  { id: 'cookie', name: 'Cookie', icon: '🍪', price: 1.00, cost: 0.40 },
-  { id: 'cake', name: 'Cupcake', icon: '🧁', price: 3.00, cost: 1.20 },
-  { id: 'icecream', name: 'Ice Cream', icon: '🍦', price: 2.50, cost: 1.00 },
-  { id: 'donut', name: 'Donut', icon: '🍩', price: 1.50, cost: 0.50 }
+  { id: 'lollipop', name: 'Lollipop', icon: '🍭', price: { USD: 0.50, EUR: 0.50, PHP: 25, JPY: 80 }, cost: { USD: 0.20, EUR: 0.20, PHP: 10, JPY: 30 } },
+  { id: 'chocolate', name: 'Chocolate', icon: '🍫', price: { USD: 2.00, EUR: 1.80, PHP: 100, JPY: 250 }, cost: { USD: 0.80, EUR: 0.70, PHP: 40, JPY: 100 } },
+  { id: 'gummy', name: 'Gummy Bears', icon: '🐻', price: { USD: 1.50, EUR: 1.40, PHP: 75, JPY: 200 }, cost: { USD: 0.60, EUR: 0.55, PHP: 30, JPY: 80 } },
+  { id: 'candy', name: 'Hard Candy', icon: '🍬', price: { USD: 0.25, EUR: 0.20, PHP: 15, JPY: 30 }, cost: { USD: 0.10, EUR: 0.08, PHP: 5, JPY: 10 } },
+  { id: 'cookie', name: 'Cookie', icon: '🍪', price: { USD: 1.00, EUR: 0.90, PHP: 50, JPY: 120 }, cost: { USD: 0.40, EUR: 0.35, PHP: 20, JPY: 50 } },
+  { id: 'cake', name: 'Cupcake', icon: '🧁', price: { USD: 3.00, EUR: 2.80, PHP: 150, JPY: 350 }, cost: { USD: 1.20, EUR: 1.10, PHP: 60, JPY: 140 } },
+  { id: 'icecream', name: 'Ice Cream', icon: '🍦', price: { USD: 2.50, EUR: 2.20, PHP: 125, JPY: 300 }, cost: { USD: 1.00, EUR: 0.90, PHP: 50, JPY: 120 } },
+  { id: 'donut', name: 'Donut', icon: '🍩', price: { USD: 1.50, EUR: 1.30, PHP: 75, JPY: 180 }, cost: { USD: 0.50, EUR: 0.45, PHP: 25, JPY: 70 } }
 ];
 
+// Coins and bills in the cash drawer, smallest first (see CurrencySystem.js)
+export const CURRENCIES = Object.freeze({
+  USD: {
+    code: 'USD', name: 'US Dollar', flag: '🇺🇸',
+    symbol: '$', symbolAfter: false, decimals: 2, decimalMark: '.', groupMark: ',',
+    paymentStep: 1,
+    denominations: [
+      { value: 0.01, label: '1¢', type: 'coin' },
+      { value: 0.05, label: '5¢', type: 'coin' },
+      { value: 0.10, label: '10¢', type: 'coin' },
+      { value: 0.25, label: '25¢', type: 'coin' },
+      { value: 1, label: '$1', type: 'bill' },
+      { value: 5, label: '$5', type: 'bill' },
+      { value: 10, label: '$10', type: 'bill' },
+      { value: 20, label: '$20', type: 'bill' }
+    ]
+  },
+  EUR: {
+    code: 'EUR', name: 'Euro', flag: '🇪🇺',
+    symbol: '€', symbolAfter: true, decimals: 2, decimalMark: ',', groupMark: '.',
+    paymentStep: 1,
+    denominations: [
+      { value: 0.01, label: '1c', type: 'coin' },
+      { value: 0.02, label: '2c', type: 'coin' },
+      { value: 0.05, label: '5c', type: 'coin' },
+      { value: 0.10, label: '10c', type: 'coin' },
+      { value: 0.20, label: '20c', type: 'coin' },
+      { value: 0.50, label: '50c', type: 'coin' },
+      { value: 1, label: '1 €', type: 'coin' },
+      { value: 2, label: '2 €', type: 'coin' },
+      { value: 5, label: '5 €', type: 'bill' },
+      { value: 10, label: '10 €', type: 'bill' },
+      { value: 20, label: '20 €', type: 'bill' },
+      { value: 50, label: '50 €', type: 'bill' }
+    ]
+  },
+  PHP: {
+    code: 'PHP', name: 'Philippine Peso', flag: '🇵🇭',
+    symbol: '₱', symbolAfter: false, decimals: 2, decimalMark: '.', groupMark: ',',
+    paymentStep: 10,
+    denominations: [
+      { value: 0.01, label: '1s', type: 'coin' },
+      { value: 0.05, label: '5s', type: 'coin' },
+      { value: 0.25, label: '25s', type: 'coin' },
+      { value: 1, label: '₱1', type: 'coin' },
+      { value: 5, label: '₱5', type: 'coin' },
+      { value: 10, label: '₱10', type: 'coin' },
+      { value: 20, label: '₱20', type: 'coin' },
+      { value: 50, label: '₱50', type: 'bill' },
+      { value: 100, label: '₱100', type: 'bill' },
+      { value: 200, label: '₱200', type: 'bill' },
+      { value: 500, label: '₱500', type: 'bill' },
+      { value: 1000, label: '₱1000', type: 'bill' }
+    ]
+  },
+  JPY: {
+    code: 'JPY', name: 'Japanese Yen', flag: '🇯🇵',
+    symbol: '¥', symbolAfter: false, decimals: 0, decimalMark: '.', groupMark: ',',
+    paymentStep: 100,
+    denominations: [
+      { value: 1, label: '¥1', type: 'coin' },
+      { value: 5, label: '¥5', type: 'coin' },
+      { value: 10, label: '¥10', type: 'coin' },
+      { value: 50, label: '¥50', type: 'coin' },
+      { value: 100, label: '¥100', type: 'coin' },
+      { value: 500, label: '¥500', type: 'coin' },
+      { value: 1000, label: '¥1000', type: 'bill' },
+      { value: 5000, label: '¥5000', type: 'bill' },
+      { value: 10000, label: '¥10000', type: 'bill' }
+    ]
+  }
+});
+
 export const SHOP_CONFIG = Object.freeze({
-  STARTING_MONEY: 20.00,
+  STARTING_MONEY: { USD: 20, EUR: 20, PHP: 1000, JPY: 3000 },
   CUSTOMERS_PER_DAY: 10,
   TIP_MULTIPLIER: 0.15,
+  EXTRA_PIECES_TIP: 0.5,        // share of the tip kept when change used more coins/bills than needed
+  
+  DEFAULT_CURRENCY: 'USD',
+  CURRENCY_KEY: 'candyShopCurrency',
   
   DIFFICULTY_SETTINGS: {
-    1: { maxItems: 1, maxQuantity: 5, exactChange: true, discount: false, tax: false },
-    2: { maxItems: 2, maxQuantity: 3, exactChange: false, discount: false, tax: false },
-    3: { maxItems: 2, maxQuantity: 3, exactChange: false, discount: false, tax: false },
-    4: { maxItems: 3, maxQuantity: 4, exactChange: false, discount: false, tax: false },
-    5: { maxItems: 3, maxQuantity: 4, exactChange: false, discount: true, tax: false },
-    6: { maxItems: 4, maxQuantity: 5, exactChange: false, discount: true, tax: true },
-    7: { maxItems: 5, maxQuantity: 5, exactChange: false, discount: true, tax: true }
+    1: { maxItems: 1, maxQuantity: 5, exactChange: true, deals: false, discount: false, tax: false, splitPayment: false },
+    2: { maxItems: 2, maxQuantity: 3, exactChange: false, deals: false, discount: false, tax: false, splitPayment: false },
+    3: { maxItems: 2, maxQuantity: 3, exactChange: false, deals: false, discount: false, tax: false, splitPayment: false },
+    4: { maxItems: 3, maxQuantity: 4, exactChange: false, deals: true, discount: false, tax: false, splitPayment: false },
+    5: { maxItems: 3, maxQuantity: 4, exactChange: false, deals: true, discount: true, tax: false, splitPayment: false },
+    6: { maxItems: 4, maxQuantity: 5, exactChange: false, deals: true, discount: true, tax: true, splitPayment: true },
+    7: { maxItems: 5, maxQuantity: 5, exactChange: false, deals: true, discount: true, tax: true, splitPayment: true }
   },
   
+  // Richer orders (see Receipt.js)
+  DEAL_CHANCE: 0.5,             // of a shop deal on one ordered item
+  BUNDLE_SIZE: 3,
+  BUNDLE_PRICE: 0.8,            // bundle price, times buying them one by one
+  GIFT_CARD_CHANCE: 0.5,        // of paying part with a gift card, where splitPayment is on
+  
   TAX_RATE: 0.08,
   
+  // Business mode (see ShopBusiness.js)
+  BUSINESS: {
+    MIN_LEVEL: 4,               // offered from this difficulty up
+    STARTING_STOCK: 5,          // of each item on day 1
+    MAX_STOCK: 30,              // of each item on the shelf
+    PRICE_MIN_MARKUP: 1,        // lowest price, times cost
+    PRICE_MAX_MARKUP: 2,        // highest price, times the list price
+    HISTORY_DAYS: 30,           // ledgers kept
+    SAVE_KEY: 'candyShopBusiness'
+  },
+  
+  GAME_ID: 'candy-shop',
   LEADERBOARD_KEY: 'candyShopLeaderboard'
 });
 
@@ -43,4 +139,13 @@ export function getDifficultyFromAge(age) {
   return 7;
 }
 
+/**
+ * The shop's items with plain prices in one currency
+ * @param {string} code - CURRENCIES key
+ * @returns {Array<{id: string, name: string, icon: string, price: number, cost: number}>}
+ */
+export function getItemsForCurrency(code) {
+  return CANDY_ITEMS.map(item => ({ ...item, price: item.price[code], cost: item.cost[code] }));
+}
+
 export default SHOP_CONFIG;
@@ -16,17 +16,7 @@ const CAREER_CONFIG = Object.freeze({
     knowledge: ['reading', 'memory', 'curiosity']
   },
   
-  GAME_SKILL_MAPPINGS: {
-    'treasure-chest': { memory: 1.0 },
-    'star-counter': { math: 1.0 },
-    'pattern-rainbow': { logic: 0.7, creativity: 0.3 },
-    'quiz-quest': { knowledge: 0.5, memory: 0.5 },
-    'candy-shop': { math: 0.8, attention: 0.2 },
-    'story-cloud': { reading: 1.0 },
-    'dream-journal': { writing: 0.7, creativity: 0.3 },
-    'cloud-kingdom': { spatial: 0.6, logic: 0.4 },
-    'puzzle-path': { spatial: 0.5, logic: 0.5 }
-  },
+  // Per-game skill weights live in shared-assets/core/GameRegistry.js (skillMapping)
   
   AGE_GROUPS: {
     child: { min: 6, max: 10 },
@@ -158,7 +148,7 @@ const CAREERS = [
             'You could specialize in helping kids, animals, or athletes.',
             'Healthcare workers make a difference every day.'
         ],
-        relatedGames: ['treasure-chest', 'quiz-quest']
+        relatedGames: ['treasure-chest-memory', 'quiz-quest']
     },
     {
         id: 'writer',
@@ -272,17 +262,14 @@ const SKILL_INFO = {
     knowledge: { name: 'Knowledge', icon: '📚' }
 };
 
-const GAME_INFO = {
-    'treasure-chest': { name: 'Memory Match', icon: '🧠', path: '../treasure-chest-memory/index.html' },
-    'star-counter': { name: 'Star Counter', icon: '⭐', path: '../star-counter/index.html' },
-    'pattern-rainbow': { name: 'Pattern Rainbow', icon: '🌈', path: '../pattern-rainbow/index.html' },
-    'quiz-quest': { name: 'Quiz Quest', icon: '❓', path: '../quiz-quest/index.html' },
-    'candy-shop': { name: 'Candy Shop', icon: '🍬', path: '../candy-shop/index.html' },
-    'story-cloud': { name: 'Story Cloud', icon: '📖', path: '../story-cloud/index.html' },
-    'dream-journal': { name: 'Dream Journal', icon: '📝', path: '../dream-journal/index.html' },
-    'cloud-kingdom': { name: 'Cloud Kingdom', icon: '☁️', path: '../cloud-kingdom/index.html' },
-    'puzzle-path': { name: 'Puzzle Path', icon: '🧩', path: '../puzzle-path/index.html' }
-};
+// Games Career Clouds can assess, from the shared registry
+const GAME_INFO = Object.fromEntries(
+    GameRegistry.getAssessedGames().map(game => [game.id, {
+        name: game.name,
+        icon: game.icon,
+        path: GameRegistry.resolvePath(game.id)
+    }])
+);
 
 const ENCOURAGEMENTS = {
     creativity: [
@@ -330,7 +317,9 @@ const ENCOURAGEMENTS = {
 // ==================== Assessment Engine ====================
 class AssessmentEngine {
     constructor() {
-        this.skillWeights = CAREER_CONFIG.GAME_SKILL_MAPPINGS;
+        this.skillWeights = Object.fromEntries(
+            GameRegistry.getAssessedGames().map(game => [game.id, game.skillMapping])
+        );
     }
     
     /**
@@ -341,20 +330,8 @@ class AssessmentEngine {
         const allData = {};
         let gamesFound = 0;
         
-        // Check each game's leaderboard
-        const gameKeys = {
-            'treasure-chest': 'treasureChestMemoryLeaderboard',
-            'star-counter': 'starCounterLeaderboard',
-            'pattern-rainbow': 'patternRainbowLeaderboard',
-            'quiz-quest': 'quizQuestLeaderboard',
-            'candy-shop': 'candyShopLeaderboard',
-            'story-cloud': 'storyCloudLeaderboard',
-            'dream-journal': 'dreamJournalStreak',
-            'cloud-kingdom': 'cloudKingdomLeaderboard',
-            'puzzle-path': 'puzzlePathLeaderboard'
-        };
-        
-        for (const [gameId, storageKey] of Object.entries(gameKeys)) {
+        // Check each game's saved data
+        for (const { id: gameId, assessmentKey: storageKey } of GameRegistry.getAssessedGames()) {
             try {
                 const data = localStorage.getItem(storageKey);
                 if (data) {
@@ -12,17 +12,7 @@ export const CAREER_CONFIG = Object.freeze({
     knowledge: ['reading', 'memory', 'curiosity']
   },
   
-  GAME_SKILL_MAPPINGS: {
-    'treasure-chest': { memory: 1.0 },
-    'star-counter': { math: 1.0 },
-    'pattern-rainbow': { logic: 0.7, creativity: 0.3 },
-    'quiz-quest': { knowledge: 0.5, memory: 0.5 },
-    'candy-shop': { math: 0.8, attention: 0.2 },
-    'story-cloud': { reading: 1.0 },
-    'dream-journal': { writing: 0.7, creativity: 0.3 },
-    'cloud-kingdom': { spatial: 0.6, logic: 0.4 },
-    'puzzle-path': { spatial: 0.5, logic: 0.5 }
-  },
+  // Per-game skill weights live in shared-assets/core/GameRegistry.js (skillMapping)
   
   AGE_GROUPS: {
     child: { min: 6, max: 10 },
@@ -11,6 +11,8 @@ const KINGDOM_CONFIG = Object.freeze({
   VIEWPORT_TILES_X: 10,
   VIEWPORT_TILES_Y: 8,
   PLAYER_MOVE_SPEED: 150, // ms per tile
+  MAX_HEARTS: 3,
+  HIT_COOLDOWN: 1500, // ms the player is safe after being hit
   
   DIFFICULTY_SETTINGS: {
     1: { mapSize: 8, puzzles: false, enemies: false, timeLimit: null },
@@ -30,18 +32,22 @@ const KINGDOM_CONFIG = Object.freeze({
     map_scroll: { name: 'Map Fragment', icon: '📜', stackable: false }
   },
   
-  LEADERBOARD_KEY: 'cloudKingdomLeaderboard'
+  // behavior: 'patrol' walks back and forth, 'chase' follows the player
+  // within `sight` tiles. takes: 'heart', or 'item' to steal one of
+  // STEALABLE_ITEMS (a heart if there is nothing to steal). speed: ms per step
+  ENEMIES: {
+    rain_cloud: { name: 'Rain Cloud', sprite: '🌧️', behavior: 'patrol', takes: 'heart', speed: 700 },
+    candy_crow: { name: 'Candy Crow', sprite: '🐦', behavior: 'patrol', takes: 'item', speed: 500 },
+    thunder_cloud: { name: 'Thunder Cloud', sprite: '⛈️', behavior: 'chase', takes: 'heart', speed: 450, sight: 5 }
+  },
+  STEALABLE_ITEMS: ['candy', 'flower', 'gem'], // golden keys are never stolen
+  
+  LEADERBOARD_KEY: 'cloudKingdomLeaderboard',
+  MAPS_KEY: 'cloudKingdomMaps'
 });
 
-const TILE_TYPES = {
-  void: { walkable: false, sprite: '░', color: '#000' },
-  cloud: { walkable: true, sprite: '☁️', color: '#fff' },
-  tree: { walkable: false, sprite: '🌲', color: '#228b22' },
-  flower: { walkable: true, sprite: '🌸', color: '#ffb7c5' },
-  water: { walkable: false, sprite: '🌊', color: '#4169e1' },
-  door: { walkable: false, sprite: '🚪', interactive: true },
-  chest: { walkable: false, sprite: '📦', interactive: true }
-};
+// Tile vocabulary is shared with the map editor (see MapFormat.js)
+const TILE_TYPES = MapFormat.TILE_TYPES;
 
 function getDifficultyFromAge(age) {
   if (age <= 8) return 1;
@@ -306,9 +312,76 @@ class TileMapEngine {
             }
         }
         
+        // Locked doors and chests
+        for (const { dx, dy } of directions) {
+            if (this.isLocked(x + dx, y + dy)) {
+                return { lock: this.getTileName(x + dx, y + dy), x: x + dx, y: y + dy };
+            }
+        }
+        
         return null;
     }
     
+    getTileName(x, y) {
+        if (x < 0 || y < 0 || x >= this.map.width || y >= this.map.height) return 'void';
+        return this.map.tileTypes[this.map.tiles[y][x]] || 'void';
+    }
+    
+    isLocked(x, y) {
+        return MapFormat.isLock(this.map, x, y);
+    }
+    
+    /**
+     * Turns an opened door or chest into cloud so its contents can be picked up
+     * @param {number} x - Tile column
+     * @param {number} y - Tile row
+     * @returns {boolean} Whether a lock was opened
+     */
+    openLock(x, y) {
+        if (!this.isLocked(x, y)) return false;
+        this.map.tiles[y][x] = MapFormat.getTileId(this.map, 'cloud');
+        return true;
+    }
+    
+    getBlockAt(x, y) {
+        return this.map.entities?.find(e => e.type === 'block' && e.x === x && e.y === y) || null;
+    }
+    
+    /**
+     * Slides a push block one tile, if the tile beyond it is free
+     * @param {Object} block - Block entity
+     * @param {number} dx - Column step
+     * @param {number} dy - Row step
+     * @param {function(number, number): boolean} [isOccupied] - Whether an enemy stands on a tile
+     * @returns {boolean} Whether the block moved
+     */
+    pushBlock(block, dx, dy, isOccupied) {
+        if (!MapFormat.canPushBlock(this.map, block, dx, dy, isOccupied)) return false;
+        block.x += dx;
+        block.y += dy;
+        return true;
+    }
+    
+    /**
+     * Opens every gate once each pressure plate has a block on it
+     * @returns {number} Gates opened
+     */
+    updateGates() {
+        const plates = [];
+        const gates = [];
+        this.map.tiles.forEach((row, y) => row.forEach((_, x) => {
+            const name = this.getTileName(x, y);
+            if (name === 'plate') plates.push({ x, y });
+            if (name === 'gate') gates.push({ x, y });
+        }));
+        if (gates.length === 0 || plates.length === 0) return 0;
+        if (!plates.every(({ x, y }) => this.getBlockAt(x, y))) return 0;
+        
+        const cloud = MapFormat.getTileId(this.map, 'cloud');
+        gates.forEach(({ x, y }) => { this.map.tiles[y][x] = cloud; });
+        return gates.length;
+    }
+    
     render(ctx, viewportX, viewportY, viewportWidth, viewportHeight) {
         const startTileX = Math.floor(viewportX / this.tileSize);
         const startTileY = Math.floor(viewportY / this.tileSize);
@@ -356,6 +429,9 @@ class TileMapEngine {
                     continue;
                 }
                 
+                // Treasure stays hidden until its chest is opened
+                if (this.isLocked(entity.x, entity.y)) continue;
+                
                 ctx.fillText(entity.sprite || '❓', screenX, screenY);
             }
         }
@@ -389,9 +465,15 @@ class PlayerController {
         this.moveSpeed = KINGDOM_CONFIG.PLAYER_MOVE_SPEED;
         this.sprite = '🐰';
         this.steps = 0;
+        this.safeUntil = 0;
     }
     
-    move(direction) {
+    /**
+     * @param {string} direction - up, down, left or right
+     * @param {function(number, number): boolean} [isOccupied] - Whether an enemy
+     *   stands on a tile, so blocks aren't pushed onto it
+     */
+    move(direction, isOccupied) {
         if (this.moving) return { success: false };
         
         const delta = {
@@ -406,6 +488,12 @@ class PlayerController {
         const newX = this.x + delta.dx;
         const newY = this.y + delta.dy;
         
+        // Walking into a push block shoves it along, if there is room
+        const block = this.tileMap.getBlockAt(newX, newY);
+        if (block && !this.tileMap.pushBlock(block, delta.dx, delta.dy, isOccupied)) {
+            return { success: false };
+        }
+        
         if (this.tileMap.isWalkable(newX, newY)) {
             this.moving = true;
             this.x = newX;
@@ -416,7 +504,7 @@ class PlayerController {
             
             setTimeout(() => { this.moving = false; }, this.moveSpeed);
             
-            return { success: true, ...result };
+            return { success: true, pushed: block, ...result };
         }
         
         return { success: false };
@@ -453,10 +541,89 @@ class PlayerController {
         ctx.font = `${this.tileMap.tileSize * 0.9}px Arial`;
         ctx.textBaseline = 'middle';
         ctx.textAlign = 'center';
+        
+        // Blink while safe after being hit
+        const hurt = Date.now() < this.safeUntil;
+        if (hurt && Math.floor(Date.now() / 150) % 2 === 0) return;
         ctx.fillText(this.sprite, screenX, screenY);
     }
 }
 
+// ==================== Enemy Controller ====================
+class EnemyController {
+    /**
+     * @param {TileMapEngine} tileMap - Map the enemy walks on
+     * @param {Object} entity - Enemy entity ({enemyId, x, y, axis})
+     */
+    constructor(tileMap, entity) {
+        this.tileMap = tileMap;
+        this.id = entity.id;
+        this.x = entity.x;
+        this.y = entity.y;
+        this.info = KINGDOM_CONFIG.ENEMIES[entity.enemyId] || KINGDOM_CONFIG.ENEMIES.rain_cloud;
+        this.axis = entity.axis === 'y' ? 'y' : 'x';
+        this.direction = 1;
+        this.lastStep = 0;
+    }
+    
+    canEnter(x, y, enemies) {
+        return this.tileMap.isWalkable(x, y) &&
+            !this.tileMap.getBlockAt(x, y) &&
+            !enemies.some(other => other !== this && other.x === x && other.y === y);
+    }
+    
+    /**
+     * Takes a step when the enemy's speed allows
+     * @param {number} now - Timestamp in ms
+     * @param {PlayerController} player - Player to chase
+     * @param {EnemyController[]} enemies - Every enemy, so they don't overlap
+     * @returns {boolean} Whether the enemy moved
+     */
+    update(now, player, enemies) {
+        if (now - this.lastStep < this.info.speed) return false;
+        this.lastStep = now;
+        
+        const step = this.chooseStep(player, enemies);
+        if (!step) return false;
+        this.x += step.dx;
+        this.y += step.dy;
+        return true;
+    }
+    
+    chooseStep(player, enemies) {
+        if (this.info.behavior === 'chase') {
+            const gapX = player.x - this.x;
+            const gapY = player.y - this.y;
+            if (Math.abs(gapX) + Math.abs(gapY) <= this.info.sight) {
+                // Close the bigger gap first, then try the other way round
+                const steps = [{ dx: Math.sign(gapX), dy: 0 }, { dx: 0, dy: Math.sign(gapY) }]
+                    .filter(step => step.dx !== 0 || step.dy !== 0);
+                if (Math.abs(gapY) > Math.abs(gapX)) steps.reverse();
+                const step = steps.find(({ dx, dy }) => this.canEnter(this.x + dx, this.y + dy, enemies));
+                if (step) return step;
+            }
+        }
+        
+        // Patrol: walk along the axis and turn round at anything in the way
+        for (let tries = 0; tries < 2; tries++) {
+            const step = this.axis === 'x' ? { dx: this.direction, dy: 0 } : { dx: 0, dy: this.direction };
+            if (this.canEnter(this.x + step.dx, this.y + step.dy, enemies)) return step;
+            this.direction = -this.direction;
+        }
+        return null;
+    }
+    
+    render(ctx, viewportX, viewportY) {
+        const screenX = Math.floor(this.x * this.tileMap.tileSize - viewportX + this.tileMap.tileSize / 2);
+        const screenY = Math.floor(this.y * this.tileMap.tileSize - viewportY + this.tileMap.tileSize / 2);
+        
+        ctx.font = `${this.tileMap.tileSize * 0.8}px Arial`;
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.info.sprite, screenX, screenY);
+    }
+}
+
 // ==================== Camera System ====================
 class Camera {
     constructor(viewportWidth, viewportHeight, tileSize) {
@@ -546,6 +713,145 @@ class DialogSystem {
     }
 }
 
+// ==================== Map Library ====================
+/**
+ * Every playable map, keyed by id: the built-in MAPS plus custom maps saved
+ * by the map editor or loaded from a file. Each entry keeps its
+ * MapFormat.validate() report; only valid maps can be played.
+ */
+class MapLibrary {
+    constructor() {
+        this.entries = new Map();
+
+        Object.values(MAPS).forEach(map => this.add(MapFormat.normalize(map), 'built-in'));
+        this.loadSaved().forEach(map => {
+            if (this.entries.get(map.id)?.source !== 'built-in') {
+                this.add(MapFormat.normalize(map), 'custom');
+            }
+        });
+        this.revalidate();
+    }
+
+    loadSaved() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(KINGDOM_CONFIG.MAPS_KEY) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    writeSaved(maps) {
+        try {
+            localStorage.setItem(KINGDOM_CONFIG.MAPS_KEY, JSON.stringify(maps));
+        } catch (e) {
+            console.warn('Could not save maps:', e);
+        }
+    }
+
+    /**
+     * Adds a map and validates it
+     * @param {Object} map - Normalized map
+     * @param {string} source - 'built-in' or 'custom'
+     * @returns {Object} Library entry
+     */
+    add(map, source) {
+        const entry = { map, source, validation: this.check(map) };
+        this.entries.set(map.id, entry);
+        return entry;
+    }
+
+    check(map) {
+        return MapFormat.validate(map, {
+            items: Object.keys(KINGDOM_CONFIG.ITEMS),
+            enemies: Object.keys(KINGDOM_CONFIG.ENEMIES),
+            knownMaps: [...this.entries.keys(), map.id]
+        });
+    }
+
+    /** Re-checks every map, since nextMap warnings depend on which maps exist */
+    revalidate() {
+        this.entries.forEach(entry => {
+            entry.validation = this.check(entry.map);
+        });
+    }
+
+    /**
+     * Loads a map file chosen with the picker and keeps it if it is playable
+     * @param {File} file - Map JSON file
+     * @returns {Promise<{success: boolean, entry?: Object, error?: string}>}
+     */
+    async importFile(file) {
+        const result = MapFormat.parse(await file.text());
+        if (!result.success) return { success: false, error: result.error };
+
+        const { map } = result;
+        if (this.entries.get(map.id)?.source === 'built-in') {
+            return { success: false, error: `Map id "${map.id}" is already used by a built-in map` };
+        }
+
+        const entry = this.add(map, 'custom');
+        if (entry.validation.valid) {
+            this.writeSaved([...this.loadSaved().filter(m => m.id !== map.id), map]);
+        }
+        this.revalidate();
+        return { success: true, entry };
+    }
+
+    /**
+     * Removes a custom map
+     * @param {string} id - Map id
+     * @returns {boolean} Whether a map was removed
+     */
+    remove(id) {
+        if (this.entries.get(id)?.source !== 'custom') return false;
+        this.entries.delete(id);
+        this.writeSaved(this.loadSaved().filter(m => m.id !== id));
+        this.revalidate();
+        return true;
+    }
+
+    /**
+     * Lists custom maps by name
+     * @returns {Array} Library entries
+     */
+    listCustom() {
+        return [...this.entries.values()]
+            .filter(entry => entry.source === 'custom')
+            .sort((a, b) => a.map.name.localeCompare(b.map.name));
+    }
+
+    /**
+     * Gets a playable map
+     * @param {string} id - Map id
+     * @returns {Object|null} Map, or null if missing or invalid
+     */
+    get(id) {
+        if (!this.entries.has(id)) this.generate(id);
+        const entry = this.entries.get(id);
+        return entry && entry.validation.valid ? entry.map : null;
+    }
+    
+    /**
+     * Builds a seeded island from its id (see MapGenerator.makeId)
+     * @param {string} id - Map id like "seed_3_PANDA42"
+     * @returns {Object|null} Library entry
+     */
+    generate(id) {
+        const parsed = MapGenerator.parseId(id);
+        const settings = parsed && KINGDOM_CONFIG.DIFFICULTY_SETTINGS[parsed.level];
+        if (!settings) return null;
+        
+        return this.add(MapGenerator.generate({
+            seed: parsed.seed,
+            level: parsed.level,
+            size: settings.mapSize,
+            puzzles: settings.puzzles,
+            enemies: settings.enemies
+        }), 'generated');
+    }
+}
+
 // ==================== Main Game Class ====================
 class CloudKingdomGame {
     constructor() {
@@ -561,14 +867,20 @@ class CloudKingdomGame {
         this.currentMapId = 'starter_island';
         this.startTime = 0;
         this.totalGems = 0;
+        this.hearts = KINGDOM_CONFIG.MAX_HEARTS;
+        this.timeLeft = null;       // seconds, when the level has a timeLimit
+        this.lastUpdate = 0;
         
         // Components
         this.tileMap = null;
         this.player = null;
+        this.enemies = [];
         this.camera = null;
         this.inventory = new InventorySystem();
         this.questManager = new QuestManager();
         this.dialogSystem = new DialogSystem();
+        this.maps = new MapLibrary();
+        this.mapMessages = [];
         
         // Canvas
         this.canvas = document.getElementById('game-canvas');
@@ -601,6 +913,8 @@ class CloudKingdomGame {
             areaName: getElement('area-name'),
             gemCount: getElement('gem-count'),
             keyCount: getElement('key-count'),
+            heartCount: getElement('heart-count'),
+            timeLeft: getElement('time-left'),
             currentQuest: getElement('current-quest'),
             interactionPrompt: getElement('interaction-prompt'),
             inventoryBtn: getElement('inventory-btn'),
@@ -624,7 +938,12 @@ class CloudKingdomGame {
             resultGems: getElement('result-gems'),
             resultTime: getElement('result-time'),
             resultSteps: getElement('result-steps'),
-            resultStars: getElement('result-stars')
+            resultStars: getElement('result-stars'),
+            mapList: getElement('map-list'),
+            mapFileInput: getElement('map-file-input'),
+            mapReport: getElement('map-report'),
+            seedInput: getElement('seed-input'),
+            randomBtn: getElement('random-btn')
         };
     }
     
@@ -633,6 +952,13 @@ class CloudKingdomGame {
         this.setupEventListeners();
         this.loadProgress();
         this.updateStartScreen();
+        this.renderMapList();
+        
+        // The map editor's "Play Test" opens index.html?map=<id>
+        const testMap = new URLSearchParams(window.location.search).get('map');
+        if (testMap && this.maps.get(testMap)) {
+            this.startGame(testMap);
+        }
     }
     
     setupCanvas() {
@@ -663,6 +989,8 @@ class CloudKingdomGame {
         // Start screen
         this.elements.startBtn?.addEventListener('click', () => this.startGame());
         this.elements.continueBtn?.addEventListener('click', () => this.continueGame());
+        this.elements.mapFileInput?.addEventListener('change', (e) => this.importMapFiles(e.target));
+        this.elements.randomBtn?.addEventListener('click', () => this.startRandomIsland());
         
         // Game controls
         this.elements.menuBtn?.addEventListener('click', () => this.togglePause());
@@ -769,7 +1097,7 @@ class CloudKingdomGame {
     handleMove(direction) {
         if (!this.player || this.dialogSystem.active) return;
         
-        const result = this.player.move(direction);
+        const result = this.player.move(direction, (x, y) => this.enemies.some(e => e.x === x && e.y === y));
         
         if (result.success) {
             this.playSound('move');
@@ -786,6 +1114,12 @@ class CloudKingdomGame {
                 this.handlePickup(result.entity);
             }
             
+            if (result.pushed) {
+                this.handlePush();
+            }
+            this.checkEnemyContact();
+            if (!this.isPlaying) return;
+            
             // Check for exit
             if (this.player.isAtExit() && this.questManager.areAllComplete()) {
                 this.completeArea();
@@ -819,6 +1153,67 @@ class CloudKingdomGame {
             const npc = interactable.entity;
             this.playSound('click');
             this.dialogSystem.show(npc.name, npc.dialog);
+        } else if (interactable?.lock) {
+            this.openLock(interactable);
+        }
+    }
+    
+    /**
+     * Spends a golden key on a door or chest next to the player
+     * @param {{lock: string, x: number, y: number}} target - Lock from getInteractableAt
+     */
+    openLock({ lock, x, y }) {
+        const keyInfo = KINGDOM_CONFIG.ITEMS[MapFormat.LOCK_KEY];
+        if (!this.inventory.removeItem(MapFormat.LOCK_KEY, 1)) {
+            this.showToast(`Locked! Find a ${keyInfo.name} ${keyInfo.icon}`);
+            this.playSound('error');
+            return;
+        }
+        
+        this.tileMap.openLock(x, y);
+        this.playSound('success');
+        this.showToast(lock === 'chest' ? 'Chest opened! 📦✨' : 'Door unlocked! 🚪✨');
+        this.updateHUD();
+        this.updateInteractionPrompt();
+        this.render();
+    }
+    
+    handlePush() {
+        this.playSound('click');
+        if (this.tileMap.updateGates() > 0) {
+            this.playSound('success');
+            this.showToast('The plates are pressed - a gate opened! 🚧✨');
+        }
+    }
+    
+    /**
+     * An enemy on the player's tile takes a heart, or steals an item if it
+     * is a thief. The player is safe for HIT_COOLDOWN afterwards.
+     */
+    checkEnemyContact() {
+        if (!this.player || Date.now() < this.player.safeUntil) return;
+        const enemy = this.enemies.find(e => e.x === this.player.x && e.y === this.player.y);
+        if (!enemy) return;
+        
+        this.player.safeUntil = Date.now() + KINGDOM_CONFIG.HIT_COOLDOWN;
+        this.playSound('error');
+        
+        const stolen = enemy.info.takes === 'item' ?
+            KINGDOM_CONFIG.STEALABLE_ITEMS.find(id => this.inventory.hasItem(id)) : null;
+        if (stolen) {
+            const itemInfo = KINGDOM_CONFIG.ITEMS[stolen];
+            this.inventory.removeItem(stolen, 1);
+            this.showToast(`${enemy.info.name} took your ${itemInfo.name}! ${itemInfo.icon}`);
+            this.updateHUD();
+            return;
+        }
+        
+        this.hearts = Math.max(0, this.hearts - 1);
+        this.updateHUD();
+        if (this.hearts === 0) {
+            this.failArea('hearts');
+        } else {
+            this.showToast(`${enemy.info.name} got you! 💔`);
         }
     }
     
@@ -867,9 +1262,11 @@ class CloudKingdomGame {
             this.elements.interactionPrompt.textContent = '🔒 Complete quests to unlock exit';
         } else if (canInteract || (atExit && questsComplete)) {
             // Can interact with NPC or exit is unlocked
+            const lock = this.player.interact()?.lock;
             this.elements.interactionPrompt.classList.remove('hidden');
             this.elements.interactionPrompt.textContent = (atExit && questsComplete) ? 
-                'Press SPACE to continue' : 'Press SPACE to interact';
+                'Press SPACE to continue' :
+                lock ? `Press SPACE to unlock the ${lock} 🗝️` : 'Press SPACE to interact';
         } else {
             this.elements.interactionPrompt.classList.add('hidden');
         }
@@ -913,6 +1310,11 @@ class CloudKingdomGame {
     }
     
     startGame(mapId = 'starter_island') {
+        if (!this.maps.get(mapId)) {
+            this.showToast(`Map "${mapId}" can't be played 🗺️`);
+            return;
+        }
+        
         // Stop any existing music first to prevent duplicates
         if (this.audio) {
             try {
@@ -930,20 +1332,18 @@ class CloudKingdomGame {
             }
         }
         
-        // Get difficulty from age selector or PlayerManager
-        let age = 16;
-        if (this.elements.ageSelect) {
-            age = parseInt(this.elements.ageSelect.value, 10) || 16;
-        } else if (typeof PlayerManager !== 'undefined' && PlayerManager.hasActivePlayer()) {
-            age = PlayerManager.getPlayerAge() || 16;
-        }
-        this.difficulty = getDifficultyFromAge(age);
-        console.log(`Starting game with age ${age}, difficulty ${this.difficulty}`);
+        this.difficulty = this.getSelectedDifficulty();
+        console.log(`Starting game with difficulty ${this.difficulty}`);
+        
+        const settings = KINGDOM_CONFIG.DIFFICULTY_SETTINGS[this.difficulty];
+        this.hearts = KINGDOM_CONFIG.MAX_HEARTS;
+        this.timeLeft = settings.timeLimit || null;
         
         this.currentMapId = mapId;
         this.loadMap(mapId);
         
         this.startTime = Date.now();
+        this.lastUpdate = this.startTime;
         this.isPlaying = true;
         this.isPaused = false;
         
@@ -952,6 +1352,33 @@ class CloudKingdomGame {
         this.gameLoop();
     }
     
+    /**
+     * Difficulty from the age selector or PlayerManager
+     * @returns {number} Level 1-7
+     */
+    getSelectedDifficulty() {
+        let age = 16;
+        if (this.elements.ageSelect) {
+            age = parseInt(this.elements.ageSelect.value, 10) || 16;
+        } else if (typeof PlayerManager !== 'undefined' && PlayerManager.hasActivePlayer()) {
+            age = PlayerManager.getPlayerAge() || 16;
+        }
+        return getDifficultyFromAge(age);
+    }
+    
+    /**
+     * Starts a seeded island sized for the selected difficulty.
+     * An empty seed box gets a fresh seed so it can be shared afterwards.
+     */
+    startRandomIsland() {
+        let seed = MapGenerator.normalizeSeed(this.elements.seedInput?.value);
+        if (!seed) seed = MapGenerator.randomSeed();
+        if (this.elements.seedInput) this.elements.seedInput.value = seed;
+        
+        this.inventory.clear();
+        this.startGame(MapGenerator.makeId(this.getSelectedDifficulty(), seed));
+    }
+    
     continueGame() {
         const progress = this.loadProgress();
         if (progress.currentMap) {
@@ -963,13 +1390,26 @@ class CloudKingdomGame {
     }
     
     loadMap(mapId) {
-        const mapData = MAPS[mapId];
+        let mapData = this.maps.get(mapId);
         if (!mapData) {
             console.error('Map not found:', mapId);
             return;
         }
         
-        this.tileMap = new TileMapEngine(mapData);
+        // Built-in areas get the level's enemies; generated and custom maps bring their own
+        const { enemies } = KINGDOM_CONFIG.DIFFICULTY_SETTINGS[this.difficulty];
+        if (enemies && this.maps.entries.get(mapId)?.source === 'built-in') {
+            mapData = MapGenerator.addEnemies(mapData, { seed: mapId, enemies });
+        }
+        
+        // Enemies move on their own, so they live outside the tile map
+        this.tileMap = new TileMapEngine({
+            ...mapData,
+            entities: mapData.entities.filter(e => e.type !== 'enemy')
+        });
+        this.enemies = mapData.entities
+            .filter(e => e.type === 'enemy')
+            .map(e => new EnemyController(this.tileMap, e));
         
         this.player = new PlayerController(
             this.tileMap,
@@ -1007,6 +1447,23 @@ class CloudKingdomGame {
         if (this.elements.keyCount) {
             this.elements.keyCount.textContent = `🗝️ ${this.inventory.getCount('golden_key')}`;
         }
+        if (this.elements.heartCount) {
+            const lost = KINGDOM_CONFIG.MAX_HEARTS - this.hearts;
+            this.elements.heartCount.textContent = '❤️'.repeat(this.hearts) + '🤍'.repeat(lost);
+            this.elements.heartCount.classList.toggle('hidden', this.enemies.length === 0);
+        }
+        this.updateTimer();
+    }
+    
+    updateTimer() {
+        if (!this.elements.timeLeft) return;
+        
+        this.elements.timeLeft.classList.toggle('hidden', this.timeLeft === null);
+        if (this.timeLeft === null) return;
+        
+        const seconds = Math.max(0, Math.ceil(this.timeLeft));
+        this.elements.timeLeft.textContent = `⏱️ ${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+        this.elements.timeLeft.classList.toggle('time-low', seconds <= 30);
     }
     
     updateQuestDisplay() {
@@ -1038,13 +1495,53 @@ class CloudKingdomGame {
             this.canvas.height
         );
         
+        this.enemies.forEach(enemy => enemy.render(this.ctx, this.camera.x, this.camera.y));
+        
         // Render player
         this.player.render(this.ctx, this.camera.x, this.camera.y);
     }
     
+    /**
+     * Moves enemies and runs the countdown, both of which wait while the
+     * game is paused, a dialog is open or a menu is showing
+     * @param {number} now - Timestamp in ms
+     */
+    update(now) {
+        const elapsed = now - this.lastUpdate;
+        this.lastUpdate = now;
+        if (this.isFrozen()) return;
+        
+        if (this.timeLeft !== null) {
+            const shown = Math.ceil(this.timeLeft);
+            this.timeLeft -= elapsed / 1000;
+            if (this.timeLeft <= 0) {
+                this.timeLeft = 0;
+                this.updateTimer();
+                this.failArea('time');
+                return;
+            }
+            if (Math.ceil(this.timeLeft) !== shown) this.updateTimer();
+        }
+        
+        let moved = false;
+        this.enemies.forEach(enemy => {
+            if (enemy.update(now, this.player, this.enemies)) moved = true;
+        });
+        if (moved) this.checkEnemyContact();
+    }
+    
+    isFrozen() {
+        const isOpen = (modal) => modal && !modal.classList.contains('hidden');
+        return this.isPaused || this.dialogSystem.active ||
+            isOpen(this.elements.inventoryModal) || isOpen(this.elements.questModal);
+    }
+    
     gameLoop() {
         if (!this.isPlaying) return;
         
+        this.update(Date.now());
+        if (!this.isPlaying) return;
+        
         this.updateQuestDisplay();
         this.render();
         
@@ -1135,6 +1632,10 @@ class CloudKingdomGame {
     completeArea() {
         this.isPlaying = false;
         
+        if (this.elements.resultTitle) {
+            this.elements.resultTitle.textContent = '🎉 Area Complete!';
+        }
+        
         const elapsed = Math.floor((Date.now() - this.startTime) / 1000);
         const minutes = Math.floor(elapsed / 60);
         const seconds = elapsed % 60;
@@ -1166,7 +1667,7 @@ class CloudKingdomGame {
         }
         
         // Check for next area
-        const nextMap = this.tileMap?.map.exitPoint?.nextMap;
+        const nextMap = this.getNextMapId();
         if (this.elements.nextAreaBtn) {
             this.elements.nextAreaBtn.classList.toggle('hidden', !nextMap);
         }
@@ -1177,8 +1678,46 @@ class CloudKingdomGame {
         this.showScreen('result');
     }
     
-    nextArea() {
+    /**
+     * Ends the area early: out of hearts or out of time. Nothing is saved,
+     * so Replay starts the area fresh.
+     * @param {string} reason - 'hearts' or 'time'
+     */
+    failArea(reason) {
+        this.isPlaying = false;
+        this.playSound('error');
+        
+        if (this.elements.resultTitle) {
+            this.elements.resultTitle.textContent = reason === 'time' ? "⏰ Time's Up!" : '💔 Out of Hearts!';
+        }
+        
+        const elapsed = Math.floor((Date.now() - this.startTime) / 1000);
+        if (this.elements.resultGems) {
+            this.elements.resultGems.textContent = this.inventory.getCount('gem');
+        }
+        if (this.elements.resultTime) {
+            this.elements.resultTime.textContent = `${Math.floor(elapsed / 60)}:${(elapsed % 60).toString().padStart(2, '0')}`;
+        }
+        if (this.elements.resultSteps) {
+            this.elements.resultSteps.textContent = this.player?.steps || 0;
+        }
+        this.elements.resultStars?.querySelectorAll('.star').forEach(star => star.classList.remove('earned'));
+        this.elements.nextAreaBtn?.classList.add('hidden');
+        
+        this.showScreen('result');
+    }
+    
+    /**
+     * The map the exit leads to, if it is one we can play
+     * @returns {string|null} Map id
+     */
+    getNextMapId() {
         const nextMap = this.tileMap?.map.exitPoint?.nextMap;
+        return nextMap && this.maps.get(nextMap) ? nextMap : null;
+    }
+    
+    nextArea() {
+        const nextMap = this.getNextMapId();
         if (nextMap) {
             this.startGame(nextMap);
         }
@@ -1220,6 +1759,92 @@ class CloudKingdomGame {
         this.showScreen('start');
     }
     
+    /**
+     * Lists custom maps with play/remove buttons and any problems found
+     */
+    renderMapList() {
+        const list = this.elements.mapList;
+        if (!list) return;
+        
+        list.innerHTML = '';
+        const entries = this.maps.listCustom();
+        if (entries.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'map-empty';
+            empty.textContent = 'No custom maps yet - build one in the editor!';
+            list.appendChild(empty);
+        }
+        
+        entries.forEach(({ map, validation }) => {
+            const row = document.createElement('div');
+            row.className = 'map-row';
+            
+            const name = document.createElement('span');
+            name.className = 'map-name';
+            name.textContent = `${map.name} (${map.width}×${map.height})`;
+            row.appendChild(name);
+            
+            const playBtn = document.createElement('button');
+            playBtn.className = 'map-btn';
+            playBtn.textContent = '▶️';
+            playBtn.title = 'Play';
+            playBtn.disabled = !validation.valid;
+            playBtn.addEventListener('click', () => {
+                this.inventory.clear();
+                this.startGame(map.id);
+            });
+            row.appendChild(playBtn);
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'map-btn';
+            removeBtn.textContent = '🗑️';
+            removeBtn.title = 'Remove';
+            removeBtn.addEventListener('click', () => {
+                this.maps.remove(map.id);
+                this.renderMapList();
+            });
+            row.appendChild(removeBtn);
+            
+            list.appendChild(row);
+        });
+        
+        if (!this.elements.mapReport) return;
+        this.elements.mapReport.innerHTML = '';
+        
+        const addLine = (text, className) => {
+            const line = document.createElement('p');
+            line.className = className;
+            line.textContent = text;
+            this.elements.mapReport.appendChild(line);
+        };
+        
+        this.mapMessages.forEach(msg => addLine(msg, 'map-message'));
+        entries.forEach(({ map, validation }) => {
+            const where = (issue) => issue.at ? ` (${issue.at.x}, ${issue.at.y})` : '';
+            validation.errors.forEach(issue => addLine(`❌ ${map.name}${where(issue)}: ${issue.message}`, 'map-error'));
+            validation.warnings.forEach(issue => addLine(`⚠️ ${map.name}${where(issue)}: ${issue.message}`, 'map-warning'));
+        });
+    }
+    
+    /**
+     * Loads map files chosen with the picker
+     * @param {HTMLInputElement} input - File input
+     */
+    async importMapFiles(input) {
+        for (const file of input.files) {
+            const result = await this.maps.importFile(file);
+            if (!result.success) {
+                this.mapMessages.push(`❌ ${file.name}: ${result.error}`);
+            } else if (result.entry.validation.valid) {
+                this.mapMessages.push(`✅ Loaded "${result.entry.map.name}"`);
+            } else {
+                this.mapMessages.push(`❌ "${result.entry.map.name}" has problems and can't be played yet`);
+            }
+        }
+        input.value = '';
+        this.renderMapList();
+    }
+    
     /**
      * Helper method to play sound effects with defensive programming
      * @param {string} type - Type of sound effect
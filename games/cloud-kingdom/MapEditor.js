@@ -0,0 +1,567 @@
+/**
+ * Cloud Kingdom Explorer - Map Editor
+ * Paint tiles, place items, NPCs, push blocks, enemies, the start and the
+ * exit, add quests, and
+ * export maps in the MapFormat JSON shape. "Save to Game" stores the map
+ * where the game's Custom Maps list picks it up.
+ *
+ * @version 1.0.0
+ */
+
+// ==================== Configuration (inlined for file:// compatibility) ====================
+const EDITOR_CONFIG = Object.freeze({
+    MAPS_KEY: 'cloudKingdomMaps',
+    MIN_SIZE: 4,
+    MAX_SIZE: 40,
+    PLAYER_SPRITE: '🐰',
+    EXIT_SPRITE: '🚪',
+    BLOCK_SPRITE: '🪨',
+
+    // Ids of the MAPS built into CloudKingdomGame.js
+    BUILT_IN_MAPS: ['starter_island', 'rainbow_bridge'],
+
+    // Mirrors KINGDOM_CONFIG.ITEMS
+    ITEMS: {
+        golden_key: { name: 'Golden Key', icon: '🗝️' },
+        flower: { name: 'Cloud Flower', icon: '🌸' },
+        gem: { name: 'Star Gem', icon: '💎' },
+        candy: { name: 'Cloud Candy', icon: '🍬' },
+        map_scroll: { name: 'Map Fragment', icon: '📜' }
+    },
+
+    // Mirrors KINGDOM_CONFIG.ENEMIES
+    ENEMIES: {
+        rain_cloud: { name: 'Rain Cloud', sprite: '🌧️' },
+        candy_crow: { name: 'Candy Crow', sprite: '🐦' },
+        thunder_cloud: { name: 'Thunder Cloud', sprite: '⛈️' }
+    }
+});
+
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+// ==================== Map Editor ====================
+class MapEditor {
+    constructor() {
+        this.map = MapFormat.createBlank(12, 10);
+        this.tool = { kind: 'tile', name: 'cloud' };
+        this.painting = false;
+        this.validation = null;
+
+        const getElement = (id) => document.getElementById(id);
+        this.elements = {
+            mapId: getElement('map-id'),
+            mapName: getElement('map-name'),
+            mapWidth: getElement('map-width'),
+            mapHeight: getElement('map-height'),
+            mapNext: getElement('map-next'),
+            knownMaps: getElement('known-maps'),
+            resizeBtn: getElement('resize-btn'),
+            newBtn: getElement('new-btn'),
+            openFileInput: getElement('open-file-input'),
+            exportBtn: getElement('export-btn'),
+            saveBtn: getElement('save-btn'),
+            playBtn: getElement('play-btn'),
+            savedSelect: getElement('saved-select'),
+            loadSavedBtn: getElement('load-saved-btn'),
+            deleteSavedBtn: getElement('delete-saved-btn'),
+            status: getElement('editor-status'),
+            palette: getElement('palette'),
+            grid: getElement('map-grid'),
+            npcName: getElement('npc-name'),
+            npcSprite: getElement('npc-sprite'),
+            npcDialog: getElement('npc-dialog'),
+            questList: getElement('quest-editor-list'),
+            questTarget: getElement('quest-target'),
+            questAmount: getElement('quest-amount'),
+            questTitle: getElement('quest-title'),
+            addQuestBtn: getElement('add-quest-btn'),
+            report: getElement('validation-report')
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.renderPalette();
+        this.renderQuestTargets();
+        this.setupEventListeners();
+        this.renderSavedList();
+        this.fillForm();
+        this.refresh();
+    }
+
+    setupEventListeners() {
+        const el = this.elements;
+
+        el.mapId?.addEventListener('input', () => { this.map.id = el.mapId.value.trim(); this.refresh(); });
+        el.mapName?.addEventListener('input', () => { this.map.name = el.mapName.value.trim(); this.refresh(); });
+        el.mapNext?.addEventListener('input', () => {
+            this.map.exitPoint = { ...this.map.exitPoint, nextMap: el.mapNext.value.trim() || null };
+            this.refresh();
+        });
+        el.resizeBtn?.addEventListener('click', () => this.resize());
+        el.newBtn?.addEventListener('click', () => this.newMap());
+        el.openFileInput?.addEventListener('change', (e) => this.openFile(e.target));
+        el.exportBtn?.addEventListener('click', () => this.exportJSON());
+        el.saveBtn?.addEventListener('click', () => this.saveToGame());
+        el.playBtn?.addEventListener('click', () => this.playTest());
+        el.loadSavedBtn?.addEventListener('click', () => this.editSaved(el.savedSelect?.value));
+        el.deleteSavedBtn?.addEventListener('click', () => this.deleteSaved(el.savedSelect?.value));
+        el.addQuestBtn?.addEventListener('click', () => this.addQuest());
+
+        // Click or drag to paint
+        el.grid?.addEventListener('pointerdown', (e) => {
+            const cell = e.target.closest('.map-cell');
+            if (!cell) return;
+            e.preventDefault();
+            this.painting = true;
+            this.applyTool(Number(cell.dataset.x), Number(cell.dataset.y));
+        });
+        el.grid?.addEventListener('pointerover', (e) => {
+            const cell = e.target.closest('.map-cell');
+            if (!cell || !this.painting) return;
+            if (this.tool.kind === 'tile' || this.tool.kind === 'erase') {
+                this.applyTool(Number(cell.dataset.x), Number(cell.dataset.y));
+            }
+        });
+        window.addEventListener('pointerup', () => { this.painting = false; });
+    }
+
+    // ==================== Tools ====================
+
+    getTools() {
+        const tools = Object.entries(MapFormat.TILE_TYPES).map(([name, tile]) => ({
+            kind: 'tile', name, label: tile.sprite === '░' ? '⬛' : tile.sprite, title: name
+        }));
+        Object.entries(EDITOR_CONFIG.ITEMS).forEach(([itemId, item]) => {
+            tools.push({ kind: 'item', itemId, label: item.icon, title: item.name });
+        });
+        tools.push({ kind: 'block', label: EDITOR_CONFIG.BLOCK_SPRITE, title: 'Push block - cover every plate 🔘 to open the gates 🚧' });
+        Object.entries(EDITOR_CONFIG.ENEMIES).forEach(([enemyId, enemy]) => {
+            tools.push({ kind: 'enemy', enemyId, label: enemy.sprite, title: `${enemy.name} (click again to patrol ↔ or ↕)` });
+        });
+        tools.push(
+            { kind: 'npc', label: '🐕', title: 'NPC (uses the NPC panel)' },
+            { kind: 'start', label: EDITOR_CONFIG.PLAYER_SPRITE, title: 'Player start' },
+            { kind: 'exit', label: EDITOR_CONFIG.EXIT_SPRITE, title: 'Exit' },
+            { kind: 'erase', label: '🧽', title: 'Remove item, NPC, block or enemy' }
+        );
+        return tools;
+    }
+
+    renderPalette() {
+        const palette = this.elements.palette;
+        if (!palette) return;
+
+        palette.innerHTML = '';
+        this.getTools().forEach(tool => {
+            const btn = document.createElement('button');
+            btn.className = 'palette-btn';
+            btn.textContent = tool.label;
+            btn.title = tool.title;
+            btn.addEventListener('click', () => {
+                this.tool = tool;
+                palette.querySelectorAll('.palette-btn').forEach(b => b.classList.toggle('active', b === btn));
+            });
+            if (tool.kind === this.tool.kind && tool.name === this.tool.name && tool.enemyId === this.tool.enemyId) {
+                btn.classList.add('active');
+            }
+            palette.appendChild(btn);
+        });
+    }
+
+    /**
+     * Applies the selected tool to one tile
+     * @param {number} x - Column
+     * @param {number} y - Row
+     */
+    applyTool(x, y) {
+        const tool = this.tool;
+
+        switch (tool.kind) {
+            case 'tile':
+                this.map.tiles[y][x] = MapFormat.getTileId(this.map, tool.name);
+                break;
+            case 'item':
+                this.placeEntity({
+                    id: this.nextEntityId(tool.itemId),
+                    type: 'item',
+                    itemId: tool.itemId,
+                    x, y,
+                    sprite: EDITOR_CONFIG.ITEMS[tool.itemId].icon
+                });
+                break;
+            case 'block':
+                this.placeEntity({ id: this.nextEntityId('block'), type: 'block', x, y, sprite: EDITOR_CONFIG.BLOCK_SPRITE });
+                break;
+            case 'enemy': {
+                // Clicking the same enemy again turns its patrol round
+                const current = this.map.entities.find(e => e.x === x && e.y === y);
+                if (current?.type === 'enemy' && current.enemyId === tool.enemyId) {
+                    current.axis = current.axis === 'y' ? 'x' : 'y';
+                } else {
+                    this.placeEntity({ id: this.nextEntityId('enemy'), type: 'enemy', enemyId: tool.enemyId, x, y, axis: 'x' });
+                }
+                break;
+            }
+            case 'npc': {
+                const name = this.elements.npcName?.value.trim() || 'Friend';
+                const dialog = (this.elements.npcDialog?.value || '')
+                    .split('\n').map(line => line.trim()).filter(Boolean);
+                this.placeEntity({
+                    id: this.nextEntityId(`npc_${name.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`),
+                    type: 'npc',
+                    x, y,
+                    sprite: this.elements.npcSprite?.value.trim() || '🐕',
+                    name,
+                    dialog
+                });
+                break;
+            }
+            case 'start':
+                this.map.playerStart = { x, y };
+                break;
+            case 'exit':
+                this.map.exitPoint = { ...this.map.exitPoint, x, y };
+                break;
+            case 'erase':
+                this.map.entities = this.map.entities.filter(e => e.x !== x || e.y !== y);
+                break;
+        }
+
+        this.refresh();
+    }
+
+    placeEntity(entity) {
+        this.map.entities = this.map.entities.filter(e => e.x !== entity.x || e.y !== entity.y);
+        this.map.entities.push(entity);
+    }
+
+    nextEntityId(prefix) {
+        const ids = new Set(this.map.entities.map(e => e.id));
+        let n = 1;
+        while (ids.has(`${prefix}_${n}`)) n++;
+        return `${prefix}_${n}`;
+    }
+
+    // ==================== Quests ====================
+
+    renderQuestTargets() {
+        const select = this.elements.questTarget;
+        if (!select) return;
+
+        Object.entries(EDITOR_CONFIG.ITEMS).forEach(([itemId, item]) => {
+            const option = document.createElement('option');
+            option.value = itemId;
+            option.textContent = `${item.icon} ${item.name}`;
+            select.appendChild(option);
+        });
+    }
+
+    addQuest() {
+        const target = this.elements.questTarget?.value || 'gem';
+        const amount = Math.max(1, parseInt(this.elements.questAmount?.value, 10) || 1);
+        const item = EDITOR_CONFIG.ITEMS[target];
+        const ids = new Set(this.map.quests.map(q => q.id));
+        let n = 1;
+        while (ids.has(`collect_${target}_${n}`)) n++;
+
+        this.map.quests.push({
+            id: `collect_${target}_${n}`,
+            title: this.elements.questTitle?.value.trim() || `${item.name} Hunt`,
+            desc: `Collect ${amount} ${item.name}${amount > 1 ? 's' : ''}`,
+            type: 'collect',
+            target,
+            amount
+        });
+        if (this.elements.questTitle) this.elements.questTitle.value = '';
+        this.refresh();
+    }
+
+    renderQuests() {
+        const list = this.elements.questList;
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.map.quests.forEach((quest, index) => {
+            const row = document.createElement('div');
+            row.className = 'quest-editor-row';
+
+            const text = document.createElement('span');
+            text.textContent = `${quest.title}: ${quest.desc}`;
+            row.appendChild(text);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'tool-btn';
+            removeBtn.textContent = '✖';
+            removeBtn.title = 'Remove quest';
+            removeBtn.addEventListener('click', () => {
+                this.map.quests.splice(index, 1);
+                this.refresh();
+            });
+            row.appendChild(removeBtn);
+
+            list.appendChild(row);
+        });
+    }
+
+    // ==================== Rendering ====================
+
+    getKnownMaps() {
+        return [...EDITOR_CONFIG.BUILT_IN_MAPS, ...this.loadSaved().map(m => m.id)];
+    }
+
+    /** Re-validates the map and redraws everything that depends on it */
+    refresh() {
+        this.validation = MapFormat.validate(this.map, {
+            items: Object.keys(EDITOR_CONFIG.ITEMS),
+            enemies: Object.keys(EDITOR_CONFIG.ENEMIES),
+            knownMaps: this.getKnownMaps()
+        });
+        this.renderGrid();
+        this.renderQuests();
+        this.renderValidation();
+    }
+
+    renderGrid() {
+        const grid = this.elements.grid;
+        if (!grid) return;
+
+        const { map, validation } = this;
+        const problemTiles = new Set(validation.errors.filter(issue => issue.at)
+            .map(({ at }) => `${at.x},${at.y}`));
+
+        grid.innerHTML = '';
+        grid.style.gridTemplateColumns = `repeat(${map.width}, var(--cell-size))`;
+
+        for (let y = 0; y < map.height; y++) {
+            for (let x = 0; x < map.width; x++) {
+                const typeName = map.tileTypes[map.tiles[y][x]] || 'void';
+                const tile = MapFormat.TILE_TYPES[typeName] || MapFormat.TILE_TYPES.void;
+                const key = `${x},${y}`;
+                const cell = document.createElement('div');
+                cell.className = 'map-cell';
+                cell.dataset.x = x;
+                cell.dataset.y = y;
+                cell.title = `${typeName} (${x}, ${y})`;
+                cell.style.background = tile.color || '#f5e6c8';
+
+                const entity = map.entities.find(e => e.x === x && e.y === y);
+                if (map.playerStart?.x === x && map.playerStart?.y === y) {
+                    cell.textContent = EDITOR_CONFIG.PLAYER_SPRITE;
+                    cell.classList.add('is-start');
+                } else if (map.exitPoint?.x === x && map.exitPoint?.y === y) {
+                    cell.textContent = EDITOR_CONFIG.EXIT_SPRITE;
+                    cell.classList.add('is-exit');
+                } else if (entity?.type === 'enemy') {
+                    const enemy = EDITOR_CONFIG.ENEMIES[entity.enemyId];
+                    cell.textContent = enemy?.sprite || '❓';
+                    cell.title = `${enemy?.name || entity.enemyId}, patrols ${entity.axis === 'y' ? '↕' : '↔'} (${x}, ${y})`;
+                } else if (entity) {
+                    cell.textContent = entity.sprite || '❓';
+                } else if (tile.sprite !== '░') {
+                    cell.textContent = tile.sprite;
+                }
+
+                if (tile.walkable && !validation.reachable.has(key)) cell.classList.add('unreachable');
+                if (problemTiles.has(key)) cell.classList.add('has-error');
+
+                grid.appendChild(cell);
+            }
+        }
+    }
+
+    renderValidation() {
+        const report = this.elements.report;
+        if (!report) return;
+
+        report.innerHTML = '';
+        const { errors, warnings, valid } = this.validation;
+        const addLine = (text, className) => {
+            const line = document.createElement('p');
+            line.className = className;
+            line.textContent = text;
+            report.appendChild(line);
+        };
+        const where = (issue) => issue.at ? ` (${issue.at.x}, ${issue.at.y})` : '';
+
+        if (valid) addLine('✅ Ready to play!', 'check-ok');
+        errors.forEach(issue => addLine(`❌${where(issue)} ${issue.message}`, 'check-error'));
+        warnings.forEach(issue => addLine(`⚠️${where(issue)} ${issue.message}`, 'check-warning'));
+    }
+
+    fillForm() {
+        const el = this.elements;
+        if (el.mapId) el.mapId.value = this.map.id;
+        if (el.mapName) el.mapName.value = this.map.name;
+        if (el.mapWidth) el.mapWidth.value = this.map.width;
+        if (el.mapHeight) el.mapHeight.value = this.map.height;
+        if (el.mapNext) el.mapNext.value = this.map.exitPoint?.nextMap || '';
+
+        if (el.knownMaps) {
+            el.knownMaps.innerHTML = '';
+            this.getKnownMaps().forEach(id => {
+                const option = document.createElement('option');
+                option.value = id;
+                el.knownMaps.appendChild(option);
+            });
+        }
+    }
+
+    setStatus(message) {
+        if (this.elements.status) this.elements.status.textContent = message;
+    }
+
+    // ==================== Map Actions ====================
+
+    resize() {
+        const size = (input) => clamp(parseInt(input?.value, 10) || EDITOR_CONFIG.MIN_SIZE,
+            EDITOR_CONFIG.MIN_SIZE, EDITOR_CONFIG.MAX_SIZE);
+        this.map = MapFormat.resize(this.map, size(this.elements.mapWidth), size(this.elements.mapHeight));
+        this.fillForm();
+        this.refresh();
+    }
+
+    newMap() {
+        if (!window.confirm('Start a new map? Unsaved changes will be lost.')) return;
+        this.map = MapFormat.createBlank(12, 10);
+        this.fillForm();
+        this.refresh();
+        this.setStatus('');
+    }
+
+    /**
+     * Opens a map JSON file for editing
+     * @param {HTMLInputElement} input - File input
+     */
+    async openFile(input) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        const result = MapFormat.parse(await file.text());
+        if (!result.success) {
+            this.setStatus(`❌ ${file.name}: ${result.error}`);
+            return;
+        }
+        this.load(result.map);
+        this.setStatus(`📂 Opened ${file.name}`);
+    }
+
+    load(map) {
+        this.map = MapFormat.normalize(map);
+        this.fillForm();
+        this.refresh();
+    }
+
+    exportJSON() {
+        const blob = new Blob([MapFormat.serialize(this.map)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${this.map.id || 'map'}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+
+        URL.revokeObjectURL(url);
+        this.setStatus(`💾 Exported ${a.download}`);
+    }
+
+    // ==================== Saved Maps ====================
+
+    loadSaved() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(EDITOR_CONFIG.MAPS_KEY) || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    writeSaved(maps) {
+        try {
+            localStorage.setItem(EDITOR_CONFIG.MAPS_KEY, JSON.stringify(maps));
+            return true;
+        } catch (e) {
+            console.warn('Could not save maps:', e);
+            return false;
+        }
+    }
+
+    renderSavedList() {
+        const select = this.elements.savedSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        this.loadSaved().forEach(map => {
+            const option = document.createElement('option');
+            option.value = map.id;
+            option.textContent = map.name || map.id;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Stores the map where the game's Custom Maps list finds it
+     * @returns {boolean} Whether the map was saved
+     */
+    saveToGame() {
+        if (EDITOR_CONFIG.BUILT_IN_MAPS.includes(this.map.id)) {
+            this.setStatus(`❌ "${this.map.id}" is a built-in map id - pick another`);
+            return false;
+        }
+        if (!this.validation.valid) {
+            this.setStatus('❌ Fix the problems under Checks first');
+            return false;
+        }
+
+        const map = MapFormat.normalize(this.map);
+        const saved = this.loadSaved().filter(m => m.id !== map.id);
+        if (!this.writeSaved([...saved, map])) {
+            this.setStatus('❌ Could not save - browser storage is full or blocked');
+            return false;
+        }
+
+        this.renderSavedList();
+        if (this.elements.savedSelect) this.elements.savedSelect.value = map.id;
+        this.fillForm();
+        this.setStatus(`☁️ Saved "${map.name}" to the game`);
+        return true;
+    }
+
+    playTest() {
+        if (this.saveToGame()) {
+            window.location.href = `index.html?map=${encodeURIComponent(this.map.id)}`;
+        }
+    }
+
+    editSaved(id) {
+        const map = this.loadSaved().find(m => m.id === id);
+        if (map) {
+            this.load(map);
+            this.setStatus(`✏️ Editing "${map.name}"`);
+        }
+    }
+
+    deleteSaved(id) {
+        if (!id || !window.confirm(`Delete "${id}" from the game?`)) return;
+        this.writeSaved(this.loadSaved().filter(m => m.id !== id));
+        this.renderSavedList();
+        this.fillForm();
+        this.refresh();
+        this.setStatus(`🗑️ Deleted "${id}"`);
+    }
+}
+
+// ==================== Initialize Editor ====================
+document.addEventListener('DOMContentLoaded', () => {
+    try {
+        window.editor = new MapEditor();
+    } catch (error) {
+        console.error('Failed to initialize map editor:', error);
+    }
+});
@@ -0,0 +1,512 @@
+/**
+ * MapFormat.js - Cloud Kingdom Map Format
+ *
+ * Maps are JSON files in the same shape as the built-in MAPS:
+ *
+ *   {
+ *     "format": "cloud-kingdom-map", "version": 1,
+ *     "id": "sky_garden", "name": "Sky Garden",
+ *     "width": 4, "height": 3,
+ *     "tileTypes": { "0": "void", "1": "cloud", "2": "tree" },
+ *     "tiles": [[0,1,1,0], [1,1,2,1], [0,1,1,0]],
+ *     "entities": [
+ *       { "id": "gem_1", "type": "item", "itemId": "gem", "x": 2, "y": 0, "sprite": "💎" },
+ *       { "id": "npc_1", "type": "npc", "x": 1, "y": 2, "sprite": "🐰", "name": "Cinnamoroll", "dialog": ["Hi!"] }
+ *     ],
+ *     "playerStart": { "x": 1, "y": 1 },
+ *     "quests": [{ "id": "q1", "title": "Gem Hunt", "desc": "Collect 1 gem", "type": "collect", "target": "gem", "amount": 1 }],
+ *     "exitPoint": { "x": 3, "y": 1, "nextMap": "rainbow_bridge" }
+ *   }
+ *
+ * `tileTypes` is the legend from grid numbers to TILE_TYPES names. `nextMap`
+ * chains to a built-in or imported map id (null ends the journey).
+ *
+ * Door and chest tiles are locked: each one takes a golden_key to open and
+ * then becomes cloud. An item placed on a chest tile is what's inside.
+ *
+ * Gate tiles are block puzzles: every gate opens once a push block sits on
+ * every pressure plate. Blocks and enemies are entities too:
+ *
+ *   { "id": "block_1", "type": "block", "x": 3, "y": 2, "sprite": "🪨" }
+ *   { "id": "enemy_1", "type": "enemy", "enemyId": "rain_cloud", "x": 5, "y": 2, "axis": "x" }
+ *
+ * Enemies patrol back and forth along their axis ("x" or "y"); what they do
+ * to the player comes from KINGDOM_CONFIG.ENEMIES.
+ *
+ * validate() walks the walkable tiles from playerStart, opening locks with the
+ * keys found on the way, and reports anything a player could never reach:
+ * the exit, items, NPCs and quest targets. It trusts that a block puzzle with
+ * enough blocks can be solved - play test it to be sure. canPushBlock() is
+ * the push rule the game plays by.
+ *
+ * @version 1.0.0
+ */
+
+const MapFormat = (function() {
+    'use strict';
+
+    const FORMAT = 'cloud-kingdom-map';
+    const VERSION = 1;
+
+    const MAP_ID = /^[\w-]+$/;
+
+    const TILE_TYPES = {
+        void: { walkable: false, sprite: '░', color: '#000' },
+        cloud: { walkable: true, sprite: '☁️', color: '#fff' },
+        tree: { walkable: false, sprite: '🌲', color: '#228b22' },
+        flower: { walkable: true, sprite: '🌸', color: '#ffb7c5' },
+        water: { walkable: false, sprite: '🌊', color: '#4169e1' },
+        door: { walkable: false, sprite: '🚪', interactive: true },
+        chest: { walkable: false, sprite: '📦', interactive: true },
+        plate: { walkable: true, sprite: '🔘', color: '#e2e8f0' },
+        gate: { walkable: false, sprite: '🚧', color: '#f6e05e' }
+    };
+
+    const LOCK_KEY = 'golden_key';
+    const MAX_LOCK_STATES = 2000;   // orders of opening locks tried by findReachable
+
+    const ENTITY_TYPES = ['item', 'npc', 'block', 'enemy'];
+    const ENEMY_AXES = ['x', 'y'];
+    const QUEST_TYPES = ['collect'];
+
+    const STEPS = [[0, -1], [0, 1], [-1, 0], [1, 0]];
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    function isPoint(point) {
+        return !!point && Number.isInteger(point.x) && Number.isInteger(point.y);
+    }
+
+    function inBounds(map, x, y) {
+        return x >= 0 && y >= 0 && x < map.width && y < map.height;
+    }
+
+    function tileNameAt(map, x, y) {
+        if (!inBounds(map, x, y)) return 'void';
+        return map.tileTypes[map.tiles[y]?.[x]] || 'void';
+    }
+
+    function isWalkable(map, x, y) {
+        return !!TILE_TYPES[tileNameAt(map, x, y)]?.walkable;
+    }
+
+    /** Doors and chests: solid until opened with a golden key */
+    function isLock(map, x, y) {
+        return !!TILE_TYPES[tileNameAt(map, x, y)]?.interactive;
+    }
+
+    function countTiles(map, typeName) {
+        let count = 0;
+        map.tiles.forEach(row => row.forEach(value => {
+            if (map.tileTypes[value] === typeName) count++;
+        }));
+        return count;
+    }
+
+    /**
+     * Whether the map's gates can open: it has pressure plates and at least
+     * as many push blocks to cover them
+     * @param {Object} map - Map
+     * @returns {boolean}
+     */
+    function canOpenGates(map) {
+        const plates = countTiles(map, 'plate');
+        const blocks = (map.entities || []).filter(e => e.type === 'block').length;
+        return plates > 0 && blocks >= plates;
+    }
+
+    /**
+     * Whether a push block can slide one tile: the tile beyond it must be
+     * walkable, empty and not the exit. Enemies move on their own and aren't
+     * in map.entities, so the caller says where they are.
+     * @param {Object} map - Map with the blocks' current positions
+     * @param {Object} block - Block entity
+     * @param {number} dx - Column step
+     * @param {number} dy - Row step
+     * @param {function(number, number): boolean} [isOccupied] - Whether something
+     *   outside the map (e.g. an enemy) stands on a tile
+     * @returns {boolean}
+     */
+    function canPushBlock(map, block, dx, dy, isOccupied = () => false) {
+        const x = block.x + dx;
+        const y = block.y + dy;
+        const exit = map.exitPoint;
+        if (!isWalkable(map, x, y)) return false;
+        if ((map.entities || []).some(e => e.x === x && e.y === y)) return false;
+        if (exit && exit.x === x && exit.y === y) return false;
+        return !isOccupied(x, y);
+    }
+
+    // ==========================================
+    // MAP BUILDING
+    // ==========================================
+
+    /**
+     * Create an empty map: a cloud island ringed with void
+     * @param {number} width - Columns
+     * @param {number} height - Rows
+     * @param {string} [id] - Map id
+     * @returns {Object} Map
+     */
+    function createBlank(width, height, id = 'new_map') {
+        const tiles = [];
+        for (let y = 0; y < height; y++) {
+            const edge = y === 0 || y === height - 1;
+            tiles.push(Array.from({ length: width }, (_, x) => (edge || x === 0 || x === width - 1) ? 0 : 1));
+        }
+        return normalize({
+            id,
+            name: 'New Map',
+            width,
+            height,
+            tiles,
+            tileTypes: { 0: 'void', 1: 'cloud' },
+            playerStart: { x: 1, y: 1 },
+            exitPoint: { x: width - 2, y: height - 2, nextMap: null }
+        });
+    }
+
+    /**
+     * Grow or shrink a map, filling new cells with void and dropping
+     * entities that fall off the edge
+     * @param {Object} map - Map
+     * @param {number} width - New column count
+     * @param {number} height - New row count
+     * @returns {Object} New map
+     */
+    function resize(map, width, height) {
+        const resized = normalize({ ...map, width, height });
+        const voidId = getTileId(resized, 'void');
+        resized.tiles = Array.from({ length: height }, (_, y) =>
+            Array.from({ length: width }, (_, x) => map.tiles[y]?.[x] ?? voidId));
+        resized.entities = resized.entities.filter(e => inBounds(resized, e.x, e.y));
+        return resized;
+    }
+
+    /**
+     * Find the legend number for a tile type, adding one if needed
+     * @param {Object} map - Map (legend is updated in place)
+     * @param {string} typeName - TILE_TYPES name
+     * @returns {number} Legend number
+     */
+    function getTileId(map, typeName) {
+        const found = Object.keys(map.tileTypes).find(key => map.tileTypes[key] === typeName);
+        if (found !== undefined) return Number(found);
+        const next = Math.max(-1, ...Object.keys(map.tileTypes).map(Number)) + 1;
+        map.tileTypes[next] = typeName;
+        return next;
+    }
+
+    // ==========================================
+    // JSON
+    // ==========================================
+
+    /**
+     * Bring a JSON map (or a built-in MAPS entry) into the map shape
+     * @param {Object} raw - Parsed map JSON
+     * @returns {Object} Map
+     */
+    function normalize(raw) {
+        const tiles = Array.isArray(raw.tiles) ? raw.tiles.map(row => Array.isArray(row) ? [...row] : []) : [];
+        return {
+            format: FORMAT,
+            version: raw.version || VERSION,
+            id: raw.id || '',
+            name: raw.name || raw.id || '',
+            width: Number(raw.width) || (tiles[0]?.length ?? 0),
+            height: Number(raw.height) || tiles.length,
+            tiles,
+            tileTypes: { ...(raw.tileTypes || {}) },
+            entities: (raw.entities || []).map(entity => ({ ...entity })),
+            playerStart: raw.playerStart ? { ...raw.playerStart } : null,
+            quests: (raw.quests || []).map(quest => ({ ...quest })),
+            exitPoint: raw.exitPoint ? { nextMap: null, ...raw.exitPoint } : null
+        };
+    }
+
+    /**
+     * Parse a map file
+     * @param {string} text - File contents
+     * @returns {{success: boolean, map: Object|null, error: string|null}}
+     */
+    function parse(text) {
+        let raw;
+        try {
+            raw = JSON.parse(text);
+        } catch (e) {
+            return { success: false, map: null, error: `Invalid JSON: ${e.message}` };
+        }
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return { success: false, map: null, error: 'A map file must hold one map object' };
+        }
+        if (raw.format && raw.format !== FORMAT) {
+            return { success: false, map: null, error: `Unknown map format "${raw.format}"` };
+        }
+        if (raw.version > VERSION) {
+            return { success: false, map: null, error: `Map version ${raw.version} is newer than this game supports` };
+        }
+        return { success: true, map: normalize(raw), error: null };
+    }
+
+    /**
+     * Write a map as JSON with one tile row per line
+     * @param {Object} map - Map
+     * @returns {string} JSON text
+     */
+    function serialize(map) {
+        const data = normalize(map);
+        const rows = data.tiles.map(row => JSON.stringify(row));
+        data.tiles = '__TILES__';
+        return JSON.stringify(data, null, 2)
+            .replace('"tiles": "__TILES__"', `"tiles": [\n    ${rows.join(',\n    ')}\n  ]`);
+    }
+
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+
+    /**
+     * Every tile a player can walk to from a point. Doors and chests open
+     * with a golden key and each key is spent once, so this tries the
+     * different orders of opening locks and keeps the one that reaches the
+     * most tiles. Gates count as open when canOpenGates() says so.
+     * @param {Object} map - Map
+     * @param {{x: number, y: number}} start - Starting tile
+     * @returns {Set<string>} "x,y" keys (opened locks included)
+     */
+    function findReachable(map, start) {
+        if (!isPoint(start) || !isWalkable(map, start.x, start.y)) return new Set();
+        const keysAt = new Set((map.entities || [])
+            .filter(e => e.type === 'item' && e.itemId === LOCK_KEY)
+            .map(e => `${e.x},${e.y}`));
+        const gatesOpen = canOpenGates(map);
+        const passable = (x, y) => isWalkable(map, x, y) || (gatesOpen && tileNameAt(map, x, y) === 'gate');
+
+        const walk = (opened) => {
+            const reached = new Set([`${start.x},${start.y}`]);
+            const locks = new Set();
+            const queue = [[start.x, start.y]];
+            while (queue.length > 0) {
+                const [x, y] = queue.shift();
+                STEPS.forEach(([dx, dy]) => {
+                    const key = `${x + dx},${y + dy}`;
+                    if (reached.has(key)) return;
+                    if (passable(x + dx, y + dy) || opened.has(key)) {
+                        reached.add(key);
+                        queue.push([x + dx, y + dy]);
+                    } else if (isLock(map, x + dx, y + dy)) {
+                        locks.add(key);
+                    }
+                });
+            }
+            const keys = [...keysAt].filter(key => reached.has(key)).length;
+            return { reached, locks: [...locks], spare: keys - opened.size };
+        };
+
+        let best = new Set();
+        const tried = new Set();
+        const stack = [[]];
+        while (stack.length > 0 && tried.size < MAX_LOCK_STATES) {
+            const opened = stack.pop();
+            const id = [...opened].sort().join('|');
+            if (tried.has(id)) continue;
+            tried.add(id);
+
+            const { reached, locks, spare } = walk(new Set(opened));
+            if (reached.size > best.size) best = reached;
+            if (spare > 0) locks.forEach(lock => stack.push([...opened, lock]));
+        }
+        return best;
+    }
+
+    function checkGrid(map, error) {
+        if (!Number.isInteger(map.width) || !Number.isInteger(map.height) || map.width < 1 || map.height < 1) {
+            error(null, 'Map needs a width and height of at least 1');
+            return false;
+        }
+        if (map.tiles.length !== map.height) {
+            error(null, `Map has ${map.tiles.length} tile rows but a height of ${map.height}`);
+            return false;
+        }
+        let ok = true;
+        map.tiles.forEach((row, y) => {
+            if (row.length !== map.width) {
+                error(null, `Row ${y} has ${row.length} tiles but the width is ${map.width}`);
+                ok = false;
+            }
+        });
+        Object.entries(map.tileTypes).forEach(([key, name]) => {
+            if (!TILE_TYPES[name]) error(null, `Legend ${key} uses unknown tile type "${name}"`);
+        });
+        const missing = new Set();
+        map.tiles.forEach(row => row.forEach(value => {
+            if (map.tileTypes[value] === undefined) missing.add(value);
+        }));
+        missing.forEach(value => error(null, `Tile ${value} is not in the tileTypes legend`));
+        return ok;
+    }
+
+    /**
+     * Check a map for problems a player would hit
+     * @param {Object} map - Map
+     * @param {Object} [options]
+     * @param {string[]} [options.items] - Known item ids (KINGDOM_CONFIG.ITEMS keys)
+     * @param {string[]} [options.knownMaps] - Map ids nextMap may point at
+     * @param {string[]} [options.enemies] - Known enemy ids (KINGDOM_CONFIG.ENEMIES keys)
+     * @returns {{valid: boolean, errors: Array<{at: {x: number, y: number}|null, message: string}>, warnings: Array<{at: {x: number, y: number}|null, message: string}>, reachable: Set<string>}}
+     */
+    function validate(map, options = {}) {
+        const errors = [];
+        const warnings = [];
+        const error = (at, message) => errors.push({ at, message });
+        const warn = (at, message) => warnings.push({ at, message });
+        const data = normalize(map || {});
+
+        if (!MAP_ID.test(data.id)) error(null, 'Map id may only use letters, numbers, "_" and "-"');
+        if (!data.name) warn(null, 'Map has no name');
+
+        if (!checkGrid(data, error)) {
+            return { valid: false, errors, warnings, reachable: new Set() };
+        }
+
+        const start = data.playerStart;
+        if (!isPoint(start)) {
+            error(null, 'Map has no playerStart');
+        } else if (!isWalkable(data, start.x, start.y)) {
+            error({ x: start.x, y: start.y }, 'playerStart is not on a walkable tile');
+        }
+        const reachable = findReachable(data, start);
+        const canReach = ({ x, y }) => reachable.has(`${x},${y}`);
+        const canReachBeside = ({ x, y }) => STEPS.some(([dx, dy]) => canReach({ x: x + dx, y: y + dy }));
+
+        const exit = isPoint(data.exitPoint) ? { x: data.exitPoint.x, y: data.exitPoint.y } : null;
+        const nextMap = data.exitPoint?.nextMap;
+        if (!exit) {
+            error(null, 'Map has no exitPoint');
+        } else if (!isWalkable(data, exit.x, exit.y)) {
+            error(exit, 'The exit is not on a walkable tile');
+        } else if (!canReach(exit)) {
+            error(exit, 'The exit cannot be reached from playerStart');
+        }
+        if (nextMap !== null && nextMap !== undefined) {
+            if (typeof nextMap !== 'string' || !MAP_ID.test(nextMap)) {
+                error(exit, 'nextMap must be a map id or null');
+            } else if (nextMap === data.id) {
+                warn(exit, 'nextMap points back at this map');
+            } else if (options.knownMaps && !options.knownMaps.includes(nextMap)) {
+                warn(exit, `nextMap "${nextMap}" is not a built-in or imported map yet`);
+            }
+        }
+
+        const ids = new Set();
+        const itemCounts = {};
+        data.entities.forEach((entity, i) => {
+            const at = isPoint(entity) ? { x: entity.x, y: entity.y } : null;
+            const label = entity.id ? `"${entity.id}"` : `Entity ${i + 1}`;
+            if (!entity.id) error(at, `Entity ${i + 1} has no id`);
+            else if (ids.has(entity.id)) error(at, `Duplicate entity id "${entity.id}"`);
+            ids.add(entity.id);
+            if (!ENTITY_TYPES.includes(entity.type)) {
+                return error(at, `${label} has unknown type "${entity.type}"`);
+            }
+            if (!at || !inBounds(data, at.x, at.y)) {
+                return error(at, `${label} is outside the map`);
+            }
+            if (entity.type === 'item') {
+                if (!entity.itemId) return error(at, `${label} has no itemId`);
+                if (options.items && !options.items.includes(entity.itemId)) {
+                    error(at, `${label} uses unknown item "${entity.itemId}"`);
+                }
+                // Items on a door or chest tile are found inside once it opens
+                if (!isWalkable(data, at.x, at.y) && !isLock(data, at.x, at.y)) {
+                    error(at, `${label} sits on a tile nobody can walk on`);
+                } else if (!canReach(at)) {
+                    error(at, `${label} cannot be reached from playerStart`);
+                } else {
+                    itemCounts[entity.itemId] = (itemCounts[entity.itemId] || 0) + 1;
+                }
+            } else if (entity.type === 'block' || entity.type === 'enemy') {
+                if (entity.type === 'enemy') {
+                    if (!entity.enemyId) return error(at, `${label} has no enemyId`);
+                    if (options.enemies && !options.enemies.includes(entity.enemyId)) {
+                        error(at, `${label} uses unknown enemy "${entity.enemyId}"`);
+                    }
+                    if (entity.axis !== undefined && !ENEMY_AXES.includes(entity.axis)) {
+                        error(at, `${label} must patrol along "x" or "y"`);
+                    }
+                }
+                if (!isWalkable(data, at.x, at.y)) {
+                    error(at, `${label} sits on a tile nobody can walk on`);
+                } else if (entity.type === 'block' && !canReach(at)) {
+                    error(at, `${label} cannot be reached from playerStart`);
+                }
+            } else {
+                if (!Array.isArray(entity.dialog) || entity.dialog.length === 0) {
+                    warn(at, `${label} has nothing to say`);
+                }
+                if (!canReach(at) && !canReachBeside(at)) {
+                    warn(at, `${label} cannot be reached from playerStart`);
+                }
+            }
+        });
+
+        // Gates open once every pressure plate has a block on it
+        const plates = countTiles(data, 'plate');
+        const blocks = data.entities.filter(e => e.type === 'block').length;
+        if (countTiles(data, 'gate') > 0 && plates === 0) {
+            error(null, 'Gates open when blocks cover every pressure plate, but the map has no plates');
+        } else if (plates > blocks) {
+            error(null, `Map has ${plates} pressure plate${plates > 1 ? 's' : ''} but only ${blocks} push block${blocks === 1 ? '' : 's'}`);
+        }
+
+        // The exit only opens once every quest is complete
+        if (data.quests.length === 0) {
+            error(null, 'Map needs at least one quest - the exit opens when all quests are complete');
+        }
+        data.quests.forEach((quest, i) => {
+            const label = quest.title ? `Quest "${quest.title}"` : `Quest ${i + 1}`;
+            if (!quest.id) error(null, `${label} has no id`);
+            if (!QUEST_TYPES.includes(quest.type)) {
+                return error(null, `${label} has unknown type "${quest.type}"`);
+            }
+            if (!Number.isInteger(quest.amount) || quest.amount < 1) {
+                return error(null, `${label} needs an amount of at least 1`);
+            }
+            const available = itemCounts[quest.target] || 0;
+            if (available < quest.amount) {
+                error(null, `${label} needs ${quest.amount} ${quest.target} but only ${available} can be reached`);
+            }
+        });
+
+        return { valid: errors.length === 0, errors, warnings, reachable };
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+
+    return {
+        FORMAT,
+        VERSION,
+        TILE_TYPES,
+        LOCK_KEY,
+        createBlank,
+        resize,
+        getTileId,
+        normalize,
+        parse,
+        serialize,
+        isLock,
+        canOpenGates,
+        canPushBlock,
+        findReachable,
+        validate
+    };
+})();
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+    window.MapFormat = MapFormat;
+}
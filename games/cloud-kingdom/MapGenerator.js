@@ -0,0 +1,503 @@
+/**
+ * MapGenerator.js - Seeded Island Generator for Cloud Kingdom
+ *
+ * Builds a MapFormat map from a seed and a difficulty level:
+ *   - a cloud island carved by a random walk, sized by DIFFICULTY_SETTINGS.mapSize
+ *   - trees, water and flowers that never cut the island in two
+ *   - locked vaults (door + room) and chests that need a golden_key,
+ *     counted by the level's puzzle tier
+ *   - gated vaults that open when a push block reaches a pressure plate
+ *   - gems, keys and candy, with collect quests for QuestManager
+ *   - patrolling or chasing enemies when DIFFICULTY_SETTINGS.enemies is set
+ *
+ * The same seed and level always give the same map, so kids can share a
+ * seed like "PANDA42" and explore the same island.
+ *
+ * @version 1.0.0
+ */
+
+const MapGenerator = (function() {
+    'use strict';
+
+    const SEED_LENGTH = 12;
+    const ID_PATTERN = /^seed_(\d)_([A-Z0-9]+)$/;
+
+    // Legend numbers used by every generated map
+    const TILE = { void: 0, cloud: 1, tree: 2, flower: 3, water: 4, door: 5, chest: 6, plate: 7, gate: 8 };
+
+    // Locks and block-puzzle gates per DIFFICULTY_SETTINGS puzzle tier
+    const PUZZLE_LOCKS = {
+        false: { doors: 0, chests: 0, gates: 0 },
+        simple: { doors: 1, chests: 0, gates: 0 },
+        moderate: { doors: 1, chests: 1, gates: 0 },
+        complex: { doors: 2, chests: 1, gates: 1 },
+        advanced: { doors: 3, chests: 2, gates: 1 }
+    };
+
+    // KINGDOM_CONFIG.ENEMIES ids per DIFFICULTY_SETTINGS enemies setting
+    const ENEMY_KINDS = {
+        passive: { patrol: ['rain_cloud', 'candy_crow'], chase: [] },
+        active: { patrol: ['rain_cloud', 'candy_crow'], chase: ['thunder_cloud'] }
+    };
+    const ENEMY_SAFE_DISTANCE = 4;  // no enemy starts this close to playerStart
+
+    const ISLAND_COVERAGE = 0.45;   // share of the inner grid carved into cloud
+    const OBSTACLE_RATE = 0.12;     // trees and water per island tile
+    const FLOWER_RATE = 0.08;
+
+    const SEED_WORDS = ['CLOUD', 'PANDA', 'STAR', 'MOCHA', 'CANDY', 'SKY', 'BUNNY', 'RAIN', 'MOON', 'PUFF'];
+    const NAME_PARTS = [
+        ['Misty', 'Sunny', 'Fluffy', 'Twinkle', 'Sleepy', 'Rainbow', 'Sugar', 'Breezy'],
+        ['Isle', 'Meadow', 'Heights', 'Hollow', 'Garden', 'Bay', 'Peaks', 'Lagoon']
+    ];
+
+    const SPRITES = { gem: '💎', golden_key: '🗝️', candy: '🍬' };
+    const STEPS = [[0, -1], [0, 1], [-1, 0], [1, 0]];
+
+    // ==========================================
+    // SEEDS
+    // ==========================================
+
+    /**
+     * Tidy a typed seed: capitals and digits only
+     * @param {string} text - Seed as typed
+     * @returns {string} Seed, or '' if nothing usable was typed
+     */
+    function normalizeSeed(text) {
+        return String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, SEED_LENGTH);
+    }
+
+    /**
+     * A fresh easy-to-share seed, like "PANDA42"
+     * @returns {string} Seed
+     */
+    function randomSeed() {
+        const word = SEED_WORDS[Math.floor(Math.random() * SEED_WORDS.length)];
+        return `${word}${Math.floor(Math.random() * 90) + 10}`;
+    }
+
+    function makeId(level, seed) {
+        return `seed_${level}_${normalizeSeed(seed)}`;
+    }
+
+    /**
+     * Read the level and seed back out of a generated map id
+     * @param {string} id - Map id
+     * @returns {{level: number, seed: string}|null}
+     */
+    function parseId(id) {
+        const match = ID_PATTERN.exec(String(id));
+        return match ? { level: Number(match[1]), seed: match[2] } : null;
+    }
+
+    /**
+     * Seeded random numbers (mulberry32 over a string hash)
+     * @param {string} seed - Seed
+     * @returns {function(): number} Returns numbers in [0, 1)
+     */
+    function createRng(seed) {
+        let h = 1779033703 ^ seed.length;
+        for (let i = 0; i < seed.length; i++) {
+            h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+            h = (h << 13) | (h >>> 19);
+        }
+        let state = h >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // ==========================================
+    // GRID HELPERS
+    // ==========================================
+
+    function pick(rng, list) {
+        return list[Math.floor(rng() * list.length)];
+    }
+
+    function shuffle(rng, list) {
+        const copy = [...list];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(rng() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
+    function isOpen(tiles, x, y) {
+        const tile = tiles[y]?.[x];
+        return tile === TILE.cloud || tile === TILE.flower || tile === TILE.plate;
+    }
+
+    /**
+     * Walkable tiles connected to a point, with their walking distance
+     * @returns {Map<string, number>} "x,y" -> steps
+     */
+    function flood(tiles, start) {
+        const dist = new Map([[`${start.x},${start.y}`, 0]]);
+        const queue = [[start.x, start.y]];
+        while (queue.length > 0) {
+            const [x, y] = queue.shift();
+            STEPS.forEach(([dx, dy]) => {
+                const key = `${x + dx},${y + dy}`;
+                if (!dist.has(key) && isOpen(tiles, x + dx, y + dy)) {
+                    dist.set(key, dist.get(`${x},${y}`) + 1);
+                    queue.push([x + dx, y + dy]);
+                }
+            });
+        }
+        return dist;
+    }
+
+    function toPoint(key) {
+        const [x, y] = key.split(',').map(Number);
+        return { x, y };
+    }
+
+    // ==========================================
+    // GENERATION STEPS
+    // ==========================================
+
+    /** Random walk from the centre until enough of the inner grid is cloud */
+    function carveIsland(rng, tiles, size, start) {
+        const target = Math.floor((size - 2) * (size - 2) * ISLAND_COVERAGE);
+        let { x, y } = start;
+        let carved = 0;
+        while (carved < target) {
+            if (tiles[y][x] === TILE.void) {
+                tiles[y][x] = TILE.cloud;
+                carved++;
+            }
+            const [dx, dy] = pick(rng, STEPS);
+            x = Math.min(size - 2, Math.max(1, x + dx));
+            y = Math.min(size - 2, Math.max(1, y + dy));
+        }
+    }
+
+    /** Trees and water, skipped wherever they would cut off part of the island */
+    function scatterObstacles(rng, tiles, start) {
+        const cells = shuffle(rng, [...flood(tiles, start).keys()]);
+        let budget = Math.floor(cells.length * OBSTACLE_RATE);
+        let open = cells.length;
+        for (const key of cells) {
+            if (budget === 0) break;
+            const { x, y } = toPoint(key);
+            if (x === start.x && y === start.y) continue;
+            tiles[y][x] = rng() < 0.6 ? TILE.tree : TILE.water;
+            if (flood(tiles, start).size === open - 1) {
+                open--;
+                budget--;
+            } else {
+                tiles[y][x] = TILE.cloud;
+            }
+        }
+        cells.forEach(key => {
+            const { x, y } = toPoint(key);
+            if (tiles[y][x] === TILE.cloud && rng() < FLOWER_RATE) tiles[y][x] = TILE.flower;
+        });
+    }
+
+    /**
+     * A door (or gate) on the island's edge with a small room behind it. The
+     * room only touches void, so the door is the one way in.
+     * @returns {{door: {x, y}, cells: Array<{x, y}>}|null}
+     */
+    function buildVault(rng, tiles, size, reserved, lockTile = TILE.door) {
+        const shapes = [[2, 2], [2, 1], [1, 1]];
+        const edges = [];
+        for (let y = 1; y < size - 1; y++) {
+            for (let x = 1; x < size - 1; x++) {
+                if (!isOpen(tiles, x, y) || reserved.has(`${x},${y}`)) continue;
+                STEPS.forEach(([dx, dy]) => {
+                    if (tiles[y + dy]?.[x + dx] === TILE.void) edges.push({ x, y, dx, dy });
+                });
+            }
+        }
+
+        for (const [depth, width] of shapes) {
+            for (const { x, y, dx, dy } of shuffle(rng, edges)) {
+                const door = { x: x + dx, y: y + dy };
+                const cells = [];
+                for (let d = 1; d <= depth; d++) {
+                    for (let w = 0; w < width; w++) {
+                        // Rooms grow straight out from the door, then sideways
+                        cells.push({ x: door.x + dx * d + Math.abs(dy) * w, y: door.y + dy * d + Math.abs(dx) * w });
+                    }
+                }
+                const roomKeys = new Set(cells.map(c => `${c.x},${c.y}`));
+                const fits = cells.every(c =>
+                    c.x >= 1 && c.y >= 1 && c.x <= size - 2 && c.y <= size - 2 &&
+                    tiles[c.y][c.x] === TILE.void &&
+                    STEPS.every(([sx, sy]) => {
+                        const nx = c.x + sx;
+                        const ny = c.y + sy;
+                        const key = `${nx},${ny}`;
+                        return roomKeys.has(key) || (nx === door.x && ny === door.y) || tiles[ny]?.[nx] === TILE.void;
+                    })
+                );
+                if (!fits) continue;
+
+                tiles[door.y][door.x] = lockTile;
+                cells.forEach(c => { tiles[c.y][c.x] = TILE.cloud; });
+                reserved.add(`${x},${y}`);
+                cells.forEach(c => reserved.add(`${c.x},${c.y}`));
+                return { door, cells };
+            }
+        }
+        return null;
+    }
+
+    /** A chest on an island tile that doesn't cut anything off or block a door */
+    function placeChest(rng, tiles, start, reserved, free) {
+        const open = flood(tiles, start).size;
+        for (const key of shuffle(rng, free())) {
+            const { x, y } = toPoint(key);
+            const besideDoor = STEPS.some(([dx, dy]) => [TILE.door, TILE.gate].includes(tiles[y + dy]?.[x + dx]));
+            if (besideDoor) continue;
+            tiles[y][x] = TILE.chest;
+            if (flood(tiles, start).size === open - 1) {
+                reserved.add(key);
+                return { x, y };
+            }
+            tiles[y][x] = TILE.cloud;
+        }
+        return null;
+    }
+
+    /**
+     * Four island tiles in a straight line: where the player stands, the
+     * block, a gap and the pressure plate, so two pushes solve it. None of
+     * the tiles the block passes over may cut the island in two.
+     * @returns {{block: {x, y}, plate: {x, y}}|null}
+     */
+    function placeBlockPuzzle(rng, tiles, start, reserved, free) {
+        const open = flood(tiles, start).size;
+        const spots = new Set(free());
+        const cutsIsland = ({ x, y }) => {
+            const tile = tiles[y][x];
+            tiles[y][x] = TILE.tree;
+            const cut = flood(tiles, start).size !== open - 1;
+            tiles[y][x] = tile;
+            return cut;
+        };
+
+        for (const key of shuffle(rng, [...spots])) {
+            const { x, y } = toPoint(key);
+            for (const [dx, dy] of shuffle(rng, STEPS)) {
+                const line = [0, 1, 2, 3].map(i => ({ x: x + dx * i, y: y + dy * i }));
+                if (!line.every(c => spots.has(`${c.x},${c.y}`))) continue;
+                if (line.slice(1).some(cutsIsland)) continue;
+
+                const plate = line[3];
+                tiles[plate.y][plate.x] = TILE.plate;
+                line.forEach(c => reserved.add(`${c.x},${c.y}`));
+                return { block: line[1], plate };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Add enemies to a map for a DIFFICULTY_SETTINGS enemies setting. They
+     * start on free tiles away from playerStart and patrol along whichever
+     * axis gives them the longest walk. Works on any map, so hand-built areas
+     * can get the level's enemies too.
+     * @param {Object} map - MapFormat map
+     * @param {Object} options
+     * @param {string} options.seed - Seed for placing them
+     * @param {string|false} options.enemies - 'passive' or 'active'
+     * @returns {Object} New map with enemy entities added
+     */
+    function addEnemies(map, { seed, enemies }) {
+        const data = MapFormat.normalize(map);
+        const kinds = ENEMY_KINDS[enemies];
+        if (!kinds || !data.playerStart) return data;
+
+        const rng = createRng(`${seed}:enemies`);
+        const size = Math.max(data.width, data.height);
+        const roster = [
+            ...Array.from({ length: Math.max(1, Math.floor(size / 10)) }, (_, i) => kinds.patrol[i % kinds.patrol.length]),
+            ...(kinds.chase.length > 0 ? Array.from({ length: Math.max(1, Math.floor(size / 20)) }, (_, i) => kinds.chase[i % kinds.chase.length]) : [])
+        ];
+
+        const walkable = (x, y) => !!MapFormat.TILE_TYPES[data.tileTypes[data.tiles[y]?.[x]]]?.walkable;
+        const start = data.playerStart;
+        const exitKey = data.exitPoint ? `${data.exitPoint.x},${data.exitPoint.y}` : '';
+        const used = new Set(data.entities.map(e => `${e.x},${e.y}`));
+        const spots = [...MapFormat.findReachable(data, start)].filter(key => {
+            const { x, y } = toPoint(key);
+            return walkable(x, y) && !used.has(key) && key !== exitKey &&
+                data.tileTypes[data.tiles[y][x]] !== 'plate' &&
+                Math.abs(x - start.x) + Math.abs(y - start.y) >= ENEMY_SAFE_DISTANCE;
+        }).sort();
+
+        const run = (x, y, dx, dy) => {
+            let length = 0;
+            for (let i = -1; i <= 1; i += 2) {
+                let step = 1;
+                while (walkable(x + dx * i * step, y + dy * i * step)) step++;
+                length += step - 1;
+            }
+            return length;
+        };
+
+        roster.forEach((enemyId, i) => {
+            if (spots.length === 0) return;
+            const { x, y } = toPoint(spots.splice(Math.floor(rng() * spots.length), 1)[0]);
+            const across = run(x, y, 1, 0);
+            const down = run(x, y, 0, 1);
+            const axis = across === down ? pick(rng, ['x', 'y']) : (across > down ? 'x' : 'y');
+            data.entities.push({ id: `enemy_${i + 1}`, type: 'enemy', enemyId, x, y, axis });
+        });
+        return data;
+    }
+
+    // ==========================================
+    // GENERATE
+    // ==========================================
+
+    /**
+     * Build an island
+     * @param {Object} options
+     * @param {string} options.seed - Seed (normalized with normalizeSeed)
+     * @param {number} options.level - Difficulty level, 1-7
+     * @param {number} options.size - DIFFICULTY_SETTINGS[level].mapSize
+     * @param {string|false} options.puzzles - DIFFICULTY_SETTINGS[level].puzzles
+     * @param {string|false} [options.enemies] - DIFFICULTY_SETTINGS[level].enemies
+     * @returns {Object} MapFormat map
+     */
+    function generate({ seed, level, size, puzzles, enemies = false }) {
+        const cleanSeed = normalizeSeed(seed) || 'CLOUD';
+        const rng = createRng(`${cleanSeed}:${level}`);
+        const locks = PUZZLE_LOCKS[puzzles] || PUZZLE_LOCKS.false;
+
+        const tiles = Array.from({ length: size }, () => Array(size).fill(TILE.void));
+        const start = { x: Math.floor(size / 2), y: Math.floor(size / 2) };
+        carveIsland(rng, tiles, size, start);
+        scatterObstacles(rng, tiles, start);
+
+        // The exit goes on the island tile furthest from the start
+        const distances = flood(tiles, start);
+        let exitKey = `${start.x},${start.y}`;
+        distances.forEach((steps, key) => {
+            if (steps > distances.get(exitKey)) exitKey = key;
+        });
+        const exit = toPoint(exitKey);
+
+        const reserved = new Set([`${start.x},${start.y}`, exitKey]);
+        const entities = [];
+        const taken = () => new Set(entities.map(e => `${e.x},${e.y}`));
+        const free = () => {
+            const used = taken();
+            return [...flood(tiles, start).keys()].filter(key => !reserved.has(key) && !used.has(key)).sort();
+        };
+        const counts = { gem: 0, golden_key: 0, candy: 0 };
+        const addItem = (itemId, { x, y }) => {
+            counts[itemId]++;
+            entities.push({ id: `${itemId}_${counts[itemId]}`, type: 'item', itemId, x, y, sprite: SPRITES[itemId] });
+        };
+
+        // Locked places, in the order a player will open them
+        const vaults = [];
+        for (let i = 0; i < locks.doors; i++) {
+            const vault = buildVault(rng, tiles, size, reserved);
+            if (vault) vaults.push(vault);
+        }
+        const gates = [];
+        for (let i = 0; i < locks.gates; i++) {
+            const puzzle = placeBlockPuzzle(rng, tiles, start, reserved, free);
+            if (!puzzle) break;
+            const vault = buildVault(rng, tiles, size, reserved, TILE.gate);
+            if (!vault) {
+                tiles[puzzle.plate.y][puzzle.plate.x] = TILE.cloud;
+                break;
+            }
+            entities.push({ id: `block_${i + 1}`, type: 'block', x: puzzle.block.x, y: puzzle.block.y, sprite: '🪨' });
+            gates.push(vault);
+        }
+        const chests = [];
+        for (let i = 0; i < locks.chests; i++) {
+            const chest = placeChest(rng, tiles, start, reserved, free);
+            if (chest) chests.push(chest);
+        }
+        // Treasure behind every lock
+        [...vaults, ...gates].forEach(vault => vault.cells.forEach(cell => addItem('gem', cell)));
+        chests.forEach(chest => addItem('gem', chest));
+
+        // One key per lock, all out on the island. Keys fit any lock, so a
+        // key hidden behind another lock could be spent in the wrong order.
+        for (let i = 0; i < vaults.length + chests.length; i++) {
+            const spot = pick(rng, free());
+            if (spot) addItem('golden_key', toPoint(spot));
+        }
+
+        const gemTarget = Math.max(3, Math.round(size / 2));
+        while (counts.gem < gemTarget && free().length > 0) addItem('gem', toPoint(pick(rng, free())));
+        const candyTarget = Math.floor(size / 8);
+        while (counts.candy < candyTarget && free().length > 0) addItem('candy', toPoint(pick(rng, free())));
+
+        const name = `${pick(rng, NAME_PARTS[0])} ${pick(rng, NAME_PARTS[1])}`;
+        const guide = STEPS.map(([dx, dy]) => ({ x: start.x + dx, y: start.y + dy }))
+            .find(p => isOpen(tiles, p.x, p.y) && !taken().has(`${p.x},${p.y}`) && `${p.x},${p.y}` !== exitKey);
+        if (guide) {
+            entities.push({
+                id: 'npc_guide', type: 'npc', x: guide.x, y: guide.y, sprite: '🐕', name: 'Mocha',
+                dialog: [
+                    `Welcome to ${name}! ☁️`,
+                    counts.golden_key > 0 ? 'Golden keys 🗝️ open doors and chests!' : 'Collect every gem you can find! 💎',
+                    gates.length > 0 ? 'Push the rock 🪨 onto the plate 🔘 to open the gate 🚧!' : null,
+                    enemies ? 'Watch out for the storm clouds and the candy crow! 🌧️' : null,
+                    `This island's seed is ${cleanSeed} - share it with a friend!`
+                ].filter(Boolean)
+            });
+        }
+
+        const quests = [
+            { id: 'collect_gems', title: 'Gem Collector', desc: `Collect ${counts.gem} gems`, type: 'collect', target: 'gem', amount: counts.gem }
+        ];
+        if (counts.golden_key > 0) {
+            quests.push({ id: 'collect_keys', title: 'Key Keeper', desc: `Find ${counts.golden_key} golden key${counts.golden_key > 1 ? 's' : ''}`, type: 'collect', target: 'golden_key', amount: counts.golden_key });
+        }
+        if (counts.candy > 0) {
+            quests.push({ id: 'collect_candy', title: 'Sweet Tooth', desc: `Collect ${counts.candy} cloud candy`, type: 'collect', target: 'candy', amount: counts.candy });
+        }
+
+        const map = MapFormat.normalize({
+            id: makeId(level, cleanSeed),
+            name: `${name} (${cleanSeed})`,
+            width: size,
+            height: size,
+            tileTypes: Object.fromEntries(Object.entries(TILE).map(([typeName, id]) => [id, typeName])),
+            tiles,
+            entities,
+            playerStart: start,
+            quests,
+            exitPoint: { ...exit, nextMap: null }
+        });
+        return enemies ? addEnemies(map, { seed: `${cleanSeed}:${level}`, enemies }) : map;
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+
+    return {
+        PUZZLE_LOCKS,
+        normalizeSeed,
+        randomSeed,
+        makeId,
+        parseId,
+        createRng,
+        addEnemies,
+        generate
+    };
+})();
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+    window.MapGenerator = MapGenerator;
+}
@@ -7,6 +7,8 @@ export const KINGDOM_CONFIG = Object.freeze({
   VIEWPORT_TILES_X: 10,
   VIEWPORT_TILES_Y: 8,
   PLAYER_MOVE_SPEED: 150, // ms per tile
+  MAX_HEARTS: 3,
+  HIT_COOLDOWN: 1500, // ms the player is safe after being hit
   
   DIFFICULTY_SETTINGS: {
     1: { mapSize: 8, puzzles: false, enemies: false, timeLimit: null },
@@ -26,9 +28,21 @@ export const KINGDOM_CONFIG = Object.freeze({
     map_scroll: { name: 'Map Fragment', icon: '📜', stackable: false }
   },
   
-  LEADERBOARD_KEY: 'cloudKingdomLeaderboard'
+  // behavior: 'patrol' walks back and forth, 'chase' follows the player
+  // within `sight` tiles. takes: 'heart', or 'item' to steal one of
+  // STEALABLE_ITEMS (a heart if there is nothing to steal). speed: ms per step
+  ENEMIES: {
+    rain_cloud: { name: 'Rain Cloud', sprite: '🌧️', behavior: 'patrol', takes: 'heart', speed: 700 },
+    candy_crow: { name: 'Candy Crow', sprite: '🐦', behavior: 'patrol', takes: 'item', speed: 500 },
+    thunder_cloud: { name: 'Thunder Cloud', sprite: '⛈️', behavior: 'chase', takes: 'heart', speed: 450, sight: 5 }
+  },
+  STEALABLE_ITEMS: ['candy', 'flower', 'gem'], // golden keys are never stolen
+  
+  LEADERBOARD_KEY: 'cloudKingdomLeaderboard',
+  MAPS_KEY: 'cloudKingdomMaps'
 });
 
+// Mirrors MapFormat.TILE_TYPES
 export const TILE_TYPES = {
   void: { walkable: false, sprite: '░', color: '#000' },
   cloud: { walkable: true, sprite: '☁️', color: '#fff' },
@@ -36,7 +50,9 @@ export const TILE_TYPES = {
   flower: { walkable: true, sprite: '🌸', color: '#ffb7c5' },
   water: { walkable: false, sprite: '🌊', color: '#4169e1' },
   door: { walkable: false, sprite: '🚪', interactive: true },
-  chest: { walkable: false, sprite: '📦', interactive: true }
+  chest: { walkable: false, sprite: '📦', interactive: true },
+  plate: { walkable: true, sprite: '🔘', color: '#e2e8f0' },
+  gate: { walkable: false, sprite: '🚧', color: '#f6e05e' }
 };
 
 export function getDifficultyFromAge(age) {
@@ -2,6 +2,8 @@
  * Cinnamoroll's Dream Journal - Main Game Logic
  * A creative writing game with prompts and streak tracking
  * 
+ * Needs JournalGallery.js, WritingFeedback.js and PromptPacks.js loaded first.
+ * 
  * @version 1.0.0
  */
 
@@ -33,6 +35,36 @@ const JOURNAL_CONFIG = Object.freeze({
     5000: { id: 'words_5000', name: 'Author', icon: '📚' }
   },
   
+  // Writing feedback targets per difficulty (see WritingFeedback.js):
+  // sentences, variety (0-1), times a word may appear, prompt keywords to use
+  FEEDBACK_SETTINGS: {
+    1: { sentences: 1, variety: 0.5, maxRepeats: 3, keywords: 1 },
+    2: { sentences: 2, variety: 0.6, maxRepeats: 3, keywords: 1 },
+    3: { sentences: 3, variety: 0.7, maxRepeats: 3, keywords: 1 },
+    4: { sentences: 4, variety: 0.75, maxRepeats: 4, keywords: 2 },
+    5: { sentences: 6, variety: 0.8, maxRepeats: 5, keywords: 2 },
+    6: { sentences: 9, variety: 0.82, maxRepeats: 6, keywords: 2 },
+    7: { sentences: 15, variety: 0.85, maxRepeats: 8, keywords: 3 }
+  },
+  
+  // Earned by passing a writing check (or using a story starter)
+  WRITING_BADGES: {
+    sentences: { id: 'write_sentences', name: 'Sentence Builder', icon: '🧱' },
+    variety: { id: 'write_variety', name: 'Word Explorer', icon: '🌈' },
+    repetition: { id: 'write_fresh', name: 'Fresh Words', icon: '🍃' },
+    prompt: { id: 'write_on_topic', name: 'On Topic', icon: '🎯' },
+    starter: { id: 'write_starter', name: 'Great Beginning', icon: '🚪' }
+  },
+  
+  SCORE_HISTORY: 30,  // writing scores kept for Career Clouds
+  
+  // Prompts
+  REROLLS_PER_DAY: 2,
+  WEEKLY_THEMES: ['imagination', 'feelings', 'adventures', 'dreams', 'kindness'],  // in turn, week by week
+  PACKS_KEY: 'dreamJournalPromptPacks',
+  PROMPT_STATE_KEY: 'dreamJournalPromptState',
+  MAX_PACK_BYTES: 1024 * 1024,
+  
   LEADERBOARD_KEY: 'dreamJournalLeaderboard'
 });
 
@@ -44,6 +76,16 @@ const PROMPT_CATEGORIES = [
   { id: 'kindness', name: 'Kindness', icon: '🤗' }
 ];
 
+const MOODS = [
+  { id: 'happy', name: 'Happy', icon: '😊' },
+  { id: 'excited', name: 'Excited', icon: '🤩' },
+  { id: 'calm', name: 'Calm', icon: '😌' },
+  { id: 'silly', name: 'Silly', icon: '🤪' },
+  { id: 'sad', name: 'Sad', icon: '😢' },
+  { id: 'worried', name: 'Worried', icon: '😟' },
+  { id: 'sleepy', name: 'Sleepy', icon: '😴' }
+];
+
 function getDifficultyFromAge(age) {
   if (age <= 7) return 1;
   if (age <= 9) return 2;
@@ -99,14 +141,38 @@ const WRITING_PROMPTS = {
     ]
 };
 
-const STORY_STARTERS = [
-    "Once upon a time...",
-    "One sunny morning...",
-    "In a magical place...",
-    "I remember when...",
-    "Cinnamoroll discovered...",
-    "The adventure began when..."
-];
+// Starters matched to the prompt's category; "general" ones fill any gaps
+const STORY_STARTERS = {
+    imagination: [
+        "In a magical place...",
+        "Cinnamoroll discovered...",
+        "What if one day..."
+    ],
+    feelings: [
+        "I remember when...",
+        "I feel happy when...",
+        "It made me smile because..."
+    ],
+    adventures: [
+        "The adventure began when...",
+        "We packed our bags and...",
+        "Over the hill, we saw..."
+    ],
+    dreams: [
+        "Last night I dreamed...",
+        "Someday I will...",
+        "In my perfect world..."
+    ],
+    kindness: [
+        "One kind thing I did was...",
+        "My friend needed help, so...",
+        "To make someone smile, I..."
+    ],
+    general: [
+        "Once upon a time...",
+        "One sunny morning..."
+    ]
+};
 
 const ENCOURAGEMENTS = [
     "Wonderful imagination! 🌟",
@@ -211,26 +277,22 @@ class StreakTracker {
      * @returns {Object} Streak data
      */
     load() {
+        const defaults = {
+            currentStreak: 0,
+            longestStreak: 0,
+            lastEntryDate: null,
+            totalEntries: 0,
+            totalWords: 0,
+            badges: [],
+            days: {},       // "YYYY-MM-DD" -> { entries, words }, for the calendar
+            scores: []      // recent writing feedback scores, read by Career Clouds
+        };
         try {
             const stored = localStorage.getItem(this.storageKey);
-            return stored ? JSON.parse(stored) : {
-                currentStreak: 0,
-                longestStreak: 0,
-                lastEntryDate: null,
-                totalEntries: 0,
-                totalWords: 0,
-                badges: []
-            };
+            return stored ? { ...defaults, ...JSON.parse(stored) } : defaults;
         } catch (e) {
             console.warn('Could not load streak data:', e);
-            return {
-                currentStreak: 0,
-                longestStreak: 0,
-                lastEntryDate: null,
-                totalEntries: 0,
-                totalWords: 0,
-                badges: []
-            };
+            return defaults;
         }
     }
     
@@ -248,9 +310,10 @@ class StreakTracker {
     /**
      * Records a new entry and updates streak
      * @param {number} wordCount - Number of words written
+     * @param {Object} [feedback] - WritingFeedback.analyze() result for the entry
      * @returns {Object} Result with streak info and any new badges
      */
-    recordEntry(wordCount = 0) {
+    recordEntry(wordCount = 0, feedback = null) {
         const today = DateUtils.getTodayKey();
         const newBadges = [];
         
@@ -280,8 +343,10 @@ class StreakTracker {
             this.data.longestStreak = this.data.currentStreak;
         }
         
-        // Update last entry date
+        // Update last entry date and the calendar
         this.data.lastEntryDate = today;
+        const day = this.data.days[today] || { entries: 0, words: 0 };
+        this.data.days[today] = { entries: day.entries + 1, words: day.words + wordCount };
         
         // Check for new streak badges
         for (const [days, badge] of Object.entries(JOURNAL_CONFIG.STREAK_BADGES)) {
@@ -299,6 +364,20 @@ class StreakTracker {
             }
         }
         
+        // Writing feedback: keep the score and check for writing badges
+        if (feedback) {
+            this.data.scores.push({ score: feedback.score, date: today });
+            this.data.scores = this.data.scores.slice(-JOURNAL_CONFIG.SCORE_HISTORY);
+            
+            for (const [check, badge] of Object.entries(JOURNAL_CONFIG.WRITING_BADGES)) {
+                const passed = check === 'starter' ? !!feedback.starterUsed : feedback.checks[check];
+                if (passed && !this.data.badges.includes(badge.id)) {
+                    this.data.badges.push(badge.id);
+                    newBadges.push(badge);
+                }
+            }
+        }
+        
         this.save();
         
         return {
@@ -322,79 +401,334 @@ class StreakTracker {
             badges: this.data.badges
         };
     }
+    
+    /**
+     * Gets the writing calendar
+     * @returns {Object} Days written: { "YYYY-MM-DD": { entries, words } }
+     */
+    getDays() {
+        return this.data.days;
+    }
+    
+    /**
+     * Fills in calendar days from saved entries - the calendar only started
+     * with this version, so older writing days come from the journal itself
+     * @param {Array} entries - Journal entries
+     */
+    syncDays(entries) {
+        const found = {};
+        entries.forEach(entry => {
+            if (!entry.date || this.data.days[entry.date]) return;
+            const day = found[entry.date] || { entries: 0, words: 0 };
+            found[entry.date] = { entries: day.entries + 1, words: day.words + (entry.wordCount || 0) };
+        });
+        
+        if (Object.keys(found).length > 0) {
+            Object.assign(this.data.days, found);
+            this.save();
+        }
+    }
 }
 
 // ==================== Writing Prompt Engine ====================
+/**
+ * Picks the day's prompt from the built-in prompts and any enabled prompt
+ * packs, preferring this week's theme. Prompt packs and today's rerolls
+ * are kept in localStorage.
+ */
 class WritingPromptEngine {
-    constructor() {
-        this.prompts = WRITING_PROMPTS;
-        this.usedToday = null;
+    constructor(packsKey = JOURNAL_CONFIG.PACKS_KEY, stateKey = JOURNAL_CONFIG.PROMPT_STATE_KEY) {
+        this.packsKey = packsKey;
+        this.stateKey = stateKey;
+        this.packs = this.loadPacks();
     }
     
+    // ---------- Prompt packs ----------
+    
     /**
-     * Gets the daily prompt based on difficulty
-     * @param {number} difficulty - Difficulty level (1-7)
-     * @returns {Object} Prompt object
+     * Loads imported prompt packs
+     * @returns {Array} Packs, each with an enabled flag
      */
-    getDailyPrompt(difficulty) {
-        const today = DateUtils.getTodayKey();
-        
-        // Return same prompt all day
-        if (this.usedToday?.date === today && this.usedToday?.difficulty === difficulty) {
-            return this.usedToday.prompt;
+    loadPacks() {
+        try {
+            const stored = localStorage.getItem(this.packsKey);
+            return stored ? JSON.parse(stored) : [];
+        } catch (e) {
+            console.warn('Could not load prompt packs:', e);
+            return [];
         }
-        
-        // Collect all prompts for this difficulty level
-        const availablePrompts = [];
-        for (const [category, prompts] of Object.entries(this.prompts)) {
-            const filtered = prompts.filter(p => p.difficulty <= difficulty);
-            filtered.forEach(p => availablePrompts.push({ ...p, category }));
+    }
+    
+    /**
+     * Saves prompt packs
+     * @returns {{success: boolean, error: string|null}}
+     */
+    savePacks() {
+        try {
+            localStorage.setItem(this.packsKey, JSON.stringify(this.packs));
+            return { success: true, error: null };
+        } catch (e) {
+            console.warn('Could not save prompt packs:', e);
+            return { success: false, error: 'There is no room to save this pack' };
         }
+    }
+    
+    /**
+     * Gets imported prompt packs
+     * @returns {Array} Packs
+     */
+    getPacks() {
+        return this.packs;
+    }
+    
+    /**
+     * Adds a prompt pack (a pack with the same id is replaced)
+     * @param {*} data - Parsed pack JSON
+     * @returns {{success: boolean, pack: Object|null, error: string|null}}
+     */
+    importPack(data) {
+        const check = PromptPacks.validatePack(data, { categories: PROMPT_CATEGORIES });
+        if (!check.valid) return { success: false, pack: null, error: check.error };
         
-        if (availablePrompts.length === 0) {
-            return {
-                text: "Write about anything you want!",
-                category: "free",
-                difficulty: 1
-            };
-        }
+        const previous = this.packs;
+        const pack = { ...check.pack, enabled: true };
+        this.packs = [...previous.filter(p => p.id !== pack.id), pack];
         
-        // Generate deterministic prompt based on date
-        const seed = DateUtils.dateToSeed(today + difficulty);
-        const index = seed % availablePrompts.length;
+        const saved = this.savePacks();
+        if (!saved.success) {
+            this.packs = previous;
+            return { success: false, pack: null, error: saved.error };
+        }
+        return { success: true, pack, error: null };
+    }
+    
+    /**
+     * Turns a pack's prompts on or off
+     * @param {string} packId - Pack id
+     * @param {boolean} enabled - Whether its prompts can be picked
+     */
+    setPackEnabled(packId, enabled) {
+        const pack = this.packs.find(p => p.id === packId);
+        if (!pack) return;
+        pack.enabled = enabled;
+        this.savePacks();
+    }
+    
+    /**
+     * Removes a pack
+     * @param {string} packId - Pack id
+     */
+    deletePack(packId) {
+        this.packs = this.packs.filter(p => p.id !== packId);
+        this.savePacks();
+    }
+    
+    /**
+     * Gets every prompt category - built-in and from packs - for labels
+     * @returns {Array} Categories with id, name and icon
+     */
+    getCategories() {
+        const categories = [...PROMPT_CATEGORIES];
+        this.packs.forEach(pack => pack.categories.forEach(category => {
+            if (!categories.some(c => c.id === category.id)) categories.push(category);
+        }));
+        return categories;
+    }
+    
+    /**
+     * Gets a category by id
+     * @param {string} categoryId - Category id
+     * @returns {Object|null} Category
+     */
+    getCategory(categoryId) {
+        return this.getCategories().find(c => c.id === categoryId) || null;
+    }
+    
+    /**
+     * Gets the prompts that can be picked
+     * @returns {Array} Built-in prompts and prompts from enabled packs
+     */
+    getAllPrompts() {
+        const prompts = [];
+        for (const [category, list] of Object.entries(WRITING_PROMPTS)) {
+            list.forEach(p => prompts.push({ ...p, category }));
+        }
+        this.packs.filter(pack => pack.enabled).forEach(pack => {
+            pack.prompts.forEach(p => prompts.push({ ...p, pack: pack.name }));
+        });
+        return prompts;
+    }
+    
+    // ---------- Themes and daily prompt ----------
+    
+    /**
+     * Gets this week's theme - scheduled by an enabled pack, or the next in turn
+     * @returns {Object} Theme category
+     */
+    getWeeklyTheme() {
+        const schedule = {};
+        this.packs.filter(pack => pack.enabled).forEach(pack => Object.assign(schedule, pack.schedule));
         
-        this.usedToday = {
-            date: today,
+        const themeId = PromptPacks.weeklyTheme(DateUtils.getTodayKey(), {
+            rotation: JOURNAL_CONFIG.WEEKLY_THEMES,
+            schedule
+        });
+        return this.getCategory(themeId) || PROMPT_CATEGORIES[0];
+    }
+    
+    /**
+     * Loads today's reroll count
+     * @returns {Object} { date, rerolls }
+     */
+    loadState() {
+        const today = DateUtils.getTodayKey();
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.stateKey));
+            if (stored?.date === today) return stored;
+        } catch (e) {
+            console.warn('Could not load prompt state:', e);
+        }
+        return { date: today, rerolls: 0 };
+    }
+    
+    /**
+     * Gets the daily prompt based on difficulty
+     * @param {number} difficulty - Difficulty level (1-7)
+     * @returns {Object} Prompt object
+     */
+    getDailyPrompt(difficulty) {
+        // Same prompt all day, until a reroll
+        const prompt = PromptPacks.choosePrompt(this.getAllPrompts(), {
+            dateKey: DateUtils.getTodayKey(),
             difficulty,
-            prompt: availablePrompts[index]
+            theme: this.getWeeklyTheme().id,
+            rerolls: this.loadState().rerolls
+        });
+        
+        return prompt || {
+            text: "Write about anything you want!",
+            category: "free",
+            difficulty: 1
         };
+    }
+    
+    /**
+     * Gets how many rerolls are left today
+     * @returns {number} Rerolls left
+     */
+    getRerollsLeft() {
+        return Math.max(0, JOURNAL_CONFIG.REROLLS_PER_DAY - this.loadState().rerolls);
+    }
+    
+    /**
+     * Swaps today's prompt for another one
+     * @param {number} difficulty - Difficulty level (1-7)
+     * @returns {{success: boolean, prompt: Object|null, error: string|null}}
+     */
+    reroll(difficulty) {
+        if (this.getRerollsLeft() === 0) {
+            return { success: false, prompt: null, error: 'No more new prompts today - try again tomorrow!' };
+        }
         
-        return this.usedToday.prompt;
+        const state = this.loadState();
+        state.rerolls++;
+        try {
+            localStorage.setItem(this.stateKey, JSON.stringify(state));
+        } catch (e) {
+            return { success: false, prompt: null, error: 'Could not save your new prompt' };
+        }
+        return { success: true, prompt: this.getDailyPrompt(difficulty), error: null };
     }
     
     /**
-     * Gets story starters for the current difficulty
+     * Gets story starters for the current difficulty and prompt
      * @param {number} difficulty - Difficulty level
+     * @param {string} category - The prompt's category
      * @returns {Array} Array of starter strings
      */
-    getStarters(difficulty) {
+    getStarters(difficulty, category) {
         // Younger ages get more starters
         const count = difficulty <= 2 ? 4 : difficulty <= 4 ? 3 : 2;
-        return STORY_STARTERS.slice(0, count);
+        
+        const starters = { ...STORY_STARTERS };
+        this.packs.filter(pack => pack.enabled).forEach(pack => {
+            for (const [id, list] of Object.entries(pack.starters)) {
+                starters[id] = [...list, ...(starters[id] || [])];
+            }
+        });
+        return PromptPacks.chooseStarters(starters, category, count);
     }
 }
 
 // ==================== Journal Storage ====================
+/**
+ * Entries are kept in IndexedDB, which has room for years of writing.
+ * Entries from older versions (a localStorage list) are moved over the
+ * first time the database opens. Without IndexedDB, entries stay in the
+ * localStorage list. Drafts always use localStorage.
+ */
 class JournalStorage {
     constructor(storageKey = 'dreamJournalEntries') {
         this.storageKey = storageKey;
+        this.dbName = 'dreamJournal';
+        this.storeName = 'entries';
+        this.dbPromise = null;
     }
     
     /**
-     * Loads all entries from storage
+     * Opens the entries database (once)
+     * @returns {Promise<IDBDatabase|null>} null when IndexedDB can't be used
+     */
+    openDB() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+                try {
+                    const request = indexedDB.open(this.dbName, 1);
+                    request.onupgradeneeded = () => {
+                        const store = request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                        store.createIndex('date', 'date');
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => {
+                        console.warn('Could not open journal database:', request.error);
+                        resolve(null);
+                    };
+                } catch (e) {
+                    // e.g. storage blocked for file:// pages
+                    console.warn('Could not open journal database:', e);
+                    resolve(null);
+                }
+            }).then(db => db && this.moveLegacyEntries(db));
+        }
+        return this.dbPromise;
+    }
+    
+    /**
+     * Runs one request in a transaction on the entries store
+     * @param {IDBDatabase} db - Open database
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Gets the store, returns the request whose result is wanted
+     * @returns {Promise<*>} Resolves with the request's result once the transaction completes
+     */
+    runTransaction(db, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = work(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+    
+    /**
+     * Reads the localStorage entry list used by older versions
      * @returns {Array} Array of entry objects
      */
-    loadEntries() {
+    loadLegacyEntries() {
         try {
             const stored = localStorage.getItem(this.storageKey);
             return stored ? JSON.parse(stored) : [];
@@ -405,19 +739,62 @@ class JournalStorage {
     }
     
     /**
-     * Saves an entry to storage
+     * Moves localStorage entries into the database
+     * @param {IDBDatabase} db - Open database
+     * @returns {Promise<IDBDatabase>} The same database
+     */
+    async moveLegacyEntries(db) {
+        const legacy = this.loadLegacyEntries();
+        if (legacy.length === 0) return db;
+        
+        try {
+            await this.runTransaction(db, 'readwrite', store => {
+                legacy.forEach(entry => store.put(entry));
+            });
+            localStorage.removeItem(this.storageKey);
+        } catch (e) {
+            // Leave them in localStorage and try again next time
+            console.warn('Could not move entries to the journal database:', e);
+        }
+        return db;
+    }
+    
+    /**
+     * Loads all entries, newest first
+     * @returns {Promise<Array>} Array of entry objects
+     */
+    async loadEntries() {
+        const db = await this.openDB();
+        if (!db) return this.loadLegacyEntries();
+        
+        try {
+            const entries = await this.runTransaction(db, 'readonly', store => store.getAll());
+            return entries.sort((a, b) => b.id - a.id);
+        } catch (e) {
+            console.warn('Could not load entries:', e);
+            return [];
+        }
+    }
+    
+    /**
+     * Saves an entry
      * @param {Object} entry - Entry object
+     * @returns {Promise<{success: boolean, error: string|null}>}
      */
-    saveEntry(entry) {
+    async saveEntry(entry) {
+        const db = await this.openDB();
         try {
-            const entries = this.loadEntries();
-            entries.unshift(entry); // Add to beginning
-            
-            // Keep only last 50 entries to save space
-            const trimmed = entries.slice(0, 50);
-            localStorage.setItem(this.storageKey, JSON.stringify(trimmed));
+            if (db) {
+                await this.runTransaction(db, 'readwrite', store => store.put(entry));
+            } else {
+                const entries = this.loadLegacyEntries();
+                entries.unshift(entry); // Add to beginning
+                localStorage.setItem(this.storageKey, JSON.stringify(entries));
+            }
+            return { success: true, error: null };
         } catch (e) {
             console.warn('Could not save entry:', e);
+            return { success: false, error: 'Your entry could not be saved' };
         }
     }
     
@@ -481,8 +858,16 @@ class DreamJournalGame {
         this.difficulty = 1;
         this.isPlaying = false;
         this.currentPrompt = null;
+        this.starters = [];
         this.wordRequirements = { min: 20, max: 100 };
         this.autoSaveTimer = null;
+        this.selectedMood = null;
+        this.isSaving = false;
+        
+        // Gallery state
+        this.galleryEntries = [];
+        this.galleryDate = '';
+        this.expandedEntryId = null;
         
         // Components
         this.promptEngine = new WritingPromptEngine();
@@ -494,7 +879,8 @@ class DreamJournalGame {
             start: document.getElementById('start-screen'),
             game: document.getElementById('game-screen'),
             result: document.getElementById('result-screen'),
-            gallery: document.getElementById('gallery-screen')
+            gallery: document.getElementById('gallery-screen'),
+            packs: document.getElementById('packs-screen')
         };
         
         this.elements = this.initElements();
@@ -516,6 +902,8 @@ class DreamJournalGame {
             ageSelect: getElement('age-select'),
             startBtn: getElement('start-btn'),
             galleryBtn: getElement('gallery-btn'),
+            packsBtn: getElement('packs-btn'),
+            themeDisplay: getElement('theme-display'),
             streakDisplay: getElement('streak-display'),
             entriesDisplay: getElement('entries-display'),
             dateDisplay: getElement('date-display'),
@@ -523,21 +911,30 @@ class DreamJournalGame {
             homeBtn: getElement('home-btn'),
             promptCategory: getElement('prompt-category'),
             promptText: getElement('prompt-text'),
+            weeklyTheme: getElement('weekly-theme'),
+            rerollBtn: getElement('reroll-btn'),
             starterHints: getElement('starter-hints'),
             starterButtons: getElement('starter-buttons'),
             writingInput: getElement('writing-input'),
             currentWords: getElement('current-words'),
+            currentSentences: getElement('current-sentences'),
             targetWords: getElement('target-words'),
             wordProgressBar: getElement('word-progress-bar'),
             saveDraftBtn: getElement('save-draft-btn'),
             submitBtn: getElement('submit-btn'),
             autosaveIndicator: getElement('autosave-indicator'),
+            moodButtons: getElement('mood-buttons'),
+            tagsInput: getElement('tags-input'),
             resultTitle: getElement('result-title'),
             feedbackMessage: getElement('feedback-message'),
             finalWords: getElement('final-words'),
             totalWords: getElement('total-words'),
             currentStreak: getElement('current-streak'),
             badgesEarned: getElement('badges-earned'),
+            writingScore: getElement('writing-score'),
+            writingMetrics: getElement('writing-metrics'),
+            writingBadges: getElement('writing-badges'),
+            writingTips: getElement('writing-tips'),
             starRating: getElement('star-rating'),
             newBadge: getElement('new-badge'),
             badgeDisplay: getElement('badge-display'),
@@ -546,7 +943,20 @@ class DreamJournalGame {
             homeResultBtn: getElement('home-result-btn'),
             closeGalleryBtn: getElement('close-gallery-btn'),
             badgesContainer: getElement('badges-container'),
-            entriesContainer: getElement('entries-container')
+            calendarSummary: getElement('calendar-summary'),
+            heatmap: getElement('heatmap'),
+            gallerySearch: getElement('gallery-search'),
+            galleryCategory: getElement('gallery-category'),
+            clearDayBtn: getElement('clear-day-btn'),
+            exportMdBtn: getElement('export-md-btn'),
+            exportBookletBtn: getElement('export-booklet-btn'),
+            entriesCount: getElement('entries-count'),
+            entriesContainer: getElement('entries-container'),
+            closePacksBtn: getElement('close-packs-btn'),
+            importPackBtn: getElement('import-pack-btn'),
+            packInput: getElement('pack-input'),
+            packStatus: getElement('pack-status'),
+            packsContainer: getElement('packs-container')
         };
     }
     
@@ -555,6 +965,7 @@ class DreamJournalGame {
      */
     init() {
         this.updateStartScreen();
+        this.renderMoodPicker();
         this.setupEventListeners();
     }
     
@@ -565,9 +976,11 @@ class DreamJournalGame {
         // Start screen
         this.elements.startBtn?.addEventListener('click', () => this.startWriting());
         this.elements.galleryBtn?.addEventListener('click', () => this.showGallery());
+        this.elements.packsBtn?.addEventListener('click', () => this.showPacks());
         
         // Game screen
         this.elements.homeBtn?.addEventListener('click', () => this.confirmGoHome());
+        this.elements.rerollBtn?.addEventListener('click', () => this.rerollPrompt());
         this.elements.saveDraftBtn?.addEventListener('click', () => this.saveDraft());
         this.elements.submitBtn?.addEventListener('click', () => this.submitEntry());
         
@@ -580,6 +993,16 @@ class DreamJournalGame {
         
         // Gallery
         this.elements.closeGalleryBtn?.addEventListener('click', () => this.goHome());
+        this.elements.gallerySearch?.addEventListener('input', () => this.renderEntries());
+        this.elements.galleryCategory?.addEventListener('change', () => this.renderEntries());
+        this.elements.clearDayBtn?.addEventListener('click', () => this.filterByDay(''));
+        this.elements.exportMdBtn?.addEventListener('click', () => this.exportMarkdown());
+        this.elements.exportBookletBtn?.addEventListener('click', () => this.printBooklet());
+        
+        // Prompt packs
+        this.elements.closePacksBtn?.addEventListener('click', () => this.goHome());
+        this.elements.importPackBtn?.addEventListener('click', () => this.elements.packInput?.click());
+        this.elements.packInput?.addEventListener('change', () => this.importPackFile());
     }
     
     /**
@@ -607,6 +1030,10 @@ class DreamJournalGame {
         if (this.elements.entriesDisplay) {
             this.elements.entriesDisplay.textContent = stats.totalEntries;
         }
+        if (this.elements.themeDisplay) {
+            const theme = this.promptEngine.getWeeklyTheme();
+            this.elements.themeDisplay.textContent = `🗓️ This week's theme: ${theme.icon} ${theme.name}`;
+        }
     }
     
     /**
@@ -647,19 +1074,18 @@ class DreamJournalGame {
             const stats = this.streakTracker.getStats();
             this.elements.streakIndicator.textContent = `🔥 ${stats.currentStreak} day streak`;
         }
-        if (this.elements.promptCategory) {
-            const category = PROMPT_CATEGORIES.find(c => c.id === this.currentPrompt.category);
-            this.elements.promptCategory.textContent = category ? `${category.icon} ${category.name}` : 'Today\'s Prompt';
-        }
-        if (this.elements.promptText) {
-            this.elements.promptText.textContent = this.currentPrompt.text;
-        }
         if (this.elements.targetWords) {
             this.elements.targetWords.textContent = this.wordRequirements.min;
         }
         
-        // Show starters for younger ages
-        this.renderStarters();
+        // Show the prompt, with starters for younger ages
+        this.showPrompt();
+        
+        // Fresh mood and tags for each entry
+        this.selectMood(null);
+        if (this.elements.tagsInput) {
+            this.elements.tagsInput.value = '';
+        }
         
         // Check for draft
         const draft = this.journalStorage.loadDraft();
@@ -682,13 +1108,54 @@ class DreamJournalGame {
         setTimeout(() => this.elements.writingInput?.focus(), 300);
     }
     
+    /**
+     * Shows the current prompt, this week's theme and the reroll button
+     */
+    showPrompt() {
+        if (this.elements.promptCategory) {
+            const category = this.promptEngine.getCategory(this.currentPrompt.category);
+            this.elements.promptCategory.textContent = category ? `${category.icon} ${category.name}` : 'Today\'s Prompt';
+        }
+        if (this.elements.promptText) {
+            this.elements.promptText.textContent = this.currentPrompt.text;
+        }
+        if (this.elements.weeklyTheme) {
+            const theme = this.promptEngine.getWeeklyTheme();
+            const from = this.currentPrompt.pack ? ` · from ${this.currentPrompt.pack}` : '';
+            this.elements.weeklyTheme.textContent = `This week: ${theme.icon} ${theme.name}${from}`;
+        }
+        if (this.elements.rerollBtn) {
+            const left = this.promptEngine.getRerollsLeft();
+            this.elements.rerollBtn.textContent = `🎲 New prompt (${left} left)`;
+            this.elements.rerollBtn.disabled = left === 0;
+        }
+        
+        this.renderStarters();
+    }
+    
+    /**
+     * Swaps today's prompt for another - the writing so far is kept
+     */
+    rerollPrompt() {
+        const result = this.promptEngine.reroll(this.difficulty);
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
+        
+        this.currentPrompt = result.prompt;
+        this.playSound('click');
+        this.showPrompt();
+    }
+    
     /**
      * Renders story starter buttons
      */
     renderStarters() {
         if (!this.elements.starterButtons || !this.elements.starterHints) return;
         
-        const starters = this.promptEngine.getStarters(this.difficulty);
+        const starters = this.promptEngine.getStarters(this.difficulty, this.currentPrompt.category);
+        this.starters = this.difficulty > 4 ? [] : starters;
         
         if (this.difficulty > 4) {
             this.elements.starterHints.classList.add('hidden');
@@ -718,6 +1185,41 @@ class DreamJournalGame {
         });
     }
     
+    /**
+     * Renders the mood buttons
+     */
+    renderMoodPicker() {
+        if (!this.elements.moodButtons) return;
+        
+        this.elements.moodButtons.innerHTML = '';
+        MOODS.forEach(mood => {
+            const btn = document.createElement('button');
+            btn.className = 'mood-btn';
+            btn.dataset.mood = mood.id;
+            btn.textContent = mood.icon;
+            btn.title = mood.name;
+            btn.setAttribute('aria-label', mood.name);
+            btn.setAttribute('aria-pressed', 'false');
+            btn.addEventListener('click', () => {
+                this.selectMood(this.selectedMood === mood.id ? null : mood.id);
+            });
+            this.elements.moodButtons.appendChild(btn);
+        });
+    }
+    
+    /**
+     * Selects a mood for the entry
+     * @param {string|null} moodId - Mood id, or null for none
+     */
+    selectMood(moodId) {
+        this.selectedMood = moodId;
+        this.elements.moodButtons?.querySelectorAll('.mood-btn').forEach(btn => {
+            const selected = btn.dataset.mood === moodId;
+            btn.classList.toggle('selected', selected);
+            btn.setAttribute('aria-pressed', String(selected));
+        });
+    }
+    
     /**
      * Handles input changes
      */
@@ -729,6 +1231,9 @@ class DreamJournalGame {
         if (this.elements.currentWords) {
             this.elements.currentWords.textContent = wordCount;
         }
+        if (this.elements.currentSentences) {
+            this.elements.currentSentences.textContent = WritingFeedback.countSentences(text);
+        }
         
         // Update progress bar
         if (this.elements.wordProgressBar) {
@@ -790,10 +1295,25 @@ class DreamJournalGame {
         }
     }
     
+    /**
+     * Runs the writing feedback checks for the player's level
+     * @param {string} text - Entry text
+     * @returns {Object} WritingFeedback.analyze() result
+     */
+    analyzeWriting(text) {
+        return WritingFeedback.analyze(text, {
+            settings: JOURNAL_CONFIG.FEEDBACK_SETTINGS[this.difficulty],
+            prompt: this.currentPrompt.text,
+            starters: this.starters
+        });
+    }
+    
     /**
      * Submits the journal entry
      */
-    submitEntry() {
+    async submitEntry() {
+        if (this.isSaving) return;
+        
         const text = this.elements.writingInput?.value || '';
         const wordCount = TextUtils.countWords(text);
         
@@ -802,6 +1322,8 @@ class DreamJournalGame {
             return;
         }
         
+        const feedback = this.analyzeWriting(text);
+        
         // Save entry
         const entry = {
             id: Date.now(),
@@ -809,26 +1331,46 @@ class DreamJournalGame {
             displayDate: DateUtils.getTodayString(),
             prompt: this.currentPrompt.text,
             category: this.currentPrompt.category,
+            mood: this.selectedMood,
+            tags: JournalGallery.parseTags(this.elements.tagsInput?.value),
             text: text,
-            wordCount: wordCount
+            wordCount: wordCount,
+            feedback: {
+                score: feedback.score,
+                sentenceCount: feedback.sentenceCount,
+                variety: feedback.variety,
+                addressesPrompt: feedback.addressesPrompt
+            }
         };
         
-        this.journalStorage.saveEntry(entry);
+        this.isSaving = true;
+        if (this.elements.submitBtn) this.elements.submitBtn.disabled = true;
+        const saved = await this.journalStorage.saveEntry(entry);
+        this.isSaving = false;
+        
+        if (!saved.success) {
+            // Keep the writing safe as a draft and let them try again
+            this.saveDraft();
+            this.handleInput();
+            alert(`${saved.error}. Your writing is kept as a draft.`);
+            return;
+        }
         this.journalStorage.clearDraft();
         
         // Update streak
-        const result = this.streakTracker.recordEntry(wordCount);
+        const result = this.streakTracker.recordEntry(wordCount, feedback);
         
         // Show results
-        this.showResults(wordCount, result);
+        this.showResults(wordCount, result, feedback);
     }
     
     /**
      * Shows the results screen
      * @param {number} wordCount - Words written in this entry
      * @param {Object} result - Result from streak tracker
+     * @param {Object} feedback - Writing feedback for the entry
      */
-    showResults(wordCount, result) {
+    showResults(wordCount, result, feedback) {
         this.isPlaying = false;
         
         if (this.autoSaveTimer) {
@@ -875,6 +1417,8 @@ class DreamJournalGame {
             });
         }
         
+        this.renderWritingFeedback(feedback);
+        
         // Show new badge if earned
         if (result.newBadges.length > 0 && this.elements.newBadge) {
             const badge = result.newBadges[0];
@@ -892,11 +1436,81 @@ class DreamJournalGame {
         this.showScreen('result');
     }
     
+    /**
+     * Shows the writing check on the results screen
+     * @param {Object} feedback - WritingFeedback.analyze() result
+     */
+    renderWritingFeedback(feedback) {
+        const settings = JOURNAL_CONFIG.FEEDBACK_SETTINGS[this.difficulty];
+        const mark = (passed) => passed ? '✅' : '✏️';
+        
+        if (this.elements.writingScore) {
+            this.elements.writingScore.textContent = `${feedback.score}/100`;
+        }
+        
+        if (this.elements.writingMetrics) {
+            const metrics = [
+                `${mark(feedback.checks.sentences)} ${feedback.sentenceCount} ${feedback.sentenceCount === 1 ? 'sentence' : 'sentences'} (goal: ${settings.sentences})`,
+                `${mark(feedback.checks.variety)} Word variety: ${Math.round(feedback.variety * 100)}%`,
+                feedback.checks.repetition
+                    ? `${mark(true)} No overused words`
+                    : `${mark(false)} Used a lot: ${feedback.repeatedWords.map(r => `${r.word} ×${r.count}`).join(', ')}`,
+                feedback.keywordsUsed.length > 0
+                    ? `${mark(feedback.checks.prompt)} Prompt words: ${feedback.keywordsUsed.join(', ')}`
+                    : `${mark(feedback.checks.prompt)} Prompt words: none yet`
+            ];
+            if (feedback.starterUsed) {
+                metrics.push(`🚪 Began with "${feedback.starterUsed}"`);
+            }
+            
+            this.elements.writingMetrics.innerHTML = '';
+            metrics.forEach(text => {
+                const li = document.createElement('li');
+                li.textContent = text;
+                this.elements.writingMetrics.appendChild(li);
+            });
+        }
+        
+        if (this.elements.writingBadges) {
+            this.elements.writingBadges.innerHTML = '';
+            Object.entries(JOURNAL_CONFIG.WRITING_BADGES).forEach(([check, badge]) => {
+                const passed = check === 'starter' ? !!feedback.starterUsed : feedback.checks[check];
+                if (!passed) return;
+                const chip = document.createElement('span');
+                chip.className = 'writing-badge';
+                chip.textContent = `${badge.icon} ${badge.name}`;
+                this.elements.writingBadges.appendChild(chip);
+            });
+        }
+        
+        if (this.elements.writingTips) {
+            this.elements.writingTips.textContent = feedback.tips[0] || 'Every check passed - wonderful writing! 🌟';
+        }
+    }
+    
+    /**
+     * Fills the gallery's prompt category filter
+     */
+    populateCategoryFilter() {
+        if (!this.elements.galleryCategory) return;
+        
+        // Keep "All prompts", then built-in and pack categories
+        const select = this.elements.galleryCategory;
+        while (select.options.length > 1) select.remove(1);
+        this.promptEngine.getCategories().forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.id;
+            option.textContent = `${category.icon} ${category.name}`;
+            this.elements.galleryCategory.appendChild(option);
+        });
+    }
+    
     /**
      * Shows the journal gallery
      */
-    showGallery() {
-        const entries = this.journalStorage.loadEntries();
+    async showGallery() {
+        this.galleryEntries = await this.journalStorage.loadEntries();
+        this.streakTracker.syncDays(this.galleryEntries);
         const stats = this.streakTracker.getStats();
         
         // Render badges
@@ -905,7 +1519,8 @@ class DreamJournalGame {
             
             const allBadges = [
                 ...Object.values(JOURNAL_CONFIG.STREAK_BADGES),
-                ...Object.values(JOURNAL_CONFIG.WORD_BADGES)
+                ...Object.values(JOURNAL_CONFIG.WORD_BADGES),
+                ...Object.values(JOURNAL_CONFIG.WRITING_BADGES)
             ];
             
             allBadges.forEach(badge => {
@@ -920,30 +1535,355 @@ class DreamJournalGame {
             });
         }
         
-        // Render entries
-        if (this.elements.entriesContainer) {
-            this.elements.entriesContainer.innerHTML = '';
-            
-            if (entries.length === 0) {
-                this.elements.entriesContainer.innerHTML = '<p class="empty-message">No entries yet. Start writing!</p>';
+        // Start with everything showing
+        this.populateCategoryFilter();
+        if (this.elements.gallerySearch) this.elements.gallerySearch.value = '';
+        if (this.elements.galleryCategory) this.elements.galleryCategory.value = '';
+        this.galleryDate = '';
+        this.expandedEntryId = null;
+        
+        this.renderCalendar(stats);
+        this.renderEntries();
+        this.showScreen('gallery');
+    }
+    
+    /**
+     * Renders the year calendar heat-map with streak totals
+     * @param {Object} stats - Stats from the streak tracker
+     */
+    renderCalendar(stats) {
+        const heatmap = JournalGallery.buildHeatmap(this.streakTracker.getDays(), {
+            end: DateUtils.getTodayKey()
+        });
+        
+        if (this.elements.calendarSummary) {
+            this.elements.calendarSummary.textContent =
+                `🔥 ${stats.currentStreak} day streak · 🏅 Best: ${stats.longestStreak} · ` +
+                `📅 ${heatmap.activeDays} writing days this year`;
+        }
+        if (!this.elements.heatmap) return;
+        
+        this.elements.heatmap.innerHTML = '';
+        heatmap.weeks.flat().forEach(day => {
+            const cell = document.createElement('div');
+            cell.className = 'heat-cell';
+            if (!day) {
+                cell.classList.add('future');
             } else {
-                entries.forEach(entry => {
-                    const entryEl = document.createElement('div');
-                    entryEl.className = 'entry-card';
-                    entryEl.innerHTML = `
-                        <div class="entry-date">${entry.displayDate || entry.date}</div>
-                        <div class="entry-preview">${TextUtils.truncate(entry.text, 150)}</div>
-                        <div class="entry-stats">
-                            <span>📝 ${entry.wordCount} words</span>
-                            <span>💭 ${entry.category || 'Story'}</span>
-                        </div>
-                    `;
-                    this.elements.entriesContainer.appendChild(entryEl);
-                });
+                cell.classList.add(`level-${day.level}`);
+                cell.dataset.date = day.date;
+                cell.title = day.entries > 0
+                    ? `${day.date}: ${day.entries} ${day.entries === 1 ? 'entry' : 'entries'}, ${day.words} words`
+                    : day.date;
+                if (day.entries > 0) {
+                    cell.addEventListener('click', () => this.filterByDay(day.date));
+                }
             }
+            this.elements.heatmap.appendChild(cell);
+        });
+    }
+    
+    /**
+     * Shows only one day's entries (from the calendar)
+     * @param {string} date - Date key, or '' for every day
+     */
+    filterByDay(date) {
+        this.galleryDate = date;
+        this.elements.heatmap?.querySelectorAll('.heat-cell').forEach(cell => {
+            cell.classList.toggle('selected', !!date && cell.dataset.date === date);
+        });
+        this.renderEntries();
+    }
+    
+    /**
+     * Entries matching the gallery's search and filters
+     * @returns {Array} Entries, newest first
+     */
+    getVisibleEntries() {
+        return JournalGallery.filterEntries(this.galleryEntries, {
+            query: this.elements.gallerySearch?.value || '',
+            category: this.elements.galleryCategory?.value || '',
+            date: this.galleryDate
+        });
+    }
+    
+    /**
+     * Renders the entry list for the current search and filters
+     */
+    renderEntries() {
+        const entries = this.getVisibleEntries();
+        
+        if (this.elements.clearDayBtn) {
+            this.elements.clearDayBtn.textContent = `✕ ${this.galleryDate}`;
+            this.elements.clearDayBtn.classList.toggle('hidden', !this.galleryDate);
+        }
+        if (this.elements.entriesCount) {
+            this.elements.entriesCount.textContent = entries.length === this.galleryEntries.length
+                ? `${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}`
+                : `${entries.length} of ${this.galleryEntries.length} entries`;
         }
+        if (!this.elements.entriesContainer) return;
         
-        this.showScreen('gallery');
+        this.elements.entriesContainer.innerHTML = '';
+        
+        if (entries.length === 0) {
+            const message = document.createElement('p');
+            message.className = 'empty-message';
+            message.textContent = this.galleryEntries.length === 0
+                ? 'No entries yet. Start writing!'
+                : 'No entries match your search.';
+            this.elements.entriesContainer.appendChild(message);
+            return;
+        }
+        
+        entries.forEach(entry => {
+            this.elements.entriesContainer.appendChild(this.createEntryCard(entry));
+        });
+    }
+    
+    /**
+     * Builds one entry card - click to read the whole entry
+     * @param {Object} entry - Journal entry
+     * @returns {HTMLElement} Card element
+     */
+    createEntryCard(entry) {
+        const expanded = this.expandedEntryId === entry.id;
+        const category = this.promptEngine.getCategory(entry.category);
+        const mood = MOODS.find(m => m.id === entry.mood);
+        
+        const card = document.createElement('div');
+        card.className = 'entry-card';
+        card.classList.toggle('expanded', expanded);
+        
+        const date = document.createElement('div');
+        date.className = 'entry-date';
+        date.textContent = `${entry.displayDate || entry.date}${mood ? ` · ${mood.icon} ${mood.name}` : ''}`;
+        card.appendChild(date);
+        
+        if (expanded && entry.prompt) {
+            const prompt = document.createElement('div');
+            prompt.className = 'entry-prompt';
+            prompt.textContent = entry.prompt;
+            card.appendChild(prompt);
+        }
+        
+        const text = document.createElement('div');
+        text.className = 'entry-preview';
+        text.textContent = expanded ? entry.text : TextUtils.truncate(entry.text, 150);
+        card.appendChild(text);
+        
+        const stats = document.createElement('div');
+        stats.className = 'entry-stats';
+        [`📝 ${entry.wordCount} words`, `💭 ${category ? category.name : 'Story'}`].forEach(label => {
+            const span = document.createElement('span');
+            span.textContent = label;
+            stats.appendChild(span);
+        });
+        (entry.tags || []).forEach(tag => {
+            const chip = document.createElement('button');
+            chip.className = 'tag-chip';
+            chip.textContent = `#${tag}`;
+            chip.title = `Show entries tagged #${tag}`;
+            chip.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.elements.gallerySearch) this.elements.gallerySearch.value = `#${tag}`;
+                this.renderEntries();
+            });
+            stats.appendChild(chip);
+        });
+        card.appendChild(stats);
+        
+        card.addEventListener('click', () => {
+            this.expandedEntryId = expanded ? null : entry.id;
+            card.replaceWith(this.createEntryCard(entry));
+        });
+        
+        return card;
+    }
+    
+    /**
+     * Options shared by both exports
+     * @returns {Object} Title, author and label lists for JournalGallery
+     */
+    getExportOptions() {
+        const author = typeof PlayerManager !== 'undefined' && PlayerManager.hasActivePlayer()
+            ? PlayerManager.getPlayerName()
+            : '';
+        return {
+            title: author ? `${author}'s Dream Journal` : 'My Dream Journal',
+            author,
+            categories: this.promptEngine.getCategories(),
+            moods: MOODS
+        };
+    }
+    
+    /**
+     * Downloads the entries showing in the gallery as a Markdown file
+     */
+    exportMarkdown() {
+        const entries = this.getVisibleEntries();
+        if (entries.length === 0) return;
+        
+        const markdown = JournalGallery.toMarkdown(entries, this.getExportOptions());
+        this.downloadFile(`dream-journal-${DateUtils.getTodayKey()}.md`, markdown, 'text/markdown');
+    }
+    
+    /**
+     * Opens the entries showing in the gallery as a booklet to print
+     */
+    printBooklet() {
+        const entries = this.getVisibleEntries();
+        if (entries.length === 0) return;
+        
+        const html = JournalGallery.toBookletHtml(entries, this.getExportOptions());
+        const booklet = window.open('', '_blank');
+        if (!booklet) {
+            // Pop-ups blocked - hand over the file to print instead
+            this.downloadFile(`dream-journal-${DateUtils.getTodayKey()}.html`, html, 'text/html');
+            return;
+        }
+        booklet.document.open();
+        booklet.document.write(html);
+        booklet.document.close();
+        booklet.focus();
+        booklet.print();
+    }
+    
+    /**
+     * Triggers a file download
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File contents
+     * @param {string} type - MIME type
+     */
+    downloadFile(filename, content, type) {
+        const blob = new Blob([content], { type: `${type};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    /**
+     * Shows the prompt packs screen
+     */
+    showPacks() {
+        this.showPackStatus('');
+        this.renderPacks();
+        this.showScreen('packs');
+    }
+    
+    /**
+     * Renders the imported packs with on/off switches
+     */
+    renderPacks() {
+        const container = this.elements.packsContainer;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        const packs = this.promptEngine.getPacks();
+        if (packs.length === 0) {
+            const message = document.createElement('p');
+            message.className = 'empty-message';
+            message.textContent = 'No prompt packs yet - only the built-in prompts are used.';
+            container.appendChild(message);
+            return;
+        }
+        
+        packs.forEach(pack => {
+            const card = document.createElement('div');
+            card.className = 'pack-card';
+            card.classList.toggle('disabled', !pack.enabled);
+            
+            const toggle = document.createElement('label');
+            toggle.className = 'pack-toggle';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = pack.enabled;
+            checkbox.addEventListener('change', () => {
+                this.promptEngine.setPackEnabled(pack.id, checkbox.checked);
+                card.classList.toggle('disabled', !checkbox.checked);
+            });
+            const name = document.createElement('span');
+            name.className = 'pack-name';
+            name.textContent = pack.name;
+            toggle.append(checkbox, name);
+            
+            const details = document.createElement('div');
+            details.className = 'pack-details';
+            const weeks = Object.keys(pack.schedule).length;
+            details.textContent = [
+                pack.author && `by ${pack.author}`,
+                `${pack.prompts.length} ${pack.prompts.length === 1 ? 'prompt' : 'prompts'}`,
+                weeks > 0 && `${weeks} themed ${weeks === 1 ? 'week' : 'weeks'}`
+            ].filter(Boolean).join(' · ');
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'small-btn';
+            deleteBtn.textContent = '🗑️';
+            deleteBtn.title = `Remove ${pack.name}`;
+            deleteBtn.addEventListener('click', () => {
+                if (!confirm(`Remove the "${pack.name}" prompt pack?`)) return;
+                this.promptEngine.deletePack(pack.id);
+                this.renderPacks();
+            });
+            
+            card.append(toggle, details, deleteBtn);
+            container.appendChild(card);
+        });
+    }
+    
+    /**
+     * Imports the prompt pack picked in the file input
+     */
+    importPackFile() {
+        const input = this.elements.packInput;
+        const file = input?.files?.[0];
+        if (!file) return;
+        input.value = '';   // so the same file can be picked again
+        
+        if (file.size > JOURNAL_CONFIG.MAX_PACK_BYTES) {
+            this.showPackStatus('That file is too big for a prompt pack (1 MB at most)', true);
+            return;
+        }
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            let data;
+            try {
+                data = JSON.parse(reader.result);
+            } catch (e) {
+                this.showPackStatus('That file is not valid JSON', true);
+                return;
+            }
+            
+            const result = this.promptEngine.importPack(data);
+            if (!result.success) {
+                this.showPackStatus(result.error, true);
+                return;
+            }
+            this.showPackStatus(`Added "${result.pack.name}" with ${result.pack.prompts.length} prompts`);
+            this.renderPacks();
+        };
+        reader.onerror = () => this.showPackStatus('The file could not be read', true);
+        reader.readAsText(file);
+    }
+    
+    /**
+     * Shows a message under the import button
+     * @param {string} message - Message ('' hides it)
+     * @param {boolean} [isError=false] - Show as an error
+     */
+    showPackStatus(message, isError = false) {
+        const status = this.elements.packStatus;
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('hidden', !message);
+        status.classList.toggle('error', isError);
     }
     
     /**
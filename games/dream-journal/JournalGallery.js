@@ -0,0 +1,238 @@
+/**
+ * JournalGallery.js - Search, Calendar and Export for the Dream Journal
+ *
+ * Plain functions over journal entries, so the gallery screen stays thin:
+ * - parseTags()      tidy the tags typed under an entry
+ * - filterEntries()  full-text search ("#tag" matches a tag) plus filters
+ * - buildHeatmap()   a year-long calendar from StreakTracker's writing days
+ * - toMarkdown() / toBookletHtml()  exports, oldest entry first
+ *
+ * Dates are the "YYYY-MM-DD" keys DateUtils.getTodayKey() makes.
+ *
+ * @version 1.0.0
+ */
+
+const JournalGallery = (function() {
+    'use strict';
+
+    const MAX_TAGS = 8;
+    const MAX_TAG_LENGTH = 24;
+    const DAY_MS = 86400000;
+
+    // ==========================================
+    // TAGS AND SEARCH
+    // ==========================================
+
+    /**
+     * Tidy typed tags: "Friends, #space  rainbow day" -> ['friends', 'space', 'rainbow', 'day']
+     * @param {string} text - Tags as typed (commas, spaces and # all work)
+     * @returns {string[]} Lowercase, de-duplicated tags
+     */
+    function parseTags(text) {
+        const tags = String(text || '')
+            .toLowerCase()
+            .split(/[\s,#]+/)
+            .map(tag => tag.replace(/[^a-z0-9-]/g, '').slice(0, MAX_TAG_LENGTH))
+            .filter(Boolean);
+        return [...new Set(tags)].slice(0, MAX_TAGS);
+    }
+
+    /**
+     * Entries matching a search
+     * @param {Object[]} entries - Journal entries
+     * @param {Object} [filters]
+     * @param {string} [filters.query] - Words that must all appear; "#tag" must be a tag
+     * @param {string} [filters.category] - Prompt category id ('' for any)
+     * @param {string} [filters.date] - Only this day ("YYYY-MM-DD")
+     * @returns {Object[]} Matching entries, in the order given
+     */
+    function filterEntries(entries, { query = '', category = '', date = '' } = {}) {
+        const tokens = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+        const tags = tokens.filter(t => t.startsWith('#')).map(t => t.slice(1)).filter(Boolean);
+        const words = tokens.filter(t => !t.startsWith('#'));
+
+        return entries.filter(entry => {
+            if (category && entry.category !== category) return false;
+            if (date && entry.date !== date) return false;
+
+            const entryTags = entry.tags || [];
+            if (!tags.every(tag => entryTags.includes(tag))) return false;
+
+            const haystack = [entry.text, entry.prompt, ...entryTags].join('\n').toLowerCase();
+            return words.every(word => haystack.includes(word));
+        });
+    }
+
+    // ==========================================
+    // CALENDAR HEAT-MAP
+    // ==========================================
+
+    const toKey = (time) => new Date(time).toISOString().split('T')[0];
+    const toTime = (key) => Date.parse(`${key}T00:00:00Z`);
+
+    /**
+     * Calendar of writing days, one column per week (Sunday first)
+     * @param {Object} days - StreakTracker days: { "YYYY-MM-DD": { entries, words } }
+     * @param {Object} [options]
+     * @param {string} options.end - Last day to show (today)
+     * @param {number} [options.weeks=53] - Columns; 53 covers a full year
+     * @returns {{weeks: Array<Array<{date: string, entries: number, words: number, level: number}|null>>, maxWords: number, activeDays: number}}
+     *   Days after `end` are null. Level is 0 (nothing written) to 4 (the busiest day).
+     */
+    function buildHeatmap(days, { end, weeks = 53 }) {
+        const endTime = toTime(end);
+        const lastSunday = endTime - new Date(endTime).getUTCDay() * DAY_MS;
+        const firstDay = lastSunday - (weeks - 1) * 7 * DAY_MS;
+
+        const cells = [];
+        let maxWords = 0;
+        let activeDays = 0;
+        for (let time = firstDay; time < lastSunday + 7 * DAY_MS; time += DAY_MS) {
+            if (time > endTime) {
+                cells.push(null);
+                continue;
+            }
+            const date = toKey(time);
+            const day = days[date] || { entries: 0, words: 0 };
+            if (day.entries > 0) activeDays++;
+            maxWords = Math.max(maxWords, day.words);
+            cells.push({ date, entries: day.entries, words: day.words, level: 0 });
+        }
+
+        cells.forEach(cell => {
+            if (cell?.entries > 0) {
+                cell.level = Math.max(1, Math.ceil((cell.words / (maxWords || 1)) * 4));
+            }
+        });
+
+        const columns = [];
+        for (let i = 0; i < cells.length; i += 7) columns.push(cells.slice(i, i + 7));
+        return { weeks: columns, maxWords, activeDays };
+    }
+
+    // ==========================================
+    // EXPORT
+    // ==========================================
+
+    const oldestFirst = (entries) => [...entries].sort((a, b) =>
+        (a.date || '').localeCompare(b.date || '') || (a.id || 0) - (b.id || 0));
+
+    const findLabel = (list, id) => list.find(item => item.id === id);
+
+    function describe(entry, { categories = [], moods = [] }) {
+        const category = findLabel(categories, entry.category);
+        const mood = findLabel(moods, entry.mood);
+        return {
+            heading: entry.displayDate ? `${entry.displayDate} (${entry.date})` : entry.date,
+            category: category ? `${category.icon} ${category.name}` : null,
+            mood: mood ? `${mood.icon} ${mood.name}` : null,
+            tags: (entry.tags || []).map(tag => `#${tag}`).join(' ')
+        };
+    }
+
+    /**
+     * The journal as a Markdown document
+     * @param {Object[]} entries - Journal entries
+     * @param {Object} [options]
+     * @param {string} [options.title] - Document title
+     * @param {Array} [options.categories] - PROMPT_CATEGORIES, for category names
+     * @param {Array} [options.moods] - MOODS, for mood names
+     * @returns {string}
+     */
+    function toMarkdown(entries, options = {}) {
+        const lines = [`# ${options.title || 'My Dream Journal'}`, ''];
+
+        oldestFirst(entries).forEach(entry => {
+            const info = describe(entry, options);
+            const details = [
+                info.category,
+                info.mood && `Mood: ${info.mood}`,
+                info.tags,
+                `${entry.wordCount || 0} words`
+            ].filter(Boolean);
+
+            lines.push(`## ${info.heading}`, '');
+            if (entry.prompt) lines.push(`> ${entry.prompt}`, '');
+            lines.push(`*${details.join(' · ')}*`, '', (entry.text || '').trim(), '', '---', '');
+        });
+        return lines.join('\n');
+    }
+
+    function escapeHtml(text) {
+        return String(text ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    /**
+     * The journal as a printable HTML booklet - one entry per page
+     * @param {Object[]} entries - Journal entries
+     * @param {Object} [options] - Same as toMarkdown(), plus author
+     * @param {string} [options.author] - Shown on the cover
+     * @returns {string} A complete HTML document
+     */
+    function toBookletHtml(entries, options = {}) {
+        const title = escapeHtml(options.title || 'My Dream Journal');
+        const sorted = oldestFirst(entries);
+        const range = sorted.length ? `${sorted[0].date} - ${sorted[sorted.length - 1].date}` : '';
+
+        const pages = sorted.map(entry => {
+            const info = describe(entry, options);
+            const details = [info.category, info.mood, info.tags, `${entry.wordCount || 0} words`]
+                .filter(Boolean).map(escapeHtml).join(' · ');
+            const paragraphs = (entry.text || '').trim().split(/\n\s*\n/)
+                .map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`).join('\n');
+            return `<section class="page">
+<h2>${escapeHtml(info.heading)}</h2>
+${entry.prompt ? `<blockquote>${escapeHtml(entry.prompt)}</blockquote>` : ''}
+<p class="details">${details}</p>
+${paragraphs}
+</section>`;
+        }).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${title}</title>
+<style>
+body { font-family: Georgia, 'Times New Roman', serif; color: #333; max-width: 700px; margin: 0 auto; padding: 20px; }
+.cover { text-align: center; padding: 120px 0; }
+.cover h1 { font-size: 2.4em; }
+.page { page-break-before: always; padding-top: 20px; }
+blockquote { font-style: italic; color: #6a5a8a; border-left: 4px solid #e6e6fa; margin: 0 0 10px; padding-left: 12px; }
+.details { color: #888; font-size: 0.85em; }
+p { line-height: 1.6; }
+@media print { body { padding: 0; } }
+</style>
+</head>
+<body>
+<section class="cover">
+<h1>☁️ ${title} ☁️</h1>
+${options.author ? `<p>by ${escapeHtml(options.author)}</p>` : ''}
+<p>${sorted.length} ${sorted.length === 1 ? 'entry' : 'entries'}${range ? ` · ${escapeHtml(range)}` : ''}</p>
+</section>
+${pages}
+</body>
+</html>
+`;
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+
+    return {
+        parseTags,
+        filterEntries,
+        buildHeatmap,
+        toMarkdown,
+        toBookletHtml,
+        escapeHtml
+    };
+})();
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+    window.JournalGallery = JournalGallery;
+}
@@ -0,0 +1,226 @@
+/**
+ * PromptPacks.js - Prompt Packs and Weekly Themes for the Dream Journal
+ *
+ * Teachers can write prompt packs as JSON and import them:
+ *
+ *   {
+ *     "name": "Space Week",
+ *     "author": "Ms. Rivera",
+ *     "categories": [{ "id": "space", "name": "Space", "icon": "🚀" }],
+ *     "prompts": [{ "text": "Plan a picnic on the moon.", "category": "space", "difficulty": 2 }],
+ *     "starters": { "space": ["Three, two, one, blast off..."] },
+ *     "schedule": { "2026-10-19": "space" }
+ *   }
+ *
+ * Only "name" and "prompts" are needed. A prompt's category must be a
+ * built-in one or one the pack adds; difficulty (1-7) defaults to 1.
+ * "schedule" sets the theme for the week containing each date.
+ *
+ * Everything here is plain data in, data out - the game keeps the packs
+ * in localStorage. Dates are "YYYY-MM-DD" keys (DateUtils.getTodayKey()).
+ *
+ * @version 1.0.0
+ */
+
+const PromptPacks = (function() {
+    'use strict';
+
+    const MAX_PROMPTS = 200;
+    const MAX_TEXT_LENGTH = 300;
+    const MAX_NAME_LENGTH = 40;
+    const DAY_MS = 86400000;
+    const FIRST_MONDAY = Date.UTC(1970, 0, 5);
+
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+
+    const cleanText = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+
+    const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'pack';
+
+    /**
+     * Checks and tidies an imported pack
+     * @param {*} data - Parsed JSON
+     * @param {Object} options
+     * @param {Array<{id: string}>} options.categories - Built-in prompt categories
+     * @returns {{valid: boolean, pack: Object|null, error: string|null}}
+     *   The pack has id, name, author, categories, prompts, starters and schedule,
+     *   with prompts that had no usable text dropped.
+     */
+    function validatePack(data, { categories }) {
+        const fail = (error) => ({ valid: false, pack: null, error });
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return fail('A prompt pack must be a JSON object');
+        }
+        const name = cleanText(data.name, MAX_NAME_LENGTH);
+        if (!name) return fail('The pack needs a "name"');
+        if (!Array.isArray(data.prompts) || data.prompts.length === 0) {
+            return fail('The pack needs a list of "prompts"');
+        }
+        if (data.prompts.length > MAX_PROMPTS) {
+            return fail(`A pack can have at most ${MAX_PROMPTS} prompts`);
+        }
+
+        // Categories the pack adds
+        const packCategories = [];
+        for (const category of Array.isArray(data.categories) ? data.categories : []) {
+            const id = slugify(cleanText(category?.id || category?.name, MAX_NAME_LENGTH));
+            const categoryName = cleanText(category?.name, MAX_NAME_LENGTH) || id;
+            if (!packCategories.some(c => c.id === id)) {
+                packCategories.push({ id, name: categoryName, icon: cleanText(category?.icon, 8) || '📦' });
+            }
+        }
+        const known = new Set([...categories, ...packCategories].map(c => c.id));
+
+        const prompts = [];
+        for (const [index, prompt] of data.prompts.entries()) {
+            const text = cleanText(typeof prompt === 'string' ? prompt : prompt?.text, MAX_TEXT_LENGTH);
+            if (!text) continue;
+            const category = prompt?.category || categories[0].id;
+            if (!known.has(category)) {
+                return fail(`Prompt ${index + 1} has an unknown category "${category}"`);
+            }
+            const difficulty = Math.round(Number(prompt?.difficulty) || 1);
+            prompts.push({ text, category, difficulty: Math.min(7, Math.max(1, difficulty)) });
+        }
+        if (prompts.length === 0) return fail('None of the prompts have any text');
+
+        const starters = {};
+        for (const [category, list] of Object.entries(data.starters || {})) {
+            if (!known.has(category) || !Array.isArray(list)) continue;
+            const texts = list.map(starter => cleanText(starter, 80)).filter(Boolean);
+            if (texts.length > 0) starters[category] = texts;
+        }
+
+        const schedule = {};
+        for (const [date, category] of Object.entries(data.schedule || {})) {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+                return fail(`"${date}" in the schedule is not a YYYY-MM-DD date`);
+            }
+            if (!known.has(category)) {
+                return fail(`The schedule uses an unknown category "${category}"`);
+            }
+            schedule[weekStart(date)] = category;
+        }
+
+        return {
+            valid: true,
+            pack: {
+                id: slugify(cleanText(data.id, MAX_NAME_LENGTH) || name),
+                name,
+                author: cleanText(data.author, MAX_NAME_LENGTH),
+                categories: packCategories,
+                prompts,
+                starters,
+                schedule
+            },
+            error: null
+        };
+    }
+
+    // ==========================================
+    // WEEKLY THEMES
+    // ==========================================
+
+    const toTime = (key) => Date.parse(`${key}T00:00:00Z`);
+    const toKey = (time) => new Date(time).toISOString().split('T')[0];
+
+    /**
+     * The Monday that starts a date's week
+     * @param {string} dateKey - "YYYY-MM-DD"
+     * @returns {string} "YYYY-MM-DD" of that Monday
+     */
+    function weekStart(dateKey) {
+        const time = toTime(dateKey);
+        const daysSinceMonday = (new Date(time).getUTCDay() + 6) % 7;
+        return toKey(time - daysSinceMonday * DAY_MS);
+    }
+
+    /**
+     * This week's theme: a scheduled one, or the next category in turn
+     * @param {string} dateKey - "YYYY-MM-DD"
+     * @param {Object} options
+     * @param {string[]} options.rotation - Category ids to take turns
+     * @param {Object} [options.schedule] - Week-start date -> category id
+     * @returns {string} Category id
+     */
+    function weeklyTheme(dateKey, { rotation, schedule = {} }) {
+        const monday = weekStart(dateKey);
+        if (schedule[monday]) return schedule[monday];
+
+        const week = Math.round((toTime(monday) - FIRST_MONDAY) / (7 * DAY_MS));
+        return rotation[week % rotation.length];
+    }
+
+    // ==========================================
+    // CHOOSING PROMPTS AND STARTERS
+    // ==========================================
+
+    function hashString(text) {
+        let hash = 0;
+        for (let i = 0; i < text.length; i++) {
+            hash = (Math.imul(hash, 31) + text.charCodeAt(i)) | 0;
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * The day's prompt. Each reroll moves one step through a shuffled order
+     * fixed for the day, so rerolls never repeat until every prompt is seen.
+     * @param {Array<{text: string, category: string, difficulty: number}>} prompts - Every prompt
+     * @param {Object} options
+     * @param {string} options.dateKey - Today
+     * @param {number} options.difficulty - Player level; easier prompts are included
+     * @param {string} [options.theme] - Preferred category, used when it has prompts
+     * @param {number} [options.rerolls=0] - Rerolls used today
+     * @returns {Object|null} A prompt, or null if none fit
+     */
+    function choosePrompt(prompts, { dateKey, difficulty, theme = null, rerolls = 0 }) {
+        const fitting = prompts.filter(p => p.difficulty <= difficulty);
+        const themed = fitting.filter(p => p.category === theme);
+        const pool = themed.length > 0 ? themed : fitting;
+        if (pool.length === 0) return null;
+
+        // Seeded Fisher-Yates shuffle over a copy
+        const order = [...pool];
+        let seed = hashString(`${dateKey}:${difficulty}`) || 1;
+        for (let i = order.length - 1; i > 0; i--) {
+            seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+            const j = seed % (i + 1);
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        return order[rerolls % order.length];
+    }
+
+    /**
+     * Story starters that suit a prompt's category
+     * @param {Object} startersByCategory - Category id -> starters, plus "general"
+     * @param {string} category - The prompt's category
+     * @param {number} count - How many to offer
+     * @returns {string[]} Starters for the category first, then general ones
+     */
+    function chooseStarters(startersByCategory, category, count) {
+        const matched = [...(startersByCategory[category] || []), ...(startersByCategory.general || [])];
+        return [...new Set(matched)].slice(0, count);
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+
+    return {
+        MAX_PROMPTS,
+        validatePack,
+        weekStart,
+        weeklyTheme,
+        choosePrompt,
+        chooseStarters
+    };
+})();
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+    window.PromptPacks = PromptPacks;
+}
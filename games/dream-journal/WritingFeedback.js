@@ -0,0 +1,229 @@
+/**
+ * WritingFeedback.js - Offline Writing Feedback for the Dream Journal
+ *
+ * A small rule-based analyzer - no network, no dictionary files. It looks
+ * at an entry and reports:
+ * - sentence count
+ * - vocabulary variety (moving-average type/token ratio, so long entries
+ *   aren't marked down just for being long)
+ * - words used too often
+ * - which story starter, if any, was used
+ * - whether the entry picks up the daily prompt's keywords
+ *
+ * Targets come from the player's difficulty level
+ * (JOURNAL_CONFIG.FEEDBACK_SETTINGS), so a 7-year-old and a teenager are
+ * each measured against what fits them.
+ *
+ * @version 1.0.0
+ */
+
+const WritingFeedback = (function() {
+    'use strict';
+
+    const VARIETY_WINDOW = 20;      // words per window for the variety measure
+    const MAX_KEYWORDS = 6;
+    const MAX_REPEATED = 5;
+
+    // Everyday words that say little about vocabulary or topic
+    const STOP_WORDS = new Set((
+        'a an the and or but so if then than that this these those there here ' +
+        'i me my mine we us our you your he him his she her it its they them their ' +
+        'am is are was were be been being do does did have has had will would can could ' +
+        'shall should may might must to of in on at by for with from up down out into ' +
+        'over about as not no yes very just too also all any some one what when where ' +
+        'why how who which while because like really went go get got make made ' +
+        "i'm it's don't didn't can't"
+    ).split(' '));
+
+    // Instructions in prompts, not topics
+    const PROMPT_WORDS = new Set('write describe imagine create tell story letter happen would could'.split(' '));
+
+    // ==========================================
+    // TEXT HELPERS
+    // ==========================================
+
+    /**
+     * Lowercase words in the text
+     * @param {string} text - Text to split
+     * @returns {string[]} Words, apostrophes kept ("don't")
+     */
+    function tokenize(text) {
+        return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu) || [])
+            .map(word => word.replace(/’/g, "'"));
+    }
+
+    /**
+     * A light stem so "discover", "discovers" and "discovered" match
+     * @param {string} word - Lowercase word
+     * @returns {string} Stem
+     */
+    function stem(word) {
+        let current = word;
+        for (;;) {
+            const stemmed = current.replace(/(ing|ed|es|s|ly|er)$/, '');
+            if (stemmed === current || stemmed.length < 3) return current;
+            current = stemmed;
+        }
+    }
+
+    const isContentWord = (word) => word.length >= 3 && !STOP_WORDS.has(word) && !/^\d+$/.test(word);
+
+    /**
+     * Counts sentences: runs of words ending in . ! ? (or the end of the text)
+     * @param {string} text - Text to count
+     * @returns {number} Sentence count
+     */
+    function countSentences(text) {
+        return String(text || '')
+            .split(/[.!?…]+(?:["'”’)]*)(?=\s|$)/)
+            .filter(part => tokenize(part).length > 0)
+            .length;
+    }
+
+    /**
+     * Vocabulary variety: the share of different words, averaged over
+     * every run of VARIETY_WINDOW words
+     * @param {string[]} words - Words from tokenize()
+     * @returns {number} 0 to 1 (1 = no word repeated)
+     */
+    function measureVariety(words) {
+        if (words.length === 0) return 0;
+        if (words.length <= VARIETY_WINDOW) return new Set(words).size / words.length;
+
+        // Slide the window, keeping counts so each step is cheap
+        const counts = new Map();
+        const add = (word, delta) => {
+            const count = (counts.get(word) || 0) + delta;
+            if (count === 0) counts.delete(word);
+            else counts.set(word, count);
+        };
+        words.slice(0, VARIETY_WINDOW).forEach(word => add(word, 1));
+
+        let total = counts.size;
+        for (let i = VARIETY_WINDOW; i < words.length; i++) {
+            add(words[i - VARIETY_WINDOW], -1);
+            add(words[i], 1);
+            total += counts.size;
+        }
+        return total / (words.length - VARIETY_WINDOW + 1) / VARIETY_WINDOW;
+    }
+
+    /**
+     * Topic words from a prompt ("What would you discover at the bottom of
+     * the ocean?" -> ['discover', 'bottom', 'ocean'])
+     * @param {string} prompt - Prompt text
+     * @returns {string[]} Up to MAX_KEYWORDS keywords
+     */
+    function extractKeywords(prompt) {
+        const keywords = tokenize(prompt).filter(word => isContentWord(word) && !PROMPT_WORDS.has(word));
+        return [...new Set(keywords)].slice(0, MAX_KEYWORDS);
+    }
+
+    // ==========================================
+    // ANALYSIS
+    // ==========================================
+
+    /**
+     * Analyzes an entry
+     * @param {string} text - The entry
+     * @param {Object} options
+     * @param {Object} options.settings - Targets for the player's level:
+     *   { sentences, variety, maxRepeats, keywords } (JOURNAL_CONFIG.FEEDBACK_SETTINGS)
+     * @param {string} [options.prompt] - The prompt the entry answers
+     * @param {string[]} [options.starters] - Story starters that were offered
+     * @returns {{wordCount: number, sentenceCount: number, variety: number,
+     *   repeatedWords: Array<{word: string, count: number}>, starterUsed: string|null,
+     *   keywords: string[], keywordsUsed: string[], addressesPrompt: boolean,
+     *   checks: {sentences: boolean, variety: boolean, repetition: boolean, prompt: boolean},
+     *   score: number, tips: string[]}}
+     *   Score is 0-100: a quarter each for sentences, variety, repetition and the prompt.
+     */
+    function analyze(text, { settings, prompt = '', starters = [] }) {
+        const words = tokenize(text);
+        const sentenceCount = countSentences(text);
+        const variety = measureVariety(words);
+
+        // Keywords, matched loosely so plurals and -ing forms count
+        const keywords = extractKeywords(prompt);
+        const stems = new Set(words.map(stem));
+        const keywordsUsed = keywords.filter(keyword => stems.has(stem(keyword)));
+        const keywordsNeeded = Math.min(settings.keywords, keywords.length);
+
+        // Overused words - topic words from the prompt are allowed to repeat
+        const counts = new Map();
+        words.filter(isContentWord).forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+        const topic = new Set(keywords.map(stem));
+        const repeatedWords = [...counts]
+            .filter(([word, count]) => count > settings.maxRepeats && !topic.has(stem(word)))
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, MAX_REPEATED)
+            .map(([word, count]) => ({ word, count }));
+
+        // Starters are offered as "Once upon a time..."
+        const flatText = ` ${words.join(' ')} `;
+        const starterUsed = starters.find(starter => {
+            const starterWords = tokenize(starter).join(' ');
+            return starterWords && flatText.includes(` ${starterWords} `);
+        }) || null;
+
+        const checks = {
+            sentences: sentenceCount >= settings.sentences,
+            variety: variety >= settings.variety,
+            repetition: repeatedWords.length === 0,
+            prompt: keywordsUsed.length >= keywordsNeeded
+        };
+
+        const part = (value) => Math.max(0, Math.min(1, value)) * 25;
+        const score = Math.round(
+            part(sentenceCount / settings.sentences) +
+            part(variety / settings.variety) +
+            part(1 - repeatedWords.length / 3) +
+            part(keywordsNeeded === 0 ? 1 : keywordsUsed.length / keywordsNeeded)
+        );
+
+        const tips = [];
+        if (!checks.sentences) {
+            tips.push(`Try telling your story in ${settings.sentences} or more sentences.`);
+        }
+        if (!checks.repetition) {
+            tips.push(`You used "${repeatedWords[0].word}" ${repeatedWords[0].count} times - can you find another word?`);
+        } else if (!checks.variety) {
+            tips.push('Try using some new and different words.');
+        }
+        if (!checks.prompt) {
+            const missing = keywords.filter(keyword => !keywordsUsed.includes(keyword)).slice(0, 3);
+            tips.push(`Tell me more about the prompt - maybe write about ${missing.map(w => `"${w}"`).join(', ')}.`);
+        }
+
+        return {
+            wordCount: words.length,
+            sentenceCount,
+            variety: Math.round(variety * 100) / 100,
+            repeatedWords,
+            starterUsed,
+            keywords,
+            keywordsUsed,
+            addressesPrompt: checks.prompt,
+            checks,
+            score,
+            tips
+        };
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+
+    return {
+        tokenize,
+        countSentences,
+        measureVariety,
+        extractKeywords,
+        analyze
+    };
+})();
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+    window.WritingFeedback = WritingFeedback;
+}
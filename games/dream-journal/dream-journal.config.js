@@ -29,6 +29,36 @@ export const JOURNAL_CONFIG = Object.freeze({
     5000: { id: 'words_5000', name: 'Author', icon: '📚' }
   },
   
+  // Writing feedback targets per difficulty (see WritingFeedback.js):
+  // sentences, variety (0-1), times a word may appear, prompt keywords to use
+  FEEDBACK_SETTINGS: {
+    1: { sentences: 1, variety: 0.5, maxRepeats: 3, keywords: 1 },
+    2: { sentences: 2, variety: 0.6, maxRepeats: 3, keywords: 1 },
+    3: { sentences: 3, variety: 0.7, maxRepeats: 3, keywords: 1 },
+    4: { sentences: 4, variety: 0.75, maxRepeats: 4, keywords: 2 },
+    5: { sentences: 6, variety: 0.8, maxRepeats: 5, keywords: 2 },
+    6: { sentences: 9, variety: 0.82, maxRepeats: 6, keywords: 2 },
+    7: { sentences: 15, variety: 0.85, maxRepeats: 8, keywords: 3 }
+  },
+  
+  // Earned by passing a writing check (or using a story starter)
+  WRITING_BADGES: {
+    sentences: { id: 'write_sentences', name: 'Sentence Builder', icon: '🧱' },
+    variety: { id: 'write_variety', name: 'Word Explorer', icon: '🌈' },
+    repetition: { id: 'write_fresh', name: 'Fresh Words', icon: '🍃' },
+    prompt: { id: 'write_on_topic', name: 'On Topic', icon: '🎯' },
+    starter: { id: 'write_starter', name: 'Great Beginning', icon: '🚪' }
+  },
+  
+  SCORE_HISTORY: 30,  // writing scores kept for Career Clouds
+  
+  // Prompts
+  REROLLS_PER_DAY: 2,
+  WEEKLY_THEMES: ['imagination', 'feelings', 'adventures', 'dreams', 'kindness'],  // in turn, week by week
+  PACKS_KEY: 'dreamJournalPromptPacks',
+  PROMPT_STATE_KEY: 'dreamJournalPromptState',
+  MAX_PACK_BYTES: 1024 * 1024,
+  
   LEADERBOARD_KEY: 'dreamJournalLeaderboard'
 });
 
@@ -40,6 +70,16 @@ export const PROMPT_CATEGORIES = [
   { id: 'kindness', name: 'Kindness', icon: '🤗' }
 ];
 
+export const MOODS = [
+  { id: 'happy', name: 'Happy', icon: '😊' },
+  { id: 'excited', name: 'Excited', icon: '🤩' },
+  { id: 'calm', name: 'Calm', icon: '😌' },
+  { id: 'silly', name: 'Silly', icon: '🤪' },
+  { id: 'sad', name: 'Sad', icon: '😢' },
+  { id: 'worried', name: 'Worried', icon: '😟' },
+  { id: 'sleepy', name: 'Sleepy', icon: '😴' }
+];
+
 export function getDifficultyFromAge(age) {
   if (age <= 7) return 1;
   if (age <= 9) return 2;
@@ -13,6 +13,31 @@
 const PROVERB_CONFIG = Object.freeze({
     STORAGE_KEY: 'proverbAscensionProgress',
     LEADERBOARD_KEY: 'proverbAscensionLeaderboard',
+    REVIEW_KEY: 'proverbAscensionReviews',
+    
+    // Spaced Repetition Intervals (minutes) - scaled by intervalMultiplier
+    INTERVALS: [2, 5, 10, 20, 40],
+    
+    REVIEW: {
+        DEFAULT_EASE: 2.5,       // Growth factor once a verse passes the last interval
+        MIN_EASE: 1.3,
+        MAX_EASE: 3.0,
+        PASS_ACCURACY: 0.75,     // Below this a review counts as a lapse
+        MAX_BATCH: 4,            // Most verses reviewed in one session
+        MATCH_MIN: 3,            // Match the Lines needs at least this many verses
+        MATCH_MAX: 5,
+        
+        // Modes for a due verse by interval stage (ReviewScheduler.getReviewModes):
+        // just learned or lapsed -> recognize, settled -> recall and connect
+        STAGE_MODES: [
+            ['multipleChoice', 'trueFalse', 'fillBlanks'],
+            ['trueFalse', 'fillBlanks'],
+            ['fillBlanks', 'matchLines']
+        ]
+    },
+    
+    // Modes that practice several verses at once
+    MULTI_VERSE_MODES: ['trueFalse', 'matchLines'],
     
     POINTS: {
         CORRECT_ANSWER: 100,
@@ -35,13 +60,13 @@ const PROVERB_CONFIG = Object.freeze({
 });
 
 const DIFFICULTY_PRESETS = Object.freeze({
-    1: { name: 'Seedling', choices: 2, timeLimit: null, hintEnabled: true, blanks: 1 },
-    2: { name: 'Sprout', choices: 3, timeLimit: 45, hintEnabled: true, blanks: 1 },
-    3: { name: 'Sapling', choices: 4, timeLimit: 30, hintEnabled: true, blanks: 2 },
-    4: { name: 'Tree', choices: 4, timeLimit: 25, hintEnabled: false, blanks: 2 },
-    5: { name: 'Oak', choices: 4, timeLimit: 20, hintEnabled: false, blanks: 3 },
-    6: { name: 'Ancient', choices: 4, timeLimit: 15, hintEnabled: false, blanks: 3 },
-    7: { name: 'Sage', choices: 5, timeLimit: 12, hintEnabled: false, blanks: 4 }
+    1: { name: 'Seedling', choices: 2, timeLimit: null, hintEnabled: true, blanks: 1, intervalMultiplier: 0.5 },
+    2: { name: 'Sprout', choices: 3, timeLimit: 45, hintEnabled: true, blanks: 1, intervalMultiplier: 0.7 },
+    3: { name: 'Sapling', choices: 4, timeLimit: 30, hintEnabled: true, blanks: 2, intervalMultiplier: 1.0 },
+    4: { name: 'Tree', choices: 4, timeLimit: 25, hintEnabled: false, blanks: 2, intervalMultiplier: 1.0 },
+    5: { name: 'Oak', choices: 4, timeLimit: 20, hintEnabled: false, blanks: 3, intervalMultiplier: 1.2 },
+    6: { name: 'Ancient', choices: 4, timeLimit: 15, hintEnabled: false, blanks: 3, intervalMultiplier: 1.5 },
+    7: { name: 'Sage', choices: 5, timeLimit: 12, hintEnabled: false, blanks: 4, intervalMultiplier: 2.0 }
 });
 
 const PROVERBS_DATA = Object.freeze([
@@ -180,6 +205,16 @@ function shuffleArray(array) {
     return arr;
 }
 
+function formatDuration(ms) {
+    const mins = Math.ceil(ms / 60000);
+    if (mins <= 1) return 'less than a minute';
+    if (mins < 60) return `${mins} min`;
+    const hours = Math.floor(mins / 60);
+    if (hours < 24) return mins % 60 ? `${hours} h ${mins % 60} min` : `${hours} h`;
+    const days = Math.round(hours / 24);
+    return days === 1 ? '1 day' : `${days} days`;
+}
+
 // ==================== Sound Manager ====================
 
 class SoundManager {
@@ -438,9 +473,11 @@ class MatchLinesGame {
     
     checkAnswers() {
         let correct = 0;
+        const results = {};
         for (const line of this.lines) {
             line.correct = line.leftId === line.rightId;
             if (line.correct) correct++;
+            results[line.leftId] = { correct: line.correct ? 1 : 0, total: 1 };
         }
         
         // Visual feedback
@@ -454,7 +491,7 @@ class MatchLinesGame {
         
         setTimeout(() => {
             cancelAnimationFrame(this.animationId);
-            this.onComplete(correct, this.proverbs.length);
+            this.onComplete(correct, this.proverbs.length, results);
         }, 1500);
     }
     
@@ -555,7 +592,9 @@ class FillBlanksGame {
         });
         
         setTimeout(() => {
-            this.onComplete(correct, this.blanks.length);
+            this.onComplete(correct, this.blanks.length, {
+                [this.proverb.id]: { correct, total: this.blanks.length }
+            });
         }, 1500);
     }
 }
@@ -570,17 +609,18 @@ class TrueFalseGame {
         this.currentIndex = 0;
         this.correct = 0;
         this.statements = [];
+        this.results = {};
     }
     
     init() {
         // Generate statements: mix of true (original) and false (modified)
         this.proverbs.forEach(p => {
             // Add true statement
-            this.statements.push({ text: p.text, reference: p.reference, isTrue: true });
+            this.statements.push({ id: p.id, text: p.text, reference: p.reference, isTrue: true });
             // Add false statement
             if (p.falsified && p.falsified.length > 0) {
                 const falseText = p.falsified[Math.floor(Math.random() * p.falsified.length)];
-                this.statements.push({ text: falseText, reference: p.reference, isTrue: false });
+                this.statements.push({ id: p.id, text: falseText, reference: p.reference, isTrue: false });
             }
         });
         
@@ -590,7 +630,7 @@ class TrueFalseGame {
     
     showStatement() {
         if (this.currentIndex >= this.statements.length) {
-            this.onComplete(this.correct, this.statements.length);
+            this.onComplete(this.correct, this.statements.length, this.results);
             return;
         }
         
@@ -627,6 +667,9 @@ class TrueFalseGame {
         const isCorrect = answeredTrue === stmt.isTrue;
         
         if (isCorrect) this.correct++;
+        const result = this.results[stmt.id] || (this.results[stmt.id] = { correct: 0, total: 0 });
+        result.total++;
+        if (isCorrect) result.correct++;
         
         // Show feedback
         const card = this.container.querySelector('.tf-card');
@@ -677,6 +720,12 @@ class ProverbAscensionGame {
         this.modeIndex = 0;
         this.levelModes = [];
         
+        // Spaced repetition
+        this.scheduler = null;
+        this.reviewMode = false;
+        this.sessionResults = {};
+        this.reviewRefresh = null;
+        
         this.storage = new ProgressStorage();
         this.sound = new SoundManager();
         this.progress = this.storage.load();
@@ -706,6 +755,7 @@ class ProverbAscensionGame {
             modeScreen: document.getElementById('mode-screen'),
             
             playerWelcome: document.getElementById('player-welcome'),
+            reviewQueue: document.getElementById('review-queue'),
             verseSelector: document.getElementById('verse-selector'),
             startFeedback: document.getElementById('start-feedback'),
             
@@ -733,6 +783,7 @@ class ProverbAscensionGame {
             lcScore: document.getElementById('level-score'),
             lcAccuracy: document.getElementById('level-accuracy'),
             lcBadge: document.getElementById('level-badge'),
+            reviewSummary: document.getElementById('review-summary'),
             nextLevelBtn: document.getElementById('next-level-btn'),
             
             finalScore: document.getElementById('final-score'),
@@ -821,30 +872,180 @@ class ProverbAscensionGame {
             this.el.playerWelcome.innerHTML = `Welcome, <span class="welcome-name">${this.progress.playerName}</span>! 🌟`;
         }
         
+        this.renderReviewQueue();
         this.el.verseSelector.innerHTML = '';
         
         PROVERBS_DATA.forEach((proverb, index) => {
             const completed = this.progress.levelsCompleted && this.progress.levelsCompleted[proverb.id];
+            const due = this.scheduler?.isDue(proverb.id);
             const difficultyTag = proverb.difficulty || 'medium';
             
             const btn = document.createElement('button');
-            btn.className = `verse-btn ${completed ? 'completed' : ''}`;
+            btn.className = `verse-btn ${completed ? 'completed' : ''} ${due ? 'due' : ''}`;
             btn.innerHTML = `
                 <span class="verse-ref">${proverb.reference}</span>
                 <span class="verse-preview">${proverb.text.substring(0, 45)}...</span>
                 <span class="difficulty-tag ${difficultyTag}">${difficultyTag}</span>
-                <span class="verse-status">${completed ? '✅' : '📖'}</span>
+                <span class="verse-status">${due ? '⏰' : completed ? '✅' : '📖'}</span>
             `;
             btn.addEventListener('click', () => this.selectVerse(index + 1));
             this.el.verseSelector.appendChild(btn);
         });
     }
     
+    renderReviewQueue() {
+        if (!this.el.reviewQueue || !this.scheduler) return;
+        
+        const now = Date.now();
+        const due = this.scheduler.getDue(now);
+        const nextDueAt = this.scheduler.getNextDueAt(now);
+        
+        if (due.length > 0) {
+            const refs = due.map(id => PROVERBS_DATA.find(p => p.id === id)?.reference).filter(Boolean);
+            this.el.reviewQueue.innerHTML = `
+                <div class="review-queue-header">
+                    <span>⏰ Due for Review</span>
+                    <span class="review-count">${due.length}</span>
+                </div>
+                <div class="review-refs">${refs.map(r => `<span class="review-ref">${r}</span>`).join('')}</div>
+                <button id="start-review-btn" class="btn btn-primary btn-small">Review Now</button>
+            `;
+            this.el.reviewQueue.querySelector('#start-review-btn').addEventListener('click', () => this.startReview());
+            this.el.reviewQueue.classList.add('show', 'has-due');
+        } else if (nextDueAt) {
+            this.el.reviewQueue.innerHTML = `
+                <div class="review-queue-header">
+                    <span>🌱 All caught up!</span>
+                </div>
+                <p class="review-next">Next review in ${formatDuration(nextDueAt - now)}</p>
+            `;
+            this.el.reviewQueue.classList.add('show');
+            this.el.reviewQueue.classList.remove('has-due');
+        } else {
+            this.el.reviewQueue.innerHTML = '';
+            this.el.reviewQueue.classList.remove('show', 'has-due');
+        }
+    }
+    
+    initScheduler() {
+        const multiplier = DIFFICULTY_PRESETS[this.difficulty]?.intervalMultiplier || 1;
+        this.scheduler = new ReviewScheduler(this.progress.playerName, multiplier, {
+            STORAGE_KEY: PROVERB_CONFIG.REVIEW_KEY,
+            INTERVALS: PROVERB_CONFIG.INTERVALS,
+            ...PROVERB_CONFIG.REVIEW
+        });
+        
+        // Keep the queue and countdown fresh while the verse list is showing
+        clearInterval(this.reviewRefresh);
+        this.reviewRefresh = setInterval(() => {
+            if (this.phase === 'start') this.renderVerseSelector();
+        }, 30000);
+    }
+    
     selectVerse(verseLevel) {
         this.sound.play('click');
         this.startLevel(verseLevel);
     }
     
+    /**
+     * Verses to mix into multi-verse modes alongside the focus verses:
+     * due verses first, then the other studied verses that are due soonest
+     */
+    getPracticeSet(focus, max) {
+        const chosen = [...focus];
+        const add = (p) => { if (p && chosen.length < max && !chosen.includes(p)) chosen.push(p); };
+        
+        this.scheduler?.getDue().forEach(id => add(PROVERBS_DATA.find(p => p.id === id)));
+        
+        Object.entries(this.scheduler?.cards || {})
+            .sort(([, a], [, b]) => a.dueAt - b.dueAt)
+            .forEach(([id]) => add(PROVERBS_DATA.find(p => p.id === Number(id))));
+        
+        return chosen;
+    }
+    
+    getStepProverbs(mode) {
+        const { MATCH_MIN, MATCH_MAX } = PROVERB_CONFIG.REVIEW;
+        
+        if (mode === 'trueFalse') return this.getPracticeSet([this.proverb], 3);
+        if (mode !== 'matchLines') return [this.proverb];
+        
+        const set = this.getPracticeSet([this.proverb], MATCH_MAX);
+        // Not enough studied verses yet - fill in with neighbouring verses
+        PROVERBS_DATA.forEach(p => { if (set.length < MATCH_MIN && !set.includes(p)) set.push(p); });
+        return set;
+    }
+    
+    startReview() {
+        const dueIds = this.scheduler ? this.scheduler.getDue().slice(0, PROVERB_CONFIG.REVIEW.MAX_BATCH) : [];
+        const proverbs = dueIds.map(id => PROVERBS_DATA.find(p => p.id === id)).filter(Boolean);
+        if (proverbs.length === 0) {
+            this.showMsg('Nothing is due for review yet 🌱');
+            this.renderVerseSelector();
+            return;
+        }
+        
+        this.sound.play('click');
+        this.reviewMode = true;
+        this.sessionResults = {};
+        this.proverb = proverbs[0];
+        this.qIndex = 0;
+        this.levelScore = 0;
+        this.levelCorrect = 0;
+        this.totalQuestions = 0;
+        
+        this.levelModes = this.getReviewSteps(proverbs);
+        
+        this.updateUI();
+        this.startLevelModes();
+    }
+    
+    /**
+     * Steps for a review session, from the modes each due verse needs:
+     * recognize them together, then recall each one, then connect them
+     */
+    getReviewSteps(proverbs) {
+        const { MATCH_MIN, MATCH_MAX } = PROVERB_CONFIG.REVIEW;
+        const modesFor = new Map(proverbs.map(p => [p, this.scheduler.getReviewModes(p.id) || ['fillBlanks']]));
+        const needing = (mode) => proverbs.filter(p => modesFor.get(p).includes(mode));
+        const steps = [];
+        
+        const recognize = needing('trueFalse');
+        if (recognize.length > 0) steps.push({ mode: 'trueFalse', proverbs: recognize });
+        
+        proverbs.forEach(p => modesFor.get(p)
+            .filter(mode => !PROVERB_CONFIG.MULTI_VERSE_MODES.includes(mode))
+            .forEach(mode => steps.push({ mode, proverbs: [p] })));
+        
+        const connect = needing('matchLines');
+        const matchSet = connect.length > 0 ? this.getPracticeSet(connect, MATCH_MAX) : [];
+        if (matchSet.length >= MATCH_MIN) steps.push({ mode: 'matchLines', proverbs: matchSet });
+        
+        return steps;
+    }
+    
+    /**
+     * Modes for a verse level. A verse that is due is practiced the way its
+     * review stage calls for rather than by level, and when other verses are
+     * due a multi-verse mode is added so they are reviewed along the way.
+     */
+    getLevelModes(lvl) {
+        const dueModes = this.scheduler?.getReviewModes(this.proverb.id);
+        const modes = dueModes || [...(PROVERB_CONFIG.LEVEL_MODES[lvl] || ['multipleChoice'])];
+        
+        const othersDue = (this.scheduler?.getDue() || []).some(id => id !== this.proverb.id);
+        if (othersDue && !modes.some(mode => PROVERB_CONFIG.MULTI_VERSE_MODES.includes(mode))) {
+            modes.push('trueFalse');
+        }
+        return modes;
+    }
+    
+    recordResult(id, correct, total) {
+        const result = this.sessionResults[id] || (this.sessionResults[id] = { correct: 0, total: 0 });
+        result.correct += correct;
+        result.total += total;
+    }
+    
     startGame() {
         // This is now handled by selecting a verse
         this.sound.play('click');
@@ -862,14 +1063,16 @@ class ProverbAscensionGame {
         this.level = lvl;
         this.progress.currentLevel = lvl;
         this.proverb = PROVERBS_DATA[lvl - 1];
+        this.reviewMode = false;
+        this.sessionResults = {};
         this.qIndex = 0;
         this.modeIndex = 0;
         this.levelScore = 0;
         this.levelCorrect = 0;
         this.totalQuestions = 0;
         
-        // Get modes for this level
-        this.levelModes = PROVERB_CONFIG.LEVEL_MODES[lvl] || ['multipleChoice'];
+        // Due reviews pick the modes; multi-verse modes pull in what is due
+        this.levelModes = this.getLevelModes(lvl).map(mode => ({ mode, proverbs: this.getStepProverbs(mode) }));
         
         this.updateUI();
         this.showIntro();
@@ -891,24 +1094,26 @@ class ProverbAscensionGame {
     
     runNextMode() {
         if (this.modeIndex >= this.levelModes.length) {
-            return this.showLevelComplete();
+            return this.reviewMode ? this.showReviewComplete() : this.showLevelComplete();
         }
         
-        this.currentMode = this.levelModes[this.modeIndex];
+        const step = this.levelModes[this.modeIndex];
+        this.currentMode = step.mode;
         
         switch (this.currentMode) {
             case 'multipleChoice':
+                this.proverb = step.proverbs[0];
                 this.qIndex = 0;
                 this.showQuestion();
                 break;
             case 'fillBlanks':
-                this.showFillBlanks();
+                this.showFillBlanks(step.proverbs[0]);
                 break;
             case 'matchLines':
-                this.showMatchLines();
+                this.showMatchLines(step.proverbs);
                 break;
             case 'trueFalse':
-                this.showTrueFalse();
+                this.showTrueFalse(step.proverbs);
                 break;
             default:
                 this.modeIndex++;
@@ -964,6 +1169,7 @@ class ProverbAscensionGame {
         
         const correct = answer === this.question.correct;
         this.totalQuestions++;
+        this.recordResult(this.proverb.id, correct ? 1 : 0, 1);
         
         const btns = this.el.choices.querySelectorAll('.choice-btn');
         btns.forEach(b => {
@@ -1031,15 +1237,15 @@ class ProverbAscensionGame {
     
     // ==================== Fill in Blanks Mode ====================
     
-    showFillBlanks() {
+    showFillBlanks(proverb) {
         this.phase = 'mode';
         this.el.modeTitle.textContent = '✏️ Fill in the Blanks';
         
         this.fillGame = new FillBlanksGame(
             this.el.modeContainer,
-            this.proverb,
+            proverb,
             this.difficulty,
-            (correct, total) => this.onModeComplete('fillBlanks', correct, total)
+            (correct, total, results) => this.onModeComplete('fillBlanks', correct, total, results)
         );
         this.fillGame.init();
         this.showScreen('mode');
@@ -1047,17 +1253,14 @@ class ProverbAscensionGame {
     
     // ==================== Match Lines Mode ====================
     
-    showMatchLines() {
+    showMatchLines(proverbs) {
         this.phase = 'mode';
         this.el.modeTitle.textContent = '🔗 Match the Lines';
         
-        // Use all proverbs up to current level for matching
-        const proverbsToMatch = PROVERBS_DATA.slice(0, Math.min(this.level, 5));
-        
         this.matchGame = new MatchLinesGame(
             this.el.modeContainer,
-            proverbsToMatch,
-            (correct, total) => this.onModeComplete('matchLines', correct, total)
+            proverbs,
+            (correct, total, results) => this.onModeComplete('matchLines', correct, total, results)
         );
         this.matchGame.init();
         this.showScreen('mode');
@@ -1065,14 +1268,14 @@ class ProverbAscensionGame {
     
     // ==================== True/False Mode ====================
     
-    showTrueFalse() {
+    showTrueFalse(proverbs) {
         this.phase = 'mode';
         this.el.modeTitle.textContent = '✅❌ True or False';
         
         this.tfGame = new TrueFalseGame(
             this.el.modeContainer,
-            [this.proverb],
-            (correct, total) => this.onModeComplete('trueFalse', correct, total)
+            proverbs,
+            (correct, total, results) => this.onModeComplete('trueFalse', correct, total, results)
         );
         this.tfGame.init();
         this.showScreen('mode');
@@ -1080,9 +1283,10 @@ class ProverbAscensionGame {
     
     // ==================== Mode Complete Handler ====================
     
-    onModeComplete(mode, correct, total) {
+    onModeComplete(mode, correct, total, results = {}) {
         this.totalQuestions += total;
         this.levelCorrect += correct;
+        Object.entries(results).forEach(([id, r]) => this.recordResult(Number(id), r.correct, r.total));
         
         let pts = correct * PROVERB_CONFIG.POINTS.CORRECT_ANSWER;
         if (mode === 'matchLines') pts += correct * PROVERB_CONFIG.POINTS.MATCH_BONUS;
@@ -1129,20 +1333,72 @@ class ProverbAscensionGame {
         this.progress.levelsCompleted[this.level] = { score: this.levelScore, accuracy: acc, time: Date.now() };
         this.storage.save(this.progress);
         
+        // Studying a verse schedules it; due verses practiced along the way count as reviews
+        const scheduled = [this.proverb.id, ...Object.keys(this.sessionResults).map(Number)
+            .filter(id => id !== this.proverb.id && this.scheduler?.isDue(id))];
+        const reviewed = scheduled.map(id => id === this.proverb.id
+            ? { id, card: this.scheduler?.review(id, acc / 100), accuracy: acc / 100 }
+            : this.reviewFromResults(id));
+        
         this.el.lcTitle.textContent = `${this.proverb.reference} Complete!`;
         this.el.lcScore.textContent = this.levelScore;
         this.el.lcAccuracy.textContent = `${acc}%`;
         this.el.lcBadge.textContent = perfect ? '⭐ Perfect!' : acc >= 75 ? '🎉 Great!' : '📚 Keep Learning';
         this.el.lcBadge.className = `level-badge ${perfect ? 'perfect' : acc >= 75 ? 'great' : 'good'}`;
         this.el.nextLevelBtn.textContent = 'Choose Another Verse →';
+        this.renderReviewSummary(reviewed);
         
         this.updateUI();
         this.showScreen('levelComplete');
     }
     
+    reviewFromResults(id) {
+        const r = this.sessionResults[id];
+        const accuracy = r && r.total > 0 ? r.correct / r.total : 0;
+        return { id, card: this.scheduler?.review(id, accuracy), accuracy };
+    }
+    
+    showReviewComplete() {
+        this.phase = 'levelComplete';
+        this.reviewMode = false;
+        const acc = this.totalQuestions > 0 ? Math.round((this.levelCorrect / this.totalQuestions) * 100) : 0;
+        
+        const reviewed = Object.keys(this.sessionResults).map(Number)
+            .filter(id => this.scheduler?.isDue(id))
+            .map(id => this.reviewFromResults(id));
+        
+        this.sound.play(acc >= 75 ? 'levelUp' : 'click');
+        if (acc === 100) setTimeout(() => Anim.confetti(this.el.confetti), 300);
+        
+        this.el.lcTitle.textContent = 'Review Complete!';
+        this.el.lcScore.textContent = this.levelScore;
+        this.el.lcAccuracy.textContent = `${acc}%`;
+        this.el.lcBadge.textContent = acc === 100 ? '⭐ Perfect Recall!' : acc >= 75 ? '🧠 Remembered!' : '🔁 Review Again Soon';
+        this.el.lcBadge.className = `level-badge ${acc === 100 ? 'perfect' : acc >= 75 ? 'great' : 'good'}`;
+        this.el.nextLevelBtn.textContent = 'Back to Verses →';
+        this.renderReviewSummary(reviewed);
+        
+        this.updateUI();
+        this.showScreen('levelComplete');
+    }
+    
+    renderReviewSummary(reviewed) {
+        if (!this.el.reviewSummary) return;
+        const now = Date.now();
+        this.el.reviewSummary.innerHTML = reviewed.filter(r => r.card).map(({ id, card, accuracy }) => {
+            const ref = PROVERBS_DATA.find(p => p.id === id)?.reference;
+            const lapsed = accuracy !== undefined && accuracy < PROVERB_CONFIG.REVIEW.PASS_ACCURACY;
+            return `<div class="review-summary-item ${lapsed ? 'lapsed' : ''}">
+                <span>${ref}</span>
+                <span>${lapsed ? '🔁 ' : ''}Next review in ${formatDuration(card.dueAt - now)}</span>
+            </div>`;
+        }).join('');
+    }
+    
     nextLevel() {
         this.sound.play('click');
         // Go back to verse selection instead of auto-advancing
+        this.phase = 'start';
         this.renderVerseSelector();
         this.showScreen('start');
     }
@@ -1201,6 +1457,7 @@ class ProverbAscensionGame {
         this.streak = 0;
         this.progress.streak = 0;
         this.totalQuestions++;
+        this.recordResult(this.proverb.id, 0, 1);
         this.storage.save(this.progress);
         Anim.shake(this.el.questionScreen);
         setTimeout(() => this.showFeedback(false, 0), 800);
@@ -1254,6 +1511,8 @@ class ProverbAscensionGame {
             this.difficulty = this.progress.difficulty || getDifficultyFromAge(this.progress.playerAge || 12);
         }
         
+        this.initScheduler();
+        
         // Render verse selector
         this.renderVerseSelector();
     }
@@ -1263,13 +1522,15 @@ class ProverbAscensionGame {
         this.storage.clear();
         this.progress = this.storage.defaults();
         
-        // Reload player from PlayerManager
+        // Reload player from PlayerManager; the review schedule is kept
         this.initPlayerFromManager();
+        this.initScheduler();
         
         this.score = 0;
         this.streak = 0;
         this.bestStreak = 0;
         this.level = 1;
+        this.phase = 'start';
         this.updateUI();
         this.renderVerseSelector();
         this.showScreen('start');
@@ -0,0 +1,157 @@
+/**
+ * ReviewScheduler.js - Spaced repetition for Proverb Ascension
+ *
+ * Keeps a per-player review schedule for each studied verse. Passing
+ * reviews climb the INTERVALS ladder, then grow by the ease factor
+ * (SM-2 style). A failed review is a lapse: the verse drops back to the
+ * first interval and its ease shrinks.
+ *
+ * How far a verse has climbed also decides how it is practiced when it
+ * comes due: a verse that has just been learned or lapsed is recognized
+ * first, a settled one is recalled and connected with others
+ * (STAGE_MODES).
+ *
+ * Schedules are stored under one localStorage key, by lower-case player
+ * name, so PlayerManager can export each player's own schedule.
+ *
+ * @version 1.0.0
+ */
+
+// ==================== Configuration ====================
+
+const REVIEW_SCHEDULER_DEFAULTS = Object.freeze({
+    STORAGE_KEY: 'proverbAscensionReviews',
+    GUEST_KEY: 'guest',
+
+    // Minutes, scaled by intervalMultiplier
+    INTERVALS: [2, 5, 10, 20, 40],
+
+    DEFAULT_EASE: 2.5,       // Growth factor once a verse passes the last interval
+    MIN_EASE: 1.3,
+    MAX_EASE: 3.0,
+    PASS_ACCURACY: 0.75,     // Below this a review counts as a lapse
+
+    // Modes for a due verse by interval stage; the last entry covers the rest
+    STAGE_MODES: [
+        ['multipleChoice', 'trueFalse', 'fillBlanks'],
+        ['trueFalse', 'fillBlanks'],
+        ['fillBlanks', 'matchLines']
+    ]
+});
+
+// ==================== ReviewScheduler Class ====================
+
+class ReviewScheduler {
+    /**
+     * @param {string} [playerName] - Schedule owner; guests share one schedule
+     * @param {number} [intervalMultiplier] - Scales every interval (difficulty preset)
+     * @param {Object} [config] - Overrides for REVIEW_SCHEDULER_DEFAULTS
+     */
+    constructor(playerName, intervalMultiplier = 1, config = {}) {
+        this.config = { ...REVIEW_SCHEDULER_DEFAULTS, ...config };
+        this.key = this.config.STORAGE_KEY;
+        this.playerKey = playerName ? playerName.toLowerCase() : this.config.GUEST_KEY;
+        this.intervalMultiplier = intervalMultiplier;
+        this.cards = this.load();
+    }
+
+    // ==================== Storage ====================
+
+    load() {
+        try {
+            const all = JSON.parse(localStorage.getItem(this.key) || '{}');
+            return all[this.playerKey] || {};
+        } catch { return {}; }
+    }
+
+    save() {
+        try {
+            const all = JSON.parse(localStorage.getItem(this.key) || '{}');
+            all[this.playerKey] = this.cards;
+            localStorage.setItem(this.key, JSON.stringify(all));
+        } catch {}
+    }
+
+    // ==================== Queue ====================
+
+    getCard(id) { return this.cards[id] || null; }
+
+    isDue(id, now = Date.now()) {
+        const card = this.cards[id];
+        return !!card && card.dueAt <= now;
+    }
+
+    /** Ids of verses due now, most overdue first */
+    getDue(now = Date.now()) {
+        return Object.entries(this.cards)
+            .filter(([, card]) => card.dueAt <= now)
+            .sort(([, a], [, b]) => a.dueAt - b.dueAt)
+            .map(([id]) => Number(id));
+    }
+
+    /** Timestamp of the next upcoming review, or null if nothing is scheduled */
+    getNextDueAt(now = Date.now()) {
+        const upcoming = Object.values(this.cards).map(c => c.dueAt).filter(t => t > now);
+        return upcoming.length > 0 ? Math.min(...upcoming) : null;
+    }
+
+    /**
+     * How a due verse should be practiced, from how far it has climbed
+     * @param {number} id - Proverb id
+     * @returns {Array<string>|null} Game modes, or null if the verse isn't due
+     */
+    getReviewModes(id, now = Date.now()) {
+        if (!this.isDue(id, now)) return null;
+        const { STAGE_MODES } = this.config;
+        const stage = Math.max(0, Math.min(this.cards[id].stage, STAGE_MODES.length - 1));
+        return [...STAGE_MODES[stage]];
+    }
+
+    // ==================== Reviews ====================
+
+    /**
+     * Record a study or review of a verse and schedule the next one
+     * @param {number} id - Proverb id
+     * @param {number} accuracy - Fraction correct (0-1)
+     * @returns {Object} Updated card
+     */
+    review(id, accuracy, now = Date.now()) {
+        const { INTERVALS, DEFAULT_EASE, MIN_EASE, MAX_EASE, PASS_ACCURACY } = this.config;
+        const card = this.cards[id] || {
+            stage: -1, ease: DEFAULT_EASE, intervalMinutes: 0,
+            reps: 0, lapses: 0, dueAt: now, lastReviewed: null
+        };
+
+        // SM-2 ease update, quality 0-5
+        const q = Math.round(Math.max(0, Math.min(1, accuracy)) * 5);
+        const ease = card.ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+        card.ease = Math.max(MIN_EASE, Math.min(MAX_EASE, ease));
+
+        if (accuracy >= PASS_ACCURACY) {
+            card.stage++;
+            card.reps++;
+            card.intervalMinutes = card.stage < INTERVALS.length
+                ? INTERVALS[card.stage]
+                : Math.round(card.intervalMinutes * card.ease);
+        } else {
+            // Missed recall resets the interval stage
+            if (card.stage >= 0) card.lapses++;
+            card.stage = 0;
+            card.intervalMinutes = INTERVALS[0];
+        }
+
+        card.lastReviewed = now;
+        card.dueAt = now + card.intervalMinutes * this.intervalMultiplier * 60000;
+        this.cards[id] = card;
+        this.save();
+        return card;
+    }
+}
+
+// ==================== Export ====================
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+    window.ReviewScheduler = ReviewScheduler;
+    window.REVIEW_SCHEDULER_DEFAULTS = REVIEW_SCHEDULER_DEFAULTS;
+}
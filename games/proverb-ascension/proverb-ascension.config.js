@@ -14,14 +14,36 @@ export const PROVERB_CONFIG = Object.freeze({
     // Storage Keys
     STORAGE_KEY: 'proverbAscensionProgress',
     LEADERBOARD_KEY: 'proverbAscensionLeaderboard',
+    REVIEW_KEY: 'proverbAscensionReviews',
     
     // Timing (milliseconds)
     READ_PHASE_MIN_TIME: 5000,
     RECALL_TIME_LIMIT: 60000,
     
-    // Spaced Repetition Intervals (minutes)
+    // Spaced Repetition Intervals (minutes) - scaled by intervalMultiplier
     INTERVALS: [2, 5, 10, 20, 40],
     
+    REVIEW: {
+        DEFAULT_EASE: 2.5,       // Growth factor once a verse passes the last interval
+        MIN_EASE: 1.3,
+        MAX_EASE: 3.0,
+        PASS_ACCURACY: 0.75,     // Below this a review counts as a lapse
+        MAX_BATCH: 4,            // Most verses reviewed in one session
+        MATCH_MIN: 3,            // Match the Lines needs at least this many verses
+        MATCH_MAX: 5,
+        
+        // Modes for a due verse by interval stage (ReviewScheduler.getReviewModes):
+        // just learned or lapsed -> recognize, settled -> recall and connect
+        STAGE_MODES: [
+            ['multipleChoice', 'trueFalse', 'fillBlanks'],
+            ['trueFalse', 'fillBlanks'],
+            ['fillBlanks', 'matchLines']
+        ]
+    },
+    
+    // Modes that practice several verses at once
+    MULTI_VERSE_MODES: ['trueFalse', 'matchLines'],
+    
     // Cognitive Load Control
     MAX_ACTIVE_PROVERBS: 2,
     
@@ -0,0 +1,243 @@
+/**
+ * PictureTiles.js - Picture Themes for Puzzle Cloud Path
+ *
+ * Cuts a picture into gridSize × gridSize tiles with a canvas. Pictures
+ * are either bundled (small SVG scenes, inlined so they work from file://)
+ * or picked by the player - uploads are cropped square and shrunk to a
+ * JPEG data URL small enough to keep in localStorage.
+ *
+ * Slices are data URLs in board order: slice i belongs to tile number
+ * i + 1, and the last slice is the corner the empty space covers.
+ *
+ * @version 1.0.0
+ */
+
+const PictureTiles = (function() {
+    'use strict';
+
+    const TILE_SIZE = 160;                      // px per slice
+    const STORED_SIZE = 480;                    // px per side for saved uploads
+    const STORED_QUALITY = 0.85;
+    const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+    // ==========================================
+    // BUNDLED PICTURES
+    // ==========================================
+
+    const svg = (body) => 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 300 300">${body}</svg>`
+    );
+
+    const PICTURES = {
+        cloud_picnic: {
+            name: '🧺 Cloud Picnic',
+            src: svg(
+                '<rect width="300" height="300" fill="#bfe6ff"/>' +
+                '<circle cx="245" cy="55" r="32" fill="#ffd94a"/>' +
+                '<g fill="#fff"><ellipse cx="70" cy="70" rx="50" ry="22"/><ellipse cx="95" cy="55" rx="30" ry="22"/>' +
+                '<ellipse cx="190" cy="125" rx="42" ry="16"/></g>' +
+                '<rect y="205" width="300" height="95" fill="#8fd694"/>' +
+                '<path d="M30 255 L150 220 L275 250 L165 292 Z" fill="#ff8fb8"/>' +
+                '<path d="M90 238 L200 275 M120 229 L230 266 M60 247 L170 284" stroke="#fff" stroke-width="6"/>' +
+                '<g fill="#fff" stroke="#ffc0d9" stroke-width="3"><ellipse cx="80" cy="150" rx="30" ry="11" transform="rotate(-20 80 150)"/>' +
+                '<ellipse cx="180" cy="150" rx="30" ry="11" transform="rotate(20 180 150)"/><circle cx="130" cy="185" r="40"/></g>' +
+                '<g fill="#3b3b5c"><circle cx="115" cy="180" r="5"/><circle cx="145" cy="180" r="5"/></g>' +
+                '<g fill="#ffb3cf"><circle cx="105" cy="195" r="7"/><circle cx="155" cy="195" r="7"/></g>' +
+                '<path d="M124 197 Q130 203 136 197" stroke="#3b3b5c" stroke-width="3" fill="none"/>' +
+                '<rect x="215" y="215" width="50" height="30" rx="6" fill="#c98b4f"/>' +
+                '<path d="M220 215 Q240 185 260 215" stroke="#8a5a2b" stroke-width="5" fill="none"/>' +
+                '<circle cx="230" cy="212" r="8" fill="#e53e3e"/><circle cx="248" cy="210" r="7" fill="#f6ad55"/>'
+            )
+        },
+        rainbow_garden: {
+            name: '🌈 Rainbow Garden',
+            src: svg(
+                '<rect width="300" height="300" fill="#fff3f8"/>' +
+                '<g fill="none" stroke-width="14">' +
+                '<circle cx="150" cy="230" r="135" stroke="#ff6b6b"/><circle cx="150" cy="230" r="121" stroke="#ffa94d"/>' +
+                '<circle cx="150" cy="230" r="107" stroke="#ffe066"/><circle cx="150" cy="230" r="93" stroke="#69db7c"/>' +
+                '<circle cx="150" cy="230" r="79" stroke="#4dabf7"/><circle cx="150" cy="230" r="65" stroke="#9775fa"/></g>' +
+                '<rect y="225" width="300" height="75" fill="#74c69d"/>' +
+                '<g fill="#f783ac"><circle cx="40" cy="250" r="12"/><circle cx="110" cy="270" r="12"/><circle cx="260" cy="255" r="12"/></g>' +
+                '<g fill="#ffd43b"><circle cx="40" cy="250" r="5"/><circle cx="110" cy="270" r="5"/><circle cx="260" cy="255" r="5"/></g>' +
+                '<g fill="#fff"><circle cx="190" cy="265" r="10"/><circle cx="75" cy="285" r="8"/></g>' +
+                '<g fill="#ffa8cc"><ellipse cx="220" cy="80" rx="16" ry="12"/><ellipse cx="244" cy="80" rx="16" ry="12"/></g>' +
+                '<rect x="229" y="68" width="6" height="26" rx="3" fill="#4a4a6a"/>' +
+                '<g fill="#fff"><ellipse cx="45" cy="45" rx="34" ry="15"/><ellipse cx="60" cy="35" rx="20" ry="14"/></g>'
+            )
+        },
+        starry_night: {
+            name: '🌙 Starry Night',
+            src: svg(
+                '<rect width="300" height="300" fill="#1d2452"/>' +
+                '<circle cx="70" cy="70" r="40" fill="#fff4c2"/><circle cx="88" cy="58" r="36" fill="#1d2452"/>' +
+                '<ellipse cx="215" cy="190" rx="62" ry="14" fill="none" stroke="#ffc9e3" stroke-width="6" transform="rotate(-15 215 190)"/>' +
+                '<circle cx="215" cy="190" r="36" fill="#b197fc"/>' +
+                '<path d="M180 196 Q215 205 250 180" stroke="#845ef7" stroke-width="6" fill="none"/>' +
+                '<g fill="#ffe066"><path d="M200 40 l6 14 15 1 -12 9 4 15 -13 -8 -13 8 4 -15 -12 -9 15 -1z"/>' +
+                '<path d="M140 120 l4 9 10 1 -8 6 3 10 -9 -5 -9 5 3 -10 -8 -6 10 -1z"/>' +
+                '<path d="M50 200 l5 11 12 1 -9 7 3 12 -11 -6 -11 6 3 -12 -9 -7 12 -1z"/></g>' +
+                '<g fill="#fff"><circle cx="260" cy="40" r="3"/><circle cx="150" cy="60" r="2"/><circle cx="30" cy="140" r="2"/>' +
+                '<circle cx="110" cy="250" r="3"/><circle cx="270" cy="270" r="2"/></g>' +
+                '<g transform="rotate(35 120 230)"><rect x="110" y="200" width="22" height="56" rx="11" fill="#f1f3f5"/>' +
+                '<circle cx="121" cy="220" r="6" fill="#4dabf7"/><path d="M110 245 l-10 14 h10z M132 245 l10 14 h-10z" fill="#ff6b6b"/>' +
+                '<path d="M114 258 l7 16 7 -16z" fill="#ffa94d"/></g>'
+            )
+        }
+    };
+
+    // ==========================================
+    // GEOMETRY
+    // ==========================================
+
+    /**
+     * The biggest centred square inside a picture
+     * @param {number} width - Picture width
+     * @param {number} height - Picture height
+     * @returns {{sx: number, sy: number, side: number}}
+     */
+    function cropSquare(width, height) {
+        const side = Math.min(width, height);
+        return { sx: (width - side) / 2, sy: (height - side) / 2, side };
+    }
+
+    /**
+     * Where each tile's slice comes from in the picture, in board order
+     * @param {number} width - Picture width
+     * @param {number} height - Picture height
+     * @param {number} gridSize - Tiles per side
+     * @returns {Array<{sx: number, sy: number, sw: number, sh: number}>}
+     */
+    function sliceRects(width, height, gridSize) {
+        const { sx, sy, side } = cropSquare(width, height);
+        const step = side / gridSize;
+        const rects = [];
+        for (let row = 0; row < gridSize; row++) {
+            for (let col = 0; col < gridSize; col++) {
+                rects.push({ sx: sx + col * step, sy: sy + row * step, sw: step, sh: step });
+            }
+        }
+        return rects;
+    }
+
+    // ==========================================
+    // CANVAS WORK
+    // ==========================================
+
+    /**
+     * Loads a picture
+     * @param {string} src - URL or data URL
+     * @returns {Promise<{success: boolean, image: HTMLImageElement|null, error: string|null}>}
+     */
+    function loadImage(src) {
+        return new Promise(resolve => {
+            const image = new Image();
+            image.onload = () => resolve({ success: true, image, error: null });
+            image.onerror = () => resolve({ success: false, image: null, error: 'The picture could not be loaded' });
+            image.src = src;
+        });
+    }
+
+    /**
+     * Cuts a picture into tile slices
+     * @param {string} src - URL or data URL
+     * @param {number} gridSize - Tiles per side
+     * @returns {Promise<{success: boolean, slices: string[], error: string|null}>}
+     */
+    async function slice(src, gridSize) {
+        const loaded = await loadImage(src);
+        if (!loaded.success) return { success: false, slices: [], error: loaded.error };
+
+        const { image } = loaded;
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+        if (!width || !height) {
+            return { success: false, slices: [], error: 'The picture has no size' };
+        }
+
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = TILE_SIZE;
+            canvas.height = TILE_SIZE;
+            const ctx = canvas.getContext('2d');
+            const slices = sliceRects(width, height, gridSize).map(({ sx, sy, sw, sh }) => {
+                ctx.clearRect(0, 0, TILE_SIZE, TILE_SIZE);
+                ctx.drawImage(image, sx, sy, sw, sh, 0, 0, TILE_SIZE, TILE_SIZE);
+                return canvas.toDataURL('image/png');
+            });
+            return { success: true, slices, error: null };
+        } catch (e) {
+            // e.g. a browser that treats the picture as cross-origin
+            return { success: false, slices: [], error: 'The picture could not be cut into tiles' };
+        }
+    }
+
+    /**
+     * Checks a picked file before reading it
+     * @param {{type: string, size: number}} file - File from an <input type="file">
+     * @returns {{valid: boolean, error: string|null}}
+     */
+    function checkUpload(file) {
+        if (!file || !/^image\//.test(file.type || '')) {
+            return { valid: false, error: 'Please pick a picture file' };
+        }
+        if (file.size > MAX_UPLOAD_BYTES) {
+            return { valid: false, error: 'That picture is too big (10 MB at most)' };
+        }
+        return { valid: true, error: null };
+    }
+
+    /**
+     * Turns a picked file into a small square JPEG data URL for saving
+     * @param {File} file - File from an <input type="file">
+     * @returns {Promise<{success: boolean, dataUrl: string|null, error: string|null}>}
+     */
+    async function prepareUpload(file) {
+        const check = checkUpload(file);
+        if (!check.valid) return { success: false, dataUrl: null, error: check.error };
+
+        const original = await new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => resolve(null);
+            reader.readAsDataURL(file);
+        });
+        if (!original) return { success: false, dataUrl: null, error: 'The file could not be read' };
+
+        const loaded = await loadImage(original);
+        if (!loaded.success) return { success: false, dataUrl: null, error: loaded.error };
+
+        try {
+            const { image } = loaded;
+            const { sx, sy, side } = cropSquare(image.naturalWidth || image.width, image.naturalHeight || image.height);
+            const size = Math.min(STORED_SIZE, side);
+            const canvas = document.createElement('canvas');
+            canvas.width = size;
+            canvas.height = size;
+            canvas.getContext('2d').drawImage(image, sx, sy, side, side, 0, 0, size, size);
+            return { success: true, dataUrl: canvas.toDataURL('image/jpeg', STORED_QUALITY), error: null };
+        } catch (e) {
+            return { success: false, dataUrl: null, error: 'The picture could not be prepared' };
+        }
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+
+    return {
+        PICTURES,
+        MAX_UPLOAD_BYTES,
+        cropSquare,
+        sliceRects,
+        loadImage,
+        slice,
+        checkUpload,
+        prepareUpload
+    };
+})();
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+    window.PictureTiles = PictureTiles;
+}
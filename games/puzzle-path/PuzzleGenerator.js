@@ -0,0 +1,218 @@
+/**
+ * PuzzleGenerator.js - Seeded Puzzle Generator for Puzzle Cloud Path
+ *
+ * Builds a starting layout from a seed and a difficulty level. The layout
+ * is a random walk from the solved board, checked with PuzzleSolver so its
+ * shortest solution falls inside the level's `optimalMoves` band - every
+ * puzzle at a level is about as hard as the others.
+ *
+ * Everything is driven by the seed (and PuzzleSolver's node counts, not
+ * the clock), so a puzzle code like "4-PANDA42" gives everyone the same
+ * board. The Daily Puzzle uses a seed made from the date.
+ *
+ * Needs PuzzleSolver.js loaded first.
+ *
+ * @version 1.0.0
+ */
+
+const PuzzleGenerator = (function() {
+    'use strict';
+
+    const MAX_ATTEMPTS = 40;
+    const MAX_NODES = 1000000;      // per check, so generation stays quick on 5x5
+    const CODE_PATTERN = /^([1-9])[-\s]*([A-Z0-9]+)$/;
+
+    const SEED_WORDS = ['CLOUD', 'BUNNY', 'STAR', 'MOCHI', 'BERRY', 'PUFF', 'SKY', 'CANDY'];
+
+    // ==========================================
+    // SEEDS AND CODES
+    // ==========================================
+
+    /**
+     * Tidy a typed seed: capitals and digits only
+     * @param {string} text - Seed as typed
+     * @returns {string} Seed, or '' if nothing usable was typed
+     */
+    function normalizeSeed(text) {
+        return String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 16);
+    }
+
+    /**
+     * A fresh easy-to-share seed, like "MOCHI27"
+     * @returns {string} Seed
+     */
+    function randomSeed() {
+        const word = SEED_WORDS[Math.floor(Math.random() * SEED_WORDS.length)];
+        return `${word}${Math.floor(Math.random() * 90) + 10}`;
+    }
+
+    /**
+     * The local calendar date, as used for Daily Puzzle records
+     * @param {Date} [date] - Defaults to today
+     * @returns {string} "YYYY-MM-DD"
+     */
+    function dateKey(date = new Date()) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Seed for the Daily Puzzle on a date
+     * @param {Date} [date] - Defaults to today
+     * @returns {string} Seed, like "DAY20261019"
+     */
+    function dailySeed(date = new Date()) {
+        return `DAY${dateKey(date).replace(/-/g, '')}`;
+    }
+
+    /**
+     * Shareable code for a puzzle
+     * @param {number} level - Difficulty level
+     * @param {string} seed - Seed
+     * @returns {string} Code, like "4-PANDA42"
+     */
+    function makeCode(level, seed) {
+        return `${level}-${normalizeSeed(seed)}`;
+    }
+
+    /**
+     * Read a typed puzzle code
+     * @param {string} text - Code as typed ("4-panda42", "4 PANDA42"...)
+     * @returns {{level: number, seed: string}|null} null if it isn't a code
+     */
+    function parseCode(text) {
+        const match = String(text || '').trim().toUpperCase().match(CODE_PATTERN);
+        return match ? { level: Number(match[1]), seed: normalizeSeed(match[2]) } : null;
+    }
+
+    /**
+     * Seeded random numbers (mulberry32 over a string hash)
+     * @param {string} seed - Seed
+     * @returns {function(): number} Returns numbers in [0, 1)
+     */
+    function createRng(seed) {
+        let h = 1779033703 ^ seed.length;
+        for (let i = 0; i < seed.length; i++) {
+            h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+            h = (h << 13) | (h >>> 19);
+        }
+        let state = h >>> 0;
+
+        return function() {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // ==========================================
+    // GENERATION
+    // ==========================================
+
+    function solvedTiles(size) {
+        const tiles = [];
+        for (let i = 1; i < size * size; i++) tiles.push(i);
+        tiles.push(0);
+        return tiles;
+    }
+
+    /**
+     * Make a puzzle whose shortest solution is within a band
+     * @param {Object} options
+     * @param {string} options.seed - Seed (normalized with normalizeSeed)
+     * @param {number} options.size - Grid width
+     * @param {number[]} options.optimalMoves - [fewest, most] moves the shortest solution may take
+     * @returns {{success: boolean, tiles: number[], solution: number[], optimalMoves: number, inBand: boolean, error: string|null}}
+     *   The solution is a list of tile indices to move, as PuzzleSolver.solve() gives.
+     *   If no layout lands in the band, the closest one found is returned with inBand false.
+     */
+    function generate({ seed, size, optimalMoves }) {
+        const [min, max] = optimalMoves;
+        if (!Number.isInteger(size) || size < 2 || !(min >= 1 && max >= min)) {
+            return { success: false, tiles: [], solution: [], optimalMoves: 0, inBand: false, error: 'Invalid size or move band' };
+        }
+
+        const rng = createRng(`${normalizeSeed(seed) || 'CLOUD'}:${size}:${min}-${max}`);
+        const count = size * size;
+        let closest = null;
+
+        const consider = (tiles, result) => {
+            const miss = result.length < min ? min - result.length : result.length - max;
+            if (!closest || miss < closest.miss) {
+                closest = { miss, tiles: [...tiles], solution: result.moves, optimalMoves: result.length };
+            }
+        };
+
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const tiles = solvedTiles(size);
+            let empty = count - 1;
+            let previous = -1;
+
+            // Walk without stepping straight back; most walks pass through the
+            // band well before this many steps
+            for (let step = 1; step <= max * 3; step++) {
+                const row = Math.floor(empty / size);
+                const col = empty % size;
+                const options = [];
+                if (row > 0) options.push(empty - size);
+                if (row < size - 1) options.push(empty + size);
+                if (col > 0) options.push(empty - 1);
+                if (col < size - 1) options.push(empty + 1);
+                const choices = options.filter(index => index !== previous);
+                const from = choices[Math.floor(rng() * choices.length)];
+
+                tiles[empty] = tiles[from];
+                tiles[from] = 0;
+                previous = empty;
+                empty = from;
+
+                // The shortest solution is never longer than the walk so far...
+                if (step < min) continue;
+                // ...and never shorter than the solver's estimate
+                const estimate = PuzzleSolver.estimate(tiles, size);
+                if (estimate > max) break;
+                if (estimate < min - 6) continue;
+
+                const result = PuzzleSolver.solve(tiles, size, { maxNodes: MAX_NODES });
+                if (!result.success) break;
+                consider(tiles, result);
+                if (result.length > max) break;
+                if (result.length >= min) {
+                    return {
+                        success: true, tiles: [...tiles], solution: result.moves,
+                        optimalMoves: result.length, inBand: true, error: null
+                    };
+                }
+            }
+        }
+
+        if (!closest) {
+            return { success: false, tiles: [], solution: [], optimalMoves: 0, inBand: false, error: 'Could not make a puzzle' };
+        }
+        return {
+            success: true, tiles: closest.tiles, solution: closest.solution,
+            optimalMoves: closest.optimalMoves, inBand: false, error: null
+        };
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+
+    return {
+        normalizeSeed,
+        randomSeed,
+        dateKey,
+        dailySeed,
+        makeCode,
+        parseCode,
+        createRng,
+        generate
+    };
+})();
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+    window.PuzzleGenerator = PuzzleGenerator;
+}
@@ -10,16 +10,25 @@ const PUZZLE_CONFIG = Object.freeze({
   ANIMATION_DURATION: 150,  // ms
   
   // Updated: Always show target preview - two-column layout makes space for it
+  // optimalMoves: [fewest, most] moves the shortest solution takes (PuzzleGenerator)
   DIFFICULTY_SETTINGS: {
-    1: { gridSize: 2, moveLimit: null, timeLimit: null, showTarget: true },
-    2: { gridSize: 3, moveLimit: null, timeLimit: null, showTarget: true },
-    3: { gridSize: 3, moveLimit: null, timeLimit: null, showTarget: true },
-    4: { gridSize: 4, moveLimit: null, timeLimit: null, showTarget: true },
-    5: { gridSize: 4, moveLimit: 50, timeLimit: null, showTarget: true },
-    6: { gridSize: 5, moveLimit: 80, timeLimit: 180, showTarget: true },
-    7: { gridSize: 5, moveLimit: 60, timeLimit: 120, showTarget: true }
+    1: { gridSize: 2, moveLimit: null, timeLimit: null, showTarget: true, optimalMoves: [3, 6] },
+    2: { gridSize: 3, moveLimit: null, timeLimit: null, showTarget: true, optimalMoves: [8, 12] },
+    3: { gridSize: 3, moveLimit: null, timeLimit: null, showTarget: true, optimalMoves: [14, 20] },
+    4: { gridSize: 4, moveLimit: null, timeLimit: null, showTarget: true, optimalMoves: [20, 28] },
+    5: { gridSize: 4, moveLimit: 50, timeLimit: null, showTarget: true, optimalMoves: [28, 36] },
+    6: { gridSize: 5, moveLimit: 80, timeLimit: 180, showTarget: true, optimalMoves: [30, 40] },
+    7: { gridSize: 5, moveLimit: 60, timeLimit: 120, showTarget: true, optimalMoves: [36, 44] }
   },
   
+  // Everyone gets the same Daily Puzzle, so it has one fixed level
+  DAILY_LEVEL: 4,
+  
+  // Picture themes: numbers on the tiles start switched on up to this level
+  NUMBER_OVERLAY_MAX_LEVEL: 3,
+  MAX_CUSTOM_PICTURES: 6,   // per player - oldest is dropped when adding more
+  IMAGES_KEY: 'puzzlePathImages',
+  
   STAR_THRESHOLDS: {
     // Percentage of optimal moves
     3: 1.2,   // Within 20% of optimal
@@ -29,6 +38,15 @@ const PUZZLE_CONFIG = Object.freeze({
   
   HINTS_PER_PUZZLE: 3,
   
+  // Optimal solver (PuzzleSolver.js). Grids this size and up search and
+  // generate puzzles in solver-worker.js; node limits stop searches that
+  // would take too long
+  SOLVER: {
+    WORKER_MIN_GRID: 4,
+    MAX_NODES: 40000000,
+    MAIN_THREAD_MAX_NODES: 1000000
+  },
+  
   LEADERBOARD_KEY: 'puzzlePathLeaderboard'
 });
 
@@ -42,6 +60,29 @@ function getDifficultyFromAge(age) {
   return 7;
 }
 
+/**
+ * Formats seconds as m:ss
+ * @param {number} time - Seconds
+ * @returns {string}
+ */
+function formatTime(time) {
+  return `${Math.floor(time / 60)}:${(time % 60).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Stars for a solve, from how many moves it took compared with the optimal count
+ * @param {number} moves - Moves the player made
+ * @param {number} optimalMoves - Shortest solution (or its lower bound)
+ * @returns {number} 0-3 stars
+ */
+function getStarRating(moves, optimalMoves) {
+  const ratio = moves / Math.max(1, optimalMoves);
+  if (ratio <= PUZZLE_CONFIG.STAR_THRESHOLDS[3]) return 3;
+  if (ratio <= PUZZLE_CONFIG.STAR_THRESHOLDS[2]) return 2;
+  if (ratio <= PUZZLE_CONFIG.STAR_THRESHOLDS[1]) return 1;
+  return 0;
+}
+
 // ==================== Tile Themes ======================================
 const TILE_THEMES = {
     numbers: ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12', '13', '14', '15', '16', '17', '18', '19', '20', '21', '22', '23', '24'],
@@ -51,6 +92,39 @@ const TILE_THEMES = {
     space: ['🌟', '🌙', '☀️', '🪐', '🚀', '👽', '🌈', '⭐', '💫', '☄️', '🌍', '🌕', '🛸', '🔭', '🌌', '✨', '💥', '🌠', '🛰️', '🌑', '🌓', '🌔', '🌒', '🌖']
 };
 
+const THEME_NAMES = {
+    numbers: 'Number Puzzle',
+    cinnamoroll: 'Cinnamoroll',
+    animals: 'Animal Friends',
+    food: 'Foodie Fun',
+    space: 'Space Adventure'
+};
+
+/**
+ * Fills a tile element with its glyph, or its slice of a picture theme
+ * @param {HTMLElement} tile - Tile element
+ * @param {Array|Object} tileContent - Glyph list, or { slices, showNumbers } for pictures
+ * @param {number} value - Tile number (1-based)
+ */
+function paintTile(tile, tileContent, value) {
+    if (Array.isArray(tileContent)) {
+        tile.textContent = tileContent[value - 1] || value;
+        return;
+    }
+    
+    tile.textContent = '';
+    tile.classList.add('picture-tile');
+    tile.style.backgroundImage = `url("${tileContent.slices[value - 1]}")`;
+    
+    // Optional number overlay for younger kids
+    if (tileContent.showNumbers) {
+        const number = document.createElement('span');
+        number.className = 'tile-number';
+        number.textContent = value;
+        tile.appendChild(number);
+    }
+}
+
 const ENCOURAGEMENTS = [
     "Amazing work! 🎉",
     "You're a puzzle master! 🧩",
@@ -93,24 +167,12 @@ class TilePuzzleEngine {
     }
     
     /**
-     * Shuffles the puzzle by making valid moves
-     * @param {number} moveCount - Number of random moves
+     * Starts the puzzle from a shuffled layout (see PuzzleGenerator)
+     * @param {number[]} tiles - Tile numbers, 0 = empty
      */
-    shuffle(moveCount = 100) {
-        // Scale shuffle count with grid size
-        const shuffleMoves = moveCount * this.size;
-        
-        for (let i = 0; i < shuffleMoves; i++) {
-            const movable = this.getMovableTiles();
-            const randomIndex = movable[Math.floor(Math.random() * movable.length)];
-            this.moveTile(randomIndex, false);
-        }
-        
-        // Ensure puzzle isn't already solved
-        if (this.isSolved()) {
-            this.shuffle(moveCount);
-            return;
-        }
+    setLayout(tiles) {
+        this.tiles = [...tiles];
+        this.emptyIndex = this.tiles.indexOf(0);
         
         // Save initial state for reset
         this.initialState = {
@@ -189,26 +251,27 @@ class TilePuzzleEngine {
     }
     
     /**
-     * Gets a hint - returns index of a tile that should move
+     * Gets a quick hint without searching: the move that brings the
+     * solver's estimate down the most. The game asks PuzzleSolver for the
+     * true next move and only falls back to this when the search gives up.
      * @returns {number|null} Index of tile to move
      */
     getHint() {
-        // Find a tile that's not in correct position
-        const movable = this.getMovableTiles();
-        
-        // Prioritize tiles that would move to correct position
-        for (const index of movable) {
-            const tileValue = this.tiles[index];
-            const correctIndex = tileValue - 1;
-            
-            // Check if moving this tile gets it closer to correct position
-            if (index !== correctIndex && this.emptyIndex === correctIndex) {
-                return index;
+        if (this.isSolved()) return null;
+        
+        let best = null;
+        let bestEstimate = Infinity;
+        for (const index of this.getMovableTiles()) {
+            const tiles = [...this.tiles];
+            tiles[this.emptyIndex] = tiles[index];
+            tiles[index] = 0;
+            const estimate = PuzzleSolver.estimate(tiles, this.size);
+            if (estimate < bestEstimate) {
+                best = index;
+                bestEstimate = estimate;
             }
         }
-        
-        // Otherwise return a random movable tile
-        return movable[Math.floor(Math.random() * movable.length)];
+        return best;
     }
 }
 
@@ -243,7 +306,7 @@ class PuzzleRenderer {
             if (state.tiles[i] === 0) {
                 tile.classList.add('empty');
             } else {
-                tile.textContent = this.tileContent[state.tiles[i] - 1] || state.tiles[i];
+                paintTile(tile, this.tileContent, state.tiles[i]);
                 tile.addEventListener('click', () => this.handleTileClick(i));
             }
             
@@ -292,8 +355,9 @@ class PuzzleRenderer {
             if (state.tiles[i] === 0) {
                 tile.classList.add('empty');
                 tile.textContent = '';
+                tile.style.backgroundImage = '';
             } else {
-                tile.textContent = this.tileContent[state.tiles[i] - 1] || state.tiles[i];
+                paintTile(tile, this.tileContent, state.tiles[i]);
                 
                 // Re-attach click handler if tile was previously empty
                 if (wasEmpty) {
@@ -333,6 +397,130 @@ class PuzzleRenderer {
     }
 }
 
+// ==================== Solver Service ====================
+/**
+ * Runs PuzzleSolver searches and PuzzleGenerator puzzles, in
+ * solver-worker.js for big grids. Pages opened from file:// can't start
+ * workers, so that work runs here instead (searches with a smaller node
+ * limit).
+ */
+class SolverService {
+    constructor() {
+        this.worker = null;
+        this.pending = new Map();   // id -> { resolve, runHere, cancelled }
+        this.nextId = 1;
+        this.startWorker();
+    }
+    
+    startWorker() {
+        if (typeof Worker === 'undefined') return;
+        
+        try {
+            this.worker = new Worker('solver-worker.js');
+            this.worker.onmessage = (e) => {
+                const request = this.pending.get(e.data.id);
+                this.pending.delete(e.data.id);
+                request?.resolve(e.data.result);
+            };
+            this.worker.onerror = () => this.stopWorker();
+        } catch (e) {
+            this.worker = null;
+        }
+    }
+    
+    /**
+     * Gives up on the worker and answers anything it was working on here
+     */
+    stopWorker() {
+        this.worker?.terminate();
+        this.worker = null;
+        this.pending.forEach(({ resolve, runHere }) => resolve(runHere()));
+        this.pending.clear();
+    }
+    
+    /**
+     * Whether work for this grid size goes to the worker
+     * @param {number} size - Grid width
+     * @returns {boolean}
+     */
+    usesWorker(size) {
+        return !!this.worker && size >= PUZZLE_CONFIG.SOLVER.WORKER_MIN_GRID;
+    }
+    
+    /**
+     * Sends a message to the worker
+     * @param {Object} message - solver-worker.js message, without its id
+     * @param {Function} runHere - Does the same work here if the worker fails
+     * @param {Object} cancelled - Result to answer with if cancel() is called
+     * @returns {Promise<Object>} The worker's result
+     */
+    post(message, runHere, cancelled) {
+        const id = this.nextId++;
+        return new Promise(resolve => {
+            this.pending.set(id, { resolve, runHere, cancelled });
+            this.worker.postMessage({ id, ...message });
+        });
+    }
+    
+    solveHere(tiles, size) {
+        const { SOLVER } = PUZZLE_CONFIG;
+        const maxNodes = size < SOLVER.WORKER_MIN_GRID ? SOLVER.MAX_NODES : SOLVER.MAIN_THREAD_MAX_NODES;
+        return PuzzleSolver.solve(tiles, size, { maxNodes });
+    }
+    
+    /**
+     * Finds a shortest solution
+     * @param {number[]} tiles - Tile numbers, 0 = empty
+     * @param {number} size - Grid width
+     * @returns {Promise<Object>} PuzzleSolver.solve() result
+     */
+    solve(tiles, size) {
+        if (!this.usesWorker(size)) {
+            return Promise.resolve(this.solveHere(tiles, size));
+        }
+        
+        return this.post(
+            { type: 'solve', tiles, size, maxNodes: PUZZLE_CONFIG.SOLVER.MAX_NODES },
+            () => this.solveHere(tiles, size),
+            { success: false, moves: [], length: null, lowerBound: 0, nodes: 0, error: 'Cancelled' }
+        );
+    }
+    
+    /**
+     * Generates a starting layout. Small grids are generated straight away;
+     * bigger ones can take seconds, so they are generated in the worker.
+     * @param {Object} options - PuzzleGenerator.generate() options
+     * @param {string} options.seed
+     * @param {number} options.size
+     * @param {number[]} options.optimalMoves
+     * @returns {Promise<Object>} PuzzleGenerator.generate() result
+     */
+    generate({ seed, size, optimalMoves }) {
+        const runHere = () => PuzzleGenerator.generate({ seed, size, optimalMoves });
+        if (!this.usesWorker(size)) {
+            return Promise.resolve(runHere());
+        }
+        
+        return this.post(
+            { type: 'generate', seed, size, optimalMoves },
+            runHere,
+            { success: false, tiles: [], solution: [], optimalMoves: 0, inBand: false, error: 'Cancelled' }
+        );
+    }
+    
+    /**
+     * Abandons running work (their promises resolve as unsuccessful)
+     */
+    cancel() {
+        if (!this.worker || this.pending.size === 0) return;
+        
+        this.worker.terminate();
+        this.pending.forEach(({ resolve, cancelled }) => resolve(cancelled));
+        this.pending.clear();
+        this.startWorker();
+    }
+}
+
 // ==================== Main Game Class ====================
 class PuzzlePathGame {
     constructor() {
@@ -345,6 +533,10 @@ class PuzzlePathGame {
         this.difficulty = 1;
         this.gridSize = 3;
         this.theme = 'cinnamoroll';
+        this.tileContent = TILE_THEMES.cinnamoroll;
+        this.pictureCache = new Map();  // "theme|gridSize" -> picture slices
+        this.lastTheme = 'cinnamoroll'; // theme select value before "Add my picture..."
+        this.startId = 0;
         this.isPlaying = false;
         this.startTime = 0;
         this.timerInterval = null;
@@ -352,9 +544,21 @@ class PuzzlePathGame {
         this.moveLimit = null;
         this.timeLimit = null;
         
+        // Which puzzle this is - the code lets friends play the same board
+        this.seed = null;
+        this.puzzleCode = null;
+        this.dailyDate = null;      // "YYYY-MM-DD" while playing the Daily Puzzle
+        
         // Components
         this.engine = null;
         this.renderer = null;
+        this.solver = new SolverService();
+        
+        // Solver results for the current puzzle
+        this.puzzleId = 0;
+        this.optimalMoves = null;   // Shortest solution length from the starting position
+        this.hintPlan = new Map();  // "tiles" -> next tile index on a shortest path
+        this.hintPending = false;
         
         // DOM elements
         this.screens = {
@@ -377,13 +581,23 @@ class PuzzlePathGame {
         return {
             // Bug Fix #2: Removed dead 'age-select' reference (element doesn't exist in HTML)
             themeSelect: getElement('theme-select'),
+            numberOverlay: getElement('number-overlay'),
+            pictureInput: getElement('picture-input'),
+            deletePictureBtn: getElement('delete-picture-btn'),
+            pictureStatus: getElement('picture-status'),
             startBtn: getElement('start-btn'),
+            loadingOverlay: getElement('loading-overlay'),
+            codeInput: getElement('puzzle-code-input'),
+            codeError: getElement('code-error'),
+            dailyBtn: getElement('daily-btn'),
+            dailyBest: getElement('daily-best'),
             bestMoves: getElement('best-moves'),
             totalStars: getElement('total-stars'),
             puzzlesSolved: getElement('puzzles-solved'),
             homeBtn: getElement('home-btn'),
             puzzleName: getElement('puzzle-name'),
             puzzleSize: getElement('puzzle-size'),
+            puzzleCode: getElement('puzzle-code'),
             moveCount: getElement('move-count'),
             targetPreview: getElement('target-preview'),
             targetGrid: getElement('target-grid'),
@@ -400,6 +614,9 @@ class PuzzlePathGame {
             finalMoves: getElement('final-moves'),
             finalTime: getElement('final-time'),
             bestRecord: getElement('best-record'),
+            optimalMoves: getElement('optimal-moves'),
+            resultCode: getElement('result-code'),
+            dailyResult: getElement('daily-result'),
             starRating: getElement('star-rating'),
             resultMessage: getElement('result-message'),
             nextPuzzleBtn: getElement('next-puzzle-btn'),
@@ -413,6 +630,10 @@ class PuzzlePathGame {
      */
     init() {
         this.loadStats();
+        this.populateThemeSelect();
+        if (this.elements.numberOverlay) {
+            this.elements.numberOverlay.checked = this.getAgeLevel() <= PUZZLE_CONFIG.NUMBER_OVERLAY_MAX_LEVEL;
+        }
         this.updateStartScreen();
         this.setupEventListeners();
     }
@@ -422,7 +643,18 @@ class PuzzlePathGame {
      */
     setupEventListeners() {
         // Start screen
-        this.elements.startBtn?.addEventListener('click', () => this.startGame());
+        this.elements.startBtn?.addEventListener('click', () => this.startFromMenu());
+        this.elements.dailyBtn?.addEventListener('click', () => this.startDaily());
+        this.elements.codeInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.startFromMenu();
+        });
+        this.elements.themeSelect?.addEventListener('change', () => this.onThemeChange());
+        this.elements.pictureInput?.addEventListener('change', (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (file) this.addCustomPicture(file);
+        });
+        this.elements.deletePictureBtn?.addEventListener('click', () => this.deleteCustomPicture());
         
         // Game screen
         this.elements.homeBtn?.addEventListener('click', () => this.goHome());
@@ -449,6 +681,14 @@ class PuzzlePathGame {
         }
     }
     
+    /**
+     * Shows or hides the loading message while a puzzle is generated
+     * @param {boolean} loading
+     */
+    setLoading(loading) {
+        this.elements.loadingOverlay?.classList.toggle('hidden', !loading);
+    }
+    
     /**
      * Loads stats from localStorage
      * @returns {Object} Stats object
@@ -456,13 +696,16 @@ class PuzzlePathGame {
     loadStats() {
         try {
             const stored = localStorage.getItem(PUZZLE_CONFIG.LEADERBOARD_KEY);
-            return stored ? JSON.parse(stored) : {
+            const stats = stored ? JSON.parse(stored) : {
                 totalStars: 0,
                 puzzlesSolved: 0,
                 bestMoves: {}
             };
+            // Daily Puzzle bests by date: { "YYYY-MM-DD": { moves, time } }
+            stats.daily = stats.daily || {};
+            return stats;
         } catch (e) {
-            return { totalStars: 0, puzzlesSolved: 0, bestMoves: {} };
+            return { totalStars: 0, puzzlesSolved: 0, bestMoves: {}, daily: {} };
         }
     }
     
@@ -495,12 +738,262 @@ class PuzzlePathGame {
             this.elements.bestMoves.textContent = bestList.length > 0 ? 
                 Math.min(...bestList) : '--';
         }
+        if (this.elements.dailyBest) {
+            const today = stats.daily[PuzzleGenerator.dateKey()];
+            this.elements.dailyBest.textContent = today ?
+                `Today's best: ${today.moves} moves · ${formatTime(today.time)}` :
+                'A new puzzle every day - same board for everyone!';
+        }
+    }
+    
+    /**
+     * Difficulty level for the active player's age
+     * @returns {number} Level 1-7
+     */
+    getAgeLevel() {
+        let age = 16;
+        if (typeof PlayerManager !== 'undefined' && PlayerManager.hasActivePlayer()) {
+            age = PlayerManager.getPlayerAge() || 16;
+        }
+        return getDifficultyFromAge(age);
+    }
+    
+    // ==================== Picture Themes ====================
+    
+    /**
+     * Gets the key custom pictures are stored under for the active player
+     * @returns {string} Player key
+     */
+    getPlayerKey() {
+        if (typeof PlayerManager !== 'undefined' && PlayerManager.hasActivePlayer()) {
+            return (PlayerManager.getPlayerName() || 'guest').toLowerCase();
+        }
+        return 'guest';
+    }
+    
+    /**
+     * Loads the active player's own pictures
+     * @returns {Array<{id: string, name: string, dataUrl: string}>}
+     */
+    loadCustomPictures() {
+        try {
+            const all = JSON.parse(localStorage.getItem(PUZZLE_CONFIG.IMAGES_KEY) || '{}');
+            return all[this.getPlayerKey()] || [];
+        } catch (e) {
+            return [];
+        }
+    }
+    
+    /**
+     * Saves the active player's own pictures
+     * @param {Array} pictures - Pictures to keep
+     * @returns {{success: boolean, error: string|null}}
+     */
+    saveCustomPictures(pictures) {
+        try {
+            const all = JSON.parse(localStorage.getItem(PUZZLE_CONFIG.IMAGES_KEY) || '{}');
+            all[this.getPlayerKey()] = pictures;
+            localStorage.setItem(PUZZLE_CONFIG.IMAGES_KEY, JSON.stringify(all));
+            return { success: true, error: null };
+        } catch (e) {
+            return { success: false, error: 'No room left to save pictures - delete one first' };
+        }
+    }
+    
+    /**
+     * Display name for a theme select value
+     * @param {string} theme - e.g. "animals", "picture:cloud_picnic", "custom:pic_abc"
+     * @returns {string}
+     */
+    getThemeName(theme) {
+        const [kind, id] = theme.split(':');
+        if (kind === 'picture') return PictureTiles.PICTURES[id]?.name || 'Picture';
+        if (kind === 'custom') return this.loadCustomPictures().find(p => p.id === id)?.name || 'My Picture';
+        return THEME_NAMES[theme] || 'Puzzle';
+    }
+    
+    /**
+     * Adds the bundled and the player's own pictures to the theme select
+     * @param {string} [selected] - Value to select afterwards
+     */
+    populateThemeSelect(selected) {
+        const select = this.elements.themeSelect;
+        if (!select) return;
+        
+        const keep = selected || select.value;
+        select.querySelectorAll('[data-pictures]').forEach(el => el.remove());
+        
+        const addGroup = (label, options) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            group.dataset.pictures = 'true';
+            options.forEach(([value, text]) => group.appendChild(new Option(text, value)));
+            select.appendChild(group);
+        };
+        
+        addGroup('Pictures', Object.entries(PictureTiles.PICTURES)
+            .map(([id, picture]) => [`picture:${id}`, picture.name]));
+        addGroup('My Pictures', [
+            ...this.loadCustomPictures().map(p => [`custom:${p.id}`, `🖼️ ${p.name}`]),
+            ['upload', '📷 Add my picture...']
+        ]);
+        
+        select.value = keep;
+        if (!select.value) select.value = 'cinnamoroll';
+        this.lastTheme = select.value;
+        this.onThemeChange();
+    }
+    
+    /**
+     * Theme select changed: opens the file picker for "Add my picture..."
+     */
+    onThemeChange() {
+        const select = this.elements.themeSelect;
+        if (!select) return;
+        
+        if (select.value === 'upload') {
+            select.value = this.lastTheme;
+            this.elements.pictureInput?.click();
+        }
+        this.lastTheme = select.value;
+        this.elements.deletePictureBtn?.classList.toggle('hidden', !select.value.startsWith('custom:'));
+    }
+    
+    /**
+     * Shows a message under the theme select
+     * @param {string} message - Text ('' hides it)
+     * @param {boolean} [isError]
+     */
+    showPictureStatus(message, isError = false) {
+        const status = this.elements.pictureStatus;
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('hidden', !message);
+        status.classList.toggle('error', isError);
+    }
+    
+    /**
+     * Saves a picked picture for the active player and selects it
+     * @param {File} file - Picked file
+     */
+    async addCustomPicture(file) {
+        this.showPictureStatus('Getting your picture ready...');
+        const prepared = await PictureTiles.prepareUpload(file);
+        if (!prepared.success) {
+            this.showPictureStatus(prepared.error, true);
+            return;
+        }
+        
+        const picture = {
+            id: `pic_${Date.now().toString(36)}`,
+            name: (file.name || 'My picture').replace(/\.[^.]+$/, '').slice(0, 24) || 'My picture',
+            dataUrl: prepared.dataUrl
+        };
+        const pictures = [...this.loadCustomPictures(), picture].slice(-PUZZLE_CONFIG.MAX_CUSTOM_PICTURES);
+        const saved = this.saveCustomPictures(pictures);
+        if (!saved.success) {
+            this.showPictureStatus(saved.error, true);
+            return;
+        }
+        
+        this.populateThemeSelect(`custom:${picture.id}`);
+        this.showPictureStatus(`Added "${picture.name}"! 🖼️`);
+    }
+    
+    /**
+     * Deletes the selected custom picture
+     */
+    deleteCustomPicture() {
+        const theme = this.elements.themeSelect?.value || '';
+        if (!theme.startsWith('custom:')) return;
+        
+        const id = theme.slice('custom:'.length);
+        const pictures = this.loadCustomPictures();
+        const picture = pictures.find(p => p.id === id);
+        if (!picture || !window.confirm(`Delete "${picture.name}"?`)) return;
+        
+        this.saveCustomPictures(pictures.filter(p => p.id !== id));
+        [...this.pictureCache.keys()].filter(key => key.startsWith(`${theme}|`))
+            .forEach(key => this.pictureCache.delete(key));
+        this.populateThemeSelect('cinnamoroll');
+        this.showPictureStatus('');
+    }
+    
+    /**
+     * Tile content for a theme: a glyph list, or picture slices. Pictures
+     * that can't be loaded fall back to numbers.
+     * @param {string} theme - Theme select value
+     * @param {number} gridSize - Tiles per side
+     * @returns {Promise<Array|Object>}
+     */
+    async loadTileContent(theme, gridSize) {
+        const [kind, id] = theme.split(':');
+        if (kind !== 'picture' && kind !== 'custom') {
+            return TILE_THEMES[theme] || TILE_THEMES.numbers;
+        }
+        
+        const cacheKey = `${theme}|${gridSize}`;
+        if (!this.pictureCache.has(cacheKey)) {
+            const src = kind === 'picture' ?
+                PictureTiles.PICTURES[id]?.src :
+                this.loadCustomPictures().find(p => p.id === id)?.dataUrl;
+            const result = src ?
+                await PictureTiles.slice(src, gridSize) :
+                { success: false, error: 'That picture is gone' };
+            if (!result.success) {
+                this.showPictureStatus(`${result.error} - using numbers instead`, true);
+                return TILE_THEMES.numbers;
+            }
+            this.pictureCache.set(cacheKey, result.slices);
+        }
+        
+        return {
+            slices: this.pictureCache.get(cacheKey),
+            showNumbers: !!this.elements.numberOverlay?.checked
+        };
+    }
+    
+    /**
+     * Start button: plays the typed puzzle code, or a new random puzzle
+     */
+    startFromMenu() {
+        const text = this.elements.codeInput?.value.trim() || '';
+        if (!text) {
+            this.startGame();
+            return;
+        }
+        
+        const code = PuzzleGenerator.parseCode(text);
+        const valid = code && PUZZLE_CONFIG.DIFFICULTY_SETTINGS[code.level];
+        this.elements.codeError?.classList.toggle('hidden', !!valid);
+        if (!valid) return;
+        
+        // Today's Daily Puzzle typed as a code still counts as the daily
+        const today = new Date();
+        const isDaily = code.level === PUZZLE_CONFIG.DAILY_LEVEL && code.seed === PuzzleGenerator.dailySeed(today);
+        this.startGame({ ...code, dailyDate: isDaily ? PuzzleGenerator.dateKey(today) : null });
+    }
+    
+    /**
+     * Starts today's Daily Puzzle
+     */
+    startDaily() {
+        const today = new Date();
+        this.startGame({
+            level: PUZZLE_CONFIG.DAILY_LEVEL,
+            seed: PuzzleGenerator.dailySeed(today),
+            dailyDate: PuzzleGenerator.dateKey(today)
+        });
     }
     
     /**
      * Starts a new game
+     * @param {Object} [options]
+     * @param {number} [options.level] - Difficulty level (defaults to the player's age)
+     * @param {string} [options.seed] - Puzzle seed (defaults to a random one)
+     * @param {string|null} [options.dailyDate] - Date when this is the Daily Puzzle
      */
-    startGame() {
+    async startGame({ level, seed, dailyDate = null } = {}) {
         // Start background music with defensive programming
         if (this.audio && this.musicEnabled) {
             try {
@@ -512,15 +1005,36 @@ class PuzzlePathGame {
         }
         
         // Get settings from PlayerManager age
-        let age = 16;
-        if (typeof PlayerManager !== 'undefined' && PlayerManager.hasActivePlayer()) {
-            age = PlayerManager.getPlayerAge() || 16;
-        }
-        this.difficulty = getDifficultyFromAge(age);
-        this.theme = this.elements.themeSelect?.value || 'cinnamoroll';
+        level = level || this.getAgeLevel();
+        const settings = PUZZLE_CONFIG.DIFFICULTY_SETTINGS[level];
+        const theme = this.elements.themeSelect?.value || 'cinnamoroll';
+        
+        // Picture themes are cut into tiles first (cached after the first time)
+        const startId = ++this.startId;
+        const tileContent = await this.loadTileContent(theme, settings.gridSize);
+        if (startId !== this.startId) return;  // another start replaced this one
+        
+        // Big grids are generated in the worker, with a loading message meanwhile
+        seed = PuzzleGenerator.normalizeSeed(seed) || PuzzleGenerator.randomSeed();
+        this.solver.cancel();
+        const generating = this.solver.generate({
+            seed,
+            size: settings.gridSize,
+            optimalMoves: settings.optimalMoves
+        });
+        this.setLoading(this.solver.usesWorker(settings.gridSize));
+        const puzzle = await generating;
+        if (startId !== this.startId) return;
+        this.setLoading(false);
+        
+        this.difficulty = level;
+        this.seed = seed;
+        this.puzzleCode = PuzzleGenerator.makeCode(level, this.seed);
+        this.dailyDate = dailyDate;
+        this.theme = theme;
+        this.tileContent = tileContent;
         
         // Get difficulty settings
-        const settings = PUZZLE_CONFIG.DIFFICULTY_SETTINGS[this.difficulty];
         this.gridSize = settings.gridSize;
         this.moveLimit = settings.moveLimit;
         this.timeLimit = settings.timeLimit;
@@ -528,9 +1042,9 @@ class PuzzlePathGame {
         
         // Create engine and renderer
         this.engine = new TilePuzzleEngine(this.gridSize);
-        this.engine.shuffle();
+        this.engine.setLayout(puzzle.tiles);
+        this.setStartSolution(puzzle.solution);
         
-        const tileContent = TILE_THEMES[this.theme] || TILE_THEMES.numbers;
         this.renderer = new PuzzleRenderer(
             this.elements.puzzleGrid,
             this.engine,
@@ -554,25 +1068,73 @@ class PuzzlePathGame {
         this.showScreen('game');
     }
     
+    /**
+     * Keeps the generator's shortest solution for the new puzzle. Hints
+     * along that path are then instant.
+     * @param {number[]} solution - Tile indices to move, in order
+     */
+    setStartSolution(solution) {
+        this.solver.cancel();
+        this.puzzleId++;
+        this.optimalMoves = solution.length;
+        this.hintPlan = new Map();
+        this.hintPending = false;
+        this.rememberPlan(this.engine.initialState.tiles, solution);
+    }
+    
+    /**
+     * Records the next move for every position along a solution
+     * @param {number[]} tiles - Position the solution starts from
+     * @param {number[]} moves - Tile indices to move, in order
+     */
+    rememberPlan(tiles, moves) {
+        const walker = new TilePuzzleEngine(this.gridSize);
+        walker.tiles = [...tiles];
+        walker.emptyIndex = tiles.indexOf(0);
+        moves.forEach(index => {
+            this.hintPlan.set(walker.tiles.join(','), index);
+            walker.moveTile(index, false);
+        });
+    }
+    
+    /**
+     * The true next move from the current position
+     * @returns {Promise<number|null>} Tile index, or null if the puzzle changed meanwhile
+     */
+    async findHint() {
+        const tiles = [...this.engine.tiles];
+        const key = tiles.join(',');
+        if (this.hintPlan.has(key)) return this.hintPlan.get(key);
+        
+        const puzzleId = this.puzzleId;
+        const result = await this.solver.solve(tiles, this.gridSize);
+        if (puzzleId !== this.puzzleId || this.engine.tiles.join(',') !== key) return null;
+        
+        if (result.success) {
+            this.rememberPlan(tiles, result.moves);
+            return result.moves[0] ?? null;
+        }
+        // The search gave up - fall back to the engine's best guess
+        return this.engine.getHint();
+    }
+    
     /**
      * Updates game UI elements
      */
     updateGameUI() {
         if (this.elements.puzzleName) {
-            const themeNames = {
-                numbers: 'Number Puzzle',
-                cinnamoroll: 'Cinnamoroll',
-                animals: 'Animal Friends',
-                food: 'Foodie Fun',
-                space: 'Space Adventure'
-            };
-            this.elements.puzzleName.textContent = themeNames[this.theme] || 'Puzzle';
+            this.elements.puzzleName.textContent = this.getThemeName(this.theme);
         }
         
         if (this.elements.puzzleSize) {
             this.elements.puzzleSize.textContent = `${this.gridSize}×${this.gridSize}`;
         }
         
+        if (this.elements.puzzleCode) {
+            this.elements.puzzleCode.textContent = this.dailyDate ?
+                `📅 Daily ${this.dailyDate}` : `Code: ${this.puzzleCode}`;
+        }
+        
         if (this.elements.moveCount) {
             this.elements.moveCount.textContent = `Moves: ${this.engine?.moves || 0}`;
         }
@@ -582,7 +1144,7 @@ class PuzzlePathGame {
         }
         
         if (this.elements.hintBtn) {
-            this.elements.hintBtn.disabled = this.hintsRemaining <= 0;
+            this.elements.hintBtn.disabled = this.hintsRemaining <= 0 || this.hintPending;
         }
         
         // Move limit
@@ -599,7 +1161,7 @@ class PuzzlePathGame {
     
     /**
      * Renders target preview
-     * @param {Array} tileContent - Tile content array
+     * @param {Array|Object} tileContent - Glyph list or picture slices (see paintTile)
      * @param {boolean} show - Whether to show preview
      */
     renderTargetPreview(tileContent, show) {
@@ -624,7 +1186,7 @@ class PuzzlePathGame {
             if (i === totalTiles - 1) {
                 tile.classList.add('empty');
             } else {
-                tile.textContent = tileContent[i] || (i + 1);
+                paintTile(tile, tileContent, i + 1);
             }
             
             this.elements.targetGrid.appendChild(tile);
@@ -702,15 +1264,8 @@ class PuzzlePathGame {
         const elapsed = Math.floor((Date.now() - this.startTime) / 1000);
         const moves = this.engine.moves;
         
-        // Bug Fix #5: More realistic optimal move calculation
-        // 2x2 ~6 moves, 3x3 ~22 moves, 4x4 ~50 moves, 5x5 ~100 moves
-        const tileCount = this.gridSize * this.gridSize - 1;
-        const optimalMoves = Math.max(tileCount, Math.floor(tileCount * 2.5));
-        const ratio = moves / optimalMoves;
-        
-        let stars = 1;
-        if (ratio <= PUZZLE_CONFIG.STAR_THRESHOLDS[3]) stars = 3;
-        else if (ratio <= PUZZLE_CONFIG.STAR_THRESHOLDS[2]) stars = 2;
+        // Rate against the true optimum
+        const stars = getStarRating(moves, this.optimalMoves);
         
         // Update stats
         const stats = this.loadStats();
@@ -723,10 +1278,18 @@ class PuzzlePathGame {
             stats.bestMoves[puzzleKey] = moves;
         }
         
+        // Daily Puzzle: fewest moves and fastest time, kept separately
+        if (this.dailyDate) {
+            const record = stats.daily[this.dailyDate];
+            stats.daily[this.dailyDate] = record ?
+                { moves: Math.min(record.moves, moves), time: Math.min(record.time, elapsed) } :
+                { moves, time: elapsed };
+        }
+        
         this.saveStats(stats);
         
         // Show results
-        this.showResults(moves, elapsed, stars, stats.bestMoves[puzzleKey]);
+        this.showResults(moves, elapsed, stars, stats.bestMoves[puzzleKey], stats.daily[this.dailyDate]);
     }
     
     /**
@@ -755,8 +1318,9 @@ class PuzzlePathGame {
      * @param {number} time - Time in seconds
      * @param {number} stars - Stars earned
      * @param {number} best - Best moves record
+     * @param {{moves: number, time: number}} [dailyBest] - Best for today's Daily Puzzle
      */
-    showResults(moves, time, stars, best) {
+    showResults(moves, time, stars, best, dailyBest) {
         const minutes = Math.floor(time / 60);
         const seconds = time % 60;
         
@@ -777,6 +1341,22 @@ class PuzzlePathGame {
             this.elements.bestRecord.textContent = best || moves;
         }
         
+        if (this.elements.optimalMoves) {
+            this.elements.optimalMoves.textContent = this.optimalMoves;
+        }
+        
+        if (this.elements.resultCode) {
+            this.elements.resultCode.textContent = `Puzzle code: ${this.puzzleCode} - share it with a friend!`;
+        }
+        
+        if (this.elements.dailyResult) {
+            this.elements.dailyResult.classList.toggle('hidden', !dailyBest);
+            if (dailyBest) {
+                this.elements.dailyResult.textContent =
+                    `📅 Daily ${this.dailyDate} best: ${dailyBest.moves} moves · ${formatTime(dailyBest.time)}`;
+            }
+        }
+        
         // Render completed puzzle
         this.renderCompletedPuzzle();
         
@@ -791,7 +1371,8 @@ class PuzzlePathGame {
         }
         
         if (this.elements.resultMessage) {
-            this.elements.resultMessage.textContent = 
+            this.elements.resultMessage.textContent = moves === this.optimalMoves ?
+                'You found the shortest solution! 🧠✨' :
                 ENCOURAGEMENTS[Math.floor(Math.random() * ENCOURAGEMENTS.length)];
         }
         
@@ -807,17 +1388,20 @@ class PuzzlePathGame {
         this.elements.completedPuzzle.innerHTML = '';
         this.elements.completedPuzzle.style.gridTemplateColumns = `repeat(${this.gridSize}, 1fr)`;
         
-        const tileContent = TILE_THEMES[this.theme] || TILE_THEMES.numbers;
+        // Pictures show whole, including the corner the empty space hid
+        const isPicture = !Array.isArray(this.tileContent);
+        const tileContent = isPicture ? { ...this.tileContent, showNumbers: false } : this.tileContent;
         const totalTiles = this.gridSize * this.gridSize;
+        this.elements.completedPuzzle.classList.toggle('picture', isPicture);
         
         for (let i = 0; i < totalTiles; i++) {
             const tile = document.createElement('div');
             tile.className = 'puzzle-tile';
             
-            if (i === totalTiles - 1) {
+            if (i === totalTiles - 1 && !isPicture) {
                 tile.classList.add('empty');
             } else {
-                tile.textContent = tileContent[i] || (i + 1);
+                paintTile(tile, tileContent, i + 1);
             }
             
             this.elements.completedPuzzle.appendChild(tile);
@@ -825,28 +1409,28 @@ class PuzzlePathGame {
     }
     
     /**
-     * Uses a hint
+     * Uses a hint: highlights the next move of a shortest solution
      */
-    useHint() {
-        if (this.hintsRemaining <= 0 || !this.engine || !this.renderer) return;
+    async useHint() {
+        if (this.hintsRemaining <= 0 || !this.engine || !this.renderer || this.hintPending) return;
+        
+        this.hintPending = true;
+        this.elements.hintBtn?.classList.add('thinking');
+        this.updateGameUI();
         
-        const hintIndex = this.engine.getHint();
-        if (hintIndex !== null) {
+        const hintIndex = await this.findHint();
+        
+        this.hintPending = false;
+        this.elements.hintBtn?.classList.remove('thinking');
+        if (hintIndex !== null && this.isPlaying) {
             this.renderer.showHint(hintIndex);
             this.hintsRemaining--;
-            
-            if (this.elements.hintsRemaining) {
-                this.elements.hintsRemaining.textContent = this.hintsRemaining;
-            }
-            
-            if (this.elements.hintBtn) {
-                this.elements.hintBtn.disabled = this.hintsRemaining <= 0;
-            }
         }
+        this.updateGameUI();
     }
     
     /**
-     * Creates a new puzzle
+     * Creates a new puzzle (a random one at the player's level)
      */
     newPuzzle() {
         this.stopTimer();
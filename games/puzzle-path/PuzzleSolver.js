@@ -0,0 +1,311 @@
+/**
+ * PuzzleSolver.js - Optimal Sliding Puzzle Solver
+ *
+ * IDA* search with a Manhattan distance + linear conflict heuristic. Both
+ * never overestimate, so the first solution found is a shortest one.
+ *
+ * Puzzles use TilePuzzleEngine's layout: `tiles` lists tile numbers row by
+ * row with 0 for the empty space, solved as [1, 2, ..., n, 0]. A solution
+ * is the list of tile indices to move into the empty space, in order - the
+ * same argument TilePuzzleEngine.moveTile() takes.
+ *
+ * Large grids can take a long time, so solve() stops after `maxNodes`
+ * positions and reports the best lower bound it proved instead. The game
+ * runs it in solver-worker.js so the page stays responsive.
+ *
+ * @version 1.0.0
+ */
+
+const PuzzleSolver = (function() {
+    'use strict';
+
+    const DEFAULT_MAX_NODES = 5000000;
+    const FOUND = -1;
+    const LIMIT = -2;
+
+    // ==========================================
+    // HEURISTICS
+    // ==========================================
+
+    /**
+     * Sum of every tile's row and column distance from its goal
+     * @param {number[]} tiles - Tile numbers, 0 = empty
+     * @param {number} size - Grid width
+     * @returns {number} Moves needed at least
+     */
+    function manhattan(tiles, size) {
+        let total = 0;
+        tiles.forEach((tile, index) => {
+            if (tile === 0) return;
+            const goal = tile - 1;
+            total += Math.abs(Math.floor(index / size) - Math.floor(goal / size)) +
+                Math.abs((index % size) - (goal % size));
+        });
+        return total;
+    }
+
+    // Length of the longest increasing run (not necessarily adjacent) in a list
+    function longestIncreasing(values) {
+        const tails = [];
+        values.forEach(value => {
+            let lo = 0;
+            let hi = tails.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (tails[mid] < value) lo = mid + 1;
+                else hi = mid;
+            }
+            tails[lo] = value;
+        });
+        return tails.length;
+    }
+
+    /**
+     * Extra moves for tiles in their goal row (or column) but in the wrong
+     * order: every tile that has to step out of the line to let others past
+     * costs two more moves than Manhattan distance counts
+     * @param {number[]} tiles - Tile numbers, 0 = empty
+     * @param {number} size - Grid width
+     * @param {'row'|'col'} axis - Which kind of line
+     * @param {number} line - Row or column number
+     * @returns {number} Extra moves
+     */
+    function lineConflict(tiles, size, axis, line) {
+        const goals = [];
+        for (let i = 0; i < size; i++) {
+            const tile = axis === 'row' ? tiles[line * size + i] : tiles[i * size + line];
+            if (tile === 0) continue;
+            const goal = tile - 1;
+            if (axis === 'row' && Math.floor(goal / size) === line) goals.push(goal % size);
+            if (axis === 'col' && goal % size === line) goals.push(Math.floor(goal / size));
+        }
+        return 2 * (goals.length - longestIncreasing(goals));
+    }
+
+    /**
+     * Linear conflict over every row and column
+     * @param {number[]} tiles - Tile numbers, 0 = empty
+     * @param {number} size - Grid width
+     * @returns {number} Extra moves on top of manhattan()
+     */
+    function linearConflict(tiles, size) {
+        let total = 0;
+        for (let line = 0; line < size; line++) {
+            total += lineConflict(tiles, size, 'row', line) + lineConflict(tiles, size, 'col', line);
+        }
+        return total;
+    }
+
+    /**
+     * Lower bound on the moves left
+     * @param {number[]} tiles - Tile numbers, 0 = empty
+     * @param {number} size - Grid width
+     * @returns {number}
+     */
+    function estimate(tiles, size) {
+        return manhattan(tiles, size) + linearConflict(tiles, size);
+    }
+
+    /**
+     * Whether the tiles can reach the solved layout at all. Half of all
+     * layouts can't - only shuffles made of real moves are guaranteed to.
+     * @param {number[]} tiles - Tile numbers, 0 = empty
+     * @param {number} size - Grid width
+     * @returns {boolean}
+     */
+    function isSolvable(tiles, size) {
+        const numbers = tiles.filter(tile => tile !== 0);
+        let inversions = 0;
+        for (let i = 0; i < numbers.length; i++) {
+            for (let j = i + 1; j < numbers.length; j++) {
+                if (numbers[i] > numbers[j]) inversions++;
+            }
+        }
+        if (size % 2 === 1) return inversions % 2 === 0;
+        const emptyRowFromBottom = size - Math.floor(tiles.indexOf(0) / size);
+        return (inversions + emptyRowFromBottom) % 2 === 1;
+    }
+
+    function isValidLayout(tiles, size) {
+        if (!Array.isArray(tiles) || !Number.isInteger(size) || size < 2 || tiles.length !== size * size) {
+            return false;
+        }
+        const seen = new Set(tiles);
+        return seen.size === tiles.length && tiles.every(tile => Number.isInteger(tile) && tile >= 0 && tile < tiles.length);
+    }
+
+    // ==========================================
+    // SEARCH
+    // ==========================================
+
+    /**
+     * Find a shortest solution
+     * @param {number[]} tiles - Tile numbers, 0 = empty
+     * @param {number} size - Grid width
+     * @param {Object} [options]
+     * @param {number} [options.maxNodes] - Positions to try before giving up
+     * @returns {{success: boolean, moves: number[], length: number|null, lowerBound: number, nodes: number, error: string|null}}
+     */
+    function solve(tiles, size, options = {}) {
+        if (!isValidLayout(tiles, size)) {
+            return { success: false, moves: [], length: null, lowerBound: 0, nodes: 0, error: 'Not a valid puzzle layout' };
+        }
+        if (!isSolvable(tiles, size)) {
+            return { success: false, moves: [], length: null, lowerBound: 0, nodes: 0, error: 'This puzzle cannot be solved' };
+        }
+
+        const maxNodes = options.maxNodes || DEFAULT_MAX_NODES;
+        const count = size * size;
+
+        // Typed arrays and precomputed tables keep the inner loop allocation-free
+        const board = Uint8Array.from(tiles);
+        const goalRow = new Int8Array(count);
+        const goalCol = new Int8Array(count);
+        for (let tile = 1; tile < count; tile++) {
+            goalRow[tile] = Math.floor((tile - 1) / size);
+            goalCol[tile] = (tile - 1) % size;
+        }
+        const neighbours = [];
+        for (let index = 0; index < count; index++) {
+            const row = Math.floor(index / size);
+            const col = index % size;
+            const list = [];
+            if (row > 0) list.push(index - size);
+            if (row < size - 1) list.push(index + size);
+            if (col > 0) list.push(index - 1);
+            if (col < size - 1) list.push(index + 1);
+            neighbours.push(Int8Array.from(list));
+        }
+
+        const order = new Int8Array(size);
+        const tails = new Int8Array(size);
+        const conflictIn = (vertical, line) => {
+            // Goal positions of the tiles that belong in this line, in board order
+            let found = 0;
+            for (let i = 0; i < size; i++) {
+                const tile = vertical ? board[line * size + i] : board[i * size + line];
+                if (tile === 0) continue;
+                if (vertical && goalRow[tile] === line) order[found++] = goalCol[tile];
+                else if (!vertical && goalCol[tile] === line) order[found++] = goalRow[tile];
+            }
+            let longest = 0;
+            for (let k = 0; k < found; k++) {
+                let lo = 0;
+                let hi = longest;
+                while (lo < hi) {
+                    const mid = (lo + hi) >> 1;
+                    if (tails[mid] < order[k]) lo = mid + 1;
+                    else hi = mid;
+                }
+                tails[lo] = order[k];
+                if (lo === longest) longest++;
+            }
+            return 2 * (found - longest);
+        };
+
+        const rowConflict = new Int8Array(size);
+        const colConflict = new Int8Array(size);
+        let conflicts = 0;
+        for (let line = 0; line < size; line++) {
+            rowConflict[line] = conflictIn(true, line);
+            colConflict[line] = conflictIn(false, line);
+            conflicts += rowConflict[line] + colConflict[line];
+        }
+        let distance = manhattan(tiles, size);
+        let empty = board.indexOf(0);
+        let nodes = 0;
+        const path = [];
+
+        const rowOf = new Int8Array(count);
+        const colOf = new Int8Array(count);
+        for (let index = 0; index < count; index++) {
+            rowOf[index] = Math.floor(index / size);
+            colOf[index] = index % size;
+        }
+        const updateRow = (line) => {
+            const next = conflictIn(true, line);
+            conflicts += next - rowConflict[line];
+            rowConflict[line] = next;
+        };
+        const updateCol = (line) => {
+            const next = conflictIn(false, line);
+            conflicts += next - colConflict[line];
+            colConflict[line] = next;
+        };
+
+        // Slide the tile at `from` into the empty space, keeping the heuristic up to date
+        const slide = (from) => {
+            const tile = board[from];
+            const to = empty;
+            const gr = goalRow[tile];
+            const gc = goalCol[tile];
+            distance += Math.abs(rowOf[to] - gr) + Math.abs(colOf[to] - gc) -
+                Math.abs(rowOf[from] - gr) - Math.abs(colOf[from] - gc);
+            board[to] = tile;
+            board[from] = 0;
+            empty = from;
+
+            // A vertical slide changes two rows, a sideways one two columns
+            if (rowOf[from] !== rowOf[to]) {
+                updateRow(rowOf[from]);
+                updateRow(rowOf[to]);
+            } else {
+                updateCol(colOf[from]);
+                updateCol(colOf[to]);
+            }
+        };
+
+        const search = (cost, bound, previous) => {
+            const f = cost + distance + conflicts;
+            if (f > bound) return f;
+            if (distance === 0) return FOUND;
+            if (++nodes > maxNodes) return LIMIT;
+
+            let min = Infinity;
+            const here = empty;
+            const next = neighbours[here];
+            for (let i = 0; i < next.length; i++) {
+                const from = next[i];
+                if (from === previous) continue;
+                slide(from);
+                path.push(from);
+                const result = search(cost + 1, bound, here);
+                if (result === FOUND || result === LIMIT) return result;
+                path.pop();
+                slide(here);
+                if (result < min) min = result;
+            }
+            return min;
+        };
+
+        let bound = distance + conflicts;
+        while (true) {
+            const result = search(0, bound, -1);
+            if (result === FOUND) {
+                return { success: true, moves: [...path], length: path.length, lowerBound: path.length, nodes, error: null };
+            }
+            if (result === LIMIT) {
+                return { success: false, moves: [], length: null, lowerBound: bound, nodes, error: 'Search limit reached' };
+            }
+            bound = result;
+        }
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+
+    return {
+        DEFAULT_MAX_NODES,
+        manhattan,
+        linearConflict,
+        estimate,
+        isSolvable,
+        solve
+    };
+})();
+
+// Attach to window for script tag loading (workers load it with importScripts)
+if (typeof window !== 'undefined') {
+    window.PuzzleSolver = PuzzleSolver;
+}
@@ -5,16 +5,25 @@
 export const PUZZLE_CONFIG = Object.freeze({
   ANIMATION_DURATION: 150,  // ms
   
+  // optimalMoves: [fewest, most] moves the shortest solution takes (PuzzleGenerator)
   DIFFICULTY_SETTINGS: {
-    1: { gridSize: 2, moveLimit: null, timeLimit: null, showTarget: true },
-    2: { gridSize: 3, moveLimit: null, timeLimit: null, showTarget: true },
-    3: { gridSize: 3, moveLimit: null, timeLimit: null, showTarget: false },
-    4: { gridSize: 4, moveLimit: null, timeLimit: null, showTarget: false },
-    5: { gridSize: 4, moveLimit: 50, timeLimit: null, showTarget: false },
-    6: { gridSize: 5, moveLimit: 80, timeLimit: 180, showTarget: false },
-    7: { gridSize: 5, moveLimit: 60, timeLimit: 120, showTarget: false }
+    1: { gridSize: 2, moveLimit: null, timeLimit: null, showTarget: true, optimalMoves: [3, 6] },
+    2: { gridSize: 3, moveLimit: null, timeLimit: null, showTarget: true, optimalMoves: [8, 12] },
+    3: { gridSize: 3, moveLimit: null, timeLimit: null, showTarget: false, optimalMoves: [14, 20] },
+    4: { gridSize: 4, moveLimit: null, timeLimit: null, showTarget: false, optimalMoves: [20, 28] },
+    5: { gridSize: 4, moveLimit: 50, timeLimit: null, showTarget: false, optimalMoves: [28, 36] },
+    6: { gridSize: 5, moveLimit: 80, timeLimit: 180, showTarget: false, optimalMoves: [30, 40] },
+    7: { gridSize: 5, moveLimit: 60, timeLimit: 120, showTarget: false, optimalMoves: [36, 44] }
   },
   
+  // Everyone gets the same Daily Puzzle, so it has one fixed level
+  DAILY_LEVEL: 4,
+  
+  // Picture themes: numbers on the tiles start switched on up to this level
+  NUMBER_OVERLAY_MAX_LEVEL: 3,
+  MAX_CUSTOM_PICTURES: 6,   // per player - oldest is dropped when adding more
+  IMAGES_KEY: 'puzzlePathImages',
+  
   STAR_THRESHOLDS: {
     // Percentage of optimal moves
     3: 1.2,   // Within 20% of optimal
@@ -32,6 +41,15 @@ export const PUZZLE_CONFIG = Object.freeze({
   
   HINTS_PER_PUZZLE: 3,
   
+  // Optimal solver (PuzzleSolver.js). Grids this size and up search and
+  // generate puzzles in solver-worker.js; node limits stop searches that
+  // would take too long
+  SOLVER: {
+    WORKER_MIN_GRID: 4,
+    MAX_NODES: 40000000,
+    MAIN_THREAD_MAX_NODES: 1000000
+  },
+  
   LEADERBOARD_KEY: 'puzzlePathLeaderboard'
 });
 
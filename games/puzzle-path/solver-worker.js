@@ -0,0 +1,19 @@
+/**
+ * Puzzle Cloud Path - Solver Worker
+ * Runs PuzzleSolver and PuzzleGenerator off the main thread so 4×4 and 5×5
+ * searches don't freeze the page. Messages in:
+ *   { id, type: 'solve', tiles, size, maxNodes }
+ *   { id, type: 'generate', seed, size, optimalMoves }
+ * and { id, result } out (PuzzleSolver.solve() or PuzzleGenerator.generate()'s
+ * return value). Messages without a type are solves.
+ */
+
+importScripts('PuzzleSolver.js', 'PuzzleGenerator.js');
+
+self.onmessage = (event) => {
+    const { id, type, tiles, size, maxNodes, seed, optimalMoves } = event.data;
+    const result = type === 'generate'
+        ? PuzzleGenerator.generate({ seed, size, optimalMoves })
+        : PuzzleSolver.solve(tiles, size, { maxNodes });
+    self.postMessage({ id, result });
+};
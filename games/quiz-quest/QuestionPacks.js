@@ -0,0 +1,340 @@
+/**
+ * QuestionPacks.js - Teacher question packs for Quiz Quest
+ *
+ * Loads question packs from JSON and merges the enabled ones into the
+ * built-in question bank. Packs come from two places:
+ * - bundled: listed in packs/index.json and fetched at startup
+ * - uploaded: chosen with the file picker and kept in localStorage
+ *
+ * Pack ids are unique. An uploaded pack whose id is already taken is
+ * imported under a new id, and a bundled pack never replaces an uploaded
+ * one, so a teacher's pack survives game updates.
+ *
+ * Pack format:
+ *   { id, name, description?, questions: { [category]: { [tier]: [question, ...] } } }
+ * Single category/tier shorthand:
+ *   { id, name, category, tier, questions: [question, ...] }
+ *
+ * @version 1.0.0
+ */
+
+// ==================== Question Checks ====================
+
+/**
+ * Validate a question object has required fields
+ * @param {Object} q - Question to validate
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateQuestion(q) {
+    if (!q || typeof q !== 'object' || Array.isArray(q)) {
+        return { valid: false, errors: ['Question must be an object'] };
+    }
+
+    const errors = [];
+
+    if (typeof q.q !== 'string' || q.q.length === 0) {
+        errors.push('Missing or invalid question text (q)');
+    }
+    if (typeof q.a !== 'string' || q.a.length === 0) {
+        errors.push('Missing or invalid answer (a)');
+    }
+    if (!Array.isArray(q.wrong) || q.wrong.length < 2) {
+        errors.push('Wrong answers must be array with at least 2 items');
+    } else if (q.wrong.some(w => typeof w !== 'string' || w.length === 0)) {
+        errors.push('Wrong answers must all be text');
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a batch of questions before merging
+ * @param {Array} batch - Array of questions
+ * @returns {{valid: boolean, errors: Array, validCount: number}}
+ */
+function validateQuestionBatch(batch) {
+    if (!Array.isArray(batch)) {
+        return { valid: false, errors: ['Batch must be an array'], validCount: 0 };
+    }
+
+    const allErrors = [];
+    let validCount = 0;
+
+    batch.forEach((q, i) => {
+        const result = validateQuestion(q);
+        if (result.valid) {
+            validCount++;
+        } else {
+            allErrors.push({ index: i, errors: result.errors });
+        }
+    });
+
+    return {
+        valid: allErrors.length === 0,
+        errors: allErrors,
+        validCount
+    };
+}
+
+// ==================== QuestionPackManager Class ====================
+
+const QUESTION_PACK_MAX_TIER = 5;
+
+/**
+ * Questions use the question bank schema and are checked with
+ * validateQuestionBatch; rejected questions are kept for the pack report.
+ */
+class QuestionPackManager {
+    /**
+     * @param {Object} options
+     * @param {Object} options.bank - Built-in questions by category and tier
+     * @param {Object} options.categories - Known categories by id
+     * @param {string} options.storageKey - localStorage key for uploads and toggles
+     * @param {string} [options.manifestUrl] - Bundled pack list
+     */
+    constructor(options) {
+        this.bank = options.bank;
+        this.categories = options.categories;
+        this.storageKey = options.storageKey;
+        this.manifestUrl = options.manifestUrl;
+
+        this.packs = new Map();
+        this.state = this.loadState();
+
+        // Built-in question text, used to reject duplicates
+        this.builtInText = new Set();
+        Object.values(this.bank).forEach(tiers => Object.values(tiers).forEach(batch =>
+            batch.forEach(q => this.builtInText.add(q.q.trim().toLowerCase()))
+        ));
+
+        this.state.uploaded.forEach(raw => this.addPack(raw, 'uploaded'));
+    }
+
+    loadState() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return { enabled: saved.enabled || {}, uploaded: saved.uploaded || [] };
+        } catch (e) {
+            return { enabled: {}, uploaded: [] };
+        }
+    }
+
+    saveState() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (e) {
+            console.warn('[QuestionPacks] Could not save pack settings:', e);
+        }
+    }
+
+    /**
+     * Load the packs listed in the bundled manifest.
+     * fetch is blocked when the game is opened from file://, in which case
+     * only the built-in bank and uploaded packs are available.
+     * @returns {Promise<Array>} addPack result per listed file
+     */
+    async loadBundled(manifestUrl = this.manifestUrl) {
+        let manifest;
+        try {
+            const response = await fetch(manifestUrl);
+            if (!response.ok) return [];
+            manifest = await response.json();
+        } catch (e) {
+            console.warn('[QuestionPacks] Bundled packs unavailable:', e.message);
+            return [];
+        }
+
+        const baseUrl = manifestUrl.slice(0, manifestUrl.lastIndexOf('/') + 1);
+        const results = [];
+        for (const file of manifest.packs || []) {
+            try {
+                const response = await fetch(baseUrl + file);
+                results.push(this.addPack(await response.json(), 'bundled'));
+            } catch (e) {
+                results.push({ success: false, error: `${file}: ${e.message}` });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Import a pack chosen with the file picker and remember it.
+     * A pack whose id is already in use is imported under a new id.
+     * @param {File} file
+     * @returns {Promise<{success: boolean, pack?: Object, renamedFrom?: string, error?: string}>}
+     */
+    async importFile(file) {
+        let raw;
+        try {
+            raw = JSON.parse(await file.text());
+        } catch (e) {
+            return { success: false, error: `${file.name} is not valid JSON` };
+        }
+
+        const renamedFrom = raw && typeof raw.id === 'string' && this.packs.has(raw.id) ? raw.id : null;
+        if (renamedFrom) raw = { ...raw, id: this.getFreeId(renamedFrom) };
+
+        const result = this.addPack(raw, 'uploaded');
+        if (!result.success) return result;
+
+        this.state.uploaded.push(raw);
+        this.saveState();
+        return renamedFrom ? { ...result, renamedFrom } : result;
+    }
+
+    /**
+     * Add a parsed pack. A pack never replaces one from another source.
+     * @param {Object} raw - Parsed pack JSON
+     * @param {'bundled'|'uploaded'} source
+     * @returns {{success: boolean, pack?: Object, error?: string}}
+     */
+    addPack(raw, source) {
+        const result = this.parsePack(raw);
+        if (!result.success) return result;
+
+        const pack = result.pack;
+        const existing = this.packs.get(pack.id);
+        if (existing && existing.source !== source) {
+            const owner = existing.source === 'bundled' ? 'a built-in pack' : 'an uploaded pack';
+            return { success: false, error: `Pack id "${pack.id}" is already used by ${owner}` };
+        }
+
+        pack.source = source;
+        pack.enabled = this.state.enabled[pack.id] ?? true;
+        this.packs.set(pack.id, pack);
+        return { success: true, pack };
+    }
+
+    /**
+     * First unused id of the form "<id>-2", "<id>-3", ...
+     * @param {string} id
+     * @returns {string}
+     */
+    getFreeId(id) {
+        let n = 2;
+        while (this.packs.has(`${id}-${n}`)) n++;
+        return `${id}-${n}`;
+    }
+
+    /**
+     * Validate a raw pack, splitting its questions into accepted and rejected
+     * @param {Object} raw - Parsed pack JSON
+     * @returns {{success: boolean, pack?: Object, error?: string}}
+     */
+    parsePack(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return { success: false, error: 'Pack must be a JSON object' };
+        }
+        if (typeof raw.id !== 'string' || raw.id.trim().length === 0) {
+            return { success: false, error: 'Pack is missing an id' };
+        }
+
+        const groups = raw.category !== undefined
+            ? { [raw.category]: { [raw.tier]: raw.questions } }
+            : raw.questions;
+        if (!groups || typeof groups !== 'object' || Array.isArray(groups)) {
+            return { success: false, error: `Pack "${raw.id}" has no questions by category and tier` };
+        }
+
+        const pack = {
+            id: raw.id,
+            name: typeof raw.name === 'string' && raw.name ? raw.name : raw.id,
+            description: raw.description || '',
+            questions: {},
+            accepted: 0,
+            rejected: []
+        };
+        const seen = new Set();
+
+        Object.entries(groups).forEach(([category, tiers]) => {
+            Object.entries(tiers || {}).forEach(([tierKey, batch]) => {
+                const tier = Number(tierKey);
+                const reject = (index, q, errors) => pack.rejected.push({
+                    category, tier: tierKey, index, question: typeof q?.q === 'string' ? q.q : null, errors
+                });
+
+                let groupError = null;
+                if (!this.categories[category]) groupError = `Unknown category "${category}"`;
+                else if (!Number.isInteger(tier) || tier < 1 || tier > QUESTION_PACK_MAX_TIER) {
+                    groupError = `Tier must be 1-${QUESTION_PACK_MAX_TIER}, got "${tierKey}"`;
+                }
+
+                const check = validateQuestionBatch(batch);
+                if (!Array.isArray(batch)) groupError = groupError || check.errors[0];
+                if (groupError) {
+                    if (Array.isArray(batch) && batch.length > 0) batch.forEach((q, i) => reject(i, q, [groupError]));
+                    else reject(null, null, [groupError]);
+                    return;
+                }
+
+                const errorsByIndex = new Map(check.errors.map(e => [e.index, e.errors]));
+                batch.forEach((q, i) => {
+                    const errors = errorsByIndex.get(i) || [];
+                    const text = typeof q?.q === 'string' ? q.q.trim().toLowerCase() : '';
+                    if (errors.length === 0 && (this.builtInText.has(text) || seen.has(text))) {
+                        errors.push('Duplicate question');
+                    }
+                    if (errors.length === 0 && q.wrong.includes(q.a)) {
+                        errors.push('Answer is also listed as a wrong choice');
+                    }
+                    if (errors.length > 0) return reject(i, q, errors);
+
+                    seen.add(text);
+                    const accepted = { ...q, id: q.id ?? `${pack.id}-${category}-${tier}-${i}` };
+                    pack.questions[category] = pack.questions[category] || {};
+                    (pack.questions[category][tier] = pack.questions[category][tier] || []).push(accepted);
+                    pack.accepted++;
+                });
+            });
+        });
+
+        return { success: true, pack };
+    }
+
+    /**
+     * Built-in questions for a category and tier followed by enabled pack questions
+     * @returns {Array}
+     */
+    getQuestions(category, tier) {
+        const base = this.bank[category]?.[tier] || [];
+        const extra = this.getPacks()
+            .filter(pack => pack.enabled)
+            .flatMap(pack => pack.questions[category]?.[tier] || []);
+        return extra.length > 0 ? base.concat(extra) : base;
+    }
+
+    getPacks() {
+        return [...this.packs.values()];
+    }
+
+    setEnabled(id, enabled) {
+        const pack = this.packs.get(id);
+        if (!pack) return false;
+        pack.enabled = enabled;
+        this.state.enabled[id] = enabled;
+        this.saveState();
+        return true;
+    }
+
+    removePack(id) {
+        const pack = this.packs.get(id);
+        if (!pack || pack.source !== 'uploaded') return false;
+        this.packs.delete(id);
+        this.state.uploaded = this.state.uploaded.filter(p => p.id !== id);
+        delete this.state.enabled[id];
+        this.saveState();
+        return true;
+    }
+}
+
+// ==================== Export ====================
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+    window.QuestionPackManager = QuestionPackManager;
+    window.validateQuestion = validateQuestion;
+    window.validateQuestionBatch = validateQuestionBatch;
+}
@@ -33,19 +33,29 @@ const QUIZ_CONFIG = Object.freeze({
     // Storage
     LEADERBOARD_KEY: 'quizQuestLeaderboard',
     PROGRESS_KEY: 'quizQuestProgress',
-    ADAPTIVE_KEY: 'quizQuestAdaptive'
+    ADAPTIVE_KEY: 'quizQuestAdaptive',
+    PACKS_KEY: 'quizQuestPacks',
+    
+    // Question packs listed here load at startup (served over http only)
+    PACK_MANIFEST: 'packs/index.json',
+    
+    // Share of math questions generated by the shared MathEngine (0 = bank only)
+    GENERATED_MATH_SHARE: 0.5
 });
 
-// ==================== Calibration Configuration ====================
+// ==================== Adaptive Difficulty ====================
 
-const CALIBRATION_CONFIG = Object.freeze({
-    QUESTIONS_COUNT: 3,           // Warm-up questions
-    BASE_LEVEL: 3,                // Start calibration at Champion level
-    MIN_LEVEL: 1,                 // Floor
-    MAX_LEVEL: 7,                 // Ceiling
-    WINDOW_SIZE: 5,               // Rolling answer window
-    DEFAULT_SPEED_SCORE: 0.5,     // Fallback when no timer
-    DEFAULT_MAX_TIME: 30000       // 30 seconds in ms
+// Quiz Quest's tuning for the shared AdaptiveController
+// (shared-assets/core/AdaptiveController.js)
+const ADAPTIVE_CONFIG = Object.freeze({
+    BASE_LEVEL: 3,                // Champion, when nothing else is known
+    CONTROLLER: Object.freeze({
+        WINDOW_SIZE: 5,
+        MIN_ANSWERS: 3,
+        DEMOTE_THRESHOLD: 0.4,
+        ACCURACY_WEIGHT: 0.6,
+        SPEED_WEIGHT: 0.4
+    })
 });
 
 const DIFFICULTY_PRESETS = Object.freeze({
@@ -77,249 +87,6 @@ const CATEGORIES = Object.freeze({
     logic: { name: 'Logic', icon: '🧩', color: SOFT_COLORS.logic }
 });
 
-// ==================== Adaptive Difficulty System ====================
-
-/**
- * AdaptiveDifficulty - Performance-based difficulty adjustment
- * Replaces age-based difficulty with speed + accuracy tracking
- */
-class AdaptiveDifficulty {
-    constructor() {
-        this.currentLevel = CALIBRATION_CONFIG.BASE_LEVEL;
-        this.recentAnswers = [];
-        this.isCalibrated = false;
-        this.calibrationAnswers = [];
-        this.questionStartTime = 0;
-    }
-
-    // ========== DEFENSIVE: Input Validation ==========
-    
-    validateInputs(responseTimeMs, maxTimeMs) {
-        // Guard against null/undefined
-        if (typeof responseTimeMs !== 'number' || isNaN(responseTimeMs)) {
-            console.warn('[AdaptiveDifficulty] Invalid responseTimeMs, defaulting to maxTime');
-            responseTimeMs = maxTimeMs || CALIBRATION_CONFIG.DEFAULT_MAX_TIME;
-        }
-        // Guard against negative values
-        if (responseTimeMs < 0) responseTimeMs = 0;
-        if (maxTimeMs < 0 || !maxTimeMs) maxTimeMs = CALIBRATION_CONFIG.DEFAULT_MAX_TIME;
-        
-        return { responseTimeMs, maxTimeMs };
-    }
-
-    // ========== TIMING ==========
-    
-    startQuestionTimer() {
-        this.questionStartTime = Date.now();
-    }
-    
-    getResponseTime() {
-        return Date.now() - this.questionStartTime;
-    }
-
-    // ========== CALIBRATION PHASE ==========
-    
-    needsCalibration() {
-        return !this.isCalibrated;
-    }
-    
-    recordCalibrationAnswer(isCorrect, responseTimeMs, maxTimeMs) {
-        const validated = this.validateInputs(responseTimeMs, maxTimeMs);
-        const speedScore = this.calculateSpeedScore(validated.responseTimeMs, validated.maxTimeMs);
-        
-        this.calibrationAnswers.push({ isCorrect, speedScore });
-        
-        if (this.calibrationAnswers.length >= CALIBRATION_CONFIG.QUESTIONS_COUNT) {
-            this.finalizeCalibration();
-            return true; // Calibration complete
-        }
-        return false; // More calibration questions needed
-    }
-    
-    finalizeCalibration() {
-        const correct = this.calibrationAnswers.filter(a => a.isCorrect).length;
-        
-        // DEFENSIVE: Guard against empty array
-        const avgSpeed = this.calibrationAnswers.length > 0
-            ? this.calibrationAnswers.reduce((sum, a) => sum + (a.speedScore || 0), 0) / this.calibrationAnswers.length
-            : CALIBRATION_CONFIG.DEFAULT_SPEED_SCORE;
-        
-        // Determine starting level based on calibration
-        if (correct === 0) {
-            this.currentLevel = 1;
-        } else if (correct === 1) {
-            this.currentLevel = 2;
-        } else if (correct === 2) {
-            this.currentLevel = 3;
-        } else if (correct === 3 && avgSpeed < 0.6) {
-            this.currentLevel = 4;  // All correct but slow
-        } else {
-            this.currentLevel = 5;  // All correct and fast
-        }
-        
-        this.isCalibrated = true;
-        this.saveToStorage();
-        
-        console.log(`[AdaptiveDifficulty] Calibration complete: Level ${this.currentLevel} (${correct}/3 correct, speed: ${avgSpeed.toFixed(2)})`);
-    }
-    
-    getCalibrationProgress() {
-        return {
-            current: this.calibrationAnswers.length,
-            total: CALIBRATION_CONFIG.QUESTIONS_COUNT
-        };
-    }
-
-    // ========== MAIN TRACKING ==========
-    
-    recordAnswer(isCorrect, responseTimeMs, maxTimeMs) {
-        // DEFENSIVE: Validate all inputs
-        const validated = this.validateInputs(responseTimeMs, maxTimeMs);
-        const speedScore = this.calculateSpeedScore(validated.responseTimeMs, validated.maxTimeMs);
-        
-        this.recentAnswers.push({ isCorrect, speedScore, timestamp: Date.now() });
-        
-        // DEFENSIVE: Enforce window size limit
-        while (this.recentAnswers.length > CALIBRATION_CONFIG.WINDOW_SIZE) {
-            this.recentAnswers.shift();
-        }
-        
-        const levelChanged = this.updateDifficulty();
-        this.saveToStorage();
-        
-        return levelChanged;
-    }
-
-    calculateSpeedScore(responseTimeMs, maxTimeMs) {
-        // DEFENSIVE: Handle no-timer mode (Explorer difficulty)
-        if (!maxTimeMs || maxTimeMs === null || maxTimeMs <= 0) {
-            return CALIBRATION_CONFIG.DEFAULT_SPEED_SCORE;  // Neutral score
-        }
-        
-        // DEFENSIVE: Clamp ratio between 0 and 1
-        const ratio = Math.max(0, Math.min(1, responseTimeMs / maxTimeMs));
-        
-        if (ratio < 0.25) return 1.0;   // Very fast
-        if (ratio < 0.50) return 0.75;  // Fast
-        if (ratio < 0.75) return 0.5;   // Moderate
-        return 0.25;                     // Slow
-    }
-
-    updateDifficulty() {
-        // DEFENSIVE: Require minimum data before adjusting
-        if (this.recentAnswers.length < 3) return null;
-        
-        const previousLevel = this.currentLevel;
-        const correct = this.recentAnswers.filter(a => a.isCorrect).length;
-        const accuracy = correct / this.recentAnswers.length;
-        
-        // DEFENSIVE: Guard against division by zero
-        const avgSpeed = this.recentAnswers.length > 0 
-            ? this.recentAnswers.reduce((sum, a) => sum + (a.speedScore || 0), 0) / this.recentAnswers.length
-            : CALIBRATION_CONFIG.DEFAULT_SPEED_SCORE;
-        
-        // Combined performance score (0-1)
-        const performance = (accuracy * 0.6) + (avgSpeed * 0.4);
-        
-        // DEFENSIVE: Clamp level within valid bounds
-        if (performance > 0.8 && this.currentLevel < CALIBRATION_CONFIG.MAX_LEVEL) {
-            this.currentLevel++;
-        } else if (performance < 0.4 && this.currentLevel > CALIBRATION_CONFIG.MIN_LEVEL) {
-            this.currentLevel--;
-        }
-        
-        // DEFENSIVE: Final bounds check
-        this.currentLevel = Math.max(
-            CALIBRATION_CONFIG.MIN_LEVEL, 
-            Math.min(CALIBRATION_CONFIG.MAX_LEVEL, this.currentLevel)
-        );
-        
-        // Return level change info for UI feedback
-        if (this.currentLevel !== previousLevel) {
-            return {
-                previous: previousLevel,
-                current: this.currentLevel,
-                direction: this.currentLevel > previousLevel ? 'up' : 'down'
-            };
-        }
-        return null;
-    }
-    
-    getCurrentLevel() {
-        return this.currentLevel;
-    }
-    
-    getLevelName() {
-        return DIFFICULTY_PRESETS[this.currentLevel]?.name || 'Champion';
-    }
-    
-    getPerformanceStats() {
-        if (this.recentAnswers.length === 0) {
-            return { accuracy: 0, avgSpeed: 0, performance: 0 };
-        }
-        
-        const correct = this.recentAnswers.filter(a => a.isCorrect).length;
-        const accuracy = correct / this.recentAnswers.length;
-        const avgSpeed = this.recentAnswers.reduce((sum, a) => sum + (a.speedScore || 0), 0) / this.recentAnswers.length;
-        const performance = (accuracy * 0.6) + (avgSpeed * 0.4);
-        
-        return { accuracy, avgSpeed, performance };
-    }
-
-    // ========== PERSISTENCE ==========
-    
-    saveToStorage() {
-        try {
-            const data = {
-                currentLevel: this.currentLevel,
-                isCalibrated: this.isCalibrated,
-                recentAnswers: this.recentAnswers,
-                lastUpdated: Date.now()
-            };
-            localStorage.setItem(QUIZ_CONFIG.ADAPTIVE_KEY, JSON.stringify(data));
-        } catch (e) {
-            console.warn('[AdaptiveDifficulty] Failed to save:', e);
-            // DEFENSIVE: Continue without storage - don't break the game
-        }
-    }
-    
-    loadFromStorage() {
-        try {
-            const data = JSON.parse(localStorage.getItem(QUIZ_CONFIG.ADAPTIVE_KEY));
-            if (data && typeof data.currentLevel === 'number') {
-                this.currentLevel = Math.max(
-                    CALIBRATION_CONFIG.MIN_LEVEL,
-                    Math.min(CALIBRATION_CONFIG.MAX_LEVEL, data.currentLevel)
-                );
-                this.isCalibrated = data.isCalibrated || false;
-                this.recentAnswers = Array.isArray(data.recentAnswers) ? data.recentAnswers : [];
-                console.log(`[AdaptiveDifficulty] Loaded from storage: Level ${this.currentLevel}, Calibrated: ${this.isCalibrated}`);
-            }
-        } catch (e) {
-            console.warn('[AdaptiveDifficulty] Failed to load, using defaults:', e);
-            // DEFENSIVE: Use defaults on error
-            this.reset();
-        }
-    }
-    
-    reset() {
-        this.currentLevel = CALIBRATION_CONFIG.BASE_LEVEL;
-        this.recentAnswers = [];
-        this.isCalibrated = false;
-        this.calibrationAnswers = [];
-    }
-    
-    // Full reset including storage
-    fullReset() {
-        this.reset();
-        try {
-            localStorage.removeItem(QUIZ_CONFIG.ADAPTIVE_KEY);
-        } catch (e) {
-            console.warn('[AdaptiveDifficulty] Failed to clear storage:', e);
-        }
-    }
-}
-
 // ==================== Difficulty-to-Tier Mapping ====================
 
 /**
@@ -328,7 +95,7 @@ class AdaptiveDifficulty {
  */
 function getQuestionTier(difficultyLevel) {
     // DEFENSIVE: Clamp difficulty to valid range
-    const level = Math.max(1, Math.min(7, difficultyLevel || CALIBRATION_CONFIG.BASE_LEVEL));
+    const level = Math.max(1, Math.min(7, difficultyLevel || ADAPTIVE_CONFIG.BASE_LEVEL));
     
     // Map difficulty to question tier (max tier is 5)
     const tierMap = {
@@ -374,9 +141,8 @@ function getQuestionWithFallback(category, tier) {
     };
 }
 
-// DEPRECATED: Age-based difficulty (kept for backward compatibility)
+// Starting level for a player with no saved adaptive level
 function getDifficultyFromAge(age) {
-    console.warn('[DEPRECATED] getDifficultyFromAge is deprecated. Use AdaptiveDifficulty class instead.');
     if (age <= 8) return 1;
     if (age <= 10) return 2;
     if (age <= 12) return 3;
@@ -785,68 +551,29 @@ function normalizeQuestion(raw, category, tier, index) {
     };
 }
 
-/**
- * Validate a question object has required fields
- * @param {Object} q - Question to validate
- * @returns {{valid: boolean, errors: string[]}}
- */
-function validateQuestion(q) {
-    const errors = [];
-    
-    if (typeof q.q !== 'string' || q.q.length === 0) {
-        errors.push('Missing or invalid question text (q)');
-    }
-    if (typeof q.a !== 'string' || q.a.length === 0) {
-        errors.push('Missing or invalid answer (a)');
-    }
-    if (!Array.isArray(q.wrong) || q.wrong.length < 2) {
-        errors.push('Wrong answers must be array with at least 2 items');
-    }
-    
-    return {
-        valid: errors.length === 0,
-        errors
-    };
-}
-
-/**
- * Validate a batch of questions before merging
- * @param {Array} batch - Array of questions
- * @returns {{valid: boolean, errors: Array, validCount: number}}
- */
-function validateQuestionBatch(batch) {
-    if (!Array.isArray(batch)) {
-        return { valid: false, errors: ['Batch must be an array'], validCount: 0 };
-    }
-    
-    const allErrors = [];
-    let validCount = 0;
-    
-    batch.forEach((q, i) => {
-        const result = validateQuestion(q);
-        if (result.valid) {
-            validCount++;
-        } else {
-            allErrors.push({ index: i, errors: result.errors });
-        }
-    });
-    
-    return {
-        valid: allErrors.length === 0,
-        errors: allErrors,
-        validCount
-    };
-}
-
 class QuestionEngine {
-    constructor() {
+    constructor(packs = null) {
         this.usedQuestions = new Set();
+        this.packs = packs;  // QuestionPackManager, when packs are in use
+        this.mathMastery = {};  // Player's MathEngine skill mastery, set by the game
+    }
+    
+    getPool(category, tier) {
+        const pool = (t) => this.packs ? this.packs.getQuestions(category, t) : (QUESTION_BANK[category]?.[t] || []);
+        const questions = pool(tier);
+        return questions.length > 0 ? questions : pool(1);
     }
     
     getQuestion(category, difficulty) {
+        // Some math questions come from the shared MathEngine
+        if (category === 'math' && typeof MathEngine !== 'undefined' &&
+            Math.random() < QUIZ_CONFIG.GENERATED_MATH_SHARE) {
+            return this.getGeneratedMathQuestion(difficulty);
+        }
+        
         // Get appropriate difficulty tier
         const tier = Math.min(difficulty, 5);
-        const questions = QUESTION_BANK[category]?.[tier] || QUESTION_BANK[category]?.[1] || [];
+        const questions = this.getPool(category, tier);
         
         // Filter out used questions
         const available = questions.filter((_, i) => 
@@ -893,6 +620,32 @@ class QuestionEngine {
         };
     }
     
+    /**
+     * Generate a math question from the shared MathEngine, tagged with its skill.
+     * Difficulty 1 starts at the engine's addition stage, since number
+     * recognition makes no sense as a quiz question.
+     * @param {number} difficulty - Difficulty level (1-7)
+     * @returns {Object} Question in the same shape as getQuestion()
+     */
+    getGeneratedMathQuestion(difficulty) {
+        const problem = MathEngine.generateForStage(difficulty + 1, this.mathMastery);
+        const numChoices = DIFFICULTY_PRESETS[difficulty]?.choices || 4;
+        const wrong = problem.distractors.slice(0, numChoices - 1).map(String);
+        
+        return {
+            id: `math-${problem.skill}-${problem.question}`,
+            question: problem.question,
+            correctAnswer: String(problem.answer),
+            choices: this.shuffleArray([String(problem.answer), ...wrong]),
+            category: 'math',
+            hint: `This one practices: ${problem.skillName}`,
+            explanation: problem.explanation,
+            tier: Math.min(difficulty, 5),
+            index: null,        // Not from the bank, so never returned to the pool
+            skill: problem.skill
+        };
+    }
+    
     shuffleArray(array) {
         const arr = [...array];
         for (let i = arr.length - 1; i > 0; i--) {
@@ -932,6 +685,19 @@ class QuestionEngine {
     }
 }
 
+// ==================== Question Packs ====================
+
+/**
+ * Escape pack-supplied text before it is shown in the pack report
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
 // ==================== Main Game Class ====================
 
 class QuizQuestGame {
@@ -976,10 +742,17 @@ class QuizQuestGame {
         
         // Adaptive difficulty system (NEW - Day 4)
         this._useAdaptiveDifficulty = true;  // Feature flag
-        this.adaptiveDifficulty = null;      // Initialized in init()
+        this.adaptive = null;                // AdaptiveController, set up in init()
         
         // Components
-        this.questionEngine = new QuestionEngine();
+        this.questionPacks = new QuestionPackManager({
+            bank: QUESTION_BANK,
+            categories: CATEGORIES,
+            storageKey: QUIZ_CONFIG.PACKS_KEY,
+            manifestUrl: QUIZ_CONFIG.PACK_MANIFEST
+        });
+        this.questionEngine = new QuestionEngine(this.questionPacks);
+        this.packMessages = [];
         
         // DOM elements
         this.screens = {
@@ -1038,7 +811,11 @@ class QuizQuestGame {
             retryBtn: getElement('retry-btn'),
             quitBtn: getElement('quit-btn'),
             gameoverScore: getElement('gameover-score'),
-            gameoverStars: getElement('gameover-stars')
+            gameoverStars: getElement('gameover-stars'),
+            packsCount: getElement('packs-count'),
+            packsList: getElement('packs-list'),
+            packsReport: getElement('packs-report'),
+            packFileInput: getElement('pack-file-input')
         };
     }
     
@@ -1050,10 +827,15 @@ class QuizQuestGame {
         this.setupEventListeners();
         this.updateStartScreen();
         this.showScreen('start');
+        
+        this.questionPacks.loadBundled().then(results => {
+            results.filter(r => !r.success).forEach(r => this.packMessages.push(r.error));
+            this.renderPacks();
+        });
     }
     
     /**
-     * Initialize adaptive difficulty with fallback
+     * Set up the shared AdaptiveController, if it loaded
      * @private
      */
     _initAdaptiveDifficulty() {
@@ -1062,80 +844,97 @@ class QuizQuestGame {
             return;
         }
         
-        try {
-            // AdaptiveDifficulty class is defined in separate file but also on window
-            if (typeof AdaptiveDifficulty !== 'undefined') {
-                this.adaptiveDifficulty = new AdaptiveDifficulty({
-                    enabled: true,
-                    shadowMode: false,  // Actually affect gameplay
-                    initialTier: 3      // Start at Champion
-                });
-                console.log('[Adaptive] Initialized successfully');
-            } else {
-                console.warn('[Adaptive] AdaptiveDifficulty class not found, using age-based fallback');
-                this.adaptiveDifficulty = null;
-            }
-        } catch (err) {
-            console.error('[Adaptive] Init failed, using age-based fallback:', err);
-            this.adaptiveDifficulty = null;
+        if (typeof AdaptiveController === 'undefined') {
+            console.warn('[Adaptive] AdaptiveController not found, using age-based fallback');
+            return;
         }
+        
+        this.adaptive = new AdaptiveController({
+            level: ADAPTIVE_CONFIG.BASE_LEVEL,
+            config: ADAPTIVE_CONFIG.CONTROLLER
+        });
     }
     
     /**
-     * Get initial difficulty - tries adaptive, falls back to age-based
+     * Get initial difficulty - the level the player last adapted to,
+     * or age-based for a new player
      * @private
      * @returns {number} Difficulty level 1-7
      */
     _getInitialDifficulty() {
-        // Try adaptive difficulty first
-        if (this.adaptiveDifficulty?.enabled) {
-            const tier = this.adaptiveDifficulty.getTier();
-            if (tier !== null && tier >= 1 && tier <= 7) {
-                console.log(`[Adaptive] Using adaptive tier: ${tier}`);
-                return tier;
+        let difficulty = this.adaptive ? this._loadAdaptiveLevel() : null;
+        
+        if (difficulty === null) {
+            let age = 16;
+            if (typeof PlayerManager !== 'undefined' && PlayerManager.hasActivePlayer()) {
+                age = PlayerManager.getPlayerAge() || 16;
             }
+            difficulty = getDifficultyFromAge(age);
         }
         
-        // Fallback: original age-based logic
-        let age = 16;
-        if (typeof PlayerManager !== 'undefined' && PlayerManager.hasActivePlayer()) {
-            age = PlayerManager.getPlayerAge() || 16;
-        }
-        const difficulty = getDifficultyFromAge(age);
-        console.log(`[Adaptive] Fallback to age-based: age=${age}, difficulty=${difficulty}`);
+        this.adaptive?.reset(difficulty);
         return difficulty;
     }
     
     /**
-     * Record an answer for adaptive difficulty tracking
+     * Saved adaptive level, if any
+     * @private
+     * @returns {number|null}
+     */
+    _loadAdaptiveLevel() {
+        try {
+            const data = JSON.parse(localStorage.getItem(QUIZ_CONFIG.ADAPTIVE_KEY));
+            // currentLevel is the name used by saves from before AdaptiveController
+            const level = data?.level ?? data?.currentLevel;
+            return DIFFICULTY_PRESETS[level] ? level : null;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    /**
+     * @private
+     * @param {number} level
+     */
+    _saveAdaptiveLevel(level) {
+        try {
+            localStorage.setItem(QUIZ_CONFIG.ADAPTIVE_KEY, JSON.stringify({ level, lastUpdated: Date.now() }));
+        } catch (e) {
+            console.warn('[Adaptive] Failed to save level:', e);
+        }
+    }
+    
+    /**
+     * Save skill mastery from generated math questions
+     * @private
+     */
+    _saveMathMastery() {
+        if (typeof MathEngine === 'undefined') return;
+        if (Object.keys(this.questionEngine.mathMastery).length === 0) return;
+        MathEngine.saveMastery(this.questionEngine.mathMastery);
+    }
+    
+    /**
+     * Record an answer for adaptive difficulty tracking; a level change
+     * takes effect from the next question and is kept for the next game
      * @private
      * @param {boolean} isCorrect 
      */
     _recordAnswerForAdaptive(isCorrect) {
-        if (!this.adaptiveDifficulty?.enabled) return;
+        if (!this.adaptive) return;
         
-        try {
-            // Calculate response time
-            const responseTime = this._questionStartTime 
-                ? Date.now() - this._questionStartTime 
-                : 15000; // Default 15s if not tracked
-            
-            // Get max time from current difficulty preset
-            const settings = DIFFICULTY_PRESETS[this.difficulty];
-            const maxTime = settings?.timeLimit ? settings.timeLimit * 1000 : 30000;
-            
-            // Record the answer
-            const newTier = this.adaptiveDifficulty.recordAnswer(isCorrect, responseTime, maxTime);
-            
-            // Update difficulty if tier changed
-            if (newTier !== null && newTier !== this.difficulty) {
-                console.log(`[Adaptive] Difficulty adjusted: ${this.difficulty} → ${newTier}`);
-                this.difficulty = newTier;
-            }
-        } catch (err) {
-            console.error('[Adaptive] Error recording answer:', err);
-            // Fail silently - game continues with current difficulty
-        }
+        const responseTime = this._questionStartTime
+            ? Date.now() - this._questionStartTime
+            : undefined;
+        // Explorer has no timer, so its answers get the neutral speed score
+        const timeLimit = DIFFICULTY_PRESETS[this.difficulty]?.timeLimit;
+        
+        const change = this.adaptive.recordAnswer(isCorrect, responseTime, timeLimit ? timeLimit * 1000 : undefined);
+        if (!change) return;
+        
+        console.log(`[Adaptive] Difficulty adjusted: ${change.previous} → ${change.current}`);
+        this.difficulty = change.current;
+        this._saveAdaptiveLevel(change.current);
     }
     
     setupEventListeners() {
@@ -1166,6 +965,9 @@ class QuizQuestGame {
         // Map canvas click
         this.mapCanvas?.addEventListener('click', (e) => this.handleMapClick(e));
         
+        // Question pack file picker
+        this.elements.packFileInput?.addEventListener('change', (e) => this.importPackFiles(e.target));
+        
         // Power-up buttons (NEW - wired but handlers have guards)
         this._wireOptionalPowerups();
         
@@ -1593,6 +1395,9 @@ class QuizQuestGame {
         this.streak = 0;
         this.totalStars = 0;
         this.questionEngine.reset();
+        if (typeof MathEngine !== 'undefined') {
+            this.questionEngine.mathMastery = MathEngine.loadMastery();
+        }
         this.isPlaying = true;
         
         // Show map
@@ -1788,6 +1593,11 @@ class QuizQuestGame {
         // Record answer for adaptive difficulty (NEW - Day 4)
         this._recordAnswerForAdaptive(isCorrect);
         
+        // Generated math questions count towards the player's skill mastery
+        if (this.currentQuestion.skill && typeof MathEngine !== 'undefined') {
+            MathEngine.recordResult(this.questionEngine.mathMastery, this.currentQuestion.skill, isCorrect);
+        }
+        
         if (isCorrect) {
             this.handleCorrectAnswer();
         } else {
@@ -1893,6 +1703,8 @@ class QuizQuestGame {
     }
     
     completeLocation() {
+        this._saveMathMastery();
+        
         // Check if perfect
         if (this.correctInLocation === this.questionsPerLocation) {
             this.score += QUIZ_CONFIG.PERFECT_LOCATION_BONUS;
@@ -1961,6 +1773,7 @@ class QuizQuestGame {
         
         this.playSound('gameover');
         this.isPlaying = false;
+        this._saveMathMastery();
         
         // Update gameover screen
         this.elements.gameoverScore.textContent = this.score;
@@ -2040,6 +1853,77 @@ class QuizQuestGame {
         if (this.elements.highScoreValue) {
             this.elements.highScoreValue.textContent = highScore;
         }
+        this.renderPacks();
+    }
+    
+    // ==========================================
+    // QUESTION PACKS
+    // ==========================================
+    
+    async importPackFiles(input) {
+        for (const file of input.files) {
+            let result;
+            try {
+                result = await this.questionPacks.importFile(file);
+            } catch (e) {
+                // One bad file shouldn't stop the rest of the selection
+                console.warn('[QuestionPacks] Import failed:', e);
+                result = { success: false, error: `${file.name} could not be imported` };
+            }
+            this.packMessages.push(!result.success ? `❌ ${result.error}`
+                : result.renamedFrom
+                    ? `✅ Added "${result.pack.name}" as "${result.pack.id}" - the id "${result.renamedFrom}" was already in use (${result.pack.accepted} questions)`
+                    : `✅ Added "${result.pack.name}" (${result.pack.accepted} questions)`);
+        }
+        input.value = '';
+        this.renderPacks();
+    }
+    
+    renderPacks() {
+        const { packsCount, packsList, packsReport } = this.elements;
+        if (!packsList) return;
+        
+        const packs = this.questionPacks.getPacks();
+        if (packsCount) {
+            packsCount.textContent = `(${packs.filter(p => p.enabled).length}/${packs.length})`;
+        }
+        
+        packsList.innerHTML = packs.length === 0
+            ? '<p class="packs-empty">No packs loaded - add a .json pack to get started.</p>'
+            : '';
+        packs.forEach(pack => {
+            const row = document.createElement('div');
+            row.className = `pack-row ${pack.enabled ? '' : 'disabled'}`;
+            row.innerHTML = `
+                <label class="pack-toggle">
+                    <input type="checkbox" ${pack.enabled ? 'checked' : ''}>
+                    <span class="pack-name">${escapeHTML(pack.name)}</span>
+                </label>
+                <span class="pack-meta">${pack.accepted} questions${pack.rejected.length ? ` · ⚠️ ${pack.rejected.length} rejected` : ''}</span>
+                ${pack.source === 'uploaded' ? '<button class="pack-remove" title="Remove pack">✖</button>' : ''}
+            `;
+            row.querySelector('input').addEventListener('change', (e) => {
+                this.questionPacks.setEnabled(pack.id, e.target.checked);
+                this.renderPacks();
+            });
+            row.querySelector('.pack-remove')?.addEventListener('click', () => {
+                this.questionPacks.removePack(pack.id);
+                this.renderPacks();
+            });
+            packsList.appendChild(row);
+        });
+        
+        if (!packsReport) return;
+        const rejected = packs.flatMap(pack => pack.rejected.map(r => ({ ...r, pack: pack.name })));
+        packsReport.innerHTML = [
+            ...this.packMessages.map(msg => `<p class="pack-message">${escapeHTML(msg)}</p>`),
+            ...rejected.map(r => `
+                <p class="pack-rejected">
+                    <strong>${escapeHTML(r.pack)}</strong> · ${escapeHTML(r.category)} tier ${escapeHTML(r.tier)}${r.index !== null ? ` #${r.index + 1}` : ''}
+                    ${r.question ? `<em>"${escapeHTML(r.question)}"</em>` : ''}
+                    — ${r.errors.map(escapeHTML).join('; ')}
+                </p>`)
+        ].join('');
     }
     
     updateMapUI() {
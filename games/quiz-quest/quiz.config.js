@@ -26,7 +26,27 @@ export const QUIZ_CONFIG = Object.freeze({
   
   // Storage
   LEADERBOARD_KEY: 'quizQuestLeaderboard',
-  PROGRESS_KEY: 'quizQuestProgress'
+  PROGRESS_KEY: 'quizQuestProgress',
+  ADAPTIVE_KEY: 'quizQuestAdaptive',
+  PACKS_KEY: 'quizQuestPacks',
+  
+  // Question packs listed here load at startup (served over http only)
+  PACK_MANIFEST: 'packs/index.json',
+  
+  // Share of math questions generated by the shared MathEngine (0 = bank only)
+  GENERATED_MATH_SHARE: 0.5
+});
+
+// Quiz Quest's tuning for the shared AdaptiveController
+export const ADAPTIVE_CONFIG = Object.freeze({
+  BASE_LEVEL: 3,
+  CONTROLLER: Object.freeze({
+    WINDOW_SIZE: 5,
+    MIN_ANSWERS: 3,
+    DEMOTE_THRESHOLD: 0.4,
+    ACCURACY_WEIGHT: 0.6,
+    SPEED_WEIGHT: 0.4
+  })
 });
 
 export const DIFFICULTY_PRESETS = Object.freeze({
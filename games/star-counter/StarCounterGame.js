@@ -173,13 +173,29 @@ class StarCounterGame {
     this.maxCombo = 0;
     this.correctAnswers = 0;
     this.wrongAnswers = 0;
-    this.difficulty = 1;
+    this.difficulty = 1;          // Starting level, from age
     this.isPlaying = false;
     
-    // Current problem
+    // Level in play: starts at the difficulty, then follows the player's
+    // accuracy and reaction time (shared AdaptiveController)
+    this.level = 1;
+    this.adaptive = null;
+    this.levelBanner = null;      // { text, until } after a level change
+    this.problemStartTime = 0;
+    this.problemTimeLimit = 0;    // ms until the right star falls off screen
+    
+    // Current problem, from the shared MathEngine
     this.currentProblem = null;
     this.stars = [];
     
+    // Skill mastery (saved per player) and this game's answers per skill
+    this.mastery = {};
+    this.skillResults = {};
+    
+    // Misconception counts (saved per player) and the wrong stars caught this game
+    this.misconceptions = {};
+    this.caughtMistakes = [];
+    
     // Player
     this.player = {
       x: 0,
@@ -227,7 +243,10 @@ class StarCounterGame {
       finalCombo: document.getElementById('final-combo'),
       finalAccuracy: document.getElementById('final-accuracy'),
       starRating: document.getElementById('star-rating'),
-      newRecord: document.getElementById('new-record')
+      newRecord: document.getElementById('new-record'),
+      skillReport: document.getElementById('skill-report'),
+      misconceptionReport: document.getElementById('misconception-report'),
+      finalLevel: document.getElementById('final-level')
     };
     
     this.init();
@@ -335,6 +354,9 @@ class StarCounterGame {
     this.difficulty = getDifficultyFromAge(age);
     
     const settings = DIFFICULTY_PRESETS[this.difficulty];
+    this.adaptive = new AdaptiveController({ level: this.difficulty, minLevel: 1, maxLevel: 7 });
+    this.level = this.difficulty;
+    this.levelBanner = null;
     
     // Reset game state
     this.score = 0;
@@ -346,6 +368,10 @@ class StarCounterGame {
     this.stars = [];
     this.spawnTimer = 0;
     this.isPlaying = true;
+    this.mastery = MathEngine.loadMastery();
+    this.skillResults = {};
+    this.misconceptions = MathEngine.loadMisconceptions();
+    this.caughtMistakes = [];
     
     // Reset player position
     this.player.x = this.canvasWidth / 2 - this.player.width / 2;
@@ -363,9 +389,11 @@ class StarCounterGame {
   }
   
   generateProblem() {
-    const settings = DIFFICULTY_PRESETS[this.difficulty];
-    const generator = new MathProblemGenerator(this.difficulty, settings);
-    this.currentProblem = generator.generate();
+    const settings = DIFFICULTY_PRESETS[this.level];
+    // mathType is a MathEngine curriculum stage
+    this.currentProblem = MathEngine.generateForStage(settings.mathType, this.mastery, {
+      numberRange: settings.numberRange
+    });
     
     // Clear existing stars
     this.stars = [];
@@ -375,7 +403,7 @@ class StarCounterGame {
   }
   
   spawnStars() {
-    const settings = DIFFICULTY_PRESETS[this.difficulty];
+    const settings = DIFFICULTY_PRESETS[this.level];
     const allAnswers = [this.currentProblem.answer, ...this.currentProblem.distractors];
     
     // Shuffle answers
@@ -386,21 +414,31 @@ class StarCounterGame {
     const margin = 30;
     const availableWidth = this.canvasWidth - margin * 2 - starWidth;
     
+    // Stars enter one after another, spread over the level's spawn interval
+    // (speed is per frame, at ~60 frames a second)
+    const gap = settings.starSpeed * 60 * (settings.spawnInterval / 1000) / shuffled.length;
+    
     shuffled.forEach((value, index) => {
       const x = margin + Math.random() * availableWidth;
-      const y = -80 - index * 100 - Math.random() * 50;
+      const y = -80 - index * gap - Math.random() * 50;
       
       this.stars.push({
         x,
         y,
         value,
         isCorrect: value === this.currentProblem.answer,
+        misconception: this.currentProblem.misconceptions[value] || null,
         speed: settings.starSpeed + Math.random() * 0.5,
         width: starWidth,
         height: 60,
         rotation: Math.random() * 0.5 - 0.25
       });
     });
+    
+    // Reaction time is measured against how long the right star stays on screen
+    const correctStar = this.stars.find(star => star.isCorrect);
+    this.problemStartTime = performance.now();
+    this.problemTimeLimit = (this.canvasHeight - correctStar.y) / (correctStar.speed * 60) * 1000;
   }
   
   shuffleArray(array) {
@@ -478,7 +516,7 @@ class StarCounterGame {
         if (star.isCorrect) {
           this.handleCorrectAnswer();
         } else {
-          this.handleWrongAnswer();
+          this.handleWrongAnswer(star);
         }
         
         // Remove this star and generate new problem
@@ -503,6 +541,7 @@ class StarCounterGame {
     if (correctStar && correctStar.y > this.canvasHeight + 50) {
       // Missed the correct answer
       this.combo = 0;
+      this.adaptLevel(false);
       
       // Generate new problem
       this.generateProblem();
@@ -523,6 +562,8 @@ class StarCounterGame {
     this.combo++;
     this.maxCombo = Math.max(this.maxCombo, this.combo);
     this.correctAnswers++;
+    this.recordSkill(true);
+    this.adaptLevel(true);
     
     // Calculate score with combo multiplier
     const multiplier = this.getComboMultiplier();
@@ -532,9 +573,15 @@ class StarCounterGame {
     this.playSound('correct');
   }
   
-  handleWrongAnswer() {
+  /**
+   * @param {Object} [star] - The wrong star caught
+   */
+  handleWrongAnswer(star) {
     this.combo = 0;
     this.wrongAnswers++;
+    this.recordSkill(false);
+    this.recordMistake(star);
+    this.adaptLevel(false);
     this.lives--;
     this.score = Math.max(0, this.score - 50);
     
@@ -545,6 +592,136 @@ class StarCounterGame {
     }
   }
   
+  /**
+   * Records the caught answer against the problem's skill
+   * @param {boolean} correct
+   */
+  recordSkill(correct) {
+    const skill = this.currentProblem?.skill;
+    if (!skill) return;
+    
+    MathEngine.recordResult(this.mastery, skill, correct);
+    const result = this.skillResults[skill] || { attempts: 0, correct: 0 };
+    result.attempts++;
+    if (correct) result.correct++;
+    this.skillResults[skill] = result;
+  }
+  
+  /**
+   * Feeds an answer to the adaptive controller; a level change takes
+   * effect from the next problem
+   * @param {boolean} correct
+   */
+  adaptLevel(correct) {
+    if (!this.adaptive) return;
+    
+    const reactionTime = performance.now() - this.problemStartTime;
+    const change = this.adaptive.recordAnswer(correct, reactionTime, this.problemTimeLimit);
+    if (!change) return;
+    
+    this.level = change.current;
+    this.levelBanner = {
+      text: `${change.direction === 'up' ? '⬆' : '⬇'} ${DIFFICULTY_PRESETS[this.level].name}`,
+      until: performance.now() + 1500
+    };
+  }
+  
+  /**
+   * Notes which misconception a caught wrong star came from, if any
+   * @param {Object} [star]
+   */
+  recordMistake(star) {
+    if (!star?.misconception) return;
+    
+    MathEngine.recordMisconception(this.misconceptions, star.misconception);
+    this.caughtMistakes.push({
+      misconception: star.misconception,
+      question: this.currentProblem.question,
+      value: star.value
+    });
+  }
+  
+  /**
+   * Shows the level reached, and where the game started if it moved
+   */
+  renderFinalLevel() {
+    if (!this.elements.finalLevel || !this.adaptive) return;
+    
+    const { startLevel, level } = this.adaptive.getSummary();
+    const name = DIFFICULTY_PRESETS[level].name;
+    this.elements.finalLevel.textContent = level === startLevel
+      ? name
+      : `${DIFFICULTY_PRESETS[startLevel].name} → ${name}`;
+  }
+  
+  /**
+   * Lists the skills practiced this game on the result screen
+   */
+  renderSkillReport() {
+    const list = this.elements.skillReport;
+    if (!list) return;
+    
+    const statusText = { new: '', learning: 'Learning', mastered: '⭐ Mastered' };
+    list.innerHTML = '';
+    MathEngine.summarize(this.skillResults, this.mastery).forEach(skill => {
+      const row = document.createElement('li');
+      row.className = `skill-row ${skill.status}`;
+      
+      const name = document.createElement('span');
+      name.className = 'skill-name';
+      name.textContent = skill.name;
+      
+      const score = document.createElement('span');
+      score.className = 'skill-score';
+      score.textContent = `${skill.correct}/${skill.attempts} ${statusText[skill.status]}`;
+      
+      row.append(name, score);
+      list.appendChild(row);
+    });
+    list.classList.toggle('hidden', list.children.length === 0);
+  }
+  
+  /**
+   * Explains the mistakes behind wrong stars caught this game, with the
+   * player's running count for each
+   */
+  renderMisconceptionReport() {
+    const list = this.elements.misconceptionReport;
+    if (!list) return;
+    
+    // First example of each misconception, in the order they were caught
+    const caught = {};
+    this.caughtMistakes.forEach(mistake => {
+      caught[mistake.misconception] = caught[mistake.misconception] || { example: mistake, count: 0 };
+      caught[mistake.misconception].count++;
+    });
+    
+    list.innerHTML = '';
+    Object.entries(caught).forEach(([id, { example, count }]) => {
+      const misconception = MathEngine.getMisconception(id);
+      const total = this.misconceptions[id]?.count || count;
+      
+      const row = document.createElement('li');
+      row.className = 'misconception-row';
+      
+      const name = document.createElement('span');
+      name.className = 'misconception-name';
+      name.textContent = `${misconception.name} ×${count}`;
+      
+      const detail = document.createElement('span');
+      detail.className = 'misconception-detail';
+      detail.textContent = `Caught ${example.value} on "${example.question}" - ${misconception.tip}`;
+      
+      const history = document.createElement('span');
+      history.className = 'misconception-total';
+      history.textContent = `${total} in all`;
+      
+      row.append(name, history, detail);
+      list.appendChild(row);
+    });
+    list.classList.toggle('hidden', list.children.length === 0);
+  }
+  
   getComboMultiplier() {
     if (this.combo >= 10) return 5;
     if (this.combo >= 5) return 3;
@@ -721,6 +898,14 @@ class StarCounterGame {
       this.ctx.textAlign = 'right';
       this.ctx.fillText(`×${this.getComboMultiplier()}`, this.canvasWidth - 15, 35);
     }
+    
+    // Level change
+    if (this.levelBanner && performance.now() < this.levelBanner.until) {
+      this.ctx.fillStyle = '#87CEEB';
+      this.ctx.font = 'bold 18px Arial';
+      this.ctx.textAlign = 'center';
+      this.ctx.fillText(this.levelBanner.text, this.canvasWidth / 2, 165);
+    }
   }
   
   roundRect(x, y, width, height, radius, fill, stroke) {
@@ -759,6 +944,7 @@ class StarCounterGame {
     this.elements.finalCorrect.textContent = this.correctAnswers;
     this.elements.finalCombo.textContent = `${this.maxCombo}x`;
     this.elements.finalAccuracy.textContent = `${accuracy}%`;
+    this.renderFinalLevel();
     
     // Show stars
     const starElements = this.elements.starRating.querySelectorAll('.star');
@@ -780,6 +966,9 @@ class StarCounterGame {
     
     // Save progress for career assessment
     this.saveProgress(stars);
+    MathEngine.saveMastery(this.mastery, this.misconceptions);
+    this.renderSkillReport();
+    this.renderMisconceptionReport();
     
     this.playSound('end');
     
@@ -890,222 +1079,6 @@ class StarCounterGame {
   }
 }
 
-// Math Problem Generator
-class MathProblemGenerator {
-  constructor(difficulty, settings) {
-    this.difficulty = difficulty;
-    this.settings = settings;
-  }
-  
-  generate() {
-    switch (this.settings.mathType) {
-      case 'recognition':
-        return this.numberRecognition();
-      case 'addition':
-        return this.simpleAddition();
-      case 'addSubtract':
-        return this.additionSubtraction();
-      case 'multiplyDivide':
-        return this.multiplicationDivision();
-      case 'mixed':
-        return this.mixedOperations();
-      case 'fractionsPercent':
-        return this.fractionsPercents();
-      case 'algebra':
-        return this.basicAlgebra();
-      default:
-        return this.simpleAddition();
-    }
-  }
-  
-  randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
-  }
-  
-  numberRecognition() {
-    const target = this.randomInt(1, 10);
-    return {
-      question: `Find the number ${target}!`,
-      answer: target,
-      distractors: this.generateDistractors(target, 1, 10, 2)
-    };
-  }
-  
-  simpleAddition() {
-    const [min, max] = this.settings.numberRange || [1, 10];
-    const a = this.randomInt(min, max);
-    const b = this.randomInt(min, max);
-    const answer = a + b;
-    return {
-      question: `${a} + ${b} = ?`,
-      answer,
-      distractors: this.generateDistractors(answer, 2, max * 2, 2)
-    };
-  }
-  
-  additionSubtraction() {
-    const [min, max] = this.settings.numberRange || [1, 20];
-    const isAddition = Math.random() > 0.5;
-    
-    if (isAddition) {
-      const a = this.randomInt(min, max);
-      const b = this.randomInt(min, max);
-      return {
-        question: `${a} + ${b} = ?`,
-        answer: a + b,
-        distractors: this.generateDistractors(a + b, 2, max * 2, 3)
-      };
-    } else {
-      const a = this.randomInt(min + 5, max);
-      const b = this.randomInt(min, a);
-      return {
-        question: `${a} - ${b} = ?`,
-        answer: a - b,
-        distractors: this.generateDistractors(a - b, 0, max, 3)
-      };
-    }
-  }
-  
-  multiplicationDivision() {
-    const isMultiply = Math.random() > 0.4;
-    
-    if (isMultiply) {
-      const a = this.randomInt(2, 12);
-      const b = this.randomInt(2, 12);
-      const answer = a * b;
-      return {
-        question: `${a} × ${b} = ?`,
-        answer,
-        distractors: [
-          a * (b - 1),
-          a * (b + 1),
-          (a - 1) * b
-        ].filter(d => d !== answer && d > 0)
-      };
-    } else {
-      const b = this.randomInt(2, 12);
-      const answer = this.randomInt(2, 12);
-      const a = b * answer;
-      return {
-        question: `${a} ÷ ${b} = ?`,
-        answer,
-        distractors: [answer - 1, answer + 1, answer + 2].filter(d => d > 0)
-      };
-    }
-  }
-  
-  mixedOperations() {
-    const type = this.randomInt(1, 4);
-    
-    switch (type) {
-      case 1: return this.simpleAddition();
-      case 2: return this.additionSubtraction();
-      case 3: return this.multiplicationDivision();
-      case 4: {
-        // Order of operations: (a + b) × c
-        const a = this.randomInt(1, 5);
-        const b = this.randomInt(1, 5);
-        const c = this.randomInt(2, 4);
-        const answer = (a + b) * c;
-        return {
-          question: `(${a} + ${b}) × ${c} = ?`,
-          answer,
-          distractors: [
-            a + b * c,  // Common mistake
-            answer + c,
-            answer - c
-          ].filter(d => d !== answer && d > 0)
-        };
-      }
-    }
-  }
-  
-  fractionsPercents() {
-    const type = this.randomInt(1, 2);
-    
-    if (type === 1) {
-      // Percentages
-      const percents = [10, 20, 25, 50, 75];
-      const percent = percents[this.randomInt(0, percents.length - 1)];
-      const whole = this.randomInt(2, 10) * 10;
-      const answer = (percent / 100) * whole;
-      return {
-        question: `${percent}% of ${whole} = ?`,
-        answer,
-        distractors: this.generateDistractors(answer, 0, whole, 3)
-      };
-    } else {
-      // Simple fractions
-      const denominator = [2, 4, 5][this.randomInt(0, 2)];
-      const numerator = this.randomInt(1, denominator - 1);
-      const whole = denominator * this.randomInt(2, 5);
-      const answer = (numerator / denominator) * whole;
-      return {
-        question: `${numerator}/${denominator} of ${whole} = ?`,
-        answer,
-        distractors: this.generateDistractors(answer, 0, whole, 3)
-      };
-    }
-  }
-  
-  basicAlgebra() {
-    const x = this.randomInt(1, 15);
-    const b = this.randomInt(1, 10);
-    const type = this.randomInt(1, 2);
-    
-    if (type === 1) {
-      // x + b = result
-      const result = x + b;
-      return {
-        question: `x + ${b} = ${result}, x = ?`,
-        answer: x,
-        distractors: [result, b, x + 1, x - 1].filter(d => d !== x && d > 0).slice(0, 3)
-      };
-    } else {
-      // x - b = result
-      const result = x - b;
-      if (result <= 0) return this.basicAlgebra(); // Retry
-      return {
-        question: `x - ${b} = ${result}, x = ?`,
-        answer: x,
-        distractors: [result, b, x + b, result + 1].filter(d => d !== x && d > 0).slice(0, 3)
-      };
-    }
-  }
-  
-  generateDistractors(answer, min, max, count) {
-    const distractors = new Set();
-    let attempts = 0;
-    
-    while (distractors.size < count && attempts < 20) {
-      let distractor;
-      if (Math.random() > 0.5) {
-        // Close to answer
-        distractor = answer + this.randomInt(-3, 3);
-      } else {
-        // Random in range
-        distractor = this.randomInt(min, max);
-      }
-      
-      if (distractor !== answer && distractor >= min && distractor <= max) {
-        distractors.add(distractor);
-      }
-      attempts++;
-    }
-    
-    // Fill remaining with sequential numbers if needed
-    let fill = 1;
-    while (distractors.size < count) {
-      if (answer + fill !== answer && answer + fill >= min) {
-        distractors.add(answer + fill);
-      }
-      fill++;
-    }
-    
-    return Array.from(distractors).slice(0, count);
-  }
-}
-
 // Initialize game when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
   window.game = new StarCounterGame();
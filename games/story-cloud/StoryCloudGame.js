@@ -34,16 +34,16 @@ const STORY_CONFIG = Object.freeze({
     critical: 'Critical evaluation'
   },
   
-  LEADERBOARD_KEY: 'storyCloudLeaderboard'
+  CORRECT_ANSWER_POINTS: 100,
+  
+  LEADERBOARD_KEY: 'storyCloudLeaderboard',
+  STORIES_KEY: 'storyCloudStories',
+  SAVES_KEY: 'storyCloudSaves',
+  
+  // Story files listed here load at startup (served over http only)
+  STORY_MANIFEST: 'stories/index.json'
 });
 
-const STORIES = [
-  { id: 'cloud-adventure', title: 'Cloud Adventure', difficulty: 1, pages: 12 },
-  { id: 'rainbow-quest', title: 'Rainbow Quest', difficulty: 2, pages: 18 },
-  { id: 'star-journey', title: 'Star Journey', difficulty: 3, pages: 24 },
-  { id: 'dream-mystery', title: 'Dream Mystery', difficulty: 5, pages: 36 }
-];
-
 function getDifficultyFromAge(age) {
   if (age <= 8) return 1;
   if (age <= 10) return 2;
@@ -55,9 +55,11 @@ function getDifficultyFromAge(age) {
 }
 
 // ==================== Story Data ======================================
+// Built-in stories in the StoryFormat graph shape (see StoryFormat.js)
 const STORY_DATA = {
     'cloud-adventure': {
         title: 'Cloud Adventure',
+        difficulty: 1,
         startNode: 'start',
         nodes: {
             start: {
@@ -321,6 +323,7 @@ THE END - Sweet Honey Ending! 🍯`,
     },
     'rainbow-quest': {
         title: 'Rainbow Quest',
+        difficulty: 2,
         startNode: 'rq_start',
         nodes: {
             rq_start: {
@@ -497,118 +500,145 @@ class MathUtils {
     }
 }
 
-// ==================== Story Engine ====================
-class StoryEngine {
-    constructor(storyData) {
-        if (!storyData || !storyData.nodes) {
-            throw new Error('Invalid story data provided');
-        }
+// ==================== Story Library ====================
+/**
+ * Every playable story, keyed by id: the built-in STORY_DATA, bundled story
+ * files listed in the manifest, and files loaded with the story picker.
+ * Each entry keeps its StoryFormat.validate() report; only valid stories
+ * can be played.
+ */
+class StoryLibrary {
+    constructor() {
+        this.entries = new Map();
         
-        this.story = storyData;
-        this.currentNodeId = storyData.startNode || 'start';
-        this.inventory = [];
-        this.history = [];
-        this.questionsAnswered = 0;
-        this.questionsCorrect = 0;
+        Object.entries(STORY_DATA).forEach(([id, data]) => {
+            this.add(StoryFormat.normalize(data, id), 'built-in');
+        });
+        
+        this.loadSaved().forEach(text => this.loadText(text, 'uploaded'));
+    }
+    
+    loadSaved() {
+        try {
+            return JSON.parse(localStorage.getItem(STORY_CONFIG.STORIES_KEY) || '[]');
+        } catch (e) {
+            return [];
+        }
     }
     
     /**
-     * Gets the current story node
-     * @returns {Object|null} Current node
+     * Adds a parsed story and validates it
+     * @param {Object} story - Story graph
+     * @param {string} source - 'built-in', 'bundled' or 'uploaded'
+     * @returns {Object} Library entry
      */
-    getCurrentNode() {
-        return this.story.nodes[this.currentNodeId] || null;
+    add(story, source) {
+        const entry = { story, source, validation: StoryFormat.validate(story) };
+        this.entries.set(story.id, entry);
+        return entry;
     }
     
     /**
-     * Makes a choice and advances the story
-     * @param {number} choiceIndex - Index of the choice
-     * @returns {Object|null} New current node
+     * Parses JSON or story script text into the library
+     * @param {string} text - Story source
+     * @param {string} source - Where the story came from
+     * @returns {{success: boolean, entry?: Object, errors?: Array}}
      */
-    makeChoice(choiceIndex) {
-        const node = this.getCurrentNode();
-        if (!node || !node.choices || !node.choices[choiceIndex]) {
-            return null;
-        }
-        
-        const choice = node.choices[choiceIndex];
+    loadText(text, source) {
+        const result = StoryFormat.parse(text);
+        if (!result.success) return { success: false, errors: result.errors };
         
-        // Add item if choice grants one
-        if (choice.item) {
-            this.inventory.push(choice.item);
+        if (this.entries.get(result.story.id)?.source === 'built-in') {
+            return { success: false, errors: [{ line: 1, message: `Story id "${result.story.id}" is already used by a built-in story` }] };
         }
         
-        // Record history
-        this.history.push({
-            nodeId: this.currentNodeId,
-            choice: choiceIndex,
-            timestamp: Date.now()
-        });
-        
-        // Move to next node
-        this.currentNodeId = choice.nextId;
-        
-        return this.getCurrentNode();
+        const entry = this.add(result.story, source);
+        entry.text = text;
+        return { success: true, entry };
     }
     
     /**
-     * Checks answer for current node's question
-     * @param {number} answerIndex - Index of the answer
-     * @returns {Object} Result of the answer check
+     * Loads the stories listed in the bundled manifest.
+     * Browsers block fetch on file://, so bundled stories need the game served over http.
+     * @param {string} manifestUrl - Manifest location
+     * @returns {Promise<Array>} loadText result per listed file
      */
-    checkAnswer(answerIndex) {
-        const node = this.getCurrentNode();
-        if (!node || !node.question) {
-            return { correct: false, message: 'No question available' };
+    async loadBundled(manifestUrl = STORY_CONFIG.STORY_MANIFEST) {
+        let manifest;
+        try {
+            const response = await fetch(manifestUrl);
+            if (!response.ok) return [];
+            manifest = await response.json();
+        } catch (e) {
+            console.warn('Bundled stories unavailable:', e.message);
+            return [];
         }
         
-        this.questionsAnswered++;
-        const correct = answerIndex === node.question.answer;
-        
-        if (correct) {
-            this.questionsCorrect++;
+        const baseUrl = manifestUrl.slice(0, manifestUrl.lastIndexOf('/') + 1);
+        const results = [];
+        for (const file of manifest.stories || []) {
+            try {
+                const response = await fetch(baseUrl + file);
+                results.push({ file, ...this.loadText(await response.text(), 'bundled') });
+            } catch (e) {
+                results.push({ file, success: false, errors: [{ line: 1, message: e.message }] });
+            }
         }
+        return results;
+    }
+    
+    /**
+     * Loads a story file chosen with the picker and keeps it if it is playable
+     * @param {File} file - Story file (.json or .story)
+     * @returns {Promise<Object>} loadText result
+     */
+    async importFile(file) {
+        const text = await file.text();
+        const result = this.loadText(text, 'uploaded');
         
-        return {
-            correct,
-            correctAnswer: node.question.options[node.question.answer],
-            userAnswer: node.question.options[answerIndex]
-        };
+        if (result.success && result.entry.validation.valid) {
+            const saved = this.loadSaved().filter(t => StoryFormat.parse(t).story?.id !== result.entry.story.id);
+            saved.push(text);
+            try {
+                localStorage.setItem(STORY_CONFIG.STORIES_KEY, JSON.stringify(saved));
+            } catch (e) {
+                console.warn('Could not save story:', e);
+            }
+        }
+        return result;
     }
     
     /**
-     * Checks if current node is an ending
-     * @returns {boolean} Whether current node is an ending
+     * Removes an uploaded story
+     * @param {string} id - Story id
+     * @returns {boolean} Whether a story was removed
      */
-    isEnding() {
-        const node = this.getCurrentNode();
-        return node?.isEnding === true;
+    remove(id) {
+        if (this.entries.get(id)?.source !== 'uploaded') return false;
+        this.entries.delete(id);
+        const saved = this.loadSaved().filter(t => StoryFormat.parse(t).story?.id !== id);
+        localStorage.setItem(STORY_CONFIG.STORIES_KEY, JSON.stringify(saved));
+        return true;
     }
     
     /**
-     * Gets story progress as percentage
-     * @returns {number} Progress percentage (0-100)
+     * Lists all stories, easiest first
+     * @returns {Array} Library entries
      */
-    getProgress() {
-        const totalNodes = Object.keys(this.story.nodes).length;
-        const visitedNodes = new Set(this.history.map(h => h.nodeId)).size + 1; // +1 for current
-        return Math.min(100, Math.round((visitedNodes / totalNodes) * 100));
+    list() {
+        return [...this.entries.values()].sort((a, b) =>
+            a.story.difficulty - b.story.difficulty || a.story.title.localeCompare(b.story.title)
+        );
     }
     
     /**
-     * Gets game statistics
-     * @returns {Object} Statistics object
+     * Gets a playable story
+     * @param {string} id - Story id
+     * @returns {Object|null} Story graph, or null if missing or invalid
      */
-    getStats() {
-        return {
-            nodesVisited: this.history.length + 1,
-            itemsCollected: this.inventory.length,
-            questionsAnswered: this.questionsAnswered,
-            questionsCorrect: this.questionsCorrect,
-            accuracy: this.questionsAnswered > 0 
-                ? Math.round((this.questionsCorrect / this.questionsAnswered) * 100) 
-                : 0
-        };
+    get(id) {
+        const entry = this.entries.get(id);
+        return entry?.validation.valid ? entry.story : null;
     }
 }
 
@@ -702,6 +732,9 @@ class StoryCloudGame {
         this.isPlaying = false;
         this.score = 0;
         this.textSpeedIndex = 1; // 0=slow, 1=normal, 2=fast, 3=instant
+        this.answerPending = false;
+        this.library = new StoryLibrary();
+        this.storyMessages = [];
         
         // DOM elements
         this.screens = {
@@ -728,7 +761,10 @@ class StoryCloudGame {
         return {
             ageSelect: getElement('age-select'),
             storySelect: getElement('story-select'),
+            storyFileInput: getElement('story-file-input'),
+            storyReport: getElement('story-report'),
             startBtn: getElement('start-btn'),
+            continueList: getElement('continue-list'),
             storiesCompleted: getElement('stories-completed'),
             chapterDisplay: getElement('chapter-display'),
             progressBar: getElement('progress-bar'),
@@ -741,6 +777,7 @@ class StoryCloudGame {
             answerOptions: getElement('answer-options'),
             textSpeedBtn: getElement('text-speed-btn'),
             inventoryBtn: getElement('inventory-btn'),
+            undoBtn: getElement('undo-btn'),
             homeBtn: getElement('home-btn'),
             inventoryModal: getElement('inventory-modal'),
             inventoryItems: getElement('inventory-items'),
@@ -766,6 +803,16 @@ class StoryCloudGame {
     init() {
         this.loadProgress();
         this.setupEventListeners();
+        this.renderStoryList();
+        this.renderContinueList();
+        
+        this.library.loadBundled().then(results => {
+            results.filter(r => !r.success).forEach(r => {
+                this.storyMessages.push(`❌ ${r.file}: ${r.errors.map(e => `line ${e.line}: ${e.message}`).join('; ')}`);
+            });
+            this.renderStoryList();
+            this.renderContinueList();
+        });
     }
     
     /**
@@ -774,10 +821,12 @@ class StoryCloudGame {
     setupEventListeners() {
         // Start screen
         this.elements.startBtn?.addEventListener('click', () => this.startGame());
+        this.elements.storyFileInput?.addEventListener('change', (e) => this.importStoryFiles(e.target));
         
         // Game controls
         this.elements.textSpeedBtn?.addEventListener('click', () => this.cycleTextSpeed());
         this.elements.inventoryBtn?.addEventListener('click', () => this.showInventory());
+        this.elements.undoBtn?.addEventListener('click', () => this.undoChoice());
         this.elements.homeBtn?.addEventListener('click', () => this.confirmGoHome());
         this.elements.closeInventoryBtn?.addEventListener('click', () => this.hideInventory());
         
@@ -841,9 +890,140 @@ class StoryCloudGame {
     }
     
     /**
-     * Starts a new game
+     * Gets the key saves are stored under for the active player
+     * @returns {string} Player key
+     */
+    getPlayerKey() {
+        if (typeof PlayerManager !== 'undefined' && PlayerManager.hasActivePlayer()) {
+            return (PlayerManager.getPlayerName() || 'guest').toLowerCase();
+        }
+        return 'guest';
+    }
+    
+    /**
+     * Loads the active player's in-progress stories
+     * @returns {Object} Snapshots keyed by story id
+     */
+    loadSaves() {
+        try {
+            const all = JSON.parse(localStorage.getItem(STORY_CONFIG.SAVES_KEY) || '{}');
+            return all[this.getPlayerKey()] || {};
+        } catch (e) {
+            return {};
+        }
+    }
+    
+    /**
+     * Saves or clears the active player's place in a story
+     * @param {string} storyId - Story id
+     * @param {Object|null} snapshot - StoryEngine snapshot, or null to clear
+     */
+    writeSave(storyId, snapshot) {
+        try {
+            const all = JSON.parse(localStorage.getItem(STORY_CONFIG.SAVES_KEY) || '{}');
+            const saves = all[this.getPlayerKey()] || {};
+            if (snapshot) {
+                saves[storyId] = snapshot;
+            } else {
+                delete saves[storyId];
+            }
+            all[this.getPlayerKey()] = saves;
+            localStorage.setItem(STORY_CONFIG.SAVES_KEY, JSON.stringify(all));
+        } catch (e) {
+            console.warn('Could not save story position:', e);
+        }
+    }
+    
+    /**
+     * Lists a Continue button for each story the player is part-way through
      */
-    startGame() {
+    renderContinueList() {
+        const list = this.elements.continueList;
+        if (!list) return;
+        
+        list.innerHTML = '';
+        Object.entries(this.loadSaves()).forEach(([storyId, snapshot]) => {
+            const story = this.library.get(storyId);
+            if (!story) return;
+            
+            const engine = new StoryEngine(story);
+            if (!engine.restore(snapshot)) return;
+            
+            const btn = document.createElement('button');
+            btn.className = 'secondary-btn continue-btn';
+            btn.textContent = `▶️ Continue ${story.title} (${engine.getProgress()}%)`;
+            btn.addEventListener('click', () => this.startGame(snapshot));
+            list.appendChild(btn);
+        });
+    }
+    
+    /**
+     * Fills the story picker from the library and lists stories with problems
+     */
+    renderStoryList() {
+        const select = this.elements.storySelect;
+        if (!select) return;
+        
+        const previous = select.value;
+        const entries = this.library.list();
+        
+        select.innerHTML = '';
+        entries.filter(entry => entry.validation.valid).forEach(({ story }) => {
+            const option = document.createElement('option');
+            option.value = story.id;
+            option.textContent = `${story.title} (Level ${story.difficulty})`;
+            select.appendChild(option);
+        });
+        if (previous && this.library.get(previous)) select.value = previous;
+        
+        if (!this.elements.storyReport) return;
+        this.elements.storyReport.innerHTML = '';
+        
+        const addLine = (text, className) => {
+            const line = document.createElement('p');
+            line.className = className;
+            line.textContent = text;
+            this.elements.storyReport.appendChild(line);
+        };
+        
+        this.storyMessages.forEach(msg => addLine(msg, 'story-message'));
+        entries.forEach(({ story, validation }) => {
+            validation.errors.forEach(issue => {
+                addLine(`❌ ${story.title}${issue.nodeId ? ` › ${issue.nodeId}` : ''}: ${issue.message}`, 'story-error');
+            });
+            validation.warnings.forEach(issue => {
+                addLine(`⚠️ ${story.title}${issue.nodeId ? ` › ${issue.nodeId}` : ''}: ${issue.message}`, 'story-warning');
+            });
+        });
+    }
+    
+    /**
+     * Loads story files chosen with the picker
+     * @param {HTMLInputElement} input - File input
+     */
+    async importStoryFiles(input) {
+        let loadedId = null;
+        for (const file of input.files) {
+            const result = await this.library.importFile(file);
+            if (!result.success) {
+                this.storyMessages.push(`❌ ${file.name}: ${result.errors.map(e => `line ${e.line}: ${e.message}`).join('; ')}`);
+            } else if (result.entry.validation.valid) {
+                this.storyMessages.push(`✅ Loaded "${result.entry.story.title}"`);
+                loadedId = result.entry.story.id;
+            } else {
+                this.storyMessages.push(`❌ "${result.entry.story.title}" has problems and can't be played yet`);
+            }
+        }
+        input.value = '';
+        this.renderStoryList();
+        if (loadedId && this.elements.storySelect) this.elements.storySelect.value = loadedId;
+    }
+    
+    /**
+     * Starts a story from the beginning, or from a saved snapshot
+     * @param {Object} [snapshot] - StoryEngine snapshot to resume
+     */
+    startGame(snapshot = null) {
         // Start background music with defensive programming
         if (this.audio && this.musicEnabled) {
             try {
@@ -860,12 +1040,12 @@ class StoryCloudGame {
             age = PlayerManager.getPlayerAge() || 16;
         }
         this.difficulty = getDifficultyFromAge(age);
-        this.currentStoryId = this.elements.storySelect?.value || 'cloud-adventure';
+        this.currentStoryId = snapshot?.storyId || this.elements.storySelect?.value || 'cloud-adventure';
         
         const settings = STORY_CONFIG.DIFFICULTY_SETTINGS[this.difficulty];
         
         // Get story data
-        const storyData = STORY_DATA[this.currentStoryId];
+        const storyData = this.library.get(this.currentStoryId);
         if (!storyData) {
             console.error('Story not found:', this.currentStoryId);
             return;
@@ -873,6 +1053,12 @@ class StoryCloudGame {
         
         // Initialize story engine
         this.storyEngine = new StoryEngine(storyData);
+        if (snapshot && !this.storyEngine.restore(snapshot)) {
+            // The story changed since this save - start it fresh
+            console.warn('Saved position no longer fits story:', this.currentStoryId);
+            this.writeSave(this.currentStoryId, null);
+        }
+        if (this.elements.storySelect) this.elements.storySelect.value = this.currentStoryId;
         
         // Initialize dialogue system with appropriate speed
         const speedValues = [
@@ -887,7 +1073,7 @@ class StoryCloudGame {
         );
         
         // Reset game state
-        this.score = 0;
+        this.score = this.storyEngine.questionsCorrect * STORY_CONFIG.CORRECT_ANSWER_POINTS;
         this.isPlaying = true;
         
         // Update UI
@@ -905,6 +1091,11 @@ class StoryCloudGame {
         // Update header
         this.updateHeader();
         
+        // Remember the reader's place so they can continue later
+        if (!node.isEnding) {
+            this.writeSave(this.currentStoryId, this.storyEngine.serialize());
+        }
+        
         // Update scene
         if (this.elements.storyScene) {
             this.elements.storyScene.textContent = node.scene || '☁️ 🐰 ☁️';
@@ -929,7 +1120,7 @@ class StoryCloudGame {
             this.showQuestion(node.question);
         } else {
             // Show choices
-            this.renderChoices(node.choices);
+            this.renderChoices(this.storyEngine.getChoices());
         }
     }
     
@@ -952,6 +1143,10 @@ class StoryCloudGame {
             const itemCount = this.storyEngine?.inventory?.length || 0;
             this.elements.inventoryDisplay.textContent = `🎒 ${itemCount}`;
         }
+        
+        if (this.elements.undoBtn) {
+            this.elements.undoBtn.disabled = !this.storyEngine?.canUndo();
+        }
     }
     
     /**
@@ -963,14 +1158,26 @@ class StoryCloudGame {
         
         this.elements.choicesContainer.innerHTML = '';
         
-        choices.forEach((choice, index) => {
+        choices.forEach((choice) => {
             const btn = document.createElement('button');
-            btn.className = 'choice-btn';
+            btn.className = `choice-btn ${choice.locked ? 'locked' : ''}`;
             btn.innerHTML = `
-                <span class="choice-icon">${choice.icon || '➡️'}</span>
-                <span class="choice-text">${choice.text}</span>
+                <span class="choice-icon"></span>
+                <span class="choice-text"></span>
             `;
-            btn.addEventListener('click', () => this.makeChoice(index));
+            // Story files come from authors, so keep their text out of innerHTML
+            btn.querySelector('.choice-icon').textContent = choice.locked ? '🔒' : (choice.icon || '➡️');
+            btn.querySelector('.choice-text').textContent = choice.text;
+            
+            if (choice.locked) {
+                btn.disabled = true;
+                const reason = document.createElement('span');
+                reason.className = 'choice-lock-reason';
+                reason.textContent = choice.reason;
+                btn.querySelector('.choice-text').appendChild(reason);
+            } else {
+                btn.addEventListener('click', () => this.makeChoice(choice.index));
+            }
             this.elements.choicesContainer.appendChild(btn);
         });
     }
@@ -988,6 +1195,22 @@ class StoryCloudGame {
         }
     }
     
+    /**
+     * Goes back one choice
+     */
+    undoChoice() {
+        if (!this.isPlaying || !this.storyEngine?.canUndo()) return;
+        
+        // Let an answered question finish before rewinding
+        if (this.answerPending) return;
+        
+        this.elements.questionArea?.classList.add('hidden');
+        this.storyEngine.undo();
+        this.score = this.storyEngine.questionsCorrect * STORY_CONFIG.CORRECT_ANSWER_POINTS;
+        this.playSound('click');
+        this.renderCurrentNode();
+    }
+    
     /**
      * Shows a comprehension question
      * @param {Object} question - Question object
@@ -1021,6 +1244,7 @@ class StoryCloudGame {
     answerQuestion(answerIndex) {
         const result = this.storyEngine?.checkAnswer(answerIndex);
         if (!result) return;
+        this.answerPending = true;
         
         // Highlight correct/wrong answers
         const buttons = this.elements.answerOptions?.querySelectorAll('.answer-btn');
@@ -1035,13 +1259,14 @@ class StoryCloudGame {
         
         // Update score
         if (result.correct) {
-            this.score += 100;
+            this.score += STORY_CONFIG.CORRECT_ANSWER_POINTS;
         }
         
         // Show feedback and continue
         setTimeout(() => {
+            this.answerPending = false;
             this.elements.questionArea?.classList.add('hidden');
-            this.renderChoices(this.storyEngine.getCurrentNode().choices);
+            this.renderChoices(this.storyEngine?.getChoices());
         }, 1500);
     }
     
@@ -1086,7 +1311,10 @@ class StoryCloudGame {
                 apple_basket: '🍎',
                 red_gem: '🔴',
                 orange_gem: '🟠',
-                knowledge_badge: '📚'
+                knowledge_badge: '📚',
+                star_blanket: '🧣',
+                silver_map: '🗺️',
+                stardust_jar: '🫙'
             };
             
             inventory.forEach(item => {
@@ -1094,8 +1322,9 @@ class StoryCloudGame {
                 itemEl.className = 'inventory-item';
                 itemEl.innerHTML = `
                     <span class="item-icon">${itemIcons[item] || '📦'}</span>
-                    <span>${item.replace(/_/g, ' ')}</span>
+                    <span class="item-name"></span>
                 `;
+                itemEl.querySelector('.item-name').textContent = item.replace(/_/g, ' ');
                 this.elements.inventoryItems.appendChild(itemEl);
             });
         }
@@ -1114,7 +1343,7 @@ class StoryCloudGame {
      * Confirms going home
      */
     confirmGoHome() {
-        if (confirm('Are you sure you want to leave? Your progress will be lost.')) {
+        if (confirm('Leave the story? Your place is saved so you can continue later.')) {
             this.goHome();
         }
     }
@@ -1158,7 +1387,7 @@ class StoryCloudGame {
         if (endingType === 'best') stars = 3;
         
         // Calculate final score
-        this.score += stats.itemsCollected * 50;
+        this.score += stats.itemsCollected * 50 + stats.bonusScore;
         if (endingType === 'best') this.score += 200;
         
         // Update result screen
@@ -1200,6 +1429,7 @@ class StoryCloudGame {
         // Save progress
         this.saveProgress(true);
         this.loadProgress();
+        this.writeSave(this.currentStoryId, null);
         
         this.showScreen('result');
     }
@@ -1219,6 +1449,7 @@ class StoryCloudGame {
         
         this.isPlaying = false;
         this.storyEngine = null;
+        this.renderContinueList();
         this.showScreen('start');
     }
     
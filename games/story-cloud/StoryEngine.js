@@ -0,0 +1,305 @@
+/**
+ * StoryEngine.js - Story Cloud Reader State
+ *
+ * Walks a story graph in the StoryFormat shape (see StoryFormat.js) and
+ * keeps what the reader has picked up along the way: inventory, flags,
+ * bonus score and comprehension question stats.
+ *
+ * Choices can carry conditions and effects:
+ *   requires: { item, flag, minAccuracy }   - otherwise shown locked with a reason
+ *   effects:  { setFlag, removeItem, addScore }
+ *
+ * Every choice records the reader state on arriving at its node, so undo
+ * rewinds one choice exactly, and serialize()/restore() save and resume
+ * a story from the start of the current node.
+ *
+ * @version 1.0.0
+ */
+
+// serialize() snapshot format; restore() refuses newer ones
+const STORY_SNAPSHOT_VERSION = 1;
+
+class StoryEngine {
+    constructor(storyData) {
+        if (!storyData || !storyData.nodes) {
+            throw new Error('Invalid story data provided');
+        }
+        
+        this.story = storyData;
+        this.currentNodeId = storyData.startNode || 'start';
+        this.inventory = [];
+        this.flags = {};
+        this.bonusScore = 0;
+        this.history = [];
+        this.questionsAnswered = 0;
+        this.questionsCorrect = 0;
+        
+        // Reader state on arriving at the current node, before its question
+        this.arrivalState = this.captureState();
+    }
+    
+    /**
+     * Copies the reader state that choices and questions change
+     * @returns {Object} Inventory, flags, bonus score and question stats
+     */
+    captureState() {
+        return {
+            inventory: [...this.inventory],
+            flags: { ...this.flags },
+            bonusScore: this.bonusScore,
+            questionsAnswered: this.questionsAnswered,
+            questionsCorrect: this.questionsCorrect
+        };
+    }
+    
+    applyState(state) {
+        this.inventory = [...state.inventory];
+        this.flags = { ...state.flags };
+        this.bonusScore = state.bonusScore;
+        this.questionsAnswered = state.questionsAnswered;
+        this.questionsCorrect = state.questionsCorrect;
+        this.arrivalState = this.captureState();
+    }
+    
+    /**
+     * Gets the current story node
+     * @returns {Object|null} Current node
+     */
+    getCurrentNode() {
+        return this.story.nodes[this.currentNodeId] || null;
+    }
+    
+    /**
+     * Checks whether a choice's conditions are met
+     * @param {Object} choice - Choice with optional requires { item, flag, minAccuracy }
+     * @returns {{met: boolean, reason: string|null}} Reason is shown on locked choices
+     */
+    checkCondition(choice) {
+        const requires = choice?.requires;
+        if (!requires) return { met: true, reason: null };
+        
+        const locked = (reason) => ({ met: false, reason: choice.lockedText || reason });
+        
+        const missingItem = [].concat(requires.item ?? []).find(item => !this.inventory.includes(item));
+        if (missingItem) {
+            return locked(`Needs the ${missingItem.replace(/_/g, ' ')}`);
+        }
+        
+        const missingFlag = [].concat(requires.flag ?? []).find(flag => !this.flags[flag]);
+        if (missingFlag) {
+            return locked(`Needs: ${missingFlag.replace(/_/g, ' ')}`);
+        }
+        
+        if (requires.minAccuracy !== undefined) {
+            const accuracy = this.getStats().accuracy;
+            if (this.questionsAnswered === 0 || accuracy < requires.minAccuracy) {
+                return locked(`Needs ${requires.minAccuracy}% of questions right (you have ${accuracy}%)`);
+            }
+        }
+        
+        return { met: true, reason: null };
+    }
+    
+    /**
+     * Gets the current node's choices with their lock state
+     * @returns {Array<Object>} Choices with index, locked and reason
+     */
+    getChoices() {
+        const node = this.getCurrentNode();
+        return (node?.choices || []).map((choice, index) => {
+            const { met, reason } = this.checkCondition(choice);
+            return { ...choice, index, locked: !met, reason };
+        });
+    }
+    
+    /**
+     * Applies a choice's effects { setFlag, removeItem, addScore }
+     * @param {Object} choice - Chosen choice
+     */
+    applyEffects(choice) {
+        const effects = choice.effects;
+        if (!effects) return;
+        
+        [].concat(effects.setFlag ?? []).forEach(flag => { this.flags[flag] = true; });
+        [].concat(effects.removeItem ?? []).forEach(item => {
+            const index = this.inventory.indexOf(item);
+            if (index !== -1) this.inventory.splice(index, 1);
+        });
+        if (Number.isFinite(effects.addScore)) {
+            this.bonusScore += effects.addScore;
+        }
+    }
+    
+    /**
+     * Makes a choice and advances the story
+     * @param {number} choiceIndex - Index of the choice
+     * @returns {Object|null} New current node, or null if the choice is missing or locked
+     */
+    makeChoice(choiceIndex) {
+        const node = this.getCurrentNode();
+        if (!node || !node.choices || !node.choices[choiceIndex]) {
+            return null;
+        }
+        
+        const choice = node.choices[choiceIndex];
+        if (!this.checkCondition(choice).met) {
+            return null;
+        }
+        
+        // Add item if choice grants one
+        if (choice.item) {
+            this.inventory.push(choice.item);
+        }
+        
+        this.applyEffects(choice);
+        
+        // Record history, with the state to rewind to on undo
+        this.history.push({
+            nodeId: this.currentNodeId,
+            choice: choiceIndex,
+            timestamp: Date.now(),
+            state: this.arrivalState
+        });
+        
+        // Move to next node
+        this.currentNodeId = choice.nextId;
+        this.arrivalState = this.captureState();
+        
+        return this.getCurrentNode();
+    }
+    
+    /**
+     * Whether there is a choice to undo
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.history.length > 0;
+    }
+    
+    /**
+     * Rewinds the last choice, returning to the start of the previous node
+     * with the items, flags and question stats the reader had there
+     * @returns {Object|null} Node returned to, or null if there is nothing to undo
+     */
+    undo() {
+        const entry = this.history.pop();
+        if (!entry) return null;
+        
+        this.currentNodeId = entry.nodeId;
+        this.applyState(entry.state);
+        return this.getCurrentNode();
+    }
+    
+    /**
+     * Serializes the reader's place for save/resume.
+     * The snapshot is taken at the start of the current node, so a
+     * resumed story asks the node's question again without double counting.
+     * @returns {Object} Plain JSON snapshot
+     */
+    serialize() {
+        return {
+            version: STORY_SNAPSHOT_VERSION,
+            storyId: this.story.id,
+            currentNodeId: this.currentNodeId,
+            ...this.arrivalState,
+            history: this.history.map(entry => ({ ...entry })),
+            savedAt: Date.now()
+        };
+    }
+    
+    /**
+     * Restores a snapshot from serialize()
+     * @param {Object} snapshot - Saved snapshot
+     * @returns {boolean} False if the snapshot doesn't fit this story (e.g. it was
+     *   edited, or the snapshot is from another story or a newer version); the
+     *   engine is left as it was
+     */
+    restore(snapshot) {
+        const nodes = this.story.nodes;
+        const fits = snapshot
+            && !(snapshot.version > STORY_SNAPSHOT_VERSION)
+            && (!snapshot.storyId || !this.story.id || snapshot.storyId === this.story.id)
+            && nodes[snapshot.currentNodeId]
+            && Array.isArray(snapshot.inventory)
+            && Array.isArray(snapshot.history)
+            && snapshot.history.every(entry => nodes[entry.nodeId] && Array.isArray(entry.state?.inventory));
+        if (!fits) return false;
+        
+        this.currentNodeId = snapshot.currentNodeId;
+        this.history = snapshot.history.map(entry => ({ ...entry }));
+        this.applyState({
+            inventory: snapshot.inventory,
+            flags: snapshot.flags || {},
+            bonusScore: snapshot.bonusScore || 0,
+            questionsAnswered: snapshot.questionsAnswered || 0,
+            questionsCorrect: snapshot.questionsCorrect || 0
+        });
+        return true;
+    }
+    
+    /**
+     * Checks answer for current node's question
+     * @param {number} answerIndex - Index of the answer
+     * @returns {Object} Result of the answer check
+     */
+    checkAnswer(answerIndex) {
+        const node = this.getCurrentNode();
+        if (!node || !node.question) {
+            return { correct: false, message: 'No question available' };
+        }
+        
+        this.questionsAnswered++;
+        const correct = answerIndex === node.question.answer;
+        
+        if (correct) {
+            this.questionsCorrect++;
+        }
+        
+        return {
+            correct,
+            correctAnswer: node.question.options[node.question.answer],
+            userAnswer: node.question.options[answerIndex]
+        };
+    }
+    
+    /**
+     * Checks if current node is an ending
+     * @returns {boolean} Whether current node is an ending
+     */
+    isEnding() {
+        const node = this.getCurrentNode();
+        return node?.isEnding === true;
+    }
+    
+    /**
+     * Gets story progress as percentage
+     * @returns {number} Progress percentage (0-100)
+     */
+    getProgress() {
+        const totalNodes = Object.keys(this.story.nodes).length;
+        const visitedNodes = new Set(this.history.map(h => h.nodeId)).size + 1; // +1 for current
+        return Math.min(100, Math.round((visitedNodes / totalNodes) * 100));
+    }
+    
+    /**
+     * Gets game statistics
+     * @returns {Object} Statistics object
+     */
+    getStats() {
+        return {
+            nodesVisited: this.history.length + 1,
+            itemsCollected: this.inventory.length,
+            bonusScore: this.bonusScore,
+            questionsAnswered: this.questionsAnswered,
+            questionsCorrect: this.questionsCorrect,
+            accuracy: this.questionsAnswered > 0 
+                ? Math.round((this.questionsCorrect / this.questionsAnswered) * 100) 
+                : 0
+        };
+    }
+}
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+    window.StoryEngine = StoryEngine;
+}
@@ -0,0 +1,402 @@
+/**
+ * StoryFormat.js - Story Cloud Authoring Format
+ *
+ * Stories are node graphs of { id, title, difficulty, startNode, nodes }.
+ * Authors can write them as JSON or as a Markdown-like story script, which
+ * compiles to the same graph:
+ *
+ *   # Star Journey
+ *   difficulty: 3
+ *
+ *   ## launch
+ *   scene: 🚀 🐰 ✨
+ *   Cinnamoroll climbed into the cloud rocket...
+ *
+ *   ? Where did Cinnamoroll climb?
+ *   - Into a tree
+ *   * Into the cloud rocket
+ *
+ *   > Fly to the Moon -> moon | icon: 🌙 | item: moon_rock
+ *   > Use the map -> milky_way | requires-item: silver_map | add-score: 50
+ *
+ *   ## moon
+ *   ending: best
+ *   THE END!
+ *
+ * Choices can carry conditions and effects:
+ *   requires: { item, flag, minAccuracy }   - otherwise shown locked (lockedText overrides the reason)
+ *   effects:  { setFlag, removeItem, addScore }
+ *
+ * validate() checks the graph for problems a reader would hit: missing or
+ * dangling nodes, nodes that can never be reached, nodes with no way to an
+ * ending, question answers that point past the options, and malformed
+ * conditions or effects.
+ *
+ * @version 1.0.0
+ */
+
+const StoryFormat = (function() {
+    'use strict';
+
+    const FORMAT = 'story-cloud';
+    const VERSION = 1;
+
+    const NODE_ID = /^[\w-]+$/;
+
+    const REQUIRE_KEYS = ['item', 'flag', 'minAccuracy'];
+    const EFFECT_KEYS = ['setFlag', 'removeItem', 'addScore'];
+
+    // Script choice options: "> Text -> node | key: value"
+    const CHOICE_OPTIONS = {
+        'icon': (choice, value) => { choice.icon = value; },
+        'item': (choice, value) => { choice.item = value; },
+        'locked-text': (choice, value) => { choice.lockedText = value; },
+        'requires-item': (choice, value) => { (choice.requires = choice.requires || {}).item = value; },
+        'requires-flag': (choice, value) => { (choice.requires = choice.requires || {}).flag = value; },
+        'min-accuracy': (choice, value) => { (choice.requires = choice.requires || {}).minAccuracy = Number(value); },
+        'set-flag': (choice, value) => { (choice.effects = choice.effects || {}).setFlag = value; },
+        'remove-item': (choice, value) => { (choice.effects = choice.effects || {}).removeItem = value; },
+        'add-score': (choice, value) => { (choice.effects = choice.effects || {}).addScore = Number(value); }
+    };
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    function slugify(text) {
+        return String(text).toLowerCase().trim()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    function tidyContent(lines) {
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    // ==========================================
+    // SCRIPT COMPILER
+    // ==========================================
+
+    /**
+     * Compile a story script into a story graph
+     * @param {string} text - Story script source
+     * @returns {{success: boolean, story: Object|null, errors: Array<{line: number, message: string}>}}
+     */
+    function compileScript(text) {
+        const errors = [];
+        const story = { format: FORMAT, version: VERSION, title: '', nodes: {} };
+        let node = null;
+        let content = [];
+        let question = null;
+
+        const error = (line, message) => errors.push({ line, message });
+
+        const finishQuestion = () => {
+            if (!question) return;
+            const correct = question.correct;
+            if (question.options.length < 2) {
+                error(question.line, 'A question needs at least 2 options');
+            }
+            if (correct.length !== 1) {
+                error(question.line, 'Mark exactly one option as correct with "*"');
+            }
+            node.question = { text: question.text, options: question.options, answer: correct[0] ?? -1 };
+            question = null;
+        };
+
+        const finishNode = () => {
+            if (!node) return;
+            finishQuestion();
+            node.content = tidyContent(content);
+            content = [];
+        };
+
+        String(text).split(/\r?\n/).forEach((raw, i) => {
+            const line = raw.trim();
+            const lineNo = i + 1;
+
+            // Title and story settings come before the first node
+            if (!node && !line.startsWith('## ')) {
+                if (line === '') return;
+                if (line.startsWith('# ')) {
+                    story.title = line.slice(2).trim();
+                    return;
+                }
+                const setting = line.match(/^(\w+):\s*(.*)$/);
+                if (!setting) return error(lineNo, 'Text before the first "## node" heading');
+                const [, key, value] = setting;
+                if (key === 'id') story.id = value;
+                else if (key === 'difficulty') story.difficulty = Number(value);
+                else if (key === 'start') story.startNode = value;
+                else if (key === 'description') story.description = value;
+                else error(lineNo, `Unknown story setting "${key}"`);
+                return;
+            }
+
+            if (line.startsWith('## ')) {
+                finishNode();
+                const id = line.slice(3).trim();
+                if (!NODE_ID.test(id)) error(lineNo, `Node id "${id}" may only use letters, numbers, "_" and "-"`);
+                if (story.nodes[id]) error(lineNo, `Duplicate node "${id}"`);
+                node = { id, scene: '', content: '', choices: [] };
+                story.nodes[id] = node;
+                story.startNode = story.startNode || id;
+                return;
+            }
+
+            if (line.startsWith('scene:')) {
+                node.scene = line.slice(6).trim();
+                return;
+            }
+
+            if (line.startsWith('ending:')) {
+                node.isEnding = true;
+                node.endingType = line.slice(7).trim() || 'good';
+                return;
+            }
+
+            if (line.startsWith('? ')) {
+                finishQuestion();
+                question = { text: line.slice(2).trim(), options: [], correct: [], line: lineNo };
+                return;
+            }
+
+            if (/^[-*] /.test(line)) {
+                if (!question) return error(lineNo, 'Answer option outside a "?" question');
+                if (line[0] === '*') question.correct.push(question.options.length);
+                question.options.push(line.slice(2).trim());
+                return;
+            }
+
+            if (line.startsWith('> ')) {
+                finishQuestion();
+                const [main, ...options] = line.slice(2).split('|').map(part => part.trim());
+                const arrow = main.lastIndexOf('->');
+                if (arrow === -1) return error(lineNo, 'Choice needs a target: "> Text -> node_id"');
+
+                const choice = { text: main.slice(0, arrow).trim(), nextId: main.slice(arrow + 2).trim() };
+                options.forEach(option => {
+                    const match = option.match(/^([\w-]+):\s*(.+)$/);
+                    if (!match || !CHOICE_OPTIONS[match[1]]) {
+                        return error(lineNo, `Unknown choice option "${option}"`);
+                    }
+                    CHOICE_OPTIONS[match[1]](choice, match[2].trim());
+                });
+                node.choices.push(choice);
+                return;
+            }
+
+            // Blank lines separate paragraphs but do not end a question
+            if (line !== '') finishQuestion();
+            content.push(line);
+        });
+
+        finishNode();
+
+        if (!story.title) error(1, 'Story needs a "# Title" line');
+        story.id = story.id || slugify(story.title);
+
+        return { success: errors.length === 0, story: errors.length === 0 ? normalize(story) : null, errors };
+    }
+
+    // ==========================================
+    // JSON
+    // ==========================================
+
+    /**
+     * Bring a JSON story (or a built-in STORY_DATA entry) into the graph shape.
+     * Nodes may be given as a map or as an array with ids.
+     * @param {Object} raw - Parsed story JSON
+     * @param {string} [id] - Fallback story id
+     * @returns {Object} Story graph
+     */
+    function normalize(raw, id) {
+        const nodes = {};
+        const list = Array.isArray(raw.nodes)
+            ? raw.nodes
+            : Object.entries(raw.nodes || {}).map(([key, node]) => ({ id: key, ...node }));
+
+        list.forEach(node => {
+            nodes[node.id] = { ...node, choices: node.choices || [] };
+        });
+
+        return {
+            format: FORMAT,
+            version: raw.version || VERSION,
+            id: raw.id || id || slugify(raw.title || ''),
+            title: raw.title || '',
+            description: raw.description || '',
+            difficulty: Number(raw.difficulty) || 1,
+            startNode: raw.startNode || 'start',
+            nodes
+        };
+    }
+
+    /**
+     * Parse story source, detecting JSON vs story script
+     * @param {string} text - File contents
+     * @returns {{success: boolean, story: Object|null, errors: Array}}
+     */
+    function parse(text) {
+        const source = String(text).trim();
+        if (!source.startsWith('{')) return compileScript(source);
+
+        try {
+            const raw = JSON.parse(source);
+            if (raw.format && raw.format !== FORMAT) {
+                return { success: false, story: null, errors: [{ line: 1, message: `Unknown story format "${raw.format}"` }] };
+            }
+            if (raw.version > VERSION) {
+                return { success: false, story: null, errors: [{ line: 1, message: `Story version ${raw.version} is newer than this game supports` }] };
+            }
+            return { success: true, story: normalize(raw), errors: [] };
+        } catch (e) {
+            return { success: false, story: null, errors: [{ line: 1, message: `Invalid JSON: ${e.message}` }] };
+        }
+    }
+
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+
+    /** Condition and effect values may be a single name or a list */
+    function toList(value) {
+        return value === undefined ? [] : [].concat(value);
+    }
+
+    function checkChoiceRules(choice, label, problem) {
+        const { requires, effects } = choice;
+
+        if (requires !== undefined) {
+            Object.keys(requires).filter(key => !REQUIRE_KEYS.includes(key))
+                .forEach(key => problem(`${label} has unknown condition "${key}"`));
+            const min = requires.minAccuracy;
+            if (min !== undefined && !(typeof min === 'number' && min >= 0 && min <= 100)) {
+                problem(`${label} needs a minAccuracy between 0 and 100`);
+            }
+        }
+
+        if (effects !== undefined) {
+            Object.keys(effects).filter(key => !EFFECT_KEYS.includes(key))
+                .forEach(key => problem(`${label} has unknown effect "${key}"`));
+            if (effects.addScore !== undefined && !Number.isFinite(effects.addScore)) {
+                problem(`${label} needs a number for addScore`);
+            }
+        }
+    }
+
+    /**
+     * Check a story graph for structural problems
+     * @param {Object} story - Story graph
+     * @returns {{valid: boolean, errors: Array<{nodeId: string|null, message: string}>, warnings: Array<{nodeId: string|null, message: string}>}}
+     */
+    function validate(story) {
+        const errors = [];
+        const warnings = [];
+        const nodes = story?.nodes || {};
+        const ids = Object.keys(nodes);
+
+        if (!story?.title) errors.push({ nodeId: null, message: 'Story has no title' });
+        if (ids.length === 0) {
+            errors.push({ nodeId: null, message: 'Story has no nodes' });
+            return { valid: false, errors, warnings };
+        }
+        if (!nodes[story.startNode]) {
+            errors.push({ nodeId: null, message: `Start node "${story.startNode}" does not exist` });
+        }
+
+        const edges = new Map(ids.map(id => [id, []]));
+        const given = { item: new Set(), flag: new Set() };
+        const needed = [];
+
+        ids.forEach(id => {
+            const node = nodes[id];
+            const choices = node.choices || [];
+
+            choices.forEach((choice, i) => {
+                if (!nodes[choice.nextId]) {
+                    errors.push({ nodeId: id, message: `Choice ${i + 1} leads to missing node "${choice.nextId}"` });
+                } else {
+                    edges.get(id).push(choice.nextId);
+                }
+
+                checkChoiceRules(choice, `Choice ${i + 1}`, message => errors.push({ nodeId: id, message }));
+                toList(choice.item).forEach(item => given.item.add(item));
+                toList(choice.effects?.setFlag).forEach(flag => given.flag.add(flag));
+                toList(choice.requires?.item).forEach(item => needed.push({ id, kind: 'item', name: item }));
+                toList(choice.requires?.flag).forEach(flag => needed.push({ id, kind: 'flag', name: flag }));
+            });
+
+            if (!node.isEnding && choices.length > 0 && choices.every(choice => choice.requires)) {
+                warnings.push({ nodeId: id, message: 'Every choice has a condition - readers who meet none of them get stuck' });
+            }
+
+            const q = node.question;
+            if (q) {
+                const options = Array.isArray(q.options) ? q.options : [];
+                if (options.length < 2) {
+                    errors.push({ nodeId: id, message: 'Question needs at least 2 options' });
+                }
+                if (!Number.isInteger(q.answer) || q.answer < 0 || q.answer >= options.length) {
+                    errors.push({ nodeId: id, message: `Question answer ${q.answer} is not one of its ${options.length} options` });
+                }
+            }
+        });
+
+        // Forward walk from the start node
+        const reachable = new Set();
+        const queue = nodes[story.startNode] ? [story.startNode] : [];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            if (reachable.has(id)) continue;
+            reachable.add(id);
+            queue.push(...edges.get(id));
+        }
+
+        // Backward walk from the endings
+        const reverse = new Map(ids.map(id => [id, []]));
+        edges.forEach((targets, id) => targets.forEach(target => reverse.get(target).push(id)));
+        const canFinish = new Set();
+        const back = ids.filter(id => nodes[id].isEnding);
+        if (back.length === 0) errors.push({ nodeId: null, message: 'Story has no ending node' });
+        while (back.length > 0) {
+            const id = back.shift();
+            if (canFinish.has(id)) continue;
+            canFinish.add(id);
+            back.push(...reverse.get(id));
+        }
+
+        needed.filter(({ kind, name }) => !given[kind].has(name)).forEach(({ id, kind, name }) => {
+            warnings.push({ nodeId: id, message: `Requires ${kind} "${name}" that no choice ${kind === 'item' ? 'gives' : 'sets'}` });
+        });
+
+        ids.forEach(id => {
+            if (!reachable.has(id)) {
+                warnings.push({ nodeId: id, message: 'Node can never be reached from the start' });
+            }
+            if (!canFinish.has(id)) {
+                errors.push({ nodeId: id, message: 'No way to reach an ending from this node' });
+            }
+        });
+
+        return { valid: errors.length === 0, errors, warnings };
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+
+    return {
+        FORMAT,
+        VERSION,
+        compileScript,
+        normalize,
+        parse,
+        validate
+    };
+})();
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+    window.StoryFormat = StoryFormat;
+}
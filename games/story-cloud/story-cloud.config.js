@@ -30,15 +30,18 @@ export const STORY_CONFIG = Object.freeze({
     critical: 'Critical evaluation'
   },
   
-  LEADERBOARD_KEY: 'storyCloudLeaderboard'
+  CORRECT_ANSWER_POINTS: 100,
+  
+  LEADERBOARD_KEY: 'storyCloudLeaderboard',
+  STORIES_KEY: 'storyCloudStories',
+  SAVES_KEY: 'storyCloudSaves',
+  
+  // Story files listed here load at startup (served over http only)
+  STORY_MANIFEST: 'stories/index.json'
 });
 
-export const STORIES = [
-  { id: 'cloud-adventure', title: 'Cloud Adventure', difficulty: 1, pages: 12 },
-  { id: 'rainbow-quest', title: 'Rainbow Quest', difficulty: 2, pages: 18 },
-  { id: 'star-journey', title: 'Star Journey', difficulty: 3, pages: 24 },
-  { id: 'dream-mystery', title: 'Dream Mystery', difficulty: 5, pages: 36 }
-];
+// The story list now comes from the story library (built-in STORY_DATA,
+// stories/index.json and uploaded files) - see StoryFormat.js
 
 export function getDifficultyFromAge(age) {
   if (age <= 8) return 1;
@@ -0,0 +1,156 @@
+/**
+ * FlipTracker.js - Memory efficiency for Treasure Chest Memory
+ *
+ * Records which cards the player has seen so each mismatched turn can be
+ * judged fairly. A turn ends when a card doesn't belong with the first one
+ * (or a pair/triple is complete). A mismatch is "avoidable" when the player
+ * already had what they needed to do better:
+ *   - another card of the first card's group had been seen, so it could
+ *     have been flipped instead
+ *   - the card that didn't fit had been seen before, so it was known not to fit
+ * Any other mismatch is exploring - a perfect memory would have had to
+ * make it too. In sequence mode every wrong tap is avoidable, as the whole
+ * order was shown first.
+ *
+ * Efficiency is the flips a perfect memory would have needed with the same
+ * luck, divided by the flips actually made (1 = nothing forgotten).
+ *
+ * A tracker is plain data, so it can be inspected or saved as it is.
+ *
+ * @version 1.0.0
+ */
+
+const FlipTracker = (function() {
+  'use strict';
+
+  // ==================== Recording ====================
+
+  /**
+   * Creates an empty tracker for a new game
+   * @param {Object} [seen] - Seen cards to share with other trackers, for
+   *   players taking turns at one board
+   * @returns {Object} Tracker
+   */
+  function createTracker(seen = {}) {
+    return {
+      seen,                     // card index -> pairId, for cards seen and not yet matched
+      flips: 0,
+      wastedFlips: 0,           // flips in avoidable mismatches
+      matches: 0,
+      mismatches: 0,
+      avoidableMismatches: 0
+    };
+  }
+
+  /**
+   * Records cards shown face up before play starts
+   * @param {Object} tracker
+   * @param {Array<{pairId: number}>} cards - Every card, by index
+   */
+  function recordPreview(tracker, cards) {
+    cards.forEach((card, index) => {
+      tracker.seen[index] = card.pairId;
+    });
+  }
+
+  const isSeen = (tracker, index) => Object.prototype.hasOwnProperty.call(tracker.seen, index);
+
+  /**
+   * Records a finished turn
+   * @param {Object} tracker
+   * @param {...{index: number, pairId: number}} cards - Cards flipped, in order.
+   *   Either a whole pair/triple, or cards of one group then one that doesn't fit.
+   * @returns {{matched: boolean, avoidable: boolean}}
+   */
+  function recordTurn(tracker, ...cards) {
+    const first = cards[0];
+    const last = cards[cards.length - 1];
+    tracker.flips += cards.length;
+
+    if (last.pairId === first.pairId) {
+      cards.forEach(card => delete tracker.seen[card.index]);
+      tracker.matches++;
+      return { matched: true, avoidable: false };
+    }
+
+    const flipped = cards.map(card => card.index);
+    const groupSeen = Object.entries(tracker.seen)
+      .some(([index, pairId]) => pairId === first.pairId && !flipped.includes(Number(index)));
+    const avoidable = groupSeen || isSeen(tracker, last.index);
+
+    cards.forEach(card => {
+      tracker.seen[card.index] = card.pairId;
+    });
+    tracker.mismatches++;
+    if (avoidable) {
+      tracker.avoidableMismatches++;
+      tracker.wastedFlips += cards.length;
+    }
+
+    return { matched: false, avoidable };
+  }
+
+  /**
+   * Records a tap in sequence mode
+   * @param {Object} tracker
+   * @param {boolean} correct - Whether it was the next card in the order
+   */
+  function recordStep(tracker, correct) {
+    tracker.flips++;
+    if (correct) {
+      tracker.matches++;
+    } else {
+      tracker.mismatches++;
+      tracker.avoidableMismatches++;
+      tracker.wastedFlips++;
+    }
+  }
+
+  // ==================== Scoring ====================
+
+  /**
+   * Sums up a tracker
+   * @param {Object} tracker
+   * @returns {{flips: number, optimalFlips: number, mismatches: number, avoidableMismatches: number, efficiency: number}}
+   *   efficiency is 0-1, and 0 before any turn is taken
+   */
+  function summarize(tracker) {
+    const optimalFlips = tracker.flips - tracker.wastedFlips;
+
+    return {
+      flips: tracker.flips,
+      optimalFlips,
+      mismatches: tracker.mismatches,
+      avoidableMismatches: tracker.avoidableMismatches,
+      efficiency: tracker.flips > 0 ? optimalFlips / tracker.flips : 0
+    };
+  }
+
+  /**
+   * Stars for a finished game
+   * @param {number} efficiency - 0-1, from summarize()
+   * @param {{THREE_STAR: number, TWO_STAR: number}} thresholds - STAR_THRESHOLDS
+   * @returns {number} 1-3
+   */
+  function getStars(efficiency, thresholds) {
+    if (efficiency >= thresholds.THREE_STAR) return 3;
+    if (efficiency >= thresholds.TWO_STAR) return 2;
+    return 1;
+  }
+
+  // ==================== Public API ====================
+
+  return {
+    createTracker,
+    recordPreview,
+    recordTurn,
+    recordStep,
+    summarize,
+    getStars
+  };
+})();
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+  window.FlipTracker = FlipTracker;
+}
@@ -0,0 +1,123 @@
+/**
+ * HotSeat.js - Turns and scores for two players sharing one screen
+ *
+ * Players take turns flipping cards. Finding a match earns points and
+ * another go; a mismatch passes the turn on. Forgetting a card loses
+ * points the same way it does in a one-player game.
+ *
+ * Every player has their own FlipTracker, but they share what has been
+ * seen - everyone watched the same cards turn over.
+ *
+ * Needs FlipTracker.js loaded first.
+ *
+ * @version 1.0.0
+ */
+
+const HotSeat = (function() {
+  'use strict';
+
+  // Sequence Recall has nothing to take turns at
+  const MODES = ['classic', 'concepts', 'triples'];
+
+  // ==================== Turns ====================
+
+  /**
+   * Starts a match
+   * @param {Array<{name: string, age: number}>} players - In turn order
+   * @returns {Object} Match state
+   */
+  function createMatch(players) {
+    const seen = {};
+    return {
+      players: players.map(({ name, age }) => ({
+        name,
+        age,
+        score: 0,
+        pairs: 0,
+        tracker: FlipTracker.createTracker(seen)
+      })),
+      current: 0
+    };
+  }
+
+  /**
+   * The player whose turn it is
+   * @param {Object} match
+   * @returns {Object}
+   */
+  function getCurrentPlayer(match) {
+    return match.players[match.current];
+  }
+
+  /**
+   * Scores a finished turn and passes the turn on after a mismatch
+   * @param {Object} match
+   * @param {{matched: boolean, avoidable: boolean}} turn - From FlipTracker.recordTurn()
+   * @param {Object} points
+   * @param {number} points.match - Points for a match
+   * @param {number} points.penalty - Points lost for an avoidable mismatch
+   * @returns {boolean} Whether the turn passed to the next player
+   */
+  function recordTurn(match, turn, points) {
+    const player = getCurrentPlayer(match);
+
+    if (turn.matched) {
+      player.pairs++;
+      player.score += points.match;
+      return false;
+    }
+
+    if (turn.avoidable) {
+      player.score = Math.max(0, player.score - points.penalty);
+    }
+    match.current = (match.current + 1) % match.players.length;
+    return true;
+  }
+
+  // ==================== Results ====================
+
+  /**
+   * Final standings
+   * @param {Object} match
+   * @param {Object} thresholds - STAR_THRESHOLDS
+   * @returns {{winners: string[], ranking: Array<{name: string, score: number, pairs: number, flips: number, efficiency: number, avoidableMismatches: number, stars: number}>}}
+   *   winners has more than one name on a tie
+   */
+  function getResults(match, thresholds) {
+    const ranking = match.players
+      .map(player => {
+        const memory = FlipTracker.summarize(player.tracker);
+        return {
+          name: player.name,
+          score: player.score,
+          pairs: player.pairs,
+          flips: memory.flips,
+          efficiency: memory.efficiency,
+          avoidableMismatches: memory.avoidableMismatches,
+          stars: memory.flips > 0 ? FlipTracker.getStars(memory.efficiency, thresholds) : 0
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    const best = ranking[0].score;
+    return {
+      winners: ranking.filter(player => player.score === best).map(player => player.name),
+      ranking
+    };
+  }
+
+  // ==================== Public API ====================
+
+  return {
+    MODES,
+    createMatch,
+    getCurrentPlayer,
+    recordTurn,
+    getResults
+  };
+})();
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+  window.HotSeat = HotSeat;
+}
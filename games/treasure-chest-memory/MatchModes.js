@@ -0,0 +1,133 @@
+/**
+ * MatchModes.js - Card decks for Treasure Chest Memory's match modes
+ *
+ *   classic  - identical pairs from a card theme
+ *   concepts - pairs of things that mean the same: 3 ↔ ●●●, cat ↔ 🐱, A ↔ a
+ *   triples  - three of a kind from a card theme
+ *   sequence - different cards; some light up one by one and must be
+ *              opened again in the same order
+ *
+ * Which modes a difficulty offers, and their sizes, live in
+ * DIFFICULTY_PRESETS[level].modes. Cards that belong together share a
+ * pairId, whether they are a pair or a triple.
+ *
+ * @version 1.0.0
+ */
+
+const MatchModes = (function() {
+  'use strict';
+
+  // ==================== Concept Sets ====================
+
+  const WORD_PICTURES = [
+    ['cat', '🐱'], ['dog', '🐶'], ['sun', '☀️'], ['moon', '🌙'], ['star', '⭐'], ['tree', '🌳'],
+    ['fish', '🐟'], ['cake', '🍰'], ['bee', '🐝'], ['apple', '🍎'], ['car', '🚗'], ['rain', '🌧️']
+  ];
+
+  // Letters whose capital and small forms look different
+  const LETTERS = ['A', 'B', 'D', 'E', 'F', 'G', 'H', 'M', 'N', 'Q', 'R', 'T'];
+
+  const CONCEPT_SETS = Object.freeze({
+    numbers: (maxNumber) => Array.from({ length: maxNumber }, (_, i) => [
+      { image: String(i + 1), kind: 'number' },
+      { image: '●'.repeat(i + 1), kind: 'dots' }
+    ]),
+    words: () => WORD_PICTURES.map(([word, picture]) => [
+      { image: word, kind: 'word' },
+      { image: picture, kind: 'picture' }
+    ]),
+    letters: () => LETTERS.map(letter => [
+      { image: letter, kind: 'letter' },
+      { image: letter.toLowerCase(), kind: 'letter' }
+    ])
+  });
+
+  // ==================== Decks ====================
+
+  function shuffleArray(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  /**
+   * Concept pairs drawn from the allowed sets
+   * @param {string[]} sets - CONCEPT_SETS ids
+   * @param {number} count - Pairs wanted
+   * @param {number} maxNumber - Highest number for the numbers set
+   * @param {Function} shuffle
+   * @returns {Array<Array<{image: string, kind: string}>>} Pairs of faces
+   */
+  function buildConceptPairs(sets, count, maxNumber, shuffle) {
+    const pool = sets.flatMap(set => CONCEPT_SETS[set](maxNumber));
+    return shuffle(pool).slice(0, count);
+  }
+
+  /**
+   * Builds a shuffled deck for a mode
+   * @param {Object} settings - getConfigForDifficulty(level, mode)
+   * @param {Object} options
+   * @param {string[]} options.images - The card theme's images
+   * @param {Function} [options.shuffle] - Returns a shuffled copy of an array
+   * @returns {{cards: Array<{id: number, pairId: number, image: string, kind: string, state: string}>, sequence: number[]}}
+   *   sequence lists card indices in the order to open them (sequence mode only)
+   */
+  function buildDeck(settings, { images, shuffle = shuffleArray }) {
+    let groups;
+
+    switch (settings.mode) {
+      case 'concepts':
+        groups = buildConceptPairs(settings.conceptSets, settings.pairs, settings.maxNumber || 9, shuffle);
+        break;
+      case 'triples':
+        groups = shuffle(images).slice(0, settings.groups)
+          .map(image => Array(3).fill({ image, kind: 'emoji' }));
+        break;
+      case 'sequence':
+        groups = shuffle(images).slice(0, settings.cards).map(image => [{ image, kind: 'emoji' }]);
+        break;
+      default:
+        groups = shuffle(images).slice(0, settings.pairs)
+          .map(image => Array(2).fill({ image, kind: 'emoji' }));
+    }
+
+    let id = 0;
+    const cards = shuffle(groups.flatMap((faces, pairId) =>
+      faces.map(face => ({ id: id++, pairId, image: face.image, kind: face.kind, state: 'hidden' }))
+    ));
+
+    const sequence = settings.mode === 'sequence'
+      ? shuffle(cards.map((_, index) => index)).slice(0, settings.length)
+      : [];
+
+    return { cards, sequence };
+  }
+
+  /**
+   * How many cards make a match in a mode
+   * @param {string} mode
+   * @returns {number}
+   */
+  function getGroupSize(mode) {
+    if (mode === 'triples') return 3;
+    if (mode === 'sequence') return 1;
+    return 2;
+  }
+
+  // ==================== Public API ====================
+
+  return {
+    CONCEPT_SETS,
+    buildConceptPairs,
+    buildDeck,
+    getGroupSize
+  };
+})();
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+  window.MatchModes = MatchModes;
+}
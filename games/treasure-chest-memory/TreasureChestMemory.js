@@ -1,6 +1,8 @@
 /**
  * Treasure Chest Memory - Main Game Module
  * A memory matching game with Cinnamoroll theme
+ *
+ * Needs FlipTracker.js, MatchModes.js and HotSeat.js loaded first.
  */
 
 // ==================== Configuration (inlined for file:// compatibility) ====================
@@ -13,7 +15,12 @@ const DIFFICULTY_PRESETS = Object.freeze({
     pairs: 3,
     timeLimit: null,
     previewTime: 3000,
-    flipDelay: 1500
+    flipDelay: 1500,
+    modes: {
+      classic: {},
+      concepts: { conceptSets: ['numbers', 'letters'], maxNumber: 5 },
+      sequence: { cards: 6, length: 3, stepTime: 1000 }
+    }
   },
   // Age 9-12: Easy
   2: {
@@ -23,7 +30,13 @@ const DIFFICULTY_PRESETS = Object.freeze({
     pairs: 6,
     timeLimit: null,
     previewTime: 2000,
-    flipDelay: 1200
+    flipDelay: 1200,
+    modes: {
+      classic: {},
+      concepts: { conceptSets: ['numbers', 'words', 'letters'], maxNumber: 9 },
+      triples: { groups: 3, gridCols: 3, gridRows: 3 },
+      sequence: { cards: 9, gridCols: 3, gridRows: 3, length: 4, stepTime: 900 }
+    }
   },
   // Age 13-15: Medium
   3: {
@@ -33,7 +46,13 @@ const DIFFICULTY_PRESETS = Object.freeze({
     pairs: 8,
     timeLimit: 120,
     previewTime: 1000,
-    flipDelay: 1000
+    flipDelay: 1000,
+    modes: {
+      classic: {},
+      concepts: { conceptSets: ['numbers', 'words', 'letters'], maxNumber: 9 },
+      triples: { groups: 4, gridCols: 4, gridRows: 3 },
+      sequence: { cards: 12, gridCols: 4, gridRows: 3, length: 5, stepTime: 800, timeLimit: null }
+    }
   },
   // Age 16-18: Hard
   4: {
@@ -43,7 +62,13 @@ const DIFFICULTY_PRESETS = Object.freeze({
     pairs: 10,
     timeLimit: 90,
     previewTime: 0,
-    flipDelay: 800
+    flipDelay: 800,
+    modes: {
+      classic: {},
+      concepts: { conceptSets: ['numbers', 'words', 'letters'], maxNumber: 9 },
+      triples: { groups: 5, gridCols: 5, gridRows: 3, timeLimit: 120 },
+      sequence: { cards: 12, gridCols: 4, gridRows: 3, length: 6, stepTime: 700, timeLimit: null }
+    }
   },
   // Age 19-25: Expert
   5: {
@@ -53,7 +78,13 @@ const DIFFICULTY_PRESETS = Object.freeze({
     pairs: 10,
     timeLimit: 60,
     previewTime: 0,
-    flipDelay: 600
+    flipDelay: 600,
+    modes: {
+      classic: {},
+      concepts: { conceptSets: ['numbers', 'words', 'letters'], maxNumber: 9 },
+      triples: { groups: 6, gridCols: 6, gridRows: 3, timeLimit: 100 },
+      sequence: { cards: 12, gridCols: 4, gridRows: 3, length: 7, stepTime: 600, timeLimit: null }
+    }
   },
   // Age 26-35: Master
   6: {
@@ -63,7 +94,13 @@ const DIFFICULTY_PRESETS = Object.freeze({
     pairs: 12,
     timeLimit: 45,
     previewTime: 0,
-    flipDelay: 500
+    flipDelay: 500,
+    modes: {
+      classic: {},
+      concepts: { conceptSets: ['numbers', 'words', 'letters'], maxNumber: 9 },
+      triples: { groups: 8, gridCols: 6, gridRows: 4, timeLimit: 90 },
+      sequence: { cards: 12, gridCols: 4, gridRows: 3, length: 8, stepTime: 500, timeLimit: null }
+    }
   }
 });
 
@@ -77,6 +114,7 @@ const MEMORY_CONFIG = Object.freeze({
   FLIP_PENALTY: 10,
   TIME_BONUS_PER_SECOND: 5,
   PERFECT_MULTIPLIER: 2,
+  MATCH_POINTS: 100,  // per match in two-player games
   
   // Card appearance
   CARD_WIDTH: 70,
@@ -97,9 +135,11 @@ const MEMORY_CONFIG = Object.freeze({
   MATCH_GLOW_COLOR: '#FFD700',
   
   // Storage
+  GAME_ID: 'treasure-chest-memory',  // PlayerManager progress id
   LEADERBOARD_KEY: 'memoryLeaderboard',
   LEADERBOARD_MAX: 10,
   PROGRESS_KEY: 'memoryProgress',
+  SCORE_HISTORY: 30,  // memory efficiency scores kept for Career Clouds
   
   // Default theme
   DEFAULT_THEME: 'cinnamoroll'
@@ -132,9 +172,16 @@ const CARD_THEMES = Object.freeze({
   }
 });
 
+const MATCH_MODES = Object.freeze({
+  classic: { name: 'Classic Pairs', icon: '🃏', description: 'Find the matching pairs' },
+  concepts: { name: 'Concept Pairs', icon: '🔢', description: 'Match 3 to ●●●, cat to 🐱 and A to a' },
+  triples: { name: 'Triples', icon: '🍀', description: 'Find all three of a kind' },
+  sequence: { name: 'Sequence Recall', icon: '✨', description: 'Open the cards in the order they light up' }
+});
+
 const STAR_THRESHOLDS = Object.freeze({
-  THREE_STAR: 0.9,  // 90%+ of optimal flips
-  TWO_STAR: 0.6,    // 60%+ of optimal flips
+  THREE_STAR: 0.9,  // 90%+ memory efficiency (optimal flips / flips, see FlipTracker.js)
+  TWO_STAR: 0.6,    // 60%+ memory efficiency
   ONE_STAR: 0       // Completed game
 });
 
@@ -156,11 +203,14 @@ function getDifficultyFromAge(age) {
   return 6;
 }
 
-function getConfigForDifficulty(level) {
-  const difficultyConfig = DIFFICULTY_PRESETS[level] || DIFFICULTY_PRESETS[1];
+function getConfigForDifficulty(level, mode = 'classic') {
+  const { modes, ...difficultyConfig } = DIFFICULTY_PRESETS[level] || DIFFICULTY_PRESETS[1];
+  const modeId = modes[mode] ? mode : 'classic';
   return {
     ...MEMORY_CONFIG,
-    ...difficultyConfig
+    ...difficultyConfig,
+    ...modes[modeId],
+    mode: modeId
   };
 }
 
@@ -177,12 +227,19 @@ class TreasureChestMemory {
     this.timeLimit = null;
     this.difficulty = 1;
     this.theme = 'cinnamoroll';
+    this.mode = 'classic';
+    this.settings = null;
+    this.groupSize = 2;
+    this.sequence = [];         // card indices to open in order (sequence mode)
+    this.sequenceStep = 0;
+    this.hotSeat = null;        // HotSeat match when two players share the screen
     this.isPlaying = false;
     this.isPaused = false;
     this.soundEnabled = true;
     this.musicEnabled = true;
     this.timerInterval = null;
     this.isProcessing = false;
+    this.tracker = FlipTracker.createTracker();
     
     // Audio manager reference
     this.audio = typeof gameAudio !== 'undefined' ? gameAudio : null;
@@ -197,11 +254,26 @@ class TreasureChestMemory {
     this.elements = {
       ageSelect: document.getElementById('age-select'),
       themeSelect: document.getElementById('theme-select'),
+      modeSelect: document.getElementById('mode-select'),
+      modeDescription: document.getElementById('mode-description'),
       startBtn: document.getElementById('start-btn'),
+      twoPlayerBtn: document.getElementById('two-player-btn'),
+      hotSeatOverlay: document.getElementById('hotseat-overlay'),
+      hotSeatPlayers: [
+        document.getElementById('hotseat-player-1'),
+        document.getElementById('hotseat-player-2')
+      ],
+      hotSeatInfo: document.getElementById('hotseat-info'),
+      hotSeatStartBtn: document.getElementById('hotseat-start-btn'),
+      hotSeatCancelBtn: document.getElementById('hotseat-cancel-btn'),
+      turnBanner: document.getElementById('turn-banner'),
+      hotSeatResults: document.getElementById('hotseat-results'),
+      resultStats: document.getElementById('result-stats'),
       cardGrid: document.getElementById('card-grid'),
       scoreDisplay: document.getElementById('score-display'),
       flipsDisplay: document.getElementById('flips-display'),
       pairsDisplay: document.getElementById('pairs-display'),
+      pairsLabel: document.getElementById('pairs-label'),
       timerDisplay: document.getElementById('timer-display'),
       timerStat: document.getElementById('timer-stat'),
       pauseBtn: document.getElementById('pause-btn'),
@@ -216,6 +288,8 @@ class TreasureChestMemory {
       finalScore: document.getElementById('final-score'),
       finalFlips: document.getElementById('final-flips'),
       finalTime: document.getElementById('final-time'),
+      finalMemory: document.getElementById('final-memory'),
+      memoryNote: document.getElementById('memory-note'),
       starRating: document.getElementById('star-rating'),
       newRecord: document.getElementById('new-record')
     };
@@ -224,6 +298,7 @@ class TreasureChestMemory {
   }
   
   init() {
+    this.populateModes();
     this.loadHighScore();
     this.setupEventListeners();
   }
@@ -231,6 +306,20 @@ class TreasureChestMemory {
   setupEventListeners() {
     // Start screen
     this.elements.startBtn.addEventListener('click', () => this.startGame());
+    this.elements.modeSelect.addEventListener('change', () => {
+      this.updateModeInfo();
+      this.loadHighScore();
+    });
+    
+    // Two player setup
+    this.elements.twoPlayerBtn.addEventListener('click', () => this.showHotSeatSetup());
+    this.elements.hotSeatPlayers.forEach(select => {
+      select.addEventListener('change', () => this.updateHotSeatInfo());
+    });
+    this.elements.hotSeatStartBtn.addEventListener('click', () => this.startHotSeat());
+    this.elements.hotSeatCancelBtn.addEventListener('click', () => {
+      this.elements.hotSeatOverlay.classList.add('hidden');
+    });
     
     // Game controls
     this.elements.pauseBtn.addEventListener('click', () => this.togglePause());
@@ -258,20 +347,157 @@ class TreasureChestMemory {
     this.screens[screenName].classList.add('active');
   }
   
-  startGame() {
+  getPlayerDifficulty() {
     // Get age from PlayerManager (set during registration)
     let age = 16; // Default
     if (typeof PlayerManager !== 'undefined' && PlayerManager.hasActivePlayer()) {
       age = PlayerManager.getPlayerAge() || 16;
     }
+    return getDifficultyFromAge(age);
+  }
+  
+  /**
+   * Fills the mode picker with the modes the player's level offers
+   */
+  populateModes() {
+    const select = this.elements.modeSelect;
+    const current = select.value || 'classic';
+    const modes = Object.keys(DIFFICULTY_PRESETS[this.getPlayerDifficulty()].modes);
+    
+    select.innerHTML = '';
+    modes.forEach(mode => {
+      const option = document.createElement('option');
+      option.value = mode;
+      option.textContent = `${MATCH_MODES[mode].icon} ${MATCH_MODES[mode].name}`;
+      select.appendChild(option);
+    });
+    select.value = modes.includes(current) ? current : 'classic';
+    this.updateModeInfo();
+  }
+  
+  updateModeInfo() {
+    const mode = this.elements.modeSelect.value;
+    this.elements.modeDescription.textContent = MATCH_MODES[mode].description;
+    // Concept cards bring their own pictures
+    this.elements.themeSelect.disabled = mode === 'concepts';
+  }
+  
+  // ==================== Two Players ====================
+  
+  showHotSeatSetup() {
+    const players = typeof PlayerManager !== 'undefined' ? PlayerManager.getAllPlayers() : [];
+    
+    this.elements.hotSeatPlayers.forEach((select, i) => {
+      select.innerHTML = '';
+      players.forEach(player => {
+        const option = document.createElement('option');
+        option.value = player.name;
+        option.textContent = `${player.name} (${player.age})`;
+        select.appendChild(option);
+      });
+      select.value = players[i]?.name || '';
+    });
+    
+    this.updateHotSeatInfo();
+    this.elements.hotSeatOverlay.classList.remove('hidden');
+  }
+  
+  /**
+   * The registered profiles picked in the setup
+   * @returns {Array<{name: string, age: number}>}
+   */
+  getHotSeatPlayers() {
+    const profiles = typeof PlayerManager !== 'undefined' ? PlayerManager.getAllPlayers() : [];
+    return this.elements.hotSeatPlayers
+      .map(select => profiles.find(player => player.name === select.value))
+      .filter(Boolean)
+      .map(({ name, age }) => ({ name, age }));
+  }
+  
+  // The youngest player sets the level, so the game is fair for everyone
+  getHotSeatDifficulty(players) {
+    return getDifficultyFromAge(Math.min(...players.map(player => player.age)));
+  }
+  
+  getHotSeatSettings(players) {
+    const mode = HotSeat.MODES.includes(this.elements.modeSelect.value) ? this.elements.modeSelect.value : 'classic';
+    // Turns take as long as they take - no clock
+    return { ...getConfigForDifficulty(this.getHotSeatDifficulty(players), mode), timeLimit: null };
+  }
+  
+  updateHotSeatInfo() {
+    const players = this.getHotSeatPlayers();
+    const ready = players.length === 2 && players[0].name !== players[1].name;
+    let info;
+    
+    if (this.elements.hotSeatPlayers[0].options.length < 2) {
+      info = 'Register at least two players on the main page to play together.';
+    } else if (!ready) {
+      info = 'Pick two different players.';
+    } else {
+      const settings = this.getHotSeatSettings(players);
+      const mode = MATCH_MODES[settings.mode];
+      info = `${mode.icon} ${mode.name} at ${settings.name} level. Find a match to go again!`;
+      const chosen = this.elements.modeSelect.value;
+      if (settings.mode !== chosen) {
+        info += HotSeat.MODES.includes(chosen)
+          ? ` (${MATCH_MODES[chosen].name} is for older players.)`
+          : ` (${MATCH_MODES[chosen].name} is for one player.)`;
+      }
+    }
     
-    this.difficulty = getDifficultyFromAge(age);
+    this.elements.hotSeatInfo.textContent = info;
+    this.elements.hotSeatStartBtn.disabled = !ready;
+  }
+  
+  startHotSeat() {
+    this.hotSeat = HotSeat.createMatch(this.getHotSeatPlayers());
+    this.elements.hotSeatOverlay.classList.add('hidden');
+    this.startGame();
+  }
+  
+  renderTurnBanner() {
+    const banner = this.elements.turnBanner;
+    banner.innerHTML = '';
+    
+    this.hotSeat.players.forEach((player, i) => {
+      const chip = document.createElement('div');
+      const isTurn = i === this.hotSeat.current;
+      chip.className = isTurn ? 'turn-chip active' : 'turn-chip';
+      chip.textContent = `${isTurn ? '👉 ' : ''}${player.name}: ${player.score}`;
+      banner.appendChild(chip);
+    });
+  }
+  
+  // Flips are judged by the tracker of whoever's turn it is
+  getTracker() {
+    return this.hotSeat ? HotSeat.getCurrentPlayer(this.hotSeat).tracker : this.tracker;
+  }
+  
+  // ==================== Game Flow ====================
+  
+  startGame() {
     this.theme = this.elements.themeSelect.value;
     
-    const settings = DIFFICULTY_PRESETS[this.difficulty];
+    let settings;
+    if (this.hotSeat) {
+      // A fresh match with the same players (Play Again keeps them)
+      this.hotSeat = HotSeat.createMatch(this.hotSeat.players);
+      this.difficulty = this.getHotSeatDifficulty(this.hotSeat.players);
+      settings = this.getHotSeatSettings(this.hotSeat.players);
+    } else {
+      this.difficulty = this.getPlayerDifficulty();
+      settings = getConfigForDifficulty(this.difficulty, this.elements.modeSelect.value);
+    }
+    this.settings = settings;
+    this.mode = settings.mode;
+    this.groupSize = MatchModes.getGroupSize(settings.mode);
     
     // Initialize game state
-    this.totalPairs = settings.pairs;
+    if (settings.mode === 'triples') this.totalPairs = settings.groups;
+    else if (settings.mode === 'sequence') this.totalPairs = settings.length;
+    else this.totalPairs = settings.pairs;
+    this.sequenceStep = 0;
     this.matchedPairs = 0;
     this.flips = 0;
     this.score = MEMORY_CONFIG.BASE_SCORE;
@@ -281,6 +507,7 @@ class TreasureChestMemory {
     this.isPlaying = true;
     this.isPaused = false;
     this.isProcessing = false;
+    this.tracker = FlipTracker.createTracker();
     
     // Start background music
     if (this.audio && this.musicEnabled) {
@@ -299,8 +526,11 @@ class TreasureChestMemory {
     this.updateDisplay();
     this.showScreen('game');
     
-    // Show preview if enabled
-    if (settings.previewTime > 0) {
+    // Show the order to remember, or a preview if enabled
+    if (settings.mode === 'sequence') {
+      this.showSequence(settings.stepTime);
+    } else if (settings.previewTime > 0) {
+      FlipTracker.recordPreview(this.getTracker(), this.cards);
       this.showPreview(settings.previewTime);
     }
     
@@ -312,18 +542,12 @@ class TreasureChestMemory {
   
   createCards(settings) {
     const themeData = CARD_THEMES[this.theme];
-    const themeEmojis = themeData.images || themeData;
-    const selectedEmojis = this.shuffleArray([...themeEmojis]).slice(0, settings.pairs);
-    
-    // Create pairs
-    let cardData = [];
-    selectedEmojis.forEach((emoji, index) => {
-      cardData.push({ id: index * 2, pairId: index, image: emoji, state: 'hidden' });
-      cardData.push({ id: index * 2 + 1, pairId: index, image: emoji, state: 'hidden' });
+    const { cards, sequence } = MatchModes.buildDeck(settings, {
+      images: themeData.images || themeData,
+      shuffle: (array) => this.shuffleArray(array)
     });
-    
-    // Shuffle cards
-    this.cards = this.shuffleArray(cardData);
+    this.cards = cards;
+    this.sequence = sequence;
     
     // Render grid
     this.renderGrid(settings.gridCols, settings.gridRows);
@@ -350,7 +574,7 @@ class TreasureChestMemory {
       cardEl.innerHTML = `
         <div class="card-inner">
           <div class="card-back"></div>
-          <div class="card-front">${card.image}</div>
+          <div class="card-front kind-${card.kind}">${card.image}</div>
         </div>
       `;
       
@@ -366,13 +590,31 @@ class TreasureChestMemory {
     
     setTimeout(() => {
       cardElements.forEach(card => {
-        if (!this.cards[card.dataset.index].state === 'matched') {
+        if (this.cards[card.dataset.index].state === 'hidden') {
           card.classList.remove('flipped');
         }
       });
     }, duration);
   }
   
+  /**
+   * Lights up the sequence cards one at a time
+   * @param {number} stepTime - How long each card shows (ms)
+   */
+  showSequence(stepTime) {
+    const cardElements = this.elements.cardGrid.children;
+    this.isProcessing = true;
+    
+    this.sequence.forEach((index, step) => {
+      setTimeout(() => cardElements[index].classList.add('flipped', 'lit'), step * stepTime);
+      setTimeout(() => cardElements[index].classList.remove('flipped', 'lit'), (step + 1) * stepTime - 150);
+    });
+    
+    setTimeout(() => {
+      this.isProcessing = false;
+    }, this.sequence.length * stepTime);
+  }
+  
   handleCardClick(index) {
     if (!this.isPlaying || this.isPaused || this.isProcessing) return;
     
@@ -382,8 +624,13 @@ class TreasureChestMemory {
     // Ignore if already flipped or matched
     if (card.state === 'flipped' || card.state === 'matched') return;
     
-    // Ignore if two cards already flipped
-    if (this.flippedCards.length >= 2) return;
+    if (this.mode === 'sequence') {
+      this.handleSequenceClick(index, card, cardEl);
+      return;
+    }
+    
+    // Ignore if a whole group is already flipped
+    if (this.flippedCards.length >= this.groupSize) return;
     
     // Flip the card
     card.state = 'flipped';
@@ -394,24 +641,73 @@ class TreasureChestMemory {
     this.playSound('flip');
     this.updateDisplay();
     
-    // Check for match if two cards flipped
-    if (this.flippedCards.length === 2) {
+    // Check once the group is complete or a card doesn't belong
+    const first = this.flippedCards[0].card;
+    if (this.flippedCards.length === this.groupSize ||
+        (this.flippedCards.length > 1 && card.pairId !== first.pairId)) {
       this.isProcessing = true;
       this.checkMatch();
     }
   }
   
+  handleSequenceClick(index, card, cardEl) {
+    const correct = index === this.sequence[this.sequenceStep];
+    FlipTracker.recordStep(this.tracker, correct);
+    this.flips++;
+    cardEl.classList.add('flipped');
+    
+    if (correct) {
+      card.state = 'matched';
+      cardEl.classList.add('matched');
+      this.sequenceStep++;
+      this.matchedPairs++;
+      this.playSound('match');
+      this.updateDisplay();
+      
+      if (this.sequenceStep === this.sequence.length) {
+        this.isProcessing = true;
+        setTimeout(() => this.endGame(true), MEMORY_CONFIG.MATCH_DELAY);
+      }
+      return;
+    }
+    
+    // Wrong card - show it for a moment, then try again
+    card.state = 'flipped';
+    this.isProcessing = true;
+    cardEl.classList.add('wrong');
+    this.playSound('wrong');
+    this.score = Math.max(0, this.score - MEMORY_CONFIG.FLIP_PENALTY);
+    this.updateDisplay();
+    
+    setTimeout(() => {
+      card.state = 'hidden';
+      cardEl.classList.remove('flipped', 'wrong');
+      this.isProcessing = false;
+    }, this.settings.flipDelay);
+  }
+  
   checkMatch() {
-    const [first, second] = this.flippedCards;
-    const settings = DIFFICULTY_PRESETS[this.difficulty];
+    const turnCards = this.flippedCards;
+    const turn = FlipTracker.recordTurn(
+      this.getTracker(),
+      ...turnCards.map(({ card, index }) => ({ index, pairId: card.pairId }))
+    );
+    
+    // Two players: score the turn, and pass it on after a mismatch
+    if (this.hotSeat) {
+      HotSeat.recordTurn(this.hotSeat, turn, {
+        match: MEMORY_CONFIG.MATCH_POINTS,
+        penalty: MEMORY_CONFIG.FLIP_PENALTY
+      });
+    }
     
-    if (first.card.pairId === second.card.pairId) {
+    if (turn.matched) {
       // Match!
       setTimeout(() => {
-        first.card.state = 'matched';
-        second.card.state = 'matched';
-        first.element.classList.add('matched');
-        second.element.classList.add('matched');
+        turnCards.forEach(({ card, element }) => {
+          card.state = 'matched';
+          element.classList.add('matched');
+        });
         
         this.matchedPairs++;
         this.playSound('match');
@@ -430,20 +726,21 @@ class TreasureChestMemory {
       const viewTime = 3000; // 3 seconds to memorize
       
       setTimeout(() => {
-        first.element.classList.add('wrong');
-        second.element.classList.add('wrong');
+        turnCards.forEach(({ element }) => element.classList.add('wrong'));
         
         this.playSound('wrong');
         
-        // Apply flip penalty
-        this.score = Math.max(0, this.score - MEMORY_CONFIG.FLIP_PENALTY);
+        // Only forgetting costs points - finding new cards is part of the game
+        if (turn.avoidable && !this.hotSeat) {
+          this.score = Math.max(0, this.score - MEMORY_CONFIG.FLIP_PENALTY);
+        }
         
         // Wait 3 seconds then flip back
         setTimeout(() => {
-          first.card.state = 'hidden';
-          second.card.state = 'hidden';
-          first.element.classList.remove('flipped', 'wrong');
-          second.element.classList.remove('flipped', 'wrong');
+          turnCards.forEach(({ card, element }) => {
+            card.state = 'hidden';
+            element.classList.remove('flipped', 'wrong');
+          });
           
           this.flippedCards = [];
           this.isProcessing = false;
@@ -495,17 +792,26 @@ class TreasureChestMemory {
   }
   
   updateDisplay() {
-    this.elements.scoreDisplay.textContent = this.score;
+    this.elements.scoreDisplay.textContent = this.hotSeat ? HotSeat.getCurrentPlayer(this.hotSeat).score : this.score;
+    this.elements.turnBanner.classList.toggle('hidden', !this.hotSeat);
+    if (this.hotSeat) this.renderTurnBanner();
     this.elements.flipsDisplay.textContent = this.flips;
     this.elements.pairsDisplay.textContent = `${this.matchedPairs}/${this.totalPairs}`;
+    this.elements.pairsLabel.textContent = { triples: 'Triples', sequence: 'Steps' }[this.mode] || 'Pairs';
   }
   
   endGame(won) {
     this.isPlaying = false;
     this.stopTimer();
     
+    this.showHotSeatResults(!!this.hotSeat);
+    if (this.hotSeat) {
+      this.endHotSeat();
+      return;
+    }
+    
     // Calculate final score
-    const minFlips = this.totalPairs * 2;
+    const minFlips = this.totalPairs * this.groupSize;
     const isPerfect = this.flips === minFlips;
     
     if (isPerfect) {
@@ -518,17 +824,15 @@ class TreasureChestMemory {
       this.score += timeRemaining * MEMORY_CONFIG.TIME_BONUS_PER_SECOND;
     }
     
-    // Calculate stars
-    const efficiency = minFlips / this.flips;
-    let stars = 1;
-    if (efficiency >= 0.9) stars = 3;
-    else if (efficiency >= 0.7) stars = 2;
-    
-    if (!won) stars = 0;
+    // Stars come from memory efficiency, not luck
+    const memory = FlipTracker.summarize(this.tracker);
+    const stars = won ? FlipTracker.getStars(memory.efficiency, STAR_THRESHOLDS) : 0;
     
     // Update result screen
     this.elements.finalScore.textContent = this.score;
     this.elements.finalFlips.textContent = `${this.flips}${isPerfect ? ' (Perfect!)' : ''}`;
+    this.elements.finalMemory.textContent = `${Math.round(memory.efficiency * 100)}%`;
+    this.elements.memoryNote.textContent = this.getMemoryNote(memory.avoidableMismatches);
     
     const mins = Math.floor(this.timeElapsed / 60);
     const secs = this.timeElapsed % 60;
@@ -563,13 +867,87 @@ class TreasureChestMemory {
     }
     
     // Save progress for career assessment
-    this.saveProgress(won, stars);
+    const playerName = typeof PlayerManager !== 'undefined' ? PlayerManager.getPlayerName() : null;
+    this.saveProgress(playerName, { score: this.score, stars, cleared: won, memory });
+    
+    setTimeout(() => {
+      this.showScreen('result');
+    }, 500);
+  }
+  
+  /**
+   * Switches the result screen between one player's stats and the two player table
+   * @param {boolean} hotSeat
+   */
+  showHotSeatResults(hotSeat) {
+    this.elements.hotSeatResults.classList.toggle('hidden', !hotSeat);
+    this.elements.starRating.classList.toggle('hidden', hotSeat);
+    this.elements.resultStats.classList.toggle('hidden', hotSeat);
+    this.elements.memoryNote.classList.toggle('hidden', hotSeat);
+    if (hotSeat) this.elements.newRecord.classList.add('hidden');
+  }
+  
+  endHotSeat() {
+    const { winners, ranking } = HotSeat.getResults(this.hotSeat, STAR_THRESHOLDS);
+    
+    document.getElementById('result-title').textContent = winners.length > 1
+      ? '🤝 It\'s a Tie! 🤝'
+      : `🏆 ${winners[0]} Wins! 🏆`;
+    
+    // Names come from players, so build the table without innerHTML
+    const table = document.createElement('table');
+    const header = table.insertRow();
+    ['Player', 'Pairs', 'Score', 'Memory', 'Stars'].forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      header.appendChild(th);
+    });
+    ranking.forEach(player => {
+      const row = table.insertRow();
+      if (winners.includes(player.name)) row.className = 'winner';
+      [
+        `${winners.includes(player.name) ? '👑 ' : ''}${player.name}`,
+        player.pairs,
+        player.score,
+        `${Math.round(player.efficiency * 100)}%`,
+        '⭐'.repeat(player.stars) || '-'
+      ].forEach(value => {
+        row.insertCell().textContent = value;
+      });
+    });
+    this.elements.hotSeatResults.innerHTML = '';
+    this.elements.hotSeatResults.appendChild(table);
+    
+    this.playSound('win');
+    this.showConfetti();
+    
+    // Everyone's result goes to their own profile, but the device counts
+    // the game once, with the winner's result (ranking is best first)
+    const results = ranking.map(player => ({
+      score: player.score,
+      stars: player.stars,
+      cleared: true,
+      memory: player,
+      hotSeatWin: winners.includes(player.name)
+    }));
+    this.saveDeviceProgress(results[0]);
+    ranking.forEach((player, i) => this.saveProfileProgress(player.name, results[i]));
     
     setTimeout(() => {
       this.showScreen('result');
     }, 500);
   }
   
+  getMemoryNote(misses) {
+    if (misses === 0) {
+      return this.mode === 'sequence' ? '🧠 You remembered the whole order!' : '🧠 You never forgot a card you had seen!';
+    }
+    if (this.mode === 'sequence') {
+      return `🧠 ${misses} wrong tap${misses === 1 ? '' : 's'} - watch the order closely`;
+    }
+    return `🧠 ${misses} miss${misses === 1 ? '' : 'es'} on cards you had already seen`;
+  }
+  
   showConfetti() {
     const colors = ['#FFD700', '#FF6B9D', '#87CEEB', '#98FB98', '#DDA0DD'];
     
@@ -612,8 +990,11 @@ class TreasureChestMemory {
       }
     }
     
+    this.hotSeat = null;
     this.elements.pauseOverlay.classList.add('hidden');
+    this.elements.turnBanner.classList.add('hidden');
     this.elements.timerStat.classList.remove('warning');
+    this.populateModes();
     this.loadHighScore();
     this.showScreen('start');
   }
@@ -672,43 +1053,110 @@ class TreasureChestMemory {
     }
   }
   
+  getHighScoreKey(difficulty, mode) {
+    // Classic keeps its original key so existing best scores carry over
+    return mode === 'classic' ? `memoryHighScore_${difficulty}` : `memoryHighScore_${difficulty}_${mode}`;
+  }
+  
   getHighScore() {
-    const key = `memoryHighScore_${this.difficulty}`;
+    const key = this.getHighScoreKey(this.difficulty, this.mode);
     return parseInt(localStorage.getItem(key) || '0');
   }
   
   saveHighScore(score) {
-    const key = `memoryHighScore_${this.difficulty}`;
+    const key = this.getHighScoreKey(this.difficulty, this.mode);
     localStorage.setItem(key, score.toString());
   }
   
   loadHighScore() {
-    let age = 16;
-    if (typeof PlayerManager !== 'undefined' && PlayerManager.hasActivePlayer()) {
-      age = PlayerManager.getPlayerAge() || 16;
-    }
-    const diff = getDifficultyFromAge(age);
-    const key = `memoryHighScore_${diff}`;
+    const key = this.getHighScoreKey(this.getPlayerDifficulty(), this.elements.modeSelect.value);
     const highScore = localStorage.getItem(key) || '0';
     this.elements.highScoreDisplay.textContent = highScore;
   }
   
-  saveProgress(won, stars) {
-    // Save for Career Assessment integration
+  /**
+   * Saves a finished one player game. Career Clouds reads
+   * treasureChestMemoryProgress and each player's PlayerManager profile keeps
+   * their own copy, so both are updated. Two player games save the device
+   * once and each profile separately (see endHotSeat()).
+   * @param {string|null} playerName - Profile to update (null when nobody is signed in)
+   * @param {Object} result
+   * @param {number} result.score
+   * @param {number} result.stars
+   * @param {boolean} result.cleared - Whether every card was matched
+   * @param {{flips: number, efficiency: number, avoidableMismatches: number}} result.memory
+   * @param {boolean} [result.hotSeatWin] - Two player games only: whether they won (or tied)
+   */
+  saveProgress(playerName, result) {
+    this.saveDeviceProgress(result);
+    this.saveProfileProgress(playerName, result);
+  }
+  
+  /**
+   * Adds a finished game to the device's treasureChestMemoryProgress
+   * @param {Object} result - See saveProgress()
+   */
+  saveDeviceProgress(result) {
     const key = 'treasureChestMemoryProgress';
     const existing = JSON.parse(localStorage.getItem(key) || '{}');
+    localStorage.setItem(key, JSON.stringify(this.addResult(existing, result)));
+  }
+  
+  /**
+   * Adds a finished game to a player's PlayerManager profile
+   * @param {string|null} playerName - Nothing is saved without one
+   * @param {Object} result - See saveProgress()
+   */
+  saveProfileProgress(playerName, result) {
+    if (typeof PlayerManager === 'undefined' || !playerName) return;
     
-    existing.gamesPlayed = (existing.gamesPlayed || 0) + 1;
-    existing.totalScore = (existing.totalScore || 0) + (won ? this.score : 0);
-    existing.totalStars = (existing.totalStars || 0) + stars;
-    existing.lastPlayed = new Date().toISOString();
+    const progress = { ...(PlayerManager.getGameProgress(MEMORY_CONFIG.GAME_ID, playerName) || {}) };
+    PlayerManager.saveGameProgress(MEMORY_CONFIG.GAME_ID, this.addResult(progress, result), playerName);
+  }
+  
+  /**
+   * Adds a finished game to saved progress
+   * @param {Object} progress - Updated in place
+   * @param {Object} result - See saveProgress()
+   * @returns {Object} progress
+   */
+  addResult(progress, { score, stars, cleared, memory, hotSeatWin }) {
+    progress.gamesPlayed = (progress.gamesPlayed || 0) + 1;
+    progress.totalScore = (progress.totalScore || 0) + (cleared ? score : 0);
+    progress.totalStars = (progress.totalStars || 0) + stars;
+    progress.lastPlayed = new Date().toISOString();
+    
+    if (!progress.bestScores) progress.bestScores = {};
+    if (!progress.bestScores[this.difficulty] || score > progress.bestScores[this.difficulty]) {
+      progress.bestScores[this.difficulty] = score;
+    }
     
-    if (!existing.bestScores) existing.bestScores = {};
-    if (!existing.bestScores[this.difficulty] || this.score > existing.bestScores[this.difficulty]) {
-      existing.bestScores[this.difficulty] = this.score;
+    if (hotSeatWin !== undefined) {
+      progress.hotSeatGames = (progress.hotSeatGames || 0) + 1;
+      progress.hotSeatWins = (progress.hotSeatWins || 0) + (hotSeatWin ? 1 : 0);
     }
     
-    localStorage.setItem(key, JSON.stringify(existing));
+    this.addMemoryScore(progress, memory);
+    return progress;
+  }
+  
+  /**
+   * Adds a game's memory efficiency (0-100) to progress - Career Clouds averages the recent ones
+   * @param {Object} progress - Updated in place
+   * @param {{flips: number, efficiency: number, avoidableMismatches: number}} memory
+   */
+  addMemoryScore(progress, memory) {
+    if (memory.flips === 0) return;
+    
+    if (!progress.scores) progress.scores = [];
+    progress.scores.push({
+      score: Math.round(memory.efficiency * 100),
+      avoidableMismatches: memory.avoidableMismatches,
+      difficulty: this.difficulty,
+      mode: this.mode,
+      date: new Date().toISOString()
+    });
+    progress.scores = progress.scores.slice(-MEMORY_CONFIG.SCORE_HISTORY);
   }
 }
 
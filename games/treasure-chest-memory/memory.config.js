@@ -6,7 +6,11 @@
  */
 
 /**
- * Difficulty presets based on age
+ * Difficulty presets based on age. `modes` lists the match modes a level
+ * offers (see MatchModes.js), each overriding the level's settings:
+ *   concepts - conceptSets to draw from, maxNumber for number/dot pairs
+ *   triples  - groups of three
+ *   sequence - cards on the table, length of the order to repeat, stepTime (ms) each card lights up
  */
 export const DIFFICULTY_PRESETS = Object.freeze({
   // Age 6-8: Very Easy
@@ -17,7 +21,12 @@ export const DIFFICULTY_PRESETS = Object.freeze({
     pairs: 3,
     timeLimit: null,
     previewTime: 3000,
-    flipDelay: 1500
+    flipDelay: 1500,
+    modes: {
+      classic: {},
+      concepts: { conceptSets: ['numbers', 'letters'], maxNumber: 5 },
+      sequence: { cards: 6, length: 3, stepTime: 1000 }
+    }
   },
   // Age 9-12: Easy
   2: {
@@ -27,7 +36,13 @@ export const DIFFICULTY_PRESETS = Object.freeze({
     pairs: 6,
     timeLimit: null,
     previewTime: 2000,
-    flipDelay: 1200
+    flipDelay: 1200,
+    modes: {
+      classic: {},
+      concepts: { conceptSets: ['numbers', 'words', 'letters'], maxNumber: 9 },
+      triples: { groups: 3, gridCols: 3, gridRows: 3 },
+      sequence: { cards: 9, gridCols: 3, gridRows: 3, length: 4, stepTime: 900 }
+    }
   },
   // Age 13-15: Medium
   3: {
@@ -37,7 +52,13 @@ export const DIFFICULTY_PRESETS = Object.freeze({
     pairs: 8,
     timeLimit: 120,
     previewTime: 1000,
-    flipDelay: 1000
+    flipDelay: 1000,
+    modes: {
+      classic: {},
+      concepts: { conceptSets: ['numbers', 'words', 'letters'], maxNumber: 9 },
+      triples: { groups: 4, gridCols: 4, gridRows: 3 },
+      sequence: { cards: 12, gridCols: 4, gridRows: 3, length: 5, stepTime: 800, timeLimit: null }
+    }
   },
   // Age 16-18: Hard
   4: {
@@ -47,7 +68,13 @@ export const DIFFICULTY_PRESETS = Object.freeze({
     pairs: 10,
     timeLimit: 90,
     previewTime: 0,
-    flipDelay: 800
+    flipDelay: 800,
+    modes: {
+      classic: {},
+      concepts: { conceptSets: ['numbers', 'words', 'letters'], maxNumber: 9 },
+      triples: { groups: 5, gridCols: 5, gridRows: 3, timeLimit: 120 },
+      sequence: { cards: 12, gridCols: 4, gridRows: 3, length: 6, stepTime: 700, timeLimit: null }
+    }
   },
   // Age 19-25: Expert
   5: {
@@ -57,7 +84,13 @@ export const DIFFICULTY_PRESETS = Object.freeze({
     pairs: 10,
     timeLimit: 60,
     previewTime: 0,
-    flipDelay: 600
+    flipDelay: 600,
+    modes: {
+      classic: {},
+      concepts: { conceptSets: ['numbers', 'words', 'letters'], maxNumber: 9 },
+      triples: { groups: 6, gridCols: 6, gridRows: 3, timeLimit: 100 },
+      sequence: { cards: 12, gridCols: 4, gridRows: 3, length: 7, stepTime: 600, timeLimit: null }
+    }
   },
   // Age 26-35: Master
   6: {
@@ -67,7 +100,13 @@ export const DIFFICULTY_PRESETS = Object.freeze({
     pairs: 12,
     timeLimit: 45,
     previewTime: 0,
-    flipDelay: 500
+    flipDelay: 500,
+    modes: {
+      classic: {},
+      concepts: { conceptSets: ['numbers', 'words', 'letters'], maxNumber: 9 },
+      triples: { groups: 8, gridCols: 6, gridRows: 4, timeLimit: 90 },
+      sequence: { cards: 12, gridCols: 4, gridRows: 3, length: 8, stepTime: 500, timeLimit: null }
+    }
   }
 });
 
@@ -84,6 +123,7 @@ export const MEMORY_CONFIG = Object.freeze({
   FLIP_PENALTY: 10,
   TIME_BONUS_PER_SECOND: 5,
   PERFECT_MULTIPLIER: 2,
+  MATCH_POINTS: 100,  // per match in two-player games
   
   // Card appearance
   CARD_WIDTH: 70,
@@ -104,9 +144,11 @@ export const MEMORY_CONFIG = Object.freeze({
   MATCH_GLOW_COLOR: '#FFD700',
   
   // Storage
+  GAME_ID: 'treasure-chest-memory',  // PlayerManager progress id
   LEADERBOARD_KEY: 'memoryLeaderboard',
   LEADERBOARD_MAX: 10,
   PROGRESS_KEY: 'memoryProgress',
+  SCORE_HISTORY: 30,  // memory efficiency scores kept for Career Clouds
   
   // Default theme
   DEFAULT_THEME: 'cinnamoroll'
@@ -143,11 +185,22 @@ export const CARD_THEMES = Object.freeze({
 });
 
 /**
- * Star rating thresholds
+ * Match modes shown on the start screen
+ */
+export const MATCH_MODES = Object.freeze({
+  classic: { name: 'Classic Pairs', icon: '🃏', description: 'Find the matching pairs' },
+  concepts: { name: 'Concept Pairs', icon: '🔢', description: 'Match 3 to ●●●, cat to 🐱 and A to a' },
+  triples: { name: 'Triples', icon: '🍀', description: 'Find all three of a kind' },
+  sequence: { name: 'Sequence Recall', icon: '✨', description: 'Open the cards in the order they light up' }
+});
+
+/**
+ * Star rating thresholds. Optimal flips are what a perfect memory would
+ * have needed with the same luck, so exploring new cards is not punished.
  */
 export const STAR_THRESHOLDS = Object.freeze({
-  THREE_STAR: 0.9,  // 90%+ of optimal flips
-  TWO_STAR: 0.6,    // 60%+ of optimal flips
+  THREE_STAR: 0.9,  // 90%+ memory efficiency (optimal flips / flips, see FlipTracker.js)
+  TWO_STAR: 0.6,    // 60%+ memory efficiency
   ONE_STAR: 0       // Completed game
 });
 
@@ -178,15 +231,19 @@ export function getDifficultyFromAge(age) {
 }
 
 /**
- * Get config for specific difficulty
+ * Get config for specific difficulty and match mode
  * @param {number} level - Difficulty level (1-6)
- * @returns {Object} Merged config
+ * @param {string} [mode='classic'] - MATCH_MODES id; falls back to classic if the level doesn't offer it
+ * @returns {Object} Merged config, with `mode` set
  */
-export function getConfigForDifficulty(level) {
-  const difficultyConfig = DIFFICULTY_PRESETS[level] || DIFFICULTY_PRESETS[1];
+export function getConfigForDifficulty(level, mode = 'classic') {
+  const { modes, ...difficultyConfig } = DIFFICULTY_PRESETS[level] || DIFFICULTY_PRESETS[1];
+  const modeId = modes[mode] ? mode : 'classic';
   return {
     ...MEMORY_CONFIG,
-    ...difficultyConfig
+    ...difficultyConfig,
+    ...modes[modeId],
+    mode: modeId
   };
 }
 
@@ -0,0 +1,188 @@
+/**
+ * AdaptiveController.js - Shared Performance-Based Difficulty
+ *
+ * Moves a game between difficulty levels while it is being played, from a
+ * rolling window of recent answers (how many were right, and how quickly).
+ * Used by Quiz Quest and Star Counter; a game can tune it with config overrides.
+ *
+ * Levels only move with hysteresis, so a game doesn't flip back and forth:
+ * - promote and demote thresholds are well apart, with a band between them
+ *   where the level stays put
+ * - performance has to stay past a threshold for HOLD_ANSWERS answers in a row
+ * - after a change the window starts again, so the next change is judged
+ *   on at least MIN_ANSWERS answers at the new level
+ *
+ * Usage:
+ *   const adaptive = new AdaptiveController({ level: 3, maxLevel: 7 });
+ *   const change = adaptive.recordAnswer(true, 1800, 5000);
+ *   if (change) applyLevel(change.current);
+ *
+ * @version 1.0.0
+ */
+
+// ==================== Configuration ====================
+
+const ADAPTIVE_CONTROLLER_DEFAULTS = Object.freeze({
+    MIN_LEVEL: 1,
+    MAX_LEVEL: 7,
+    WINDOW_SIZE: 6,           // Recent answers considered
+    MIN_ANSWERS: 4,           // Answers at a level before it can change
+    HOLD_ANSWERS: 2,          // Answers in a row past a threshold to change
+
+    PROMOTE_THRESHOLD: 0.8,   // Performance at or above -> level up
+    DEMOTE_THRESHOLD: 0.45,   // Performance at or below -> level down
+
+    ACCURACY_WEIGHT: 0.7,
+    SPEED_WEIGHT: 0.3,
+    DEFAULT_SPEED_SCORE: 0.5  // Untimed answers
+});
+
+// ==================== AdaptiveController Class ====================
+
+class AdaptiveController {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.level] - Starting level (default: minLevel)
+     * @param {number} [options.minLevel]
+     * @param {number} [options.maxLevel]
+     * @param {Object} [options.config] - Overrides for ADAPTIVE_CONTROLLER_DEFAULTS
+     */
+    constructor(options = {}) {
+        this.config = { ...ADAPTIVE_CONTROLLER_DEFAULTS, ...(options.config || {}) };
+        this.minLevel = options.minLevel ?? this.config.MIN_LEVEL;
+        this.maxLevel = options.maxLevel ?? this.config.MAX_LEVEL;
+
+        this.reset(options.level);
+    }
+
+    // ==================== Public API ====================
+
+    /**
+     * Record an answer and move the level if performance has held past a threshold
+     * @param {boolean} isCorrect
+     * @param {number} [responseTimeMs] - Time taken to answer
+     * @param {number} [maxTimeMs] - Time allowed; omit for untimed answers
+     * @returns {{previous: number, current: number, direction: 'up'|'down'}|null} The change, if any
+     */
+    recordAnswer(isCorrect, responseTimeMs, maxTimeMs) {
+        this.answers.push({
+            correct: !!isCorrect,
+            speed: this._speedScore(responseTimeMs, maxTimeMs)
+        });
+        while (this.answers.length > this.config.WINDOW_SIZE) {
+            this.answers.shift();
+        }
+
+        if (this.answers.length < this.config.MIN_ANSWERS) return null;
+
+        const { performance } = this.getPerformance();
+        const direction = performance >= this.config.PROMOTE_THRESHOLD ? 'up'
+            : performance <= this.config.DEMOTE_THRESHOLD ? 'down'
+            : null;
+
+        // Count answers in a row past the same threshold
+        this.hold = direction && direction === this.hold.direction
+            ? { direction, count: this.hold.count + 1 }
+            : { direction, count: direction ? 1 : 0 };
+
+        if (this.hold.count < this.config.HOLD_ANSWERS) return null;
+
+        const next = this._clamp(this.level + (direction === 'up' ? 1 : -1));
+        if (next === this.level) return null;
+
+        return this._changeLevel(next, direction, performance);
+    }
+
+    /**
+     * @returns {number} Current level
+     */
+    getLevel() {
+        return this.level;
+    }
+
+    /**
+     * Performance over the current window
+     * @returns {{accuracy: number, speed: number, performance: number}} Each 0-1
+     */
+    getPerformance() {
+        if (this.answers.length === 0) {
+            return { accuracy: 0, speed: 0, performance: 0 };
+        }
+
+        const accuracy = this.answers.filter(a => a.correct).length / this.answers.length;
+        const speed = this.answers.reduce((sum, a) => sum + a.speed, 0) / this.answers.length;
+        const performance = accuracy * this.config.ACCURACY_WEIGHT + speed * this.config.SPEED_WEIGHT;
+
+        return { accuracy, speed, performance };
+    }
+
+    /**
+     * Where the player started and got to, e.g. for a results screen
+     * @returns {{startLevel: number, level: number, highestLevel: number, changes: Array}}
+     */
+    getSummary() {
+        return {
+            startLevel: this.startLevel,
+            level: this.level,
+            highestLevel: this.highestLevel,
+            changes: [...this.changes]
+        };
+    }
+
+    /**
+     * Start again (for a new game)
+     * @param {number} [level] - Starting level (default: minLevel)
+     */
+    reset(level) {
+        this.level = this._clamp(level ?? this.minLevel);
+        this.startLevel = this.level;
+        this.highestLevel = this.level;
+        this.answers = [];
+        this.hold = { direction: null, count: 0 };
+        this.changes = [];
+    }
+
+    // ==================== Private Methods ====================
+
+    /**
+     * Speed score from response time (0-1, faster = higher)
+     * @private
+     */
+    _speedScore(responseTimeMs, maxTimeMs) {
+        if (!maxTimeMs || maxTimeMs <= 0 || typeof responseTimeMs !== 'number' || isNaN(responseTimeMs)) {
+            return this.config.DEFAULT_SPEED_SCORE;
+        }
+        return Math.max(0, Math.min(1, 1 - responseTimeMs / maxTimeMs));
+    }
+
+    /**
+     * @private
+     */
+    _clamp(level) {
+        return Math.max(this.minLevel, Math.min(this.maxLevel, Math.round(level)));
+    }
+
+    /**
+     * Move to a new level and judge it afresh
+     * @private
+     */
+    _changeLevel(level, direction, performance) {
+        const change = { previous: this.level, current: level, direction };
+        this.changes.push({ ...change, performance: Math.round(performance * 1000) / 1000 });
+
+        this.level = level;
+        this.highestLevel = Math.max(this.highestLevel, level);
+        this.answers = [];
+        this.hold = { direction: null, count: 0 };
+
+        return change;
+    }
+}
+
+// ==================== Export ====================
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+    window.AdaptiveController = AdaptiveController;
+    window.ADAPTIVE_CONTROLLER_DEFAULTS = ADAPTIVE_CONTROLLER_DEFAULTS;
+}
@@ -0,0 +1,442 @@
+/**
+ * GameRegistry.js - Single Source of Truth for the Game Collection
+ *
+ * Every game that ships in the collection is listed here once. The launcher,
+ * GameServices navigation, the Breadcrumb and Career Clouds all read from this
+ * list instead of keeping their own copies.
+ *
+ * Adding a game: create the folder under games/, then add an entry below.
+ * The unit tests fail if a games/ folder has no matching entry.
+ *
+ * @version 1.0.0
+ */
+
+const GameRegistry = (function() {
+    'use strict';
+
+    // ==========================================
+    // GAME DEFINITIONS
+    // ==========================================
+
+    /**
+     * Registry entries
+     * - id:              Folder name under games/ (also used in progress data)
+     * - name:            Display name
+     * - path:            Entry page, relative to the project root
+     * - icon / category / description / skills: Launcher card content
+     * - storageKeys:     Exact localStorage keys the game writes, all copied into save
+     *                    files. Data kept elsewhere (Dream Journal entries live in
+     *                    IndexedDB) is not in save files.
+     * - storagePrefixes: Key prefixes for per-difficulty keys (e.g. highScore_3)
+     * - playerStorageKeys: storageKeys holding an object keyed by player (lower-case name).
+     *                    Every other key is shared by everyone playing on this device.
+     * - assessmentKey:   Key Career Clouds reads to score the game (null = not assessed)
+     * - skillMapping:    Career Clouds skill weights, e.g. { math: 0.8, attention: 0.2 }
+     * - minAge / maxAge: Supported player ages
+     */
+    const GAMES = [
+        {
+            id: 'flappy-cinnamoroll',
+            name: 'Flappy Cinnamoroll',
+            path: 'flappy.html',
+            icon: '🐰',
+            category: 'Action',
+            description: 'Help Cinnamoroll fly through the clouds! Tap to flap and avoid obstacles. Watch out for the ghost!',
+            skills: ['Timing', 'Reflexes', 'Focus'],
+            storageKeys: ['cinnamorollLeaderboard'],
+            storagePrefixes: [],
+            playerStorageKeys: [],
+            assessmentKey: null,
+            skillMapping: {},
+            minAge: 6,
+            maxAge: 35
+        },
+        {
+            id: 'treasure-chest-memory',
+            name: 'Memory Match',
+            path: 'games/treasure-chest-memory/index.html',
+            icon: '🧠',
+            category: 'Memory',
+            description: 'Match pairs of Cinnamoroll and friends in this cute memory game! Train your brain while having fun.',
+            skills: ['Memory', 'Attention', 'Pattern Recognition'],
+            storageKeys: ['treasureChestMemoryProgress'],
+            storagePrefixes: ['memoryHighScore_'],
+            playerStorageKeys: [],
+            assessmentKey: 'treasureChestMemoryProgress',
+            skillMapping: { memory: 1.0 },
+            minAge: 6,
+            maxAge: 35
+        },
+        {
+            id: 'star-counter',
+            name: 'Star Counter',
+            path: 'games/star-counter/index.html',
+            icon: '⭐',
+            category: 'Math',
+            description: 'Count stars and solve math puzzles! Perfect for learning numbers and arithmetic skills.',
+            skills: ['Math', 'Counting', 'Speed'],
+            storageKeys: ['starCounterProgress'],
+            storagePrefixes: ['starCounterHighScore_'],
+            playerStorageKeys: [],
+            assessmentKey: 'starCounterProgress',
+            skillMapping: { math: 1.0 },
+            minAge: 6,
+            maxAge: 35
+        },
+        {
+            id: 'pattern-rainbow',
+            name: 'Pattern Rainbow',
+            path: 'games/pattern-rainbow/index.html',
+            icon: '🌈',
+            category: 'Logic',
+            description: 'Complete colorful patterns and sequences! Discover the hidden rules and test your logic skills.',
+            skills: ['Logic', 'Patterns', 'Creativity'],
+            storageKeys: ['patternRainbowHighScore'],
+            storagePrefixes: [],
+            playerStorageKeys: [],
+            assessmentKey: 'patternRainbowHighScore',
+            skillMapping: { logic: 0.7, creativity: 0.3 },
+            minAge: 6,
+            maxAge: 35
+        },
+        {
+            id: 'quiz-quest',
+            name: 'Quiz Quest',
+            path: 'games/quiz-quest/index.html',
+            icon: '❓',
+            category: 'Knowledge',
+            description: 'Answer trivia questions across many topics! Learn new facts and challenge your knowledge.',
+            skills: ['Knowledge', 'Reading', 'Memory'],
+            storageKeys: ['quizQuestLeaderboard', 'quizQuestProgress', 'quizQuestAdaptive', 'quizQuestPacks'],
+            storagePrefixes: [],
+            playerStorageKeys: [],
+            assessmentKey: 'quizQuestLeaderboard',
+            skillMapping: { knowledge: 0.5, memory: 0.5 },
+            minAge: 6,
+            maxAge: 35
+        },
+        {
+            id: 'proverb-ascension',
+            name: 'Proverb Ascension',
+            path: 'games/proverb-ascension/index.html',
+            icon: '📜',
+            category: 'Scripture',
+            description: 'Master the wisdom of Proverbs 1:1-5! Memorize scripture through engaging multiple choice questions.',
+            skills: ['Memory', 'Reading', 'Wisdom'],
+            storageKeys: ['proverbAscensionProgress', 'proverbAscensionLeaderboard', 'proverbAscensionReviews'],
+            storagePrefixes: [],
+            playerStorageKeys: ['proverbAscensionReviews'],
+            assessmentKey: 'proverbAscensionProgress',
+            skillMapping: { memory: 0.6, reading: 0.4 },
+            minAge: 6,
+            maxAge: 35
+        },
+        {
+            id: 'candy-shop',
+            name: 'Candy Shop',
+            path: 'games/candy-shop/index.html',
+            icon: '🍬',
+            category: 'Math',
+            description: 'Run your own candy shop! Handle customers, calculate prices, and make change correctly.',
+            skills: ['Math', 'Money', 'Planning'],
+            storageKeys: ['candyShopLeaderboard', 'candyShopCurrency', 'candyShopBusiness'],
+            storagePrefixes: ['candyShopLeaderboard_'],
+            playerStorageKeys: [],
+            assessmentKey: 'candyShopLeaderboard',
+            skillMapping: { math: 0.8, attention: 0.2 },
+            minAge: 6,
+            maxAge: 35
+        },
+        {
+            id: 'story-cloud',
+            name: 'Story Cloud',
+            path: 'games/story-cloud/index.html',
+            icon: '📖',
+            category: 'Reading',
+            description: 'Create your own adventures! Read interactive stories and make choices that shape the ending.',
+            skills: ['Reading', 'Creativity', 'Decision Making'],
+            storageKeys: ['storyCloudLeaderboard', 'storyCloudStories', 'storyCloudSaves'],
+            storagePrefixes: [],
+            playerStorageKeys: ['storyCloudSaves'],
+            assessmentKey: 'storyCloudLeaderboard',
+            skillMapping: { reading: 1.0 },
+            minAge: 6,
+            maxAge: 35
+        },
+        {
+            id: 'dream-journal',
+            name: 'Dream Journal',
+            path: 'games/dream-journal/index.html',
+            icon: '📝',
+            category: 'Writing',
+            description: 'Express yourself through writing! Daily prompts inspire creativity and build writing skills.',
+            skills: ['Writing', 'Creativity', 'Expression'],
+            storageKeys: ['dreamJournalStreak', 'dreamJournalDraft', 'dreamJournalPromptPacks', 'dreamJournalPromptState'],
+            storagePrefixes: [],
+            playerStorageKeys: [],
+            assessmentKey: 'dreamJournalStreak',
+            skillMapping: { writing: 0.7, creativity: 0.3 },
+            minAge: 6,
+            maxAge: 35
+        },
+        {
+            id: 'cloud-kingdom',
+            name: 'Cloud Kingdom',
+            path: 'games/cloud-kingdom/index.html',
+            icon: '☁️',
+            category: 'Adventure',
+            description: 'Explore a magical kingdom in the clouds! Complete quests, meet characters, and discover secrets.',
+            skills: ['Exploration', 'Problem Solving', 'Spatial'],
+            storageKeys: ['cloudKingdomLeaderboard', 'cloudKingdomMaps'],
+            storagePrefixes: [],
+            playerStorageKeys: [],
+            assessmentKey: 'cloudKingdomLeaderboard',
+            skillMapping: { spatial: 0.6, logic: 0.4 },
+            minAge: 6,
+            maxAge: 35
+        },
+        {
+            id: 'puzzle-path',
+            name: 'Puzzle Path',
+            path: 'games/puzzle-path/index.html',
+            icon: '🧩',
+            category: 'Puzzle',
+            description: 'Slide tiles to solve puzzles! Multiple themes and difficulty levels for endless fun.',
+            skills: ['Logic', 'Spatial', 'Planning'],
+            storageKeys: ['puzzlePathLeaderboard', 'puzzlePathImages'],
+            storagePrefixes: [],
+            playerStorageKeys: ['puzzlePathImages'],
+            assessmentKey: 'puzzlePathLeaderboard',
+            skillMapping: { spatial: 0.5, logic: 0.5 },
+            minAge: 6,
+            maxAge: 35
+        },
+        {
+            id: 'career-clouds',
+            name: 'Career Clouds',
+            path: 'games/career-clouds/index.html',
+            icon: '💼',
+            category: 'Assessment',
+            description: 'Discover your strengths! This special game analyzes your skills from all games and suggests future careers.',
+            skills: ['Self-Discovery', 'All Skills'],
+            storageKeys: ['careerCloudsProfile', 'careerCloudsAssessment'],
+            storagePrefixes: [],
+            playerStorageKeys: [],
+            assessmentKey: null,
+            skillMapping: {},
+            minAge: 6,
+            maxAge: 35
+        }
+    ];
+
+    const REQUIRED_FIELDS = ['id', 'name', 'path', 'icon', 'category', 'description'];
+
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+
+    /**
+     * Check registry entries for missing fields and duplicates
+     * @param {Array} games - Entries to check
+     * @returns {Array<string>} Problems found (empty when valid)
+     */
+    function findEntryErrors(games) {
+        const errors = [];
+        const seen = new Set();
+
+        games.forEach((game, index) => {
+            const label = game.id || `entry #${index}`;
+
+            REQUIRED_FIELDS.forEach(field => {
+                if (typeof game[field] !== 'string' || game[field].length === 0) {
+                    errors.push(`${label}: missing "${field}"`);
+                }
+            });
+
+            if (seen.has(game.id)) {
+                errors.push(`${label}: duplicate id`);
+            }
+            seen.add(game.id);
+
+            if (!Array.isArray(game.storageKeys) || !Array.isArray(game.storagePrefixes)) {
+                errors.push(`${label}: storageKeys and storagePrefixes must be arrays`);
+            }
+
+            if (!Array.isArray(game.playerStorageKeys) ||
+                game.playerStorageKeys.some(key => !game.storageKeys?.includes(key))) {
+                errors.push(`${label}: playerStorageKeys must be an array of storageKeys`);
+            }
+
+            if (game.assessmentKey !== null && !game.storageKeys?.includes(game.assessmentKey)) {
+                errors.push(`${label}: assessmentKey "${game.assessmentKey}" is not in storageKeys`);
+            }
+
+            const weights = Object.values(game.skillMapping || {});
+            if (weights.some(w => typeof w !== 'number' || w <= 0 || w > 1)) {
+                errors.push(`${label}: skill weights must be between 0 and 1`);
+            }
+
+            if (!(game.minAge > 0 && game.maxAge >= game.minAge)) {
+                errors.push(`${label}: invalid age range ${game.minAge}-${game.maxAge}`);
+            }
+        });
+
+        return errors;
+    }
+
+    // Fail loudly on a broken registry rather than rendering a half-empty launcher
+    const entryErrors = findEntryErrors(GAMES);
+    if (entryErrors.length > 0) {
+        throw new Error('GameRegistry: Invalid entries:\n' + entryErrors.join('\n'));
+    }
+
+    GAMES.forEach(game => {
+        Object.freeze(game.skills);
+        Object.freeze(game.storageKeys);
+        Object.freeze(game.storagePrefixes);
+        Object.freeze(game.playerStorageKeys);
+        Object.freeze(game.skillMapping);
+        Object.freeze(game);
+    });
+    Object.freeze(GAMES);
+
+    const GAMES_BY_ID = new Map(GAMES.map(game => [game.id, game]));
+
+    // ==========================================
+    // PATH HELPERS
+    // ==========================================
+
+    /**
+     * Prefix that leads from the current page back to the project root
+     * @returns {string}
+     */
+    function getRootPrefix() {
+        if (typeof window === 'undefined') return './';
+        return window.location.pathname.includes('/games/') ? '../../' : './';
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+
+    return {
+        /**
+         * Get all registered games in launcher order
+         * @returns {Array<Object>}
+         */
+        getAll: function() {
+            return GAMES;
+        },
+
+        /**
+         * Get all registered game ids
+         * @returns {Array<string>}
+         */
+        getIds: function() {
+            return GAMES.map(game => game.id);
+        },
+
+        /**
+         * Get one game entry
+         * @param {string} gameId - Game identifier
+         * @returns {Object|null}
+         */
+        get: function(gameId) {
+            return GAMES_BY_ID.get(gameId) || null;
+        },
+
+        /**
+         * Check whether a game is registered
+         * @param {string} gameId - Game identifier
+         * @returns {boolean}
+         */
+        has: function(gameId) {
+            return GAMES_BY_ID.has(gameId);
+        },
+
+        /**
+         * Get a game's display name
+         * @param {string} gameId - Game identifier
+         * @returns {string|null}
+         */
+        getName: function(gameId) {
+            const game = GAMES_BY_ID.get(gameId);
+            return game ? game.name : null;
+        },
+
+        /**
+         * Get a game's entry page relative to the current page
+         * @param {string} gameId - Game identifier
+         * @returns {string|null}
+         */
+        resolvePath: function(gameId) {
+            const game = GAMES_BY_ID.get(gameId);
+            return game ? getRootPrefix() + game.path : null;
+        },
+
+        /**
+         * Get games Career Clouds can score (assessment key and skill weights set)
+         * @returns {Array<Object>}
+         */
+        getAssessedGames: function() {
+            return GAMES.filter(game => game.assessmentKey && Object.keys(game.skillMapping).length > 0);
+        },
+
+        /**
+         * Check whether a localStorage key belongs to a game
+         * @param {string} gameId - Game identifier
+         * @param {string} key - localStorage key
+         * @returns {boolean}
+         */
+        ownsStorageKey: function(gameId, key) {
+            const game = GAMES_BY_ID.get(gameId);
+            if (!game) return false;
+            return game.storageKeys.includes(key) ||
+                game.storagePrefixes.some(prefix => key.startsWith(prefix));
+        },
+
+        /**
+         * Check whether a game key keeps each player's data separately
+         * ({ [playerKey]: data }), rather than one value shared by the device
+         * @param {string} gameId - Game identifier
+         * @param {string} key - localStorage key
+         * @returns {boolean}
+         */
+        isPlayerStorageKey: function(gameId, key) {
+            const game = GAMES_BY_ID.get(gameId);
+            return !!game && game.playerStorageKeys.includes(key);
+        },
+
+        /**
+         * Check game folders against the registry
+         * Throws when a folder exists without an entry, or an entry has no folder
+         * @param {Array<string>} folderIds - Folder names found under games/
+         * @returns {boolean} true when everything matches
+         */
+        validate: function(folderIds) {
+            const errors = findEntryErrors(GAMES);
+
+            folderIds.forEach(folderId => {
+                if (!GAMES_BY_ID.has(folderId)) {
+                    errors.push(`games/${folderId}: folder has no registry entry`);
+                }
+            });
+
+            GAMES.forEach(game => {
+                if (!folderIds.includes(game.id)) {
+                    errors.push(`${game.id}: registry entry has no games/ folder`);
+                }
+            });
+
+            if (errors.length > 0) {
+                throw new Error('GameRegistry: Validation failed:\n' + errors.join('\n'));
+            }
+            return true;
+        }
+    };
+})();
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+    window.GameRegistry = GameRegistry;
+}
@@ -42,21 +42,7 @@ const GameServices = (function() {
          * @param {string} gameId - Game identifier
          */
         goToGame: function(gameId) {
-            const gamePaths = {
-                'flappy-cinnamoroll': './flappy.html',
-                'treasure-chest-memory': './games/treasure-chest-memory/index.html',
-                'star-counter': './games/star-counter/index.html',
-                'pattern-rainbow': './games/pattern-rainbow/index.html',
-                'quiz-quest': './games/quiz-quest/index.html',
-                'candy-shop': './games/candy-shop/index.html',
-                'story-cloud': './games/story-cloud/index.html',
-                'dream-journal': './games/dream-journal/index.html',
-                'cloud-kingdom': './games/cloud-kingdom/index.html',
-                'puzzle-path': './games/puzzle-path/index.html',
-                'career-clouds': './games/career-clouds/index.html'
-            };
-            
-            const gamePath = gamePaths[gameId];
+            const gamePath = typeof GameRegistry !== 'undefined' ? GameRegistry.resolvePath(gameId) : null;
             if (gamePath) {
                 window.location.href = gamePath;
             } else {
@@ -349,6 +335,13 @@ const GameServices = (function() {
             return typeof PlayerManager !== 'undefined' ? PlayerManager : null;
         },
         
+        /**
+         * Get game registry (convenience accessor)
+         */
+        getGameRegistry: function() {
+            return typeof GameRegistry !== 'undefined' ? GameRegistry : null;
+        },
+        
         /**
          * Get audio manager (convenience accessor)
          */
@@ -0,0 +1,854 @@
+/**
+ * MathEngine.js - Shared Math Problems, Skills and Mastery
+ *
+ * Generates arithmetic problems for any game, each tagged with the skill it
+ * practices (e.g. "Add within 20 with carry"). Skills are grouped into a
+ * curriculum of stages, from recognizing numbers up to simple equations;
+ * a stage id is what a game asks for (Star Counter's mathType).
+ *
+ * Mastery is kept per skill, per player:
+ *   { [skillId]: { attempts, correct, recent: [true, false, ...], lastPracticed } }
+ * A skill is mastered once the last MASTERY.WINDOW answers include at least
+ * MASTERY.MIN_ATTEMPTS and MASTERY.ACCURACY of them are right. When every
+ * skill in a stage is mastered, the next stage's skills start to mix in.
+ *
+ * Money skills work in the currency a game passes in, and a game can hand
+ * them its own amounts: Candy Shop asks for the make-change problem behind
+ * each order, so its customers' payments report against the same skill.
+ *
+ * Wrong answers come from common mistakes where possible (off by one, the
+ * wrong operation, swapped digits, mixing up fractions and percents), so a
+ * caught wrong answer says what went wrong. Those catches are counted per
+ * player too:
+ *   { [misconceptionId]: { count, lastSeen } }
+ *
+ * @version 1.0.0
+ */
+
+const MathEngine = (function() {
+    'use strict';
+
+    // ==========================================
+    // CONSTANTS
+    // ==========================================
+
+    const MASTERY = Object.freeze({
+        WINDOW: 10,         // recent answers considered
+        MIN_ATTEMPTS: 5,    // before a skill can count as mastered
+        ACCURACY: 0.8       // share of recent answers right
+    });
+
+    const STORAGE = Object.freeze({
+        PROGRESS_ID: 'math-skills',     // PlayerManager progress for the active player (not a game played)
+        GUEST_KEY: 'mathSkillMastery',  // localStorage when nobody is signed in
+        GUEST_MISCONCEPTIONS_KEY: 'mathMisconceptions'
+    });
+
+    /**
+     * Mistakes a wrong answer can come from
+     */
+    const MISCONCEPTIONS = Object.freeze({
+        'off-by-one': {
+            name: 'Off by one',
+            tip: 'Count on carefully - the answer was just one step away.'
+        },
+        'wrong-operation': {
+            name: 'Wrong operation',
+            tip: 'Check the sign first: +, −, × or ÷.'
+        },
+        'digit-reversal': {
+            name: 'Digits swapped',
+            tip: 'Keep the tens and ones in order - 21 is not 12.'
+        },
+        'fraction-percent': {
+            name: 'Fraction and percent mix-up',
+            tip: 'A percent is out of 100; a fraction splits the whole into equal parts.'
+        },
+        'order-of-operations': {
+            name: 'Brackets skipped',
+            tip: 'Work out the brackets before anything else.'
+        }
+    });
+
+    Object.values(MISCONCEPTIONS).forEach(m => Object.freeze(m));
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    function randomInt(min, max, random) {
+        return Math.floor(random() * (max - min + 1)) + min;
+    }
+
+    function pick(array, random) {
+        return array[Math.floor(random() * array.length)];
+    }
+
+    function shuffle(array, random) {
+        const shuffled = [...array];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    /**
+     * A number with its digits swapped, e.g. 13 -> 31
+     * @param {number} n
+     * @returns {number|null} null when swapping changes nothing or drops a digit
+     */
+    function reverseDigits(n) {
+        if (!Number.isInteger(n) || n < 10 || n % 10 === 0) return null;
+        const reversed = Number(String(n).split('').reverse().join(''));
+        return reversed !== n ? reversed : null;
+    }
+
+    function mistake(value, misconception) {
+        return { value, misconception };
+    }
+
+    /**
+     * Wrong answers from common mistakes first, topped up with others.
+     * A mistake that gives no usable number (null, negative, the answer) is skipped.
+     * @param {number} answer
+     * @param {Array<{value: number|null, misconception: string}>} mistakes - What each mistake gives
+     * @param {number[]} others - Plain wrong answers to fill with
+     * @param {number} count
+     * @param {Function} random
+     * @returns {Array<{value: number, misconception: string|null}>}
+     */
+    function mistakesFirst(answer, mistakes, others, count, random) {
+        const chosen = [];
+        const add = (value, misconception) => {
+            if (chosen.length < count && Number.isFinite(value) && value >= 0 && value !== answer
+                && !chosen.some(d => d.value === value)) {
+                chosen.push({ value, misconception });
+            }
+        };
+
+        // One of each kind of mistake before any repeats
+        const firsts = [];
+        const repeats = [];
+        shuffle(mistakes, random).forEach(m => {
+            (firsts.some(f => f.misconception === m.misconception) ? repeats : firsts).push(m);
+        });
+        firsts.concat(repeats).forEach(m => add(m.value, m.misconception));
+        others.forEach(value => add(value, null));
+        return chosen;
+    }
+
+    /**
+     * Wrong answers near the right one or anywhere in a range
+     * @param {number} answer
+     * @param {number} min
+     * @param {number} max
+     * @param {number} count
+     * @param {Function} random
+     * @returns {number[]}
+     */
+    function nearbyDistractors(answer, min, max, count, random) {
+        const distractors = new Set();
+        let attempts = 0;
+
+        while (distractors.size < count && attempts < 20) {
+            const distractor = random() > 0.5
+                ? answer + randomInt(-3, 3, random)    // Close to answer
+                : randomInt(min, max, random);         // Random in range
+
+            if (distractor !== answer && distractor >= min && distractor <= max) {
+                distractors.add(distractor);
+            }
+            attempts++;
+        }
+
+        // Fill remaining with the numbers just above
+        for (let fill = 1; distractors.size < count; fill++) {
+            if (answer + fill >= min) {
+                distractors.add(answer + fill);
+            }
+        }
+
+        return Array.from(distractors).slice(0, count);
+    }
+
+    /**
+     * Money skills use a currency in Candy Shop's CURRENCIES format;
+     * without one they use dollars
+     */
+    const DEFAULT_CURRENCY = Object.freeze({
+        symbol: '$', symbolAfter: false, decimals: 2, decimalMark: '.', groupMark: ',',
+        paymentStep: 1,
+        denominations: [0.01, 0.05, 0.10, 0.25, 1, 5, 10, 20].map(value => ({ value }))
+    });
+
+    // Money is worked out in whole minor units (cents) to avoid rounding errors
+    function toMinor(amount, currency) {
+        return Math.round(amount * Math.pow(10, currency.decimals));
+    }
+
+    function fromMinor(minor, currency) {
+        return Math.round(minor) / Math.pow(10, currency.decimals);
+    }
+
+    function formatMoney(minor, currency) {
+        const [whole, fraction] = fromMinor(Math.abs(minor), currency).toFixed(currency.decimals).split('.');
+        const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, currency.groupMark);
+        const number = fraction ? grouped + currency.decimalMark + fraction : grouped;
+        return currency.symbolAfter ? `${number} ${currency.symbol}` : currency.symbol + number;
+    }
+
+    /**
+     * Round amounts for a currency, in minor units: customers pay in `whole`
+     * steps (a dollar, ₱10, ¥100) and prices go up by `price`, the biggest
+     * coin or bill up to a quarter of that (25¢, ₱1, ¥10)
+     * @param {Object} currency
+     * @returns {{whole: number, price: number}}
+     */
+    function getMoneySteps(currency) {
+        const whole = toMinor(currency.paymentStep || 1, currency);
+        const price = (currency.denominations || [])
+            .map(d => toMinor(d.value, currency))
+            .filter(value => value <= whole / 4)
+            .reduce((biggest, value) => Math.max(biggest, value), 1);
+        return { whole, price };
+    }
+
+    // ==========================================
+    // SKILLS
+    // ==========================================
+
+    /**
+     * Each skill generates one problem:
+     *   generate(range, random, options) -> { question, answer, distractors, explanation }
+     * `range` is the game's numberRange, or the skill's own when it has none.
+     * Skills with range null ignore it. A distractor is a number, or
+     * { value, misconception } when a known mistake gives it. Money skills
+     * read options.currency and options.amounts (see generate()).
+     */
+    const SKILLS = {
+        'count-to-10': {
+            name: 'Count and recognize numbers to 10',
+            strand: 'number',
+            range: [1, 10],
+            generate([min, max], random) {
+                const target = randomInt(min, max, random);
+                const mistakes = [
+                    mistake(target - 1, 'off-by-one'),
+                    mistake(target + 1, 'off-by-one'),
+                    mistake(reverseDigits(target), 'digit-reversal')
+                ].filter(m => m.value >= min && m.value <= max);
+                return {
+                    question: `Find the number ${target}!`,
+                    answer: target,
+                    distractors: mistakesFirst(target, mistakes, nearbyDistractors(target, min, max, 2, random), 2, random),
+                    explanation: `This is the number ${target}.`
+                };
+            }
+        },
+        'add-within-10': {
+            name: 'Add within 10',
+            strand: 'addition',
+            range: null,
+            generate(range, random) {
+                const a = randomInt(1, 9, random);
+                const b = randomInt(1, 10 - a, random);
+                const mistakes = [
+                    mistake(a + b - 1, 'off-by-one'),
+                    mistake(a + b + 1, 'off-by-one'),
+                    mistake(a * b, 'wrong-operation'),
+                    mistake(Math.abs(a - b), 'wrong-operation')
+                ];
+                return {
+                    question: `${a} + ${b} = ?`,
+                    answer: a + b,
+                    distractors: mistakesFirst(a + b, mistakes, nearbyDistractors(a + b, 2, 10, 2, random), 2, random),
+                    explanation: `${a} + ${b} = ${a + b}`
+                };
+            }
+        },
+        'add-within-20-carry': {
+            name: 'Add within 20 with carry',
+            strand: 'addition',
+            range: null,
+            generate(range, random) {
+                // Two one-digit numbers that cross ten
+                const a = randomInt(2, 9, random);
+                const b = randomInt(11 - a, 9, random);
+                const answer = a + b;
+                const mistakes = [
+                    mistake(answer - 1, 'off-by-one'),
+                    mistake(answer + 1, 'off-by-one'),
+                    mistake(reverseDigits(answer), 'digit-reversal'),
+                    mistake(a * b, 'wrong-operation')
+                ];
+                return {
+                    question: `${a} + ${b} = ?`,
+                    answer,
+                    distractors: mistakesFirst(answer, mistakes, nearbyDistractors(answer, 2, 20, 2, random), 2, random),
+                    explanation: `${a} + ${10 - a} makes 10, and ${b - (10 - a)} more is ${answer}.`
+                };
+            }
+        },
+        'add-two-numbers': {
+            name: 'Add two numbers up to 20',
+            strand: 'addition',
+            range: [1, 20],
+            generate([min, max], random) {
+                const a = randomInt(min, max, random);
+                const b = randomInt(min, max, random);
+                const mistakes = [
+                    mistake(a + b - 1, 'off-by-one'),
+                    mistake(a + b + 1, 'off-by-one'),
+                    mistake(reverseDigits(a + b), 'digit-reversal'),
+                    mistake(a * b, 'wrong-operation'),
+                    mistake(Math.abs(a - b), 'wrong-operation')
+                ];
+                return {
+                    question: `${a} + ${b} = ?`,
+                    answer: a + b,
+                    distractors: mistakesFirst(a + b, mistakes, nearbyDistractors(a + b, 2, max * 2, 3, random), 3, random),
+                    explanation: `${a} + ${b} = ${a + b}`
+                };
+            }
+        },
+        'subtract-within-20': {
+            name: 'Subtract within 20',
+            strand: 'subtraction',
+            range: [1, 20],
+            generate([min, max], random) {
+                const a = randomInt(Math.min(min + 5, max), max, random);
+                const b = randomInt(min, a, random);
+                const mistakes = [
+                    mistake(a - b - 1, 'off-by-one'),
+                    mistake(a - b + 1, 'off-by-one'),
+                    mistake(reverseDigits(a - b), 'digit-reversal'),
+                    mistake(a + b, 'wrong-operation')
+                ];
+                return {
+                    question: `${a} - ${b} = ?`,
+                    answer: a - b,
+                    distractors: mistakesFirst(a - b, mistakes, nearbyDistractors(a - b, 0, max, 3, random), 3, random),
+                    explanation: `${a} - ${b} = ${a - b}`
+                };
+            }
+        },
+        'multiply-to-12': {
+            name: 'Multiply up to 12 × 12',
+            strand: 'multiplication',
+            range: [2, 12],
+            generate([min, max], random) {
+                const a = randomInt(min, max, random);
+                const b = randomInt(min, max, random);
+                const answer = a * b;
+                return {
+                    question: `${a} × ${b} = ?`,
+                    answer,
+                    distractors: mistakesFirst(answer, [
+                        mistake(a * (b - 1), 'off-by-one'),     // One group too few
+                        mistake(a * (b + 1), 'off-by-one'),     // One group too many
+                        mistake(reverseDigits(answer), 'digit-reversal'),
+                        mistake(a + b, 'wrong-operation')
+                    ], [(a - 1) * b, answer + a + 1], 3, random),
+                    explanation: `${a} groups of ${b} make ${answer}.`
+                };
+            }
+        },
+        'divide-to-12': {
+            name: 'Divide within the 12 times table',
+            strand: 'division',
+            range: [2, 12],
+            generate([min, max], random) {
+                const b = randomInt(min, max, random);
+                const answer = randomInt(min, max, random);
+                const a = b * answer;
+                return {
+                    question: `${a} ÷ ${b} = ?`,
+                    answer,
+                    distractors: mistakesFirst(answer, [
+                        mistake(answer - 1, 'off-by-one'),
+                        mistake(answer + 1, 'off-by-one'),
+                        mistake(reverseDigits(answer), 'digit-reversal'),
+                        mistake(a - b, 'wrong-operation')
+                    ], [answer + 2, answer + 3], 3, random),
+                    explanation: `${b} × ${answer} = ${a}, so ${a} ÷ ${b} = ${answer}.`
+                };
+            }
+        },
+        'order-of-operations': {
+            name: 'Brackets first: (a + b) × c',
+            strand: 'operations',
+            range: null,
+            generate(range, random) {
+                const a = randomInt(1, 5, random);
+                const b = randomInt(1, 5, random);
+                const c = randomInt(2, 4, random);
+                const answer = (a + b) * c;
+                return {
+                    question: `(${a} + ${b}) × ${c} = ?`,
+                    answer,
+                    distractors: mistakesFirst(answer, [
+                        mistake(a + b * c, 'order-of-operations'),
+                        mistake(a + b + c, 'wrong-operation'),
+                        mistake(answer + c, 'off-by-one'),     // One group too many
+                        mistake(answer - c, 'off-by-one')
+                    ], [answer + 1], 3, random),
+                    explanation: `Brackets first: ${a} + ${b} = ${a + b}, then ${a + b} × ${c} = ${answer}.`
+                };
+            }
+        },
+        'percent-of': {
+            name: 'Find a percent of a number',
+            strand: 'fractions',
+            range: null,
+            generate(range, random) {
+                const percent = pick([10, 20, 25, 50, 75], random);
+                const whole = randomInt(2, 10, random) * 10;
+                const answer = (percent / 100) * whole;
+                const mistakes = [
+                    mistake(percent, 'fraction-percent'),                   // The percent itself
+                    mistake(whole / percent, 'fraction-percent'),           // 25% read as 1/25
+                    mistake(whole - answer, 'fraction-percent')             // The part left over
+                ].filter(m => Number.isInteger(m.value));
+                return {
+                    question: `${percent}% of ${whole} = ?`,
+                    answer,
+                    distractors: mistakesFirst(answer, mistakes, nearbyDistractors(answer, 0, whole, 3, random), 3, random),
+                    explanation: `${percent}% means ${percent} out of 100: ${whole} × ${percent} ÷ 100 = ${answer}.`
+                };
+            }
+        },
+        'fraction-of': {
+            name: 'Find a fraction of a number',
+            strand: 'fractions',
+            range: null,
+            generate(range, random) {
+                const denominator = pick([2, 4, 5], random);
+                const numerator = randomInt(1, denominator - 1, random);
+                const whole = denominator * randomInt(2, 5, random);
+                const answer = (numerator / denominator) * whole;
+                const mistakes = [
+                    mistake(whole / denominator, 'fraction-percent'),       // Stopped at one part
+                    mistake(whole - answer, 'fraction-percent'),            // The part left over
+                    mistake(whole * numerator / 100, 'fraction-percent'),   // 3/4 read as 3%
+                    mistake(answer + 1, 'off-by-one')
+                ].filter(m => Number.isInteger(m.value));
+                return {
+                    question: `${numerator}/${denominator} of ${whole} = ?`,
+                    answer,
+                    distractors: mistakesFirst(answer, mistakes, nearbyDistractors(answer, 0, whole, 3, random), 3, random),
+                    explanation: `${whole} ÷ ${denominator} = ${whole / denominator}, and ${numerator} × ${whole / denominator} = ${answer}.`
+                };
+            }
+        },
+        'solve-x-plus-b': {
+            name: 'Solve x + b = c',
+            strand: 'algebra',
+            range: null,
+            generate(range, random) {
+                const x = randomInt(1, 15, random);
+                const b = randomInt(1, 10, random);
+                const result = x + b;
+                return {
+                    question: `x + ${b} = ${result}, x = ?`,
+                    answer: x,
+                    distractors: mistakesFirst(x, [
+                        mistake(result + b, 'wrong-operation'),     // Added b instead of taking it away
+                        mistake(x + 1, 'off-by-one'),
+                        mistake(x - 1, 'off-by-one')
+                    ], [result, b], 3, random).filter(d => d.value > 0),
+                    explanation: `Take ${b} from both sides: x = ${result} - ${b} = ${x}.`
+                };
+            }
+        },
+        'solve-x-minus-b': {
+            name: 'Solve x − b = c',
+            strand: 'algebra',
+            range: null,
+            generate(range, random) {
+                const b = randomInt(1, 10, random);
+                const x = randomInt(b + 1, 15 + b, random);
+                const result = x - b;
+                return {
+                    question: `x - ${b} = ${result}, x = ?`,
+                    answer: x,
+                    distractors: mistakesFirst(x, [
+                        mistake(result - b, 'wrong-operation'),     // Took b away instead of adding it
+                        mistake(x + 1, 'off-by-one'),
+                        mistake(x - 1, 'off-by-one')
+                    ], [result, x + b], 3, random).filter(d => d.value > 0),
+                    explanation: `Add ${b} to both sides: x = ${result} + ${b} = ${x}.`
+                };
+            }
+        },
+        'add-money': {
+            name: 'Add up prices',
+            strand: 'money',
+            range: null,
+            generate(range, random, { currency, amounts }) {
+                const { whole, price } = getMoneySteps(currency);
+                const prices = amounts
+                    ? amounts.map(amount => toMinor(amount, currency))
+                    : [randomInt(1, 20, random) * price, randomInt(1, 20, random) * price];
+                const total = prices.reduce((sum, p) => sum + p, 0);
+                const money = minor => formatMoney(minor, currency);
+                const answer = fromMinor(total, currency);
+                const mistakes = [
+                    mistake(fromMinor(total + whole, currency), 'off-by-one'),     // A dollar out
+                    mistake(fromMinor(total - whole, currency), 'off-by-one')
+                ];
+                if (prices.length === 2) {
+                    mistakes.unshift(mistake(fromMinor(Math.abs(prices[0] - prices[1]), currency), 'wrong-operation'));
+                }
+                return {
+                    question: `${prices.map(money).join(' + ')} = ?`,
+                    answer,
+                    distractors: mistakesFirst(answer, mistakes, [
+                        fromMinor(total + price, currency), fromMinor(total - price, currency)
+                    ], 3, random).filter(d => d.value > 0),
+                    explanation: `${prices.map(money).join(' + ')} = ${money(total)}`
+                };
+            }
+        },
+        'make-change': {
+            name: 'Make change',
+            strand: 'money',
+            range: null,
+            generate(range, random, { currency, amounts }) {
+                const { whole, price: step } = getMoneySteps(currency);
+                let paid, price;
+                if (amounts) {
+                    [paid, price] = amounts.map(amount => toMinor(amount, currency));
+                } else {
+                    paid = pick([5, 10, 20], random) * whole;
+                    price = randomInt(1, paid / step - 1, random) * step;
+                }
+                const change = paid - price;
+                const money = minor => formatMoney(minor, currency);
+                const answer = fromMinor(change, currency);
+                return {
+                    question: `Pay ${money(paid)} for ${money(price)}. Change = ?`,
+                    answer,
+                    distractors: mistakesFirst(answer, [
+                        mistake(fromMinor(paid + price, currency), 'wrong-operation'),
+                        mistake(fromMinor(change + whole, currency), 'off-by-one'),     // A dollar out
+                        mistake(fromMinor(change - whole, currency), 'off-by-one')
+                    ], [fromMinor(change + step, currency), fromMinor(change - step, currency)], 3, random).filter(d => d.value > 0),
+                    explanation: `${money(paid)} - ${money(price)} = ${money(change)}`
+                };
+            }
+        }
+    };
+
+    // ==========================================
+    // CURRICULUM
+    // ==========================================
+
+    /**
+     * Stages in teaching order. `skills` are practiced in the stage;
+     * a stage may review skills from earlier ones.
+     */
+    const CURRICULUM = [
+        { id: 'recognition', name: 'Number Recognition', skills: ['count-to-10'] },
+        { id: 'addition', name: 'Simple Addition', skills: ['add-within-10', 'add-within-20-carry'] },
+        { id: 'addSubtract', name: 'Add & Subtract', skills: ['add-two-numbers', 'subtract-within-20'] },
+        { id: 'multiplyDivide', name: 'Multiply & Divide', skills: ['multiply-to-12', 'divide-to-12'] },
+        { id: 'mixed', name: 'Mixed Operations', skills: ['order-of-operations', 'add-two-numbers', 'subtract-within-20', 'multiply-to-12', 'divide-to-12'] },
+        { id: 'fractionsPercent', name: 'Fractions & Percentages', skills: ['percent-of', 'fraction-of'] },
+        { id: 'algebra', name: 'Basic Algebra', skills: ['solve-x-plus-b', 'solve-x-minus-b'] }
+    ];
+
+    CURRICULUM.forEach(stage => Object.freeze(stage.skills));
+    Object.freeze(CURRICULUM);
+
+    /**
+     * Get a curriculum stage
+     * @param {string|number} stage - Stage id, or level 1-7 (the stage's place in the curriculum)
+     * @returns {Object} The stage; the first one when unknown
+     */
+    function getStage(stage) {
+        if (typeof stage === 'number') {
+            return CURRICULUM[Math.max(1, Math.min(CURRICULUM.length, Math.round(stage))) - 1];
+        }
+        return CURRICULUM.find(s => s.id === stage) || CURRICULUM[0];
+    }
+
+    /**
+     * Get the stage after this one
+     * @param {string|number} stage
+     * @returns {Object|null} null after the last stage
+     */
+    function getNextStage(stage) {
+        return CURRICULUM[CURRICULUM.indexOf(getStage(stage)) + 1] || null;
+    }
+
+    // ==========================================
+    // MASTERY
+    // ==========================================
+
+    /**
+     * How well a skill is known
+     * @param {Object|undefined} record - Mastery record for the skill
+     * @returns {'new'|'learning'|'mastered'}
+     */
+    function getSkillStatus(record) {
+        if (!record || record.attempts === 0) return 'new';
+
+        const recent = record.recent || [];
+        const right = recent.filter(Boolean).length;
+        if (recent.length >= MASTERY.MIN_ATTEMPTS && right / recent.length >= MASTERY.ACCURACY) {
+            return 'mastered';
+        }
+        return 'learning';
+    }
+
+    /**
+     * Record one answer against a skill
+     * @param {Object} mastery - Player's mastery, updated in place
+     * @param {string} skillId
+     * @param {boolean} correct
+     * @returns {Object|null} The skill's updated record, null for unknown skills
+     */
+    function recordResult(mastery, skillId, correct) {
+        if (!SKILLS[skillId] || !mastery) return null;
+
+        const record = mastery[skillId] || { attempts: 0, correct: 0, recent: [], lastPracticed: null };
+        record.attempts++;
+        if (correct) record.correct++;
+        record.recent = [...(record.recent || []), !!correct].slice(-MASTERY.WINDOW);
+        record.lastPracticed = new Date().toISOString();
+
+        mastery[skillId] = record;
+        return record;
+    }
+
+    /**
+     * Count a caught distractor against its misconception
+     * @param {Object} stats - Player's misconception counts, updated in place
+     * @param {string} misconceptionId
+     * @returns {{count: number, lastSeen: string}|null} The updated count, null for unknown ones
+     */
+    function recordMisconception(stats, misconceptionId) {
+        if (!MISCONCEPTIONS[misconceptionId] || !stats) return null;
+
+        const record = stats[misconceptionId] || { count: 0, lastSeen: null };
+        record.count++;
+        record.lastSeen = new Date().toISOString();
+
+        stats[misconceptionId] = record;
+        return record;
+    }
+
+    /**
+     * Load the active player's mastery (or the guest's)
+     * @returns {Object}
+     */
+    function loadMastery() {
+        try {
+            if (typeof PlayerManager !== 'undefined' && PlayerManager.hasActivePlayer()) {
+                return { ...(PlayerManager.getGameProgress(STORAGE.PROGRESS_ID)?.mastery || {}) };
+            }
+            return JSON.parse(localStorage.getItem(STORAGE.GUEST_KEY) || '{}');
+        } catch (e) {
+            console.warn('MathEngine: Could not load mastery:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Load the active player's misconception counts (or the guest's)
+     * @returns {Object}
+     */
+    function loadMisconceptions() {
+        try {
+            if (typeof PlayerManager !== 'undefined' && PlayerManager.hasActivePlayer()) {
+                return { ...(PlayerManager.getGameProgress(STORAGE.PROGRESS_ID)?.misconceptions || {}) };
+            }
+            return JSON.parse(localStorage.getItem(STORAGE.GUEST_MISCONCEPTIONS_KEY) || '{}');
+        } catch (e) {
+            console.warn('MathEngine: Could not load misconceptions:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Save the active player's mastery (or the guest's)
+     * @param {Object} mastery
+     * @param {Object} [misconceptions] - Misconception counts, saved alongside
+     * @returns {boolean} Success status
+     */
+    function saveMastery(mastery, misconceptions) {
+        try {
+            if (typeof PlayerManager !== 'undefined' && PlayerManager.hasActivePlayer()) {
+                const progress = misconceptions ? { mastery, misconceptions } : { mastery };
+                return PlayerManager.updateGameProgress(STORAGE.PROGRESS_ID, progress);
+            }
+            localStorage.setItem(STORAGE.GUEST_KEY, JSON.stringify(mastery));
+            if (misconceptions) {
+                localStorage.setItem(STORAGE.GUEST_MISCONCEPTIONS_KEY, JSON.stringify(misconceptions));
+            }
+            return true;
+        } catch (e) {
+            console.warn('MathEngine: Could not save mastery:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Summarize skills practiced, e.g. for a results screen
+     * @param {Object<string, {attempts: number, correct: number}>} session - This game's answers per skill
+     * @param {Object} mastery - Player's mastery
+     * @returns {Array<{id: string, name: string, attempts: number, correct: number, status: string}>}
+     */
+    function summarize(session, mastery) {
+        return Object.keys(session)
+            .filter(id => SKILLS[id])
+            .map(id => ({
+                id,
+                name: SKILLS[id].name,
+                attempts: session[id].attempts,
+                correct: session[id].correct,
+                status: getSkillStatus(mastery?.[id])
+            }));
+    }
+
+    // ==========================================
+    // PROBLEMS
+    // ==========================================
+
+    /**
+     * Choose a skill to practice in a stage, leaning towards the ones not
+     * yet mastered. Once the whole stage is mastered the next stage's
+     * skills join in.
+     * @param {string|number} stage - Stage id or level
+     * @param {Object} [mastery] - Player's mastery
+     * @param {Function} [random] - Returns 0-1
+     * @returns {string} Skill id
+     */
+    function pickSkill(stage, mastery = {}, random = Math.random) {
+        const current = getStage(stage);
+        const mastered = id => getSkillStatus(mastery?.[id]) === 'mastered';
+
+        let candidates = [...current.skills];
+        const next = getNextStage(current.id);
+        if (next && candidates.every(mastered)) {
+            candidates = candidates.concat(next.skills.filter(id => !candidates.includes(id)));
+        }
+
+        // Unmastered skills count twice
+        const weighted = candidates.flatMap(id => mastered(id) ? [id] : [id, id]);
+        return pick(weighted, random);
+    }
+
+    /**
+     * Generate a problem for a skill
+     * @param {string} skillId
+     * @param {Object} [options]
+     * @param {number[]} [options.numberRange] - [min, max] for skills that use one
+     * @param {Object} [options.currency] - Money skills: a CURRENCIES entry (default dollars)
+     * @param {number[]} [options.amounts] - Money skills: the amounts to use instead of
+     *   random ones - prices to add up, or [paid, price] to make change for
+     * @param {Function} [options.random] - Returns 0-1
+     * @returns {{skill: string, skillName: string, question: string, answer: number, distractors: number[],
+     *   misconceptions: Object<number, string>, explanation: string}}
+     *   misconceptions maps a distractor to the mistake that gives it, where known.
+     */
+    function generate(skillId, options = {}) {
+        const skill = SKILLS[skillId] || SKILLS['add-within-10'];
+        const id = SKILLS[skillId] ? skillId : 'add-within-10';
+        const random = options.random || Math.random;
+        const range = skill.range ? (options.numberRange || skill.range) : null;
+
+        const problem = skill.generate(range, random, {
+            currency: options.currency || DEFAULT_CURRENCY,
+            amounts: options.amounts || null
+        });
+        const distractors = [];
+        const misconceptions = {};
+        problem.distractors.forEach(d => {
+            const { value, misconception = null } = typeof d === 'object' ? d : { value: d };
+            if (value === problem.answer || value < 0 || distractors.includes(value)) return;
+
+            distractors.push(value);
+            if (misconception) misconceptions[value] = misconception;
+        });
+
+        return {
+            skill: id,
+            skillName: skill.name,
+            question: problem.question,
+            answer: problem.answer,
+            distractors,
+            misconceptions,
+            explanation: problem.explanation
+        };
+    }
+
+    /**
+     * Generate a problem for a curriculum stage
+     * @param {string|number} stage - Stage id or level
+     * @param {Object} [mastery] - Player's mastery, to choose the skill
+     * @param {Object} [options] - See generate()
+     * @returns {Object} Problem, as from generate()
+     */
+    function generateForStage(stage, mastery = {}, options = {}) {
+        return generate(pickSkill(stage, mastery, options.random), options);
+    }
+
+    // ==========================================
+    // PUBLIC API
+    // ==========================================
+
+    return {
+        MASTERY,
+        STORAGE,
+        CURRICULUM,
+        MISCONCEPTIONS,
+
+        /**
+         * Get one skill
+         * @param {string} skillId
+         * @returns {{id: string, name: string, strand: string}|null}
+         */
+        getSkill: function(skillId) {
+            const skill = SKILLS[skillId];
+            return skill ? { id: skillId, name: skill.name, strand: skill.strand } : null;
+        },
+
+        /**
+         * Get every skill id
+         * @returns {string[]}
+         */
+        getSkillIds: function() {
+            return Object.keys(SKILLS);
+        },
+
+        /**
+         * Get one misconception
+         * @param {string} misconceptionId
+         * @returns {{id: string, name: string, tip: string}|null}
+         */
+        getMisconception: function(misconceptionId) {
+            const misconception = MISCONCEPTIONS[misconceptionId];
+            return misconception ? { id: misconceptionId, ...misconception } : null;
+        },
+
+        getStage,
+        getNextStage,
+        getSkillStatus,
+        recordResult,
+        recordMisconception,
+        loadMastery,
+        loadMisconceptions,
+        saveMastery,
+        summarize,
+        pickSkill,
+        generate,
+        generateForStage
+    };
+})();
+
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+    window.MathEngine = MathEngine;
+}
@@ -18,6 +18,8 @@ const PlayerManager = (function() {
     const MAX_PLAYERS = 20;
     const NAME_MAX_LENGTH = 12;
     const NAME_MIN_LENGTH = 1;
+    const BUNDLE_FORMAT = 'cinnamoroll-save';
+    const BUNDLE_VERSION = 1;
     
     // ==========================================
     // PRIVATE STATE
@@ -62,6 +64,168 @@ const PlayerManager = (function() {
         }
     }
     
+    /**
+     * List every key currently in localStorage
+     * @returns {Array<string>}
+     */
+    function listStorageKeys() {
+        const keys = [];
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                keys.push(localStorage.key(i));
+            }
+        } catch (e) {
+            console.error('PlayerManager: Failed to list storage keys:', e);
+        }
+        return keys;
+    }
+    
+    /**
+     * Read a localStorage value, parsing JSON when possible
+     * Strings are returned exactly as stored so they can be written back unchanged.
+     * @param {string} key - Storage key
+     * @returns {*} Parsed value, raw string, or undefined if missing
+     */
+    function readStorageValue(key) {
+        const raw = localStorage.getItem(key);
+        if (raw === null) return undefined;
+        try {
+            const parsed = JSON.parse(raw);
+            return typeof parsed === 'string' ? raw : parsed;
+        } catch (e) {
+            return raw;
+        }
+    }
+    
+    /**
+     * Put keys back to the raw values they had before a failed write
+     * @param {Map<string, string|null>} snapshot - Raw value by key; null for a missing key
+     */
+    function restoreStorage(snapshot) {
+        snapshot.forEach((raw, key) => {
+            try {
+                if (raw === null) {
+                    localStorage.removeItem(key);
+                } else {
+                    localStorage.setItem(key, raw);
+                }
+            } catch (e) {
+                console.error('PlayerManager: Failed to restore storage key:', key, e);
+            }
+        });
+    }
+    
+    /**
+     * Read one player's part of a key kept per player ({ [playerKey]: data })
+     * @param {string} key - Storage key
+     * @param {string} playerKey - Lower-case player name
+     * @returns {*} The player's data, or undefined
+     */
+    function readPlayerSlice(key, playerKey) {
+        const all = readStorageValue(key);
+        return all && typeof all === 'object' ? all[playerKey] : undefined;
+    }
+    
+    /**
+     * Write one player's part of a key kept per player, leaving the others alone
+     * @param {string} key - Storage key
+     * @param {string} playerKey - Lower-case player name
+     * @param {*} value - The player's data; undefined removes it
+     */
+    function writePlayerSlice(key, playerKey, value) {
+        const stored = readStorageValue(key);
+        const all = stored && typeof stored === 'object' && !Array.isArray(stored) ? { ...stored } : {};
+        if (value === undefined) {
+            delete all[playerKey];
+        } else {
+            all[playerKey] = value;
+        }
+        
+        if (Object.keys(all).length === 0) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, JSON.stringify(all));
+        }
+    }
+    
+    /**
+     * Combine saved data from two browsers without losing progress
+     * Numbers keep the higher value, arrays keep every distinct item,
+     * objects merge key by key, anything else keeps the local value.
+     * @param {*} local - Value already on this device
+     * @param {*} incoming - Value from the save bundle
+     * @returns {*} Merged value
+     */
+    function mergeValues(local, incoming) {
+        if (local === undefined || local === null) return incoming;
+        if (incoming === undefined || incoming === null) return local;
+        
+        if (typeof local === 'number' && typeof incoming === 'number') {
+            return Math.max(local, incoming);
+        }
+        
+        if (Array.isArray(local) && Array.isArray(incoming)) {
+            const seen = new Set(local.map(item => JSON.stringify(item)));
+            return local.concat(incoming.filter(item => !seen.has(JSON.stringify(item))));
+        }
+        
+        if (typeof local === 'object' && typeof incoming === 'object' &&
+            !Array.isArray(local) && !Array.isArray(incoming)) {
+            const merged = { ...local };
+            Object.keys(incoming).forEach(key => {
+                merged[key] = mergeValues(local[key], incoming[key]);
+            });
+            return merged;
+        }
+        
+        return local;
+    }
+    
+    /**
+     * Merges progress into a player's saved progress for a game
+     * @param {string} gameId - Game identifier
+     * @param {Object} progress - Progress data to save
+     * @param {string} [name] - Player name (defaults to current player)
+     * @param {boolean} countGame - Whether this is a game played
+     * @returns {boolean} Success status
+     */
+    function writeGameProgress(gameId, progress, name, countGame) {
+        const targetName = name ?? (_currentPlayer ? _currentPlayer.name : null);
+        if (!targetName) {
+            console.warn('PlayerManager: No active player to save progress for');
+            return false;
+        }
+        
+        const data = loadData();
+        const playerKey = targetName.toLowerCase();
+        
+        if (!data.players[playerKey]) return false;
+        
+        // Initialize game progress if needed
+        if (!data.players[playerKey].gameProgress) {
+            data.players[playerKey].gameProgress = {};
+        }
+        
+        // Merge with existing progress
+        const existing = data.players[playerKey].gameProgress[gameId] || {};
+        data.players[playerKey].gameProgress[gameId] = {
+            ...existing,
+            ...progress,
+            lastUpdated: new Date().toISOString()
+        };
+        
+        if (countGame) {
+            data.players[playerKey].totalGamesPlayed = (data.players[playerKey].totalGamesPlayed || 0) + 1;
+        }
+        
+        if (!saveData(data)) return false;
+        
+        if (_currentPlayer && _currentPlayer.name.toLowerCase() === playerKey) {
+            _currentPlayer = data.players[playerKey];
+        }
+        return true;
+    }
+    
     // ==========================================
     // VALIDATION
     // ==========================================
@@ -320,54 +484,41 @@ const PlayerManager = (function() {
         },
         
         /**
-         * Save game progress for current player
+         * Save game progress for a player, counting it as a game played
          * @param {string} gameId - Game identifier
          * @param {Object} progress - Progress data to save
+         * @param {string} [name] - Player name (defaults to current player), so
+         *   games played together can save everyone's result
          * @returns {boolean} Success status
          */
-        saveGameProgress: function(gameId, progress) {
-            if (!_currentPlayer) {
-                console.warn('PlayerManager: No active player to save progress for');
-                return false;
-            }
-            
-            const data = loadData();
-            const playerKey = _currentPlayer.name.toLowerCase();
-            
-            if (!data.players[playerKey]) return false;
-            
-            // Initialize game progress if needed
-            if (!data.players[playerKey].gameProgress) {
-                data.players[playerKey].gameProgress = {};
-            }
-            
-            // Merge with existing progress
-            const existing = data.players[playerKey].gameProgress[gameId] || {};
-            data.players[playerKey].gameProgress[gameId] = {
-                ...existing,
-                ...progress,
-                lastUpdated: new Date().toISOString()
-            };
-            
-            // Update games played count
-            data.players[playerKey].totalGamesPlayed = (data.players[playerKey].totalGamesPlayed || 0) + 1;
-            
-            if (!saveData(data)) return false;
-            
-            _currentPlayer = data.players[playerKey];
-            return true;
+        saveGameProgress: function(gameId, progress, name) {
+            return writeGameProgress(gameId, progress, name, true);
+        },
+        
+        /**
+         * Save game progress for a player without counting a game played,
+         * for data kept between games (a shop's stock, skill mastery)
+         * @param {string} gameId - Game identifier
+         * @param {Object} progress - Progress data to save
+         * @param {string} [name] - Player name (defaults to current player)
+         * @returns {boolean} Success status
+         */
+        updateGameProgress: function(gameId, progress, name) {
+            return writeGameProgress(gameId, progress, name, false);
         },
         
         /**
-         * Get game progress for current player
+         * Get game progress for a player
          * @param {string} gameId - Game identifier
+         * @param {string} [name] - Player name (defaults to current player)
          * @returns {Object|null} Progress data or null
          */
-        getGameProgress: function(gameId) {
-            if (!_currentPlayer) return null;
+        getGameProgress: function(gameId, name) {
+            const targetName = name ?? (_currentPlayer ? _currentPlayer.name : null);
+            if (!targetName) return null;
             
             const data = loadData();
-            const playerKey = _currentPlayer.name.toLowerCase();
+            const playerKey = targetName.toLowerCase();
             
             if (!data.players[playerKey]?.gameProgress) return null;
             
@@ -413,10 +564,228 @@ const PlayerManager = (function() {
                 isNewBest: isNewBest,
                 bestScore: isNewBest ? score : currentBest
             };
+        },
+        
+        /**
+         * Build a save bundle with a player's profile and their saved game data
+         * Game keys come from GameRegistry, so new games are included automatically.
+         * Keys kept per player only contribute this player's part. Keys shared by
+         * the whole device are only included when nobody else plays here, and are
+         * listed in `skipped` otherwise.
+         * @param {string} [name] - Player name (defaults to current player)
+         * @returns {Object} { success: boolean, bundle: Object|null, error: string|null, skipped: Array<string> }
+         */
+        exportBundle: function(name) {
+            const targetName = name ?? (_currentPlayer ? _currentPlayer.name : null);
+            const nameResult = validateName(targetName);
+            if (!nameResult.valid) {
+                return { success: false, bundle: null, error: nameResult.error, skipped: [] };
+            }
+            
+            if (typeof GameRegistry === 'undefined') {
+                return { success: false, bundle: null, error: 'Game registry is not loaded', skipped: [] };
+            }
+            
+            const data = loadData();
+            const playerKey = nameResult.sanitized.toLowerCase();
+            const player = data.players[playerKey];
+            if (!player) {
+                return { success: false, bundle: null, error: 'Player not found', skipped: [] };
+            }
+            
+            const sharedWithOthers = Object.keys(data.players).some(key => key !== playerKey);
+            const storageKeys = listStorageKeys();
+            const games = {};
+            const skipped = [];
+            
+            GameRegistry.getAll().forEach(game => {
+                const gameData = {};
+                storageKeys
+                    .filter(key => GameRegistry.ownsStorageKey(game.id, key))
+                    .forEach(key => {
+                        if (GameRegistry.isPlayerStorageKey(game.id, key)) {
+                            const own = readPlayerSlice(key, playerKey);
+                            if (own !== undefined) gameData[key] = { [playerKey]: own };
+                        } else if (sharedWithOthers) {
+                            skipped.push(key);
+                        } else {
+                            gameData[key] = readStorageValue(key);
+                        }
+                    });
+                
+                if (Object.keys(gameData).length > 0) {
+                    games[game.id] = gameData;
+                }
+            });
+            
+            return {
+                success: true,
+                bundle: {
+                    format: BUNDLE_FORMAT,
+                    version: BUNDLE_VERSION,
+                    exportedAt: new Date().toISOString(),
+                    player: JSON.parse(JSON.stringify(player)),
+                    games: games
+                },
+                error: null,
+                skipped: skipped
+            };
+        },
+        
+        /**
+         * Restore a save bundle created by exportBundle
+         * 'merge' keeps the best of both devices, 'replace' overwrites local data.
+         * Replacing only touches the imported player's own data: keys shared by the
+         * device are merged instead when other players play here, with a warning.
+         * The imported player becomes the current player.
+         * @param {Object|string} bundle - Bundle object or its JSON text
+         * @param {Object} [options]
+         * @param {string} [options.mode='merge'] - 'merge' or 'replace'
+         * @returns {Object} { success: boolean, player: Object|null, error: string|null,
+         *   gamesImported: number, warnings: Array<string> }
+         */
+        importBundle: function(bundle, options = {}) {
+            const mode = options.mode || 'merge';
+            const fail = (error) => ({ success: false, player: null, error: error, gamesImported: 0, warnings: [] });
+            
+            if (mode !== 'merge' && mode !== 'replace') {
+                return fail(`Unknown import mode: ${mode}`);
+            }
+            
+            if (typeof bundle === 'string') {
+                try {
+                    bundle = JSON.parse(bundle);
+                } catch (e) {
+                    return fail('Save file is not valid JSON');
+                }
+            }
+            
+            if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+                return fail('This is not a Cinnamoroll save file');
+            }
+            
+            if (typeof bundle.version !== 'number' || bundle.version > BUNDLE_VERSION) {
+                return fail('This save file was made by a newer version of the games');
+            }
+            
+            if (!bundle.player || typeof bundle.player !== 'object') {
+                return fail('Save file has no player profile');
+            }
+            
+            const nameResult = validateName(bundle.player.name);
+            if (!nameResult.valid) {
+                return fail(nameResult.error);
+            }
+            
+            const ageResult = validateAge(bundle.player.age);
+            if (!ageResult.valid) {
+                return fail(ageResult.error);
+            }
+            
+            if (typeof GameRegistry === 'undefined') {
+                return fail('Game registry is not loaded');
+            }
+            
+            const data = loadData();
+            const playerKey = nameResult.sanitized.toLowerCase();
+            const existing = data.players[playerKey];
+            
+            if (!existing && Object.keys(data.players).length >= MAX_PLAYERS) {
+                return fail('Maximum players reached. Please remove a player first.');
+            }
+            
+            const incoming = {
+                gameProgress: {},
+                totalGamesPlayed: 0,
+                ...bundle.player,
+                name: nameResult.sanitized,
+                age: ageResult.value
+            };
+            
+            const player = existing && mode === 'merge' ? mergeValues(existing, incoming) : incoming;
+            player.lastPlayed = new Date().toISOString();
+            
+            // Other players' data lives in the shared keys too, so only replace
+            // those when the imported player is the only one here
+            const sharedMode = Object.keys(data.players).some(key => key !== playerKey) ? 'merge' : mode;
+            const warnings = [];
+            if (mode === 'replace' && sharedMode === 'merge') {
+                warnings.push(`Other players use this device, so shared game data was combined, not replaced. Only ${nameResult.sanitized}'s own saves were replaced.`);
+            }
+            
+            // Each key is snapshotted before its first write, so a failure part
+            // way through (or a failed profile save) puts everything back
+            const storageKeys = listStorageKeys();
+            const snapshot = new Map();
+            const remember = (key) => {
+                if (!snapshot.has(key)) snapshot.set(key, localStorage.getItem(key));
+            };
+            let gamesImported = 0;
+            
+            try {
+                Object.entries(bundle.games || {}).forEach(([gameId, gameData]) => {
+                    if (!GameRegistry.has(gameId)) {
+                        console.warn('PlayerManager: Skipping unknown game in save file:', gameId);
+                        return;
+                    }
+                    
+                    if (mode === 'replace') {
+                        storageKeys
+                            .filter(key => GameRegistry.ownsStorageKey(gameId, key))
+                            .forEach(key => {
+                                remember(key);
+                                if (GameRegistry.isPlayerStorageKey(gameId, key)) {
+                                    writePlayerSlice(key, playerKey, undefined);
+                                } else if (sharedMode === 'replace') {
+                                    localStorage.removeItem(key);
+                                }
+                            });
+                    }
+                    
+                    Object.entries(gameData || {}).forEach(([key, value]) => {
+                        if (!GameRegistry.ownsStorageKey(gameId, key)) return;
+                        remember(key);
+                        
+                        if (GameRegistry.isPlayerStorageKey(gameId, key)) {
+                            // Only the imported player's part, whoever else is in the file
+                            const own = value && typeof value === 'object' ? value[playerKey] : undefined;
+                            if (own === undefined) return;
+                            writePlayerSlice(key, playerKey, mode === 'merge' ? mergeValues(readPlayerSlice(key, playerKey), own) : own);
+                            return;
+                        }
+                        
+                        const merged = sharedMode === 'merge' ? mergeValues(readStorageValue(key), value) : value;
+                        localStorage.setItem(key, typeof merged === 'string' ? merged : JSON.stringify(merged));
+                    });
+                    
+                    gamesImported++;
+                });
+            } catch (e) {
+                console.error('PlayerManager: Failed to import game data:', e);
+                restoreStorage(snapshot);
+                return fail('Failed to save game data');
+            }
+            
+            data.players[playerKey] = player;
+            data.currentPlayer = playerKey;
+            
+            if (!saveData(data)) {
+                restoreStorage(snapshot);
+                return fail('Failed to save player data');
+            }
+            
+            _currentPlayer = player;
+            
+            return { success: true, player: { ...player }, error: null, gamesImported: gamesImported, warnings: warnings };
         }
     };
 })();
 
+// Attach to window for script tag loading
+if (typeof window !== 'undefined') {
+    window.PlayerManager = PlayerManager;
+}
+
 // Auto-initialize when script loads
 if (typeof document !== 'undefined') {
     if (document.readyState === 'loading') {
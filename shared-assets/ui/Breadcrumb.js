@@ -14,19 +14,13 @@ const Breadcrumb = (function() {
     // GAME METADATA
     // ==========================================
     
-    const GAME_NAMES = {
-        'flappy-cinnamoroll': 'Flappy Cinnamoroll',
-        'treasure-chest-memory': 'Memory Match',
-        'star-counter': 'Star Counter',
-        'pattern-rainbow': 'Pattern Rainbow',
-        'quiz-quest': 'Quiz Quest',
-        'candy-shop': 'Candy Shop',
-        'story-cloud': 'Story Cloud',
-        'dream-journal': 'Dream Journal',
-        'cloud-kingdom': 'Cloud Kingdom',
-        'puzzle-path': 'Puzzle Path',
-        'career-clouds': 'Career Clouds'
-    };
+    /**
+     * Look up a game's display name in the shared registry
+     */
+    function getGameName(gameId) {
+        if (typeof GameRegistry === 'undefined') return null;
+        return GameRegistry.getName(gameId);
+    }
     
     // ==========================================
     // STYLES
@@ -220,7 +214,7 @@ const Breadcrumb = (function() {
                 return;
             }
             
-            const gameName = GAME_NAMES[gameId] || 'Game';
+            const gameName = getGameName(gameId) || 'Game';
             
             // Inject styles
             injectStyles();
@@ -262,7 +256,7 @@ const Breadcrumb = (function() {
          */
         getCurrentGameName: function() {
             const gameId = getCurrentGameId();
-            return GAME_NAMES[gameId] || null;
+            return getGameName(gameId);
         },
         
         /**
@@ -0,0 +1,118 @@
+/**
+ * AdaptiveController Unit Tests
+ *
+ * Tests for the shared adaptive difficulty controller: moving levels on
+ * accuracy and reaction time, with hysteresis.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+// Classic script - attaches itself to window
+import '../../shared-assets/core/AdaptiveController.js';
+import { ADAPTIVE_CONFIG } from '../../games/quiz-quest/quiz.config.js';
+
+describe('AdaptiveController', () => {
+  let AdaptiveController: any;
+
+  beforeAll(() => {
+    AdaptiveController = (window as any).AdaptiveController;
+  });
+
+  // Quick right answers and slow wrong ones
+  const fast = (controller: any) => controller.recordAnswer(true, 500, 5000);
+  const slowWrong = (controller: any) => controller.recordAnswer(false, 5000, 5000);
+
+  describe('levels', () => {
+    it('should level up once fast right answers hold', () => {
+      const controller = new AdaptiveController({ level: 3 });
+
+      // Needs MIN_ANSWERS, then HOLD_ANSWERS past the threshold
+      expect([fast(controller), fast(controller), fast(controller), fast(controller)]).toEqual([null, null, null, null]);
+      expect(fast(controller)).toEqual({ previous: 3, current: 4, direction: 'up' });
+      expect(controller.getLevel()).toBe(4);
+    });
+
+    it('should level down on wrong answers', () => {
+      const controller = new AdaptiveController({ level: 3 });
+      for (let i = 0; i < 4; i++) slowWrong(controller);
+
+      expect(slowWrong(controller)).toEqual({ previous: 3, current: 2, direction: 'down' });
+    });
+
+    it('should stay within its levels', () => {
+      const controller = new AdaptiveController({ level: 9, minLevel: 1, maxLevel: 7 });
+      expect(controller.getLevel()).toBe(7);
+
+      for (let i = 0; i < 20; i++) expect(fast(controller)).toBeNull();
+      expect(controller.getLevel()).toBe(7);
+    });
+
+    it('should count slow right answers for less than fast ones', () => {
+      const controller = new AdaptiveController({ level: 3 });
+      for (let i = 0; i < 10; i++) expect(controller.recordAnswer(true, 4500, 5000)).toBeNull();
+
+      expect(controller.getPerformance().accuracy).toBe(1);
+      expect(controller.getPerformance().performance).toBeCloseTo(0.73);
+    });
+  });
+
+  describe('hysteresis', () => {
+    it('should hold its level between the thresholds', () => {
+      const controller = new AdaptiveController({ level: 4 });
+      // Two right, one wrong: about 0.6, in the band
+      for (let i = 0; i < 30; i++) {
+        expect(i % 3 === 2 ? slowWrong(controller) : fast(controller)).toBeNull();
+      }
+      expect(controller.getLevel()).toBe(4);
+    });
+
+    it('should judge a new level afresh before moving again', () => {
+      const controller = new AdaptiveController({ level: 3 });
+      for (let i = 0; i < 5; i++) fast(controller);
+      expect(controller.getLevel()).toBe(4);
+
+      // One slip straight after levelling up doesn't drop it back
+      expect(slowWrong(controller)).toBeNull();
+      expect(fast(controller)).toBeNull();
+      expect(fast(controller)).toBeNull();
+      expect(controller.getLevel()).toBe(4);
+    });
+
+    it('should need performance to hold, not a single swing', () => {
+      const controller = new AdaptiveController({ level: 3 });
+      [true, true, true, false].forEach(correct => controller.recordAnswer(correct, 500, 5000));
+
+      // Crosses the promote threshold for one answer, then falls back into the band
+      expect(fast(controller)).toBeNull();
+      expect(slowWrong(controller)).toBeNull();
+      expect(controller.getLevel()).toBe(3);
+    });
+  });
+
+  describe('config', () => {
+    it('should take a game\'s own tuning', () => {
+      const controller = new AdaptiveController({ level: 3, config: ADAPTIVE_CONFIG.CONTROLLER });
+
+      // Quiz Quest judges a level on three answers instead of four
+      expect([fast(controller), fast(controller), fast(controller)]).toEqual([null, null, null]);
+      expect(fast(controller)).toEqual({ previous: 3, current: 4, direction: 'up' });
+      expect(controller.config.WINDOW_SIZE).toBe(5);
+      expect(controller.config.PROMOTE_THRESHOLD).toBe(0.8);
+    });
+  });
+
+  describe('summary', () => {
+    it('should report the start, current and highest level', () => {
+      const controller = new AdaptiveController({ level: 2 });
+      for (let i = 0; i < 5; i++) fast(controller);
+      for (let i = 0; i < 5; i++) slowWrong(controller);
+
+      const summary = controller.getSummary();
+      expect(summary).toMatchObject({ startLevel: 2, level: 2, highestLevel: 3 });
+      expect(summary.changes.map((c: any) => c.direction)).toEqual(['up', 'down']);
+
+      controller.reset(5);
+      expect(controller.getSummary()).toEqual({ startLevel: 5, level: 5, highestLevel: 5, changes: [] });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * CurrencySystem Unit Tests
+ *
+ * Tests for Candy Shop's money formatting, change counting and payments.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { CANDY_ITEMS, CURRENCIES, getItemsForCurrency } from '../../games/candy-shop/candy-shop.config.js';
+
+// Classic script - attaches itself to window
+import '../../games/candy-shop/CurrencySystem.js';
+
+const { USD, EUR, PHP, JPY } = CURRENCIES as any;
+
+describe('CurrencySystem', () => {
+  let money: any;
+
+  beforeAll(() => {
+    money = (window as any).CurrencySystem;
+  });
+
+  describe('amounts', () => {
+    it('should format each currency its own way', () => {
+      expect(money.format(1.5, USD)).toBe('$1.50');
+      expect(money.format(1.5, EUR)).toBe('1,50 €');
+      expect(money.format(1234.5, EUR)).toBe('1.234,50 €');
+      expect(money.format(25, PHP)).toBe('₱25.00');
+      expect(money.format(1200, JPY)).toBe('¥1,200');
+      expect(money.format(-2, USD)).toBe('$2.00');
+      expect(money.format(NaN, USD)).toBe('$0.00');
+    });
+
+    it('should add up without floating point error', () => {
+      expect(money.sum([0.10, 0.20], USD)).toBe(0.3);
+      expect(money.round(0.1 + 0.2, USD)).toBe(0.3);
+      expect(money.round(437.6, JPY)).toBe(438);
+    });
+  });
+
+  describe('fewestPieces', () => {
+    it('should make change with the fewest coins and bills', () => {
+      expect(money.fewestPieces(3.41, USD).map((p: any) => [p.label, p.count]))
+        .toEqual([['$1', 3], ['25¢', 1], ['10¢', 1], ['5¢', 1], ['1¢', 1]]);
+      expect(money.fewestPieces(0.80, EUR).map((p: any) => [p.label, p.count]))
+        .toEqual([['50c', 1], ['20c', 1], ['10c', 1]]);
+      expect(money.fewestPieces(563, JPY).map((p: any) => [p.label, p.count]))
+        .toEqual([['¥500', 1], ['¥50', 1], ['¥10', 1], ['¥1', 3]]);
+      expect(money.fewestPieces(0, USD)).toEqual([]);
+    });
+
+    it('should find the best way where taking the biggest coin first does not', () => {
+      const odd = { ...USD, denominations: [1, 3, 4].map(value => ({ value, label: String(value), type: 'coin' })) };
+
+      expect(money.fewestPieces(6, odd).map((p: any) => [p.value, p.count])).toEqual([[3, 2]]);
+      expect(money.fewestPieces(0.5, odd)).toBeNull();
+    });
+  });
+
+  describe('checkChange', () => {
+    it('should check the amount and whether the fewest pieces were used', () => {
+      expect(money.checkChange([1, 0.25, 0.10, 0.10, 0.05], 1.50, USD)).toMatchObject({
+        amountCorrect: true, fewestUsed: false, given: 1.5, pieces: 5
+      });
+      expect(money.checkChange([1, 0.25, 0.25], 1.50, USD).fewestUsed).toBe(true);
+      expect(money.checkChange([1, 0.25, 0.25], 1.50, EUR).fewestUsed).toBe(false);
+      expect(money.checkChange([1, 0.5], 1.50, EUR).fewestUsed).toBe(true);
+      expect(money.checkChange([1, 0.25], 1.50, USD)).toMatchObject({ amountCorrect: false, fewestUsed: false });
+      expect(money.checkChange([], 0, USD)).toMatchObject({ amountCorrect: true, fewestUsed: true });
+    });
+
+    it('should describe the best way to make the change', () => {
+      expect(money.describePieces(money.checkChange([], 1.30, USD).fewest)).toBe('1 × $1, 1 × 25¢, 1 × 5¢');
+    });
+  });
+
+  describe('generatePayment', () => {
+    it('should pay the total rounded up or with a bill that covers it', () => {
+      const payments = [0, 0.3, 0.6, 0.99].map(r => money.generatePayment(3.40, USD, () => r));
+      expect(payments).toEqual([4, 5, 10, 20]);
+
+      expect(money.generatePayment(437, JPY, () => 0)).toBe(500);
+      expect(money.generatePayment(237.5, PHP, () => 0)).toBe(240);
+      // A bill equal to the rounded total is only offered once
+      expect([0, 0.5, 0.99].map(r => money.generatePayment(5, USD, () => r))).toEqual([5, 10, 20]);
+    });
+  });
+
+  describe('shop items', () => {
+    it('should price every item in every currency', () => {
+      for (const code of Object.keys(CURRENCIES)) {
+        getItemsForCurrency(code).forEach((item: any, index: number) => {
+          expect(item.price).toBeGreaterThan(item.cost);
+          expect(item.id).toBe(CANDY_ITEMS[index].id);
+        });
+      }
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * FlipTracker Unit Tests
+ *
+ * Tests for Treasure Chest Memory's avoidable mismatches and memory efficiency.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+// Classic script - attaches itself to window
+import '../../games/treasure-chest-memory/FlipTracker.js';
+
+const THRESHOLDS = { THREE_STAR: 0.9, TWO_STAR: 0.6, ONE_STAR: 0 };
+
+// Cards by index: pairs A=0 at 0 and 3, B=1 at 1 and 4, C=2 at 2 and 5
+const PAIRS = [0, 1, 2, 0, 1, 2];
+const card = (index: number) => ({ index, pairId: PAIRS[index] });
+
+describe('FlipTracker', () => {
+  let tracker: any;
+
+  beforeAll(() => {
+    tracker = (window as any).FlipTracker;
+  });
+
+  it('should not count exploring new cards as avoidable', () => {
+    const t = tracker.createTracker();
+
+    expect(tracker.recordTurn(t, card(0), card(1))).toEqual({ matched: false, avoidable: false });
+    expect(tracker.recordTurn(t, card(2), card(3))).toEqual({ matched: false, avoidable: false });
+    expect(tracker.recordTurn(t, card(0), card(3))).toEqual({ matched: true, avoidable: false });
+    expect(t.seen).toEqual({ 1: 1, 2: 2 });
+  });
+
+  it('should count missing a partner that was already seen', () => {
+    const t = tracker.createTracker();
+    tracker.recordTurn(t, card(0), card(1));
+
+    // Card 4 is B, and B was seen at 1 - it should have been matched
+    expect(tracker.recordTurn(t, card(4), card(2)).avoidable).toBe(true);
+  });
+
+  it('should count flipping a card already known not to match', () => {
+    const t = tracker.createTracker();
+    tracker.recordTurn(t, card(0), card(1));
+
+    // Card 2 is new, but card 1 was seen and is not C
+    expect(tracker.recordTurn(t, card(2), card(1)).avoidable).toBe(true);
+  });
+
+  it('should treat preview cards as seen', () => {
+    const t = tracker.createTracker();
+    tracker.recordPreview(t, PAIRS.map(pairId => ({ pairId })));
+
+    expect(tracker.recordTurn(t, card(0), card(1)).avoidable).toBe(true);
+  });
+
+  it('should score efficiency against the flips a perfect memory needed', () => {
+    const t = tracker.createTracker();
+    tracker.recordTurn(t, card(0), card(1));   // exploring
+    tracker.recordTurn(t, card(4), card(2));   // forgot B
+    tracker.recordTurn(t, card(1), card(4));
+    tracker.recordTurn(t, card(3), card(0));
+    tracker.recordTurn(t, card(2), card(5));
+
+    expect(tracker.summarize(t)).toEqual({
+      flips: 10,
+      optimalFlips: 8,
+      mismatches: 2,
+      avoidableMismatches: 1,
+      efficiency: 0.8
+    });
+    expect(tracker.summarize(tracker.createTracker()).efficiency).toBe(0);
+  });
+
+  it('should judge triples by the group being built', () => {
+    // Triples: A at 0, 3, 6 and B at 1, 4, 7
+    const triple = (index: number) => ({ index, pairId: index % 3 });
+    const t = tracker.createTracker();
+
+    expect(tracker.recordTurn(t, triple(0), triple(3), triple(1))).toEqual({ matched: false, avoidable: false });
+    // The third A is still unknown, so trying a new card is fair
+    expect(tracker.recordTurn(t, triple(0), triple(3), triple(4)).avoidable).toBe(false);
+    // Two As were seen, so a new card after the third A should have been one of them
+    expect(tracker.recordTurn(t, triple(6), triple(7)).avoidable).toBe(true);
+    expect(tracker.recordTurn(t, triple(0), triple(3), triple(6))).toEqual({ matched: true, avoidable: false });
+    expect(tracker.summarize(t)).toMatchObject({ flips: 11, optimalFlips: 9 });
+  });
+
+  it('should count every wrong tap in sequence mode', () => {
+    const t = tracker.createTracker();
+    tracker.recordStep(t, true);
+    tracker.recordStep(t, false);
+    tracker.recordStep(t, true);
+    tracker.recordStep(t, true);
+
+    expect(tracker.summarize(t)).toEqual({
+      flips: 4,
+      optimalFlips: 3,
+      mismatches: 1,
+      avoidableMismatches: 1,
+      efficiency: 0.75
+    });
+  });
+
+  it('should give stars from the thresholds', () => {
+    expect(tracker.getStars(1, THRESHOLDS)).toBe(3);
+    expect(tracker.getStars(0.9, THRESHOLDS)).toBe(3);
+    expect(tracker.getStars(0.8, THRESHOLDS)).toBe(2);
+    expect(tracker.getStars(0.5, THRESHOLDS)).toBe(1);
+  });
+});
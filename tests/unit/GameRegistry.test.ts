@@ -0,0 +1,98 @@
+/**
+ * GameRegistry Unit Tests
+ *
+ * Tests for the shared game registry and its folder validation.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { readdirSync, statSync } from 'fs';
+import { resolve } from 'path';
+
+// Classic script - attaches itself to window
+import '../../shared-assets/core/GameRegistry.js';
+
+const GAMES_DIR = resolve(__dirname, '../../games');
+
+describe('GameRegistry', () => {
+  let registry: any;
+
+  beforeAll(() => {
+    registry = (window as any).GameRegistry;
+  });
+
+  describe('entries', () => {
+    it('should attach to window', () => {
+      expect(registry).toBeDefined();
+    });
+
+    it('should have a registry entry for every games/ folder', () => {
+      const folders = readdirSync(GAMES_DIR)
+        .filter((name) => statSync(resolve(GAMES_DIR, name)).isDirectory());
+
+      expect(() => registry.validate(folders)).not.toThrow();
+    });
+
+    it('should include proverb-ascension', () => {
+      expect(registry.has('proverb-ascension')).toBe(true);
+      expect(registry.getName('proverb-ascension')).toBe('Proverb Ascension');
+    });
+
+    it('should be frozen', () => {
+      expect(Object.isFrozen(registry.getAll())).toBe(true);
+      expect(Object.isFrozen(registry.get('star-counter'))).toBe(true);
+    });
+
+    it('should return null for unknown games', () => {
+      expect(registry.get('missing-game')).toBeNull();
+      expect(registry.getName('missing-game')).toBeNull();
+      expect(registry.resolvePath('missing-game')).toBeNull();
+    });
+  });
+
+  describe('validate', () => {
+    it('should throw when a folder has no entry', () => {
+      const folders = [...registry.getIds(), 'brand-new-game'];
+
+      expect(() => registry.validate(folders)).toThrow(/brand-new-game: folder has no registry entry/);
+    });
+
+    it('should throw when an entry has no folder', () => {
+      const folders = registry.getIds().filter((id: string) => id !== 'candy-shop');
+
+      expect(() => registry.validate(folders)).toThrow(/candy-shop: registry entry has no games\/ folder/);
+    });
+  });
+
+  describe('lookups', () => {
+    it('should resolve paths from the project root', () => {
+      expect(registry.resolvePath('flappy-cinnamoroll')).toBe('./flappy.html');
+      expect(registry.resolvePath('puzzle-path')).toBe('./games/puzzle-path/index.html');
+    });
+
+    it('should only list assessed games with a storage key and skill weights', () => {
+      const assessed = registry.getAssessedGames();
+      const ids = assessed.map((game: any) => game.id);
+
+      expect(ids).toContain('star-counter');
+      expect(ids).not.toContain('career-clouds');
+      expect(ids).not.toContain('flappy-cinnamoroll');
+      assessed.forEach((game: any) => {
+        expect(game.storageKeys).toContain(game.assessmentKey);
+      });
+    });
+
+    it('should match exact keys and per-difficulty prefixes', () => {
+      expect(registry.ownsStorageKey('star-counter', 'starCounterProgress')).toBe(true);
+      expect(registry.ownsStorageKey('star-counter', 'starCounterHighScore_4')).toBe(true);
+      expect(registry.ownsStorageKey('star-counter', 'memoryHighScore_4')).toBe(false);
+    });
+
+    it('should know which keys keep each player\'s data separately', () => {
+      expect(registry.isPlayerStorageKey('story-cloud', 'storyCloudSaves')).toBe(true);
+      expect(registry.isPlayerStorageKey('story-cloud', 'storyCloudLeaderboard')).toBe(false);
+      registry.getAll().forEach((game: any) => {
+        game.playerStorageKeys.forEach((key: string) => expect(game.storageKeys).toContain(key));
+      });
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * HotSeat Unit Tests
+ *
+ * Tests for Treasure Chest Memory's two player turns and results.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+// Classic scripts - attach themselves to window
+import '../../games/treasure-chest-memory/FlipTracker.js';
+import '../../games/treasure-chest-memory/HotSeat.js';
+
+const THRESHOLDS = { THREE_STAR: 0.9, TWO_STAR: 0.6, ONE_STAR: 0 };
+const POINTS = { match: 100, penalty: 10 };
+const PLAYERS = [{ name: 'Mika', age: 8 }, { name: 'Sora', age: 10 }];
+
+// Cards by index: A at 0 and 2, B at 1 and 3
+const card = (index: number) => ({ index, pairId: index % 2 });
+
+describe('HotSeat', () => {
+  let hotSeat: any;
+  let tracker: any;
+
+  beforeAll(() => {
+    hotSeat = (window as any).HotSeat;
+    tracker = (window as any).FlipTracker;
+  });
+
+  // Plays a turn for whoever is up, the way the game does
+  function play(match: any, ...cards: any[]) {
+    const turn = tracker.recordTurn(hotSeat.getCurrentPlayer(match).tracker, ...cards);
+    return hotSeat.recordTurn(match, turn, POINTS);
+  }
+
+  it('should keep the turn after a match and pass it after a mismatch', () => {
+    const match = hotSeat.createMatch(PLAYERS);
+
+    expect(play(match, card(0), card(2))).toBe(false);
+    expect(hotSeat.getCurrentPlayer(match).name).toBe('Mika');
+    expect(play(match, card(1), card(4))).toBe(true);
+    expect(hotSeat.getCurrentPlayer(match).name).toBe('Sora');
+    expect(match.players.map((p: any) => p.score)).toEqual([100, 0]);
+  });
+
+  it('should share what has been seen between players', () => {
+    const match = hotSeat.createMatch(PLAYERS);
+    play(match, card(0), card(1));
+
+    // Sora watched card 1 turn over, so missing it is Sora's mistake
+    const turn = tracker.recordTurn(hotSeat.getCurrentPlayer(match).tracker, card(3), card(4));
+    expect(turn.avoidable).toBe(true);
+    hotSeat.recordTurn(match, turn, POINTS);
+
+    expect(match.players[0].tracker.avoidableMismatches).toBe(0);
+    expect(match.players[1].tracker.avoidableMismatches).toBe(1);
+  });
+
+  it('should rank players and name the winner', () => {
+    const match = hotSeat.createMatch(PLAYERS);
+    play(match, card(0), card(1));
+    play(match, card(1), card(3));
+
+    const { winners, ranking } = hotSeat.getResults(match, THRESHOLDS);
+
+    expect(winners).toEqual(['Sora']);
+    expect(ranking.map((p: any) => [p.name, p.score, p.pairs, p.stars])).toEqual([
+      ['Sora', 100, 1, 3],
+      ['Mika', 0, 0, 3]
+    ]);
+  });
+
+  it('should report a tie', () => {
+    const match = hotSeat.createMatch(PLAYERS);
+
+    expect(hotSeat.getResults(match, THRESHOLDS).winners).toEqual(['Mika', 'Sora']);
+    expect(hotSeat.getResults(match, THRESHOLDS).ranking[0].stars).toBe(0);
+  });
+});
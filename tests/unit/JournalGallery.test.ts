@@ -0,0 +1,128 @@
+/**
+ * JournalGallery Unit Tests
+ *
+ * Tests for the Dream Journal's tags, search, calendar heat-map and exports.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+// Classic script - attaches itself to window
+import '../../games/dream-journal/JournalGallery.js';
+
+const ENTRIES = [
+  {
+    id: 3, date: '2026-10-18', displayDate: 'Sunday, October 18', category: 'adventures',
+    prompt: 'What would you discover at the bottom of the ocean?', mood: 'excited',
+    tags: ['ocean', 'friends'], text: 'A glowing whale sang to us.', wordCount: 6
+  },
+  {
+    id: 2, date: '2026-10-12', displayDate: 'Monday, October 12', category: 'feelings',
+    prompt: 'What makes you feel safe and happy?', mood: 'calm',
+    tags: ['family'], text: 'Hot cocoa with my family <3', wordCount: 6
+  },
+  {
+    id: 1, date: '2026-10-12', displayDate: 'Monday, October 12', category: 'dreams',
+    prompt: 'Write about a dream you remember having.',
+    text: 'I flew over the OCEAN on a cloud.', wordCount: 8
+  }
+];
+
+const LABELS = {
+  categories: [{ id: 'adventures', name: 'Adventures', icon: '🗺️' }],
+  moods: [{ id: 'excited', name: 'Excited', icon: '🤩' }]
+};
+
+describe('JournalGallery', () => {
+  let gallery: any;
+
+  beforeAll(() => {
+    gallery = (window as any).JournalGallery;
+  });
+
+  describe('parseTags', () => {
+    it('should tidy typed tags', () => {
+      expect(gallery.parseTags('Friends, #space  rainbow-day, friends')).toEqual(['friends', 'space', 'rainbow-day']);
+      expect(gallery.parseTags('  ')).toEqual([]);
+      expect(gallery.parseTags(undefined)).toEqual([]);
+    });
+
+    it('should keep at most eight tags', () => {
+      expect(gallery.parseTags('a b c d e f g h i j')).toHaveLength(8);
+    });
+  });
+
+  describe('filterEntries', () => {
+    const ids = (entries: any[]) => entries.map(e => e.id);
+
+    it('should match every word, case-insensitively, in text and prompts', () => {
+      expect(ids(gallery.filterEntries(ENTRIES, { query: 'ocean' }))).toEqual([3, 1]);
+      expect(ids(gallery.filterEntries(ENTRIES, { query: 'ocean CLOUD' }))).toEqual([1]);
+      expect(ids(gallery.filterEntries(ENTRIES, { query: 'dragons' }))).toEqual([]);
+    });
+
+    it('should match #tags against tags only', () => {
+      expect(ids(gallery.filterEntries(ENTRIES, { query: '#ocean' }))).toEqual([3]);
+      expect(ids(gallery.filterEntries(ENTRIES, { query: '#family cocoa' }))).toEqual([2]);
+    });
+
+    it('should filter by category and day', () => {
+      expect(ids(gallery.filterEntries(ENTRIES, { category: 'feelings' }))).toEqual([2]);
+      expect(ids(gallery.filterEntries(ENTRIES, { date: '2026-10-12' }))).toEqual([2, 1]);
+      expect(ids(gallery.filterEntries(ENTRIES, {}))).toEqual([3, 2, 1]);
+    });
+  });
+
+  describe('buildHeatmap', () => {
+    it('should lay out weeks Sunday first, ending today', () => {
+      // 2026-10-19 is a Monday
+      const map = gallery.buildHeatmap({}, { end: '2026-10-19', weeks: 2 });
+
+      expect(map.weeks).toHaveLength(2);
+      expect(map.weeks[0][0].date).toBe('2026-10-11');
+      expect(map.weeks[1][0].date).toBe('2026-10-18');
+      expect(map.weeks[1][1].date).toBe('2026-10-19');
+      expect(map.weeks[1].slice(2)).toEqual([null, null, null, null, null]);
+    });
+
+    it('should shade days by words written', () => {
+      const days = {
+        '2026-10-12': { entries: 2, words: 100 },
+        '2026-10-14': { entries: 1, words: 10 },
+        '2026-09-01': { entries: 1, words: 500 }
+      };
+      const map = gallery.buildHeatmap(days, { end: '2026-10-19', weeks: 2 });
+
+      expect(map.activeDays).toBe(2);
+      expect(map.maxWords).toBe(100);
+      expect(map.weeks[0][1]).toEqual({ date: '2026-10-12', entries: 2, words: 100, level: 4 });
+      expect(map.weeks[0][3].level).toBe(1);
+      expect(map.weeks[0][2].level).toBe(0);
+    });
+
+    it('should cover a year by default', () => {
+      expect(gallery.buildHeatmap({}, { end: '2026-10-19' }).weeks).toHaveLength(53);
+    });
+  });
+
+  describe('exports', () => {
+    it('should write Markdown oldest first', () => {
+      const markdown = gallery.toMarkdown(ENTRIES, { title: "Mia's Dream Journal", ...LABELS });
+
+      expect(markdown.startsWith("# Mia's Dream Journal\n")).toBe(true);
+      expect(markdown.indexOf('I flew over')).toBeLessThan(markdown.indexOf('Hot cocoa'));
+      expect(markdown.indexOf('Hot cocoa')).toBeLessThan(markdown.indexOf('glowing whale'));
+      expect(markdown).toContain('## Sunday, October 18 (2026-10-18)');
+      expect(markdown).toContain('*🗺️ Adventures · Mood: 🤩 Excited · #ocean #friends · 6 words*');
+    });
+
+    it('should make a booklet page per entry with the writing escaped', () => {
+      const html = gallery.toBookletHtml(ENTRIES, { author: 'Mia', ...LABELS });
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+
+      expect(doc.title).toBe('My Dream Journal');
+      expect(doc.querySelectorAll('section.page')).toHaveLength(3);
+      expect(doc.querySelector('.cover')?.textContent).toContain('3 entries · 2026-10-12 - 2026-10-18');
+      expect(html).toContain('Hot cocoa with my family &lt;3');
+    });
+  });
+});
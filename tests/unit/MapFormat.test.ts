@@ -0,0 +1,308 @@
+/**
+ * MapFormat Unit Tests
+ *
+ * Tests for the Cloud Kingdom map file format and reachability validator.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+// Classic script - attaches itself to window
+import '../../games/cloud-kingdom/MapFormat.js';
+
+const ITEMS = ['golden_key', 'flower', 'gem', 'candy', 'map_scroll'];
+
+// 5x4 island with a tree wall splitting off the right-hand column
+function island(overrides: Record<string, any> = {}) {
+  return {
+    id: 'test_isle',
+    name: 'Test Isle',
+    width: 5,
+    height: 4,
+    tileTypes: { 0: 'void', 1: 'cloud', 2: 'tree' },
+    tiles: [
+      [1, 1, 1, 2, 1],
+      [1, 1, 1, 2, 1],
+      [1, 1, 1, 2, 1],
+      [0, 0, 0, 0, 0],
+    ],
+    entities: [
+      { id: 'gem_1', type: 'item', itemId: 'gem', x: 2, y: 0, sprite: '💎' },
+      { id: 'npc_1', type: 'npc', x: 0, y: 2, sprite: '🐕', name: 'Mocha', dialog: ['Woof!'] },
+    ],
+    playerStart: { x: 0, y: 0 },
+    quests: [{ id: 'q1', title: 'Gem Hunt', desc: 'Collect 1 gem', type: 'collect', target: 'gem', amount: 1 }],
+    exitPoint: { x: 2, y: 2, nextMap: null },
+    ...overrides,
+  };
+}
+
+describe('MapFormat', () => {
+  let format: any;
+
+  beforeAll(() => {
+    format = (window as any).MapFormat;
+  });
+
+  const messages = (result: any) => result.errors.map((e: any) => e.message);
+
+  describe('validate', () => {
+    it('should accept a map whose exit and items are reachable', () => {
+      const result = format.validate(island(), { items: ITEMS });
+
+      expect(result.errors).toEqual([]);
+      expect(result.valid).toBe(true);
+      expect(result.reachable.has('2,2')).toBe(true);
+      expect(result.reachable.has('4,0')).toBe(false);
+    });
+
+    it('should report an exit behind a wall', () => {
+      const result = format.validate(island({ exitPoint: { x: 4, y: 1, nextMap: null } }));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContainEqual({ at: { x: 4, y: 1 }, message: 'The exit cannot be reached from playerStart' });
+    });
+
+    it('should report items that cannot be reached or sit on solid tiles', () => {
+      const map = island();
+      map.entities.push(
+        { id: 'key_1', type: 'item', itemId: 'golden_key', x: 4, y: 2, sprite: '🗝️' },
+        { id: 'gem_2', type: 'item', itemId: 'gem', x: 3, y: 0, sprite: '💎' },
+      );
+
+      expect(messages(format.validate(map))).toEqual([
+        '"key_1" cannot be reached from playerStart',
+        '"gem_2" sits on a tile nobody can walk on',
+      ]);
+    });
+
+    it('should report quests that need more items than can be reached', () => {
+      const map = island({ quests: [{ id: 'q1', title: 'Gem Hunt', type: 'collect', target: 'gem', amount: 2 }] });
+
+      expect(messages(format.validate(map))).toContain('Quest "Gem Hunt" needs 2 gem but only 1 can be reached');
+    });
+
+    it('should require a quest so the exit can open', () => {
+      expect(format.validate(island({ quests: [] })).valid).toBe(false);
+    });
+
+    it('should report a start on a solid tile', () => {
+      const result = format.validate(island({ playerStart: { x: 3, y: 0 } }));
+
+      expect(messages(result)).toContain('playerStart is not on a walkable tile');
+      expect(messages(result)).toContain('The exit cannot be reached from playerStart');
+    });
+
+    it('should report broken grids and legends', () => {
+      expect(messages(format.validate(island({ height: 5 })))).toEqual(['Map has 4 tile rows but a height of 5']);
+      expect(messages(format.validate(island({ tileTypes: { 0: 'void', 1: 'cloud', 2: 'lava' } }))))
+        .toContain('Legend 2 uses unknown tile type "lava"');
+      expect(messages(format.validate(island({ tileTypes: { 0: 'void', 1: 'cloud' } }))))
+        .toContain('Tile 2 is not in the tileTypes legend');
+    });
+
+    it('should report duplicate ids and unknown items', () => {
+      const map = island();
+      map.entities.push({ id: 'gem_1', type: 'item', itemId: 'moon_cheese', x: 1, y: 1, sprite: '🧀' });
+
+      expect(messages(format.validate(map, { items: ITEMS }))).toEqual([
+        'Duplicate entity id "gem_1"',
+        '"gem_1" uses unknown item "moon_cheese"',
+      ]);
+    });
+
+    it('should warn about NPCs nobody can talk to', () => {
+      const map = island();
+      map.entities[1] = { id: 'npc_1', type: 'npc', x: 4, y: 0, sprite: '🐕', name: 'Mocha', dialog: [] };
+
+      const { valid, warnings } = format.validate(map);
+
+      expect(valid).toBe(true);
+      expect(warnings.map((w: any) => w.message)).toEqual([
+        '"npc_1" has nothing to say',
+        '"npc_1" cannot be reached from playerStart',
+      ]);
+    });
+
+    it('should check nextMap against the known maps', () => {
+      const map = island({ exitPoint: { x: 2, y: 2, nextMap: 'sky_garden' } });
+
+      expect(format.validate(map, { knownMaps: ['sky_garden'] }).warnings).toEqual([]);
+      expect(format.validate(map, { knownMaps: ['rainbow_bridge'] }).warnings[0].message)
+        .toBe('nextMap "sky_garden" is not a built-in or imported map yet');
+      expect(format.validate(island({ exitPoint: { x: 2, y: 2, nextMap: 'bad id!' } })).valid).toBe(false);
+    });
+  });
+
+  describe('locks', () => {
+    // A door at (3,1) leads through the tree wall to the right-hand column
+    const locked = (entities: any[]) => island({
+      tileTypes: { 0: 'void', 1: 'cloud', 2: 'tree', 3: 'door', 4: 'chest' },
+      tiles: [
+        [1, 1, 1, 2, 1],
+        [1, 1, 1, 3, 1],
+        [1, 4, 1, 2, 1],
+        [0, 0, 0, 0, 0],
+      ],
+      entities,
+      exitPoint: { x: 4, y: 2, nextMap: null },
+    });
+    const gem = (x: number, y: number) => ({ id: `gem_${x}_${y}`, type: 'item', itemId: 'gem', x, y });
+    const key = (x: number, y: number) => ({ id: `key_${x}_${y}`, type: 'item', itemId: 'golden_key', x, y });
+
+    it('should open a door with a key found on the way', () => {
+      const result = format.validate(locked([key(0, 2), gem(4, 0)]));
+
+      expect(result.errors).toEqual([]);
+      expect(result.reachable.has('3,1')).toBe(true);
+    });
+
+    it('should report what stays behind a door without a key', () => {
+      expect(messages(format.validate(locked([gem(4, 0)])))).toEqual([
+        'The exit cannot be reached from playerStart',
+        '"gem_4_0" cannot be reached from playerStart',
+        'Quest "Gem Hunt" needs 1 gem but only 0 can be reached',
+      ]);
+    });
+
+    it('should treat items on a chest as its contents', () => {
+      const result = format.validate(locked([key(0, 0), key(2, 0), gem(1, 2)]));
+
+      expect(result.errors).toEqual([]);
+      expect(result.reachable.has('1,2')).toBe(true);
+    });
+
+    it('should spend each key only once', () => {
+      const result = format.validate(locked([key(0, 0), gem(1, 2), gem(4, 0)]));
+
+      expect(result.valid).toBe(false);
+      expect(result.reachable.has('1,2') && result.reachable.has('3,1')).toBe(false);
+    });
+  });
+
+  describe('block puzzles and enemies', () => {
+    // A gate at (3,1) leads through the tree wall; the plate is at (0,2)
+    const gated = (entities: any[]) => island({
+      tileTypes: { 0: 'void', 1: 'cloud', 2: 'tree', 3: 'gate', 4: 'plate' },
+      tiles: [
+        [1, 1, 1, 2, 1],
+        [1, 1, 1, 3, 1],
+        [4, 1, 1, 2, 1],
+        [0, 0, 0, 0, 0],
+      ],
+      entities: [{ id: 'gem_1', type: 'item', itemId: 'gem', x: 4, y: 0 }, ...entities],
+      exitPoint: { x: 4, y: 2, nextMap: null },
+    });
+    const block = (x: number, y: number) => ({ id: `block_${x}_${y}`, type: 'block', x, y, sprite: '🪨' });
+
+    it('should open gates when there is a block for every plate', () => {
+      const result = format.validate(gated([block(1, 1)]));
+
+      expect(result.errors).toEqual([]);
+      expect(result.reachable.has('4,0')).toBe(true);
+    });
+
+    it('should report plates without enough blocks', () => {
+      expect(messages(format.validate(gated([])))).toContain('Map has 1 pressure plate but only 0 push blocks');
+      expect(format.validate(gated([])).reachable.has('4,0')).toBe(false);
+    });
+
+    it('should report gates with no plates', () => {
+      const map = gated([block(1, 1)]);
+      map.tiles[2][0] = 1;
+
+      expect(messages(format.validate(map)))
+        .toContain('Gates open when blocks cover every pressure plate, but the map has no plates');
+    });
+
+    it('should push blocks only onto free walkable tiles', () => {
+      const map = gated([block(1, 1)]);
+      const pushed = map.entities.find((e: any) => e.type === 'block');
+
+      expect(format.canPushBlock(map, pushed, -1, 0)).toBe(true);
+      expect(format.canPushBlock(map, pushed, 0, 1)).toBe(true);
+      // Into the shut gate, onto the gem, off the island and onto the exit
+      expect(format.canPushBlock(map, block(2, 1), 1, 0)).toBe(false);
+      expect(format.canPushBlock(map, block(3, 0), 1, 0)).toBe(false);
+      expect(format.canPushBlock(map, block(1, 2), 0, 1)).toBe(false);
+      expect(format.canPushBlock(map, block(4, 1), 0, 1)).toBe(false);
+    });
+
+    it('should not push a block onto an enemy', () => {
+      const map = gated([block(1, 1)]);
+      const pushed = map.entities.find((e: any) => e.type === 'block');
+      const enemies = [{ x: 0, y: 1 }];
+      const isOccupied = (x: number, y: number) => enemies.some(e => e.x === x && e.y === y);
+
+      expect(format.canPushBlock(map, pushed, -1, 0, isOccupied)).toBe(false);
+      expect(format.canPushBlock(map, pushed, 1, 0, isOccupied)).toBe(true);
+
+      enemies[0].y = 2;
+      expect(format.canPushBlock(map, pushed, -1, 0, isOccupied)).toBe(true);
+    });
+
+    it('should check enemies and blocks stand on walkable tiles', () => {
+      const map = island();
+      map.entities.push(
+        { id: 'enemy_1', type: 'enemy', enemyId: 'rain_cloud', x: 1, y: 1, axis: 'y' },
+        { id: 'enemy_2', type: 'enemy', enemyId: 'dragon', x: 1, y: 2, axis: 'z' },
+        { id: 'block_1', type: 'block', x: 3, y: 1 },
+      );
+
+      expect(messages(format.validate(map, { enemies: ['rain_cloud'] }))).toEqual([
+        '"enemy_2" uses unknown enemy "dragon"',
+        '"enemy_2" must patrol along "x" or "y"',
+        '"block_1" sits on a tile nobody can walk on',
+      ]);
+    });
+  });
+
+  describe('parse and serialize', () => {
+    it('should round-trip a map through JSON', () => {
+      const text = format.serialize(island({ exitPoint: { x: 2, y: 2, nextMap: 'rainbow_bridge' } }));
+      const { success, map } = format.parse(text);
+
+      expect(success).toBe(true);
+      expect(map.format).toBe('cloud-kingdom-map');
+      expect(map.tiles).toEqual(island().tiles);
+      expect(map.exitPoint.nextMap).toBe('rainbow_bridge');
+      expect(text).toContain('\n    [1,1,1,2,1],\n');
+    });
+
+    it('should reject other formats, newer versions and bad JSON', () => {
+      expect(format.parse('{"format":"story-cloud"}').error).toBe('Unknown map format "story-cloud"');
+      expect(format.parse('{"version":99}').success).toBe(false);
+      expect(format.parse('not json').error).toMatch(/^Invalid JSON/);
+      expect(format.parse('[1,2]').success).toBe(false);
+    });
+  });
+
+  describe('editing helpers', () => {
+    it('should create a blank island with the start inside the void ring', () => {
+      const map = format.createBlank(6, 5);
+
+      expect(map.tiles[0]).toEqual([0, 0, 0, 0, 0, 0]);
+      expect(map.tiles[2]).toEqual([0, 1, 1, 1, 1, 0]);
+      expect(map.exitPoint).toEqual({ x: 4, y: 3, nextMap: null });
+      expect(format.validate(map).errors.map((e: any) => e.message))
+        .toEqual(['Map needs at least one quest - the exit opens when all quests are complete']);
+    });
+
+    it('should resize with void and drop entities off the edge', () => {
+      const map = format.resize(island({ tileTypes: { 1: 'cloud', 2: 'tree' } }), 6, 3);
+
+      expect(map.tiles).toHaveLength(3);
+      expect(map.tiles[0]).toEqual([1, 1, 1, 2, 1, 3]);
+      expect(map.tileTypes[3]).toBe('void');
+      expect(map.entities.map((e: any) => e.id)).toEqual(['gem_1', 'npc_1']);
+      expect(format.resize(map, 2, 2).entities).toEqual([]);
+    });
+
+    it('should reuse legend numbers and add new ones', () => {
+      const map = island();
+
+      expect(format.getTileId(map, 'tree')).toBe(2);
+      expect(format.getTileId(map, 'water')).toBe(3);
+      expect(map.tileTypes[3]).toBe('water');
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * MapGenerator Unit Tests
+ *
+ * Tests for the seeded Cloud Kingdom island generator.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+// Classic scripts - attach themselves to window
+import '../../games/cloud-kingdom/MapFormat.js';
+import '../../games/cloud-kingdom/MapGenerator.js';
+
+// Mirrors KINGDOM_CONFIG.DIFFICULTY_SETTINGS
+const SETTINGS: Record<number, { mapSize: number; puzzles: string | false; enemies: string | false }> = {
+  1: { mapSize: 8, puzzles: false, enemies: false },
+  2: { mapSize: 12, puzzles: 'simple', enemies: false },
+  3: { mapSize: 16, puzzles: 'moderate', enemies: false },
+  4: { mapSize: 20, puzzles: 'complex', enemies: false },
+  5: { mapSize: 24, puzzles: 'complex', enemies: 'passive' },
+  6: { mapSize: 32, puzzles: 'advanced', enemies: 'passive' },
+  7: { mapSize: 40, puzzles: 'advanced', enemies: 'active' },
+};
+
+const ITEMS = ['golden_key', 'flower', 'gem', 'candy', 'map_scroll'];
+const ENEMIES = ['rain_cloud', 'candy_crow', 'thunder_cloud'];
+
+describe('MapGenerator', () => {
+  let generator: any;
+  let format: any;
+
+  const build = (seed: string, level: number) =>
+    generator.generate({ seed, level, size: SETTINGS[level].mapSize, ...SETTINGS[level] });
+  const countTiles = (map: any, name: string) =>
+    map.tiles.flat().filter((tile: number) => map.tileTypes[tile] === name).length;
+
+  beforeAll(() => {
+    generator = (window as any).MapGenerator;
+    format = (window as any).MapFormat;
+  });
+
+  describe('seeds', () => {
+    it('should give the same map for the same seed and level', () => {
+      expect(build('PANDA42', 3)).toEqual(build('panda-42', 3));
+    });
+
+    it('should give different maps for different seeds', () => {
+      expect(build('PANDA42', 3).tiles).not.toEqual(build('PANDA43', 3).tiles);
+    });
+
+    it('should round-trip map ids', () => {
+      const id = generator.makeId(4, 'moon 7');
+
+      expect(id).toBe('seed_4_MOON7');
+      expect(generator.parseId(id)).toEqual({ level: 4, seed: 'MOON7' });
+      expect(generator.parseId('starter_island')).toBeNull();
+    });
+
+    it('should make shareable random seeds', () => {
+      expect(generator.randomSeed()).toMatch(/^[A-Z]+\d{2}$/);
+    });
+  });
+
+  describe('generate', () => {
+    it.each([1, 2, 3, 4, 5, 6, 7])('should build a playable level %i island of the configured size', (level) => {
+      ['PANDA42', 'CLOUD', 'Z9'].forEach((seed) => {
+        const map = build(seed, level);
+        const result = format.validate(map, { items: ITEMS, enemies: ENEMIES });
+
+        expect(map.width).toBe(SETTINGS[level].mapSize);
+        expect(map.tiles).toHaveLength(SETTINGS[level].mapSize);
+        expect(result.errors).toEqual([]);
+        expect(result.warnings).toEqual([]);
+      });
+    });
+
+    it('should add one golden key per door and chest', () => {
+      const map = build('PANDA42', 6);
+      const locks = countTiles(map, 'door') + countTiles(map, 'chest');
+      const keys = map.entities.filter((e: any) => e.itemId === 'golden_key').length;
+
+      expect(locks).toBe(5);
+      expect(keys).toBe(locks);
+      expect(map.quests.find((q: any) => q.target === 'golden_key').amount).toBe(keys);
+    });
+
+    it('should not lock anything on puzzle-free levels', () => {
+      const map = build('PANDA42', 1);
+
+      expect(countTiles(map, 'door') + countTiles(map, 'chest')).toBe(0);
+      expect(map.quests.map((q: any) => q.target)).not.toContain('golden_key');
+    });
+
+    it('should ask for every gem on the island', () => {
+      const map = build('STAR', 4);
+      const gems = map.entities.filter((e: any) => e.itemId === 'gem').length;
+
+      expect(map.quests[0]).toMatchObject({ type: 'collect', target: 'gem', amount: gems });
+    });
+
+    it('should hide treasure behind every lock', () => {
+      const map = build('PANDA42', 3);
+      const start = format.findReachable({ ...map, entities: [] }, map.playerStart);
+      const locked = map.entities.filter((e: any) => !start.has(`${e.x},${e.y}`));
+
+      expect(locked.length).toBeGreaterThan(0);
+      locked.forEach((entity: any) => expect(entity.itemId).toBe('gem'));
+    });
+
+    it('should add a block puzzle that opens a gate from the complex tier', () => {
+      const map = build('PANDA42', 4);
+      const blocks = map.entities.filter((e: any) => e.type === 'block');
+      const [plate] = map.tiles.flatMap((row: number[], y: number) =>
+        row.map((tile, x) => ({ x, y, name: map.tileTypes[tile] }))).filter((c: any) => c.name === 'plate');
+
+      expect(countTiles(map, 'gate')).toBe(1);
+      expect(blocks).toHaveLength(1);
+      // Two pushes in a straight line put the block on the plate
+      expect(Math.abs(plate.x - blocks[0].x) + Math.abs(plate.y - blocks[0].y)).toBe(2);
+      expect(plate.x === blocks[0].x || plate.y === blocks[0].y).toBe(true);
+      expect(countTiles(build('PANDA42', 3), 'gate')).toBe(0);
+    });
+  });
+
+  describe('enemies', () => {
+    const enemiesOf = (map: any) => map.entities.filter((e: any) => e.type === 'enemy');
+
+    it('should only add enemies when the level asks for them', () => {
+      expect(enemiesOf(build('PANDA42', 4))).toEqual([]);
+      expect(enemiesOf(build('PANDA42', 5)).map((e: any) => e.enemyId)).toEqual(['rain_cloud', 'candy_crow']);
+    });
+
+    it('should add chasers on active levels, away from the start', () => {
+      const map = build('PANDA42', 7);
+      const enemies = enemiesOf(map);
+
+      expect(enemies.filter((e: any) => e.enemyId === 'thunder_cloud')).toHaveLength(2);
+      enemies.forEach((enemy: any) => {
+        expect(Math.abs(enemy.x - map.playerStart.x) + Math.abs(enemy.y - map.playerStart.y)).toBeGreaterThanOrEqual(4);
+        expect(['x', 'y']).toContain(enemy.axis);
+      });
+    });
+
+    it('should add enemies to hand-built maps without touching the original', () => {
+      const map = build('CLOUD', 3);
+      const withEnemies = generator.addEnemies(map, { seed: 'starter_island', enemies: 'passive' });
+
+      expect(enemiesOf(map)).toEqual([]);
+      expect(enemiesOf(withEnemies)).toHaveLength(1);
+      expect(generator.addEnemies(map, { seed: 'starter_island', enemies: 'passive' })).toEqual(withEnemies);
+      expect(format.validate(withEnemies, { items: ITEMS, enemies: ENEMIES }).errors).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * MatchModes Unit Tests
+ *
+ * Tests for Treasure Chest Memory's decks and the modes each difficulty offers.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  CARD_THEMES,
+  DIFFICULTY_PRESETS,
+  getConfigForDifficulty
+} from '../../games/treasure-chest-memory/memory.config.js';
+
+// Classic script - attaches itself to window
+import '../../games/treasure-chest-memory/MatchModes.js';
+
+const IMAGES = CARD_THEMES.cinnamoroll.images;
+const keepOrder = (array: any[]) => [...array];
+
+// Faces of each group, keyed by pairId
+function groupFaces(cards: any[]) {
+  const groups: Record<number, string[]> = {};
+  cards.forEach(card => {
+    (groups[card.pairId] ||= []).push(card.image);
+  });
+  return Object.values(groups);
+}
+
+describe('MatchModes', () => {
+  let modes: any;
+
+  beforeAll(() => {
+    modes = (window as any).MatchModes;
+  });
+
+  describe('buildDeck', () => {
+    it('should deal identical pairs in classic mode', () => {
+      const { cards, sequence } = modes.buildDeck(getConfigForDifficulty(2), { images: IMAGES });
+
+      expect(cards).toHaveLength(12);
+      groupFaces(cards).forEach(faces => {
+        expect(faces).toHaveLength(2);
+        expect(faces[0]).toBe(faces[1]);
+      });
+      expect(sequence).toEqual([]);
+    });
+
+    it('should deal three of a kind in triples mode', () => {
+      const settings = getConfigForDifficulty(4, 'triples');
+      const { cards } = modes.buildDeck(settings, { images: IMAGES });
+
+      expect(cards).toHaveLength(15);
+      expect(new Set(cards.map((card: any) => card.id)).size).toBe(15);
+      groupFaces(cards).forEach(faces => expect(new Set(faces)).toEqual(new Set([faces[0]])));
+      expect(modes.getGroupSize('triples')).toBe(3);
+    });
+
+    it('should pair up different faces that mean the same thing', () => {
+      const settings = { ...getConfigForDifficulty(3, 'concepts'), conceptSets: ['numbers'], pairs: 3 };
+      const { cards } = modes.buildDeck(settings, { images: IMAGES, shuffle: keepOrder });
+
+      expect(groupFaces(cards)).toEqual([['1', '●'], ['2', '●●'], ['3', '●●●']]);
+      expect(cards.map((card: any) => card.kind)).toEqual(['number', 'dots', 'number', 'dots', 'number', 'dots']);
+    });
+
+    it('should only draw from the allowed concept sets', () => {
+      const pairs = modes.buildConceptPairs(['words', 'letters'], 24, 9, keepOrder);
+
+      expect(pairs).toHaveLength(24);
+      expect(pairs).toContainEqual([{ image: 'cat', kind: 'word' }, { image: '🐱', kind: 'picture' }]);
+      expect(pairs).toContainEqual([{ image: 'G', kind: 'letter' }, { image: 'g', kind: 'letter' }]);
+      expect(pairs.flat().some((face: any) => face.kind === 'number')).toBe(false);
+    });
+
+    it('should pick an order of different cards in sequence mode', () => {
+      const settings = getConfigForDifficulty(3, 'sequence');
+      const { cards, sequence } = modes.buildDeck(settings, { images: IMAGES });
+
+      expect(cards).toHaveLength(12);
+      expect(new Set(cards.map((card: any) => card.image)).size).toBe(12);
+      expect(sequence).toHaveLength(5);
+      expect(new Set(sequence).size).toBe(5);
+      sequence.forEach((index: number) => expect(cards[index]).toBeDefined());
+    });
+  });
+
+  describe('difficulty presets', () => {
+    it('should fill the grid in every mode of every level', () => {
+      for (const [level, preset] of Object.entries(DIFFICULTY_PRESETS) as [string, any][]) {
+        for (const mode of Object.keys(preset.modes)) {
+          const settings = getConfigForDifficulty(Number(level), mode);
+          const { cards, sequence } = modes.buildDeck(settings, { images: IMAGES });
+
+          expect(cards.length, `level ${level} ${mode}`).toBe(settings.gridCols * settings.gridRows);
+          if (mode === 'sequence') expect(sequence).toHaveLength(settings.length);
+        }
+      }
+    });
+
+    it('should fall back to classic for modes a level does not offer', () => {
+      expect(getConfigForDifficulty(1, 'triples').mode).toBe('classic');
+      expect(getConfigForDifficulty(6, 'triples')).toMatchObject({ mode: 'triples', groups: 8, timeLimit: 90 });
+      expect(getConfigForDifficulty(6, 'triples').modes).toBeUndefined();
+    });
+  });
+});
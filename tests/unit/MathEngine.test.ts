@@ -0,0 +1,247 @@
+/**
+ * MathEngine Unit Tests
+ *
+ * Tests for the shared math engine: skill-tagged problems, misconception
+ * distractors, the curriculum and per-player mastery.
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+
+// Classic scripts - attach themselves to window
+import '../../shared-assets/player/PlayerManager.js';
+import '../../shared-assets/math/MathEngine.js';
+import { CURRENCIES } from '../../games/candy-shop/candy-shop.config.js';
+
+// Repeatable Math.random stand-in
+function seeded(seed: number) {
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+  };
+}
+
+describe('MathEngine', () => {
+  let engine: any;
+  let players: any;
+
+  beforeAll(() => {
+    engine = (window as any).MathEngine;
+    players = (window as any).PlayerManager;
+  });
+
+  beforeEach(() => {
+    players.logout();
+    window.localStorage.removeItem('mathSkillMastery');
+    window.localStorage.removeItem('mathMisconceptions');
+  });
+
+  describe('problems', () => {
+    it('should tag every problem with its skill and keep the answer out of the distractors', () => {
+      const random = seeded(7);
+      engine.getSkillIds().forEach((id: string) => {
+        for (let i = 0; i < 20; i++) {
+          const problem = engine.generate(id, { random });
+          expect(problem.skill).toBe(id);
+          expect(problem.skillName).toBe(engine.getSkill(id).name);
+          expect(typeof problem.answer).toBe('number');
+          expect(problem.distractors).not.toContain(problem.answer);
+          expect(new Set(problem.distractors).size).toBe(problem.distractors.length);
+          expect(problem.explanation).toBeTruthy();
+        }
+      });
+    });
+
+    it('should generate problems that fit the skill', () => {
+      const random = seeded(42);
+      for (let i = 0; i < 50; i++) {
+        const [a, b] = engine.generate('add-within-20-carry', { random }).question.match(/\d+/g).map(Number);
+        expect(a).toBeLessThan(10);
+        expect(b).toBeLessThan(10);
+        expect(a + b).toBeGreaterThan(10);
+
+        expect(engine.generate('add-within-10', { random }).answer).toBeLessThanOrEqual(10);
+      }
+    });
+
+    it('should use a game\'s number range where the skill has one', () => {
+      const random = seeded(3);
+      for (let i = 0; i < 30; i++) {
+        const operands = engine.generate('add-two-numbers', { numberRange: [1, 3], random }).question.match(/\d+/g).map(Number);
+        operands.forEach((n: number) => expect(n).toBeLessThanOrEqual(3));
+
+        // Fixed skills ignore it
+        expect(engine.generate('add-within-20-carry', { numberRange: [1, 3], random }).answer).toBeGreaterThan(10);
+      }
+    });
+  });
+
+  describe('money', () => {
+    const { EUR, JPY } = CURRENCIES as any;
+
+    it('should use dollars and cents without a currency', () => {
+      const random = seeded(13);
+      for (let i = 0; i < 20; i++) {
+        const problem = engine.generate('add-money', { random });
+        expect(problem.question).toMatch(/^\$\d+\.\d\d \+ \$\d+\.\d\d = \?$/);
+        expect(Math.round(problem.answer * 100) % 25).toBe(0);
+      }
+    });
+
+    it('should write and round amounts the way the currency does', () => {
+      const random = seeded(17);
+      for (let i = 0; i < 20; i++) {
+        const yen = engine.generate('make-change', { currency: JPY, random });
+        expect(yen.question).toMatch(/^Pay ¥[\d,]+ for ¥[\d,]+\. Change = \?$/);
+        expect(Number.isInteger(yen.answer)).toBe(true);
+        expect(yen.answer % 10).toBe(0);
+
+        const euros = engine.generate('add-money', { currency: EUR, random });
+        expect(euros.question).toMatch(/^\d+,\d\d € \+ \d+,\d\d € = \?$/);
+      }
+    });
+
+    it('should make change for a game\'s own amounts, with a unit out as a known mistake', () => {
+      const problem = engine.generate('make-change', { currency: EUR, amounts: [10, 3.45], random: seeded(1) });
+
+      expect(problem.question).toBe('Pay 10,00 € for 3,45 €. Change = ?');
+      expect(problem.answer).toBe(6.55);
+      expect(problem.explanation).toBe('10,00 € - 3,45 € = 6,55 €');
+      expect(problem.misconceptions).toMatchObject({ 13.45: 'wrong-operation', 7.55: 'off-by-one', 5.55: 'off-by-one' });
+
+      const yen = engine.generate('make-change', { currency: JPY, amounts: [1000, 350], random: seeded(1) });
+      expect(yen.misconceptions).toMatchObject({ 1350: 'wrong-operation', 750: 'off-by-one', 550: 'off-by-one' });
+    });
+
+    it('should add up any number of given prices', () => {
+      const problem = engine.generate('add-money', { currency: JPY, amounts: [120, 350, 30] });
+
+      expect(problem.question).toBe('¥120 + ¥350 + ¥30 = ?');
+      expect(problem.answer).toBe(500);
+    });
+  });
+
+  describe('misconceptions', () => {
+    it('should tag distractors with the mistake that gives them', () => {
+      const random = seeded(5);
+      for (let i = 0; i < 30; i++) {
+        const problem = engine.generate('add-two-numbers', { random });
+        const [a, b] = problem.question.match(/\d+/g).map(Number);
+
+        Object.entries(problem.misconceptions).forEach(([value, id]) => {
+          expect(problem.distractors).toContain(Number(value));
+          expect(engine.getMisconception(id)).not.toBeNull();
+        });
+        // Small numbers can give the same wrong answer two ways
+        if (a < 4 || b < 4) continue;
+        if (problem.misconceptions[a * b]) {
+          expect(problem.misconceptions[a * b]).toBe('wrong-operation');
+        }
+        if (problem.misconceptions[a + b + 1]) {
+          expect(problem.misconceptions[a + b + 1]).toBe('off-by-one');
+        }
+      }
+    });
+
+    it('should cover swapped digits, brackets and fraction-percent mix-ups', () => {
+      const random = seeded(9);
+      const seen = new Set();
+      ['add-within-20-carry', 'multiply-to-12', 'order-of-operations', 'percent-of', 'fraction-of'].forEach(id => {
+        for (let i = 0; i < 40; i++) {
+          Object.values(engine.generate(id, { random }).misconceptions).forEach(m => seen.add(m));
+        }
+      });
+
+      expect([...seen].sort()).toEqual(Object.keys(engine.MISCONCEPTIONS).sort());
+    });
+
+    it('should count caught misconceptions per player', () => {
+      const stats: any = {};
+      engine.recordMisconception(stats, 'digit-reversal');
+      expect(engine.recordMisconception(stats, 'digit-reversal').count).toBe(2);
+      expect(engine.recordMisconception(stats, 'guessing')).toBeNull();
+
+      engine.saveMastery({}, stats);
+      expect(engine.loadMisconceptions()['digit-reversal'].count).toBe(2);
+
+      players.registerPlayer('Mika', 9);
+      expect(engine.loadMisconceptions()).toEqual({});
+      engine.saveMastery({}, { 'off-by-one': { count: 1, lastSeen: null } });
+      engine.saveMastery({ 'add-within-10': { attempts: 1, correct: 1, recent: [true] } });
+      expect(players.getGameProgress('math-skills').misconceptions['off-by-one'].count).toBe(1);
+      expect(engine.loadMisconceptions()).toEqual({ 'off-by-one': { count: 1, lastSeen: null } });
+    });
+  });
+
+  describe('curriculum', () => {
+    it('should find stages by id or level', () => {
+      expect(engine.getStage('multiplyDivide').skills).toEqual(['multiply-to-12', 'divide-to-12']);
+      expect(engine.getStage(1).id).toBe('recognition');
+      expect(engine.getStage(99).id).toBe('algebra');
+      expect(engine.getStage('unknown').id).toBe('recognition');
+      expect(engine.getNextStage('addition').id).toBe('addSubtract');
+      expect(engine.getNextStage('algebra')).toBeNull();
+    });
+
+    it('should only move on to the next stage once the stage is mastered', () => {
+      const random = seeded(11);
+      const mastery: any = {};
+      const picked = () => new Set(Array.from({ length: 60 }, () => engine.pickSkill('addition', mastery, random)));
+
+      expect([...picked()].sort()).toEqual(['add-within-10', 'add-within-20-carry']);
+
+      ['add-within-10', 'add-within-20-carry'].forEach(id => {
+        for (let i = 0; i < 5; i++) engine.recordResult(mastery, id, true);
+      });
+      expect(picked()).toContain('subtract-within-20');
+    });
+  });
+
+  describe('mastery', () => {
+    it('should master a skill after enough recent right answers', () => {
+      const mastery: any = {};
+      expect(engine.getSkillStatus(mastery['multiply-to-12'])).toBe('new');
+
+      engine.recordResult(mastery, 'multiply-to-12', false);
+      engine.recordResult(mastery, 'multiply-to-12', false);
+      for (let i = 0; i < 3; i++) engine.recordResult(mastery, 'multiply-to-12', true);
+      expect(engine.getSkillStatus(mastery['multiply-to-12'])).toBe('learning');
+
+      for (let i = 0; i < 10; i++) engine.recordResult(mastery, 'multiply-to-12', true);
+      const record = mastery['multiply-to-12'];
+      expect(record).toMatchObject({ attempts: 15, correct: 13 });
+      expect(record.recent).toHaveLength(engine.MASTERY.WINDOW);
+      expect(engine.getSkillStatus(record)).toBe('mastered');
+
+      expect(engine.recordResult(mastery, 'juggling', true)).toBeNull();
+    });
+
+    it('should keep mastery per player, and for guests', () => {
+      engine.saveMastery({ 'percent-of': { attempts: 1, correct: 1, recent: [true] } });
+      expect(engine.loadMastery()['percent-of'].attempts).toBe(1);
+
+      players.registerPlayer('Mika', 9);
+      expect(engine.loadMastery()).toEqual({});
+      const gamesPlayed = players.getCurrentPlayer().totalGamesPlayed || 0;
+      engine.saveMastery({ 'add-within-10': { attempts: 2, correct: 1, recent: [true, false] } });
+      expect(players.getGameProgress('math-skills').mastery['add-within-10'].attempts).toBe(2);
+      // Mastery is not a game played
+      expect(players.getCurrentPlayer().totalGamesPlayed || 0).toBe(gamesPlayed);
+
+      players.registerPlayer('Jun', 12);
+      expect(engine.loadMastery()).toEqual({});
+      players.switchPlayer('Mika');
+      expect(Object.keys(engine.loadMastery())).toEqual(['add-within-10']);
+    });
+
+    it('should summarize the skills practiced in a game', () => {
+      const mastery: any = {};
+      for (let i = 0; i < 5; i++) engine.recordResult(mastery, 'fraction-of', true);
+
+      expect(engine.summarize({ 'fraction-of': { attempts: 5, correct: 5 }, 'percent-of': { attempts: 1, correct: 0 } }, mastery))
+        .toEqual([
+          { id: 'fraction-of', name: 'Find a fraction of a number', attempts: 5, correct: 5, status: 'mastered' },
+          { id: 'percent-of', name: 'Find a percent of a number', attempts: 1, correct: 0, status: 'new' }
+        ]);
+    });
+  });
+});
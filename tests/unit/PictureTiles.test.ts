@@ -0,0 +1,69 @@
+/**
+ * PictureTiles Unit Tests
+ *
+ * Tests for Puzzle Cloud Path's picture slicing geometry, upload checks
+ * and bundled pictures.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+// Classic script - attaches itself to window
+import '../../games/puzzle-path/PictureTiles.js';
+
+describe('PictureTiles', () => {
+  let pictures: any;
+
+  beforeAll(() => {
+    pictures = (window as any).PictureTiles;
+  });
+
+  describe('geometry', () => {
+    it('should crop the centred square of a picture', () => {
+      expect(pictures.cropSquare(400, 300)).toEqual({ sx: 50, sy: 0, side: 300 });
+      expect(pictures.cropSquare(200, 500)).toEqual({ sx: 0, sy: 150, side: 200 });
+      expect(pictures.cropSquare(120, 120)).toEqual({ sx: 0, sy: 0, side: 120 });
+    });
+
+    it('should slice row by row in board order', () => {
+      const rects = pictures.sliceRects(400, 300, 3);
+
+      expect(rects).toHaveLength(9);
+      expect(rects[0]).toEqual({ sx: 50, sy: 0, sw: 100, sh: 100 });
+      expect(rects[1]).toEqual({ sx: 150, sy: 0, sw: 100, sh: 100 });
+      expect(rects[3]).toEqual({ sx: 50, sy: 100, sw: 100, sh: 100 });
+      expect(rects[8]).toEqual({ sx: 250, sy: 200, sw: 100, sh: 100 });
+    });
+  });
+
+  describe('checkUpload', () => {
+    it('should accept pictures and reject other files', () => {
+      expect(pictures.checkUpload({ type: 'image/jpeg', size: 2000 })).toEqual({ valid: true, error: null });
+      expect(pictures.checkUpload({ type: 'text/plain', size: 20 }).error).toBe('Please pick a picture file');
+      expect(pictures.checkUpload(null).valid).toBe(false);
+    });
+
+    it('should reject pictures that are too big', () => {
+      const file = { type: 'image/png', size: pictures.MAX_UPLOAD_BYTES + 1 };
+
+      expect(pictures.checkUpload(file).error).toBe('That picture is too big (10 MB at most)');
+    });
+  });
+
+  describe('bundled pictures', () => {
+    it('should be named, well-formed square SVGs', () => {
+      const entries = Object.entries(pictures.PICTURES) as [string, any][];
+
+      expect(entries.length).toBeGreaterThanOrEqual(3);
+      entries.forEach(([, picture]) => {
+        expect(picture.name).toBeTruthy();
+        expect(picture.src.startsWith('data:image/svg+xml;charset=utf-8,')).toBe(true);
+
+        const markup = decodeURIComponent(picture.src.split(',').slice(1).join(','));
+        const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+
+        expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+        expect(doc.documentElement.getAttribute('viewBox')).toBe('0 0 300 300');
+      });
+    });
+  });
+});
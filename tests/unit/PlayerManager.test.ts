@@ -0,0 +1,241 @@
+/**
+ * PlayerManager Save Bundle Unit Tests
+ *
+ * Tests for exporting and importing a player's cross-game save bundle.
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+
+// Classic scripts - attach themselves to window
+import '../../shared-assets/core/GameRegistry.js';
+import '../../shared-assets/player/PlayerManager.js';
+
+const storage = window.localStorage as any;
+
+// The shared localStorage mock has no key()/length, which the export needs
+Object.defineProperty(storage, 'length', {
+  configurable: true,
+  get: () => Object.keys(storage.store).length,
+});
+storage.key = (index: number) => Object.keys(storage.store)[index] ?? null;
+
+describe('PlayerManager save bundle', () => {
+  let players: any;
+
+  beforeAll(() => {
+    players = (window as any).PlayerManager;
+  });
+
+  beforeEach(() => {
+    players.logout();
+    players.registerPlayer('Mika', 9);
+    storage.setItem('starCounterProgress', JSON.stringify({ gamesPlayed: 3, totalStars: 7 }));
+    storage.setItem('starCounterHighScore_2', '120');
+    storage.setItem('quizQuestLeaderboard', JSON.stringify([{ name: 'Mika', score: 40 }]));
+    storage.setItem('unrelatedKey', 'ignore me');
+  });
+
+  describe('exportBundle', () => {
+    it('should include the profile and every registered game key', () => {
+      const { success, bundle } = players.exportBundle();
+
+      expect(success).toBe(true);
+      expect(bundle.format).toBe('cinnamoroll-save');
+      expect(bundle.version).toBe(1);
+      expect(bundle.player.name).toBe('Mika');
+      expect(bundle.games['star-counter']).toEqual({
+        starCounterProgress: { gamesPlayed: 3, totalStars: 7 },
+        starCounterHighScore_2: 120,
+      });
+      expect(bundle.games['quiz-quest'].quizQuestLeaderboard).toHaveLength(1);
+    });
+
+    it('should leave out journal entries, which are not kept in localStorage', () => {
+      // Only journals from before IndexedDB (or without it) are in localStorage
+      storage.setItem('dreamJournalEntries', JSON.stringify([{ id: 1, text: 'Clouds' }]));
+      storage.setItem('dreamJournalStreak', JSON.stringify({ current: 2 }));
+
+      const { bundle } = players.exportBundle();
+
+      expect(bundle.games['dream-journal']).toEqual({ dreamJournalStreak: { current: 2 } });
+      expect(JSON.stringify(bundle)).not.toContain('Clouds');
+    });
+
+    it('should skip keys that no game owns', () => {
+      const { bundle } = players.exportBundle();
+
+      expect(JSON.stringify(bundle)).not.toContain('unrelatedKey');
+    });
+
+    it('should fail for unknown players', () => {
+      expect(players.exportBundle('Nobody').error).toBe('Player not found');
+    });
+  });
+
+  describe('with two players on one device', () => {
+    beforeEach(() => {
+      players.registerPlayer('Sora', 10);
+      storage.setItem('storyCloudSaves', JSON.stringify({
+        mika: { forest: { nodeId: 'river' } },
+        sora: { castle: { nodeId: 'gate' } },
+      }));
+      players.switchPlayer('Mika');
+    });
+
+    it('should export only the named player\'s data', () => {
+      const { bundle, skipped } = players.exportBundle('Mika');
+
+      expect(bundle.games['story-cloud'].storyCloudSaves).toEqual({ mika: { forest: { nodeId: 'river' } } });
+      expect(JSON.stringify(bundle)).not.toContain('sora');
+      // Device-wide keys would carry Sora's progress too
+      expect(bundle.games['star-counter']).toBeUndefined();
+      expect(skipped).toEqual(expect.arrayContaining(['starCounterProgress', 'starCounterHighScore_2']));
+    });
+
+    it('should replace only the imported player\'s saves and merge shared data', () => {
+      const { bundle } = players.exportBundle('Mika');
+      bundle.games['star-counter'] = { starCounterHighScore_2: 50, starCounterProgress: { gamesPlayed: 1 } };
+      bundle.games['story-cloud'].storyCloudSaves = {
+        mika: { meadow: { nodeId: 'start' } },
+        sora: { hacked: true },
+      };
+
+      const result = players.importBundle(bundle, { mode: 'replace' });
+
+      expect(result.success).toBe(true);
+      expect(result.warnings).toHaveLength(1);
+      expect(JSON.parse(storage.getItem('storyCloudSaves'))).toEqual({
+        mika: { meadow: { nodeId: 'start' } },
+        sora: { castle: { nodeId: 'gate' } },
+      });
+      // Shared keys are combined, so nothing local is lost
+      expect(storage.getItem('starCounterHighScore_2')).toBe('120');
+      expect(JSON.parse(storage.getItem('starCounterProgress')).totalStars).toBe(7);
+      expect(players.getAllPlayers().map((p: any) => p.name).sort()).toEqual(['Mika', 'Sora']);
+    });
+
+    it('should carry a player\'s own puzzle pictures through export and import', () => {
+      const mikaPictures = [{ id: 'cat', name: 'Cat', dataUrl: 'data:image/png;base64,AAA' }];
+      storage.setItem('puzzlePathImages', JSON.stringify({
+        mika: mikaPictures,
+        sora: [{ id: 'dog', name: 'Dog', dataUrl: 'data:image/png;base64,BBB' }],
+      }));
+
+      const { bundle } = players.exportBundle('Mika');
+      expect(bundle.games['puzzle-path'].puzzlePathImages).toEqual({ mika: mikaPictures });
+
+      // A new device where Sora already plays
+      storage.setItem('puzzlePathImages', JSON.stringify({ sora: [] }));
+      expect(players.importBundle(bundle, { mode: 'replace' }).success).toBe(true);
+      expect(JSON.parse(storage.getItem('puzzlePathImages'))).toEqual({ sora: [], mika: mikaPictures });
+    });
+  });
+
+  describe('game progress', () => {
+    it('should save and read progress for a named player', () => {
+      players.registerPlayer('Sora', 10);
+      players.switchPlayer('Mika');
+
+      expect(players.saveGameProgress('treasure-chest-memory', { hotSeatWins: 1 }, 'Sora')).toBe(true);
+
+      expect(players.getGameProgress('treasure-chest-memory', 'sora')).toMatchObject({ hotSeatWins: 1 });
+      expect(players.getGameProgress('treasure-chest-memory')).toBeNull();
+      expect(players.getPlayerName()).toBe('Mika');
+    });
+
+    it('should not save progress for unknown players', () => {
+      expect(players.saveGameProgress('treasure-chest-memory', { gamesPlayed: 1 }, 'Nobody')).toBe(false);
+      expect(players.updateGameProgress('treasure-chest-memory', { gamesPlayed: 1 }, 'Nobody')).toBe(false);
+    });
+
+    it('should only count a game played for saveGameProgress', () => {
+      const before = players.getCurrentPlayer().totalGamesPlayed || 0;
+      players.saveGameProgress('candy-shop', { bestScore: 40 });
+      players.updateGameProgress('candy-shop', { businesses: { USD: { day: 2 } } });
+      players.updateGameProgress('candy-shop', { businesses: { USD: { day: 3 } } });
+
+      expect(players.getCurrentPlayer().totalGamesPlayed).toBe(before + 1);
+      expect(players.getGameProgress('candy-shop')).toMatchObject({ bestScore: 40, businesses: { USD: { day: 3 } } });
+    });
+  });
+
+  describe('importBundle', () => {
+    it('should restore a bundle into an empty browser', () => {
+      const { bundle } = players.exportBundle();
+      storage.store = {};
+
+      const result = players.importBundle(JSON.stringify(bundle));
+
+      expect(result.success).toBe(true);
+      expect(result.gamesImported).toBe(2);
+      expect(players.getPlayerName()).toBe('Mika');
+      expect(storage.getItem('starCounterHighScore_2')).toBe('120');
+      expect(JSON.parse(storage.getItem('starCounterProgress')).totalStars).toBe(7);
+    });
+
+    it('should keep the best of both devices when merging', () => {
+      const { bundle } = players.exportBundle();
+      storage.setItem('starCounterHighScore_2', '90');
+      storage.setItem('quizQuestLeaderboard', JSON.stringify([{ name: 'Sora', score: 25 }]));
+
+      players.importBundle(bundle, { mode: 'merge' });
+
+      expect(storage.getItem('starCounterHighScore_2')).toBe('120');
+      expect(JSON.parse(storage.getItem('quizQuestLeaderboard'))).toHaveLength(2);
+    });
+
+    it('should overwrite and drop local game keys when replacing', () => {
+      const { bundle } = players.exportBundle();
+      storage.setItem('starCounterHighScore_2', '500');
+      storage.setItem('starCounterHighScore_5', '80');
+
+      players.importBundle(bundle, { mode: 'replace' });
+
+      expect(storage.getItem('starCounterHighScore_2')).toBe('120');
+      expect(storage.getItem('starCounterHighScore_5')).toBeNull();
+    });
+
+    it('should ignore keys a game does not own', () => {
+      const { bundle } = players.exportBundle();
+      bundle.games['star-counter'].cinnamorollPlayerData = 'overwrite';
+
+      players.importBundle(bundle);
+
+      expect(storage.getItem('cinnamorollPlayerData')).not.toBe('overwrite');
+    });
+
+    it('should put game data back when the profile cannot be saved', () => {
+      const { bundle } = players.exportBundle();
+      storage.setItem('starCounterHighScore_2', '500');
+      storage.setItem('starCounterHighScore_5', '80');
+      const setItem = storage.setItem;
+      const quiet = vi.spyOn(console, 'error').mockImplementation(() => {});
+      storage.setItem = (key: string, value: string) => {
+        if (key === 'cinnamorollPlayerData') throw new Error('QuotaExceededError');
+        setItem(key, value);
+      };
+
+      try {
+        expect(players.importBundle(bundle, { mode: 'replace' }).error).toBe('Failed to save player data');
+      } finally {
+        storage.setItem = setItem;
+        quiet.mockRestore();
+      }
+
+      expect(storage.getItem('starCounterHighScore_2')).toBe('500');
+      expect(storage.getItem('starCounterHighScore_5')).toBe('80');
+      expect(storage.getItem('quizQuestLeaderboard')).toBe(JSON.stringify([{ name: 'Mika', score: 40 }]));
+    });
+
+    it('should reject files that are not save bundles', () => {
+      expect(players.importBundle('not json').success).toBe(false);
+      expect(players.importBundle({ format: 'other' }).error).toBe('This is not a Cinnamoroll save file');
+    });
+
+    it('should reject bundles from a newer version', () => {
+      const { bundle } = players.exportBundle();
+
+      expect(players.importBundle({ ...bundle, version: 99 }).success).toBe(false);
+    });
+  });
+});
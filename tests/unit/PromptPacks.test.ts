@@ -0,0 +1,135 @@
+/**
+ * PromptPacks Unit Tests
+ *
+ * Tests for the Dream Journal's prompt pack checks, weekly themes and
+ * prompt/starter choice.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+// Classic script - attaches itself to window
+import '../../games/dream-journal/PromptPacks.js';
+
+const CATEGORIES = [
+  { id: 'imagination', name: 'Imagination', icon: '✨' },
+  { id: 'feelings', name: 'Feelings', icon: '💖' },
+  { id: 'adventures', name: 'Adventures', icon: '🗺️' }
+];
+const ROTATION = ['imagination', 'feelings', 'adventures'];
+
+const PROMPTS = [
+  { text: 'Fly', category: 'imagination', difficulty: 1 },
+  { text: 'Float', category: 'imagination', difficulty: 2 },
+  { text: 'Glow', category: 'imagination', difficulty: 5 },
+  { text: 'Proud', category: 'feelings', difficulty: 1 },
+  { text: 'Safe', category: 'feelings', difficulty: 1 },
+  { text: 'Hike', category: 'adventures', difficulty: 3 }
+];
+
+describe('PromptPacks', () => {
+  let packs: any;
+
+  beforeAll(() => {
+    packs = (window as any).PromptPacks;
+  });
+
+  describe('validatePack', () => {
+    it('should accept the example pack', () => {
+      const file = resolve(__dirname, '../../games/dream-journal/prompt-packs/example-pack.json');
+      const result = packs.validatePack(JSON.parse(readFileSync(file, 'utf8')), { categories: CATEGORIES });
+
+      expect(result.error).toBeNull();
+      expect(result.pack.id).toBe('space-week');
+      expect(result.pack.categories).toEqual([{ id: 'space', name: 'Space', icon: '🚀' }]);
+      expect(result.pack.prompts).toHaveLength(5);
+      expect(result.pack.starters.space).toHaveLength(2);
+      expect(result.pack.schedule).toEqual({ '2026-11-02': 'space' });
+    });
+
+    it('should fill in defaults and drop empty prompts', () => {
+      const result = packs.validatePack({
+        name: '  Rainy Days ',
+        prompts: ['What do puddles dream about?', { text: '   ' }, { text: 'Splash!', category: 'feelings', difficulty: 12 }]
+      }, { categories: CATEGORIES });
+
+      expect(result.valid).toBe(true);
+      expect(result.pack.name).toBe('Rainy Days');
+      expect(result.pack.prompts).toEqual([
+        { text: 'What do puddles dream about?', category: 'imagination', difficulty: 1 },
+        { text: 'Splash!', category: 'feelings', difficulty: 7 }
+      ]);
+    });
+
+    it('should explain what is wrong with a pack', () => {
+      const check = (data: any) => packs.validatePack(data, { categories: CATEGORIES }).error;
+
+      expect(check([])).toBe('A prompt pack must be a JSON object');
+      expect(check({ prompts: ['Hi'] })).toBe('The pack needs a "name"');
+      expect(check({ name: 'A', prompts: [] })).toBe('The pack needs a list of "prompts"');
+      expect(check({ name: 'A', prompts: [{ text: 'Hi', category: 'space' }] }))
+        .toBe('Prompt 1 has an unknown category "space"');
+      expect(check({ name: 'A', prompts: ['Hi'], schedule: { 'next week': 'feelings' } }))
+        .toBe('"next week" in the schedule is not a YYYY-MM-DD date');
+      expect(check({ name: 'A', prompts: Array(packs.MAX_PROMPTS + 1).fill('Hi') }))
+        .toBe('A pack can have at most 200 prompts');
+    });
+  });
+
+  describe('weekly themes', () => {
+    it('should find the Monday of a week', () => {
+      expect(packs.weekStart('2026-10-19')).toBe('2026-10-19');
+      expect(packs.weekStart('2026-10-25')).toBe('2026-10-19');
+      expect(packs.weekStart('2026-11-01')).toBe('2026-10-26');
+    });
+
+    it('should take turns week by week', () => {
+      const monday = packs.weeklyTheme('2026-10-19', { rotation: ROTATION });
+
+      expect(packs.weeklyTheme('2026-10-25', { rotation: ROTATION })).toBe(monday);
+      const next = packs.weeklyTheme('2026-10-26', { rotation: ROTATION });
+      expect(ROTATION.indexOf(next)).toBe((ROTATION.indexOf(monday) + 1) % ROTATION.length);
+    });
+
+    it('should follow a schedule for any day of the week', () => {
+      const schedule = { '2026-10-19': 'space' };
+
+      expect(packs.weeklyTheme('2026-10-22', { rotation: ROTATION, schedule })).toBe('space');
+      expect(packs.weeklyTheme('2026-10-26', { rotation: ROTATION, schedule })).not.toBe('space');
+    });
+  });
+
+  describe('choosePrompt', () => {
+    const day = { dateKey: '2026-10-19', difficulty: 2 };
+
+    it('should pick the same prompt all day', () => {
+      expect(packs.choosePrompt(PROMPTS, day)).toBe(packs.choosePrompt(PROMPTS, day));
+    });
+
+    it('should prefer the theme and fit the level', () => {
+      const themed = packs.choosePrompt(PROMPTS, { ...day, theme: 'imagination' });
+
+      expect(['Fly', 'Float']).toContain(themed.text);
+      // No adventures prompt at level 2, so any fitting prompt will do
+      expect(packs.choosePrompt(PROMPTS, { ...day, theme: 'adventures' }).difficulty).toBeLessThanOrEqual(2);
+      expect(packs.choosePrompt(PROMPTS, { ...day, difficulty: 0 })).toBeNull();
+    });
+
+    it('should not repeat a prompt until every one has been rerolled', () => {
+      const seen = [0, 1, 2, 3].map(rerolls => packs.choosePrompt(PROMPTS, { ...day, rerolls }).text);
+
+      expect(new Set(seen).size).toBe(4);
+      expect(packs.choosePrompt(PROMPTS, { ...day, rerolls: 4 }).text).toBe(seen[0]);
+    });
+  });
+
+  describe('chooseStarters', () => {
+    it('should offer starters for the category before general ones', () => {
+      const starters = { feelings: ['I remember when...'], general: ['Once upon a time...', 'One sunny morning...'] };
+
+      expect(packs.chooseStarters(starters, 'feelings', 2)).toEqual(['I remember when...', 'Once upon a time...']);
+      expect(packs.chooseStarters(starters, 'space', 3)).toEqual(['Once upon a time...', 'One sunny morning...']);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * PuzzleGenerator Unit Tests
+ *
+ * Tests for Puzzle Cloud Path's seeded puzzles, puzzle codes and daily seeds.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+// Classic scripts - attach themselves to window
+import '../../games/puzzle-path/PuzzleSolver.js';
+import '../../games/puzzle-path/PuzzleGenerator.js';
+
+// Slide the tile at `from` into the empty space
+function slide(tiles: number[], from: number) {
+  const next = [...tiles];
+  const empty = next.indexOf(0);
+  next[empty] = next[from];
+  next[from] = 0;
+  return next;
+}
+
+describe('PuzzleGenerator', () => {
+  let generator: any;
+  let solver: any;
+
+  beforeAll(() => {
+    generator = (window as any).PuzzleGenerator;
+    solver = (window as any).PuzzleSolver;
+  });
+
+  describe('generate', () => {
+    const bands: [number, number[]][] = [[2, [3, 6]], [3, [14, 20]], [4, [20, 28]], [5, [30, 40]]];
+
+    it.each(bands)('should make a %ix%i puzzle whose shortest solution is in the band', (size, band) => {
+      const puzzle = generator.generate({ seed: 'PANDA42', size, optimalMoves: band });
+
+      expect(puzzle.success).toBe(true);
+      expect(puzzle.inBand).toBe(true);
+      expect(puzzle.optimalMoves).toBeGreaterThanOrEqual(band[0]);
+      expect(puzzle.optimalMoves).toBeLessThanOrEqual(band[1]);
+      expect(puzzle.solution).toHaveLength(puzzle.optimalMoves);
+      expect(solver.solve(puzzle.solution.reduce(slide, puzzle.tiles), size).length).toBe(0);
+    });
+
+    it('should give the same board for the same seed', () => {
+      const options = { size: 4, optimalMoves: [20, 28] };
+      const first = generator.generate({ seed: 'mochi 7', ...options });
+
+      expect(generator.generate({ seed: 'MOCHI7', ...options }).tiles).toEqual(first.tiles);
+      expect(generator.generate({ seed: 'MOCHI8', ...options }).tiles).not.toEqual(first.tiles);
+    });
+
+    it('should return the closest board when the band cannot be reached', () => {
+      // No 2x2 position is more than 6 moves from solved
+      const puzzle = generator.generate({ seed: 'STAR1', size: 2, optimalMoves: [9, 12] });
+
+      expect(puzzle.success).toBe(true);
+      expect(puzzle.inBand).toBe(false);
+      expect(puzzle.optimalMoves).toBe(6);
+    });
+
+    it('should reject bad sizes and bands', () => {
+      expect(generator.generate({ seed: 'A', size: 1, optimalMoves: [1, 2] }).error).toBe('Invalid size or move band');
+      expect(generator.generate({ seed: 'A', size: 3, optimalMoves: [9, 4] }).success).toBe(false);
+    });
+  });
+
+  describe('codes and seeds', () => {
+    it('should round-trip puzzle codes', () => {
+      expect(generator.makeCode(4, 'panda 42')).toBe('4-PANDA42');
+      expect(generator.parseCode(' 4-panda42 ')).toEqual({ level: 4, seed: 'PANDA42' });
+      expect(generator.parseCode('7 STAR')).toEqual({ level: 7, seed: 'STAR' });
+      expect(generator.parseCode('PANDA42')).toBeNull();
+      expect(generator.parseCode('4-')).toBeNull();
+    });
+
+    it('should make one daily seed per local date', () => {
+      const morning = new Date(2026, 9, 19, 7, 30);
+      const evening = new Date(2026, 9, 19, 22, 5);
+
+      expect(generator.dateKey(morning)).toBe('2026-10-19');
+      expect(generator.dailySeed(morning)).toBe('DAY20261019');
+      expect(generator.dailySeed(evening)).toBe(generator.dailySeed(morning));
+      expect(generator.dailySeed(new Date(2026, 9, 20))).toBe('DAY20261020');
+    });
+
+    it('should make random seeds that survive normalizing', () => {
+      const seed = generator.randomSeed();
+
+      expect(seed).toMatch(/^[A-Z]+\d{2}$/);
+      expect(generator.normalizeSeed(seed)).toBe(seed);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * PuzzleSolver Unit Tests
+ *
+ * Tests for the Puzzle Cloud Path IDA* solver and its heuristics.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+// Classic script - attaches itself to window
+import '../../games/puzzle-path/PuzzleSolver.js';
+
+const solved = (size: number) => [...Array.from({ length: size * size - 1 }, (_, i) => i + 1), 0];
+
+// Slide the tile at `from` into the empty space
+function slide(tiles: number[], from: number) {
+  const next = [...tiles];
+  const empty = next.indexOf(0);
+  next[empty] = next[from];
+  next[from] = 0;
+  return next;
+}
+
+function neighbours(index: number, size: number) {
+  const row = Math.floor(index / size);
+  const col = index % size;
+  const list: number[] = [];
+  if (row > 0) list.push(index - size);
+  if (row < size - 1) list.push(index + size);
+  if (col > 0) list.push(index - 1);
+  if (col < size - 1) list.push(index + 1);
+  return list;
+}
+
+// Deterministic shuffle made of real moves
+function scramble(size: number, steps: number, seed: number) {
+  let tiles = solved(size);
+  let state = seed;
+  for (let i = 0; i < steps; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    const options = neighbours(tiles.indexOf(0), size);
+    tiles = slide(tiles, options[state % options.length]);
+  }
+  return tiles;
+}
+
+describe('PuzzleSolver', () => {
+  let solver: any;
+
+  beforeAll(() => {
+    solver = (window as any).PuzzleSolver;
+  });
+
+  describe('heuristics', () => {
+    it('should score the solved layout as zero', () => {
+      expect(solver.estimate(solved(3), 3)).toBe(0);
+      expect(solver.estimate(solved(5), 5)).toBe(0);
+    });
+
+    it('should add two moves for every tile that must leave its line', () => {
+      // 2 and 1 are swapped in their goal row; 3 is in place
+      const tiles = [2, 1, 3, 4, 5, 6, 7, 8, 0];
+
+      expect(solver.manhattan(tiles, 3)).toBe(2);
+      expect(solver.linearConflict(tiles, 3)).toBe(2);
+      expect(solver.estimate(tiles, 3)).toBe(4);
+      // 3 2 1 needs two tiles out of the way
+      expect(solver.linearConflict([3, 2, 1, 4, 5, 6, 7, 8, 0], 3)).toBe(4);
+    });
+
+    it('should tell solvable layouts from impossible ones', () => {
+      expect(solver.isSolvable(scramble(3, 40, 7), 3)).toBe(true);
+      expect(solver.isSolvable(scramble(4, 40, 7), 4)).toBe(true);
+      expect(solver.isSolvable([2, 1, 3, 4, 5, 6, 7, 8, 0], 3)).toBe(false);
+      expect(solver.isSolvable([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 15, 14, 0], 4)).toBe(false);
+    });
+  });
+
+  describe('solve', () => {
+    // Shortest distance from the solved layout to every 3x3 position
+    let distances: Map<string, number>;
+
+    beforeAll(() => {
+      distances = new Map([[solved(3).join(','), 0]]);
+      let frontier = [solved(3)];
+      while (frontier.length) {
+        const next: number[][] = [];
+        frontier.forEach(tiles => {
+          const depth = distances.get(tiles.join(','))!;
+          neighbours(tiles.indexOf(0), 3).forEach(from => {
+            const moved = slide(tiles, from);
+            const key = moved.join(',');
+            if (distances.has(key)) return;
+            distances.set(key, depth + 1);
+            next.push(moved);
+          });
+        });
+        frontier = next;
+      }
+    });
+
+    it('should find shortest solutions that really solve the puzzle', () => {
+      for (let seed = 1; seed <= 12; seed++) {
+        const tiles = scramble(3, 200, seed);
+        const result = solver.solve(tiles, 3);
+
+        expect(result.success).toBe(true);
+        expect(result.length).toBe(distances.get(tiles.join(',')));
+        expect(result.moves.reduce(slide, tiles)).toEqual(solved(3));
+        expect(solver.estimate(tiles, 3)).toBeLessThanOrEqual(result.length);
+      }
+    });
+
+    it('should return an empty solution for a solved puzzle', () => {
+      expect(solver.solve(solved(4), 4)).toMatchObject({ success: true, moves: [], length: 0 });
+    });
+
+    it('should solve a lightly shuffled 4x4', () => {
+      const tiles = scramble(4, 30, 3);
+      const result = solver.solve(tiles, 4);
+
+      expect(result.success).toBe(true);
+      expect(result.length).toBeLessThanOrEqual(30);
+      expect(result.moves.reduce(slide, tiles)).toEqual(solved(4));
+    });
+
+    it('should report a lower bound when the search limit is reached', () => {
+      const tiles = [8, 6, 7, 2, 5, 4, 3, 0, 1];
+      const result = solver.solve(tiles, 3, { maxNodes: 50 });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Search limit reached');
+      expect(result.lowerBound).toBeGreaterThanOrEqual(solver.estimate(tiles, 3));
+      expect(result.lowerBound).toBeLessThanOrEqual(distances.get(tiles.join(','))!);
+    });
+
+    it('should reject impossible and malformed layouts', () => {
+      expect(solver.solve([2, 1, 3, 4, 5, 6, 7, 8, 0], 3).error).toBe('This puzzle cannot be solved');
+      expect(solver.solve([1, 2, 3], 2).error).toBe('Not a valid puzzle layout');
+      expect(solver.solve([1, 1, 2, 0], 2).error).toBe('Not a valid puzzle layout');
+    });
+  });
+});
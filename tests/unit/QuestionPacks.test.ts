@@ -0,0 +1,236 @@
+/**
+ * QuestionPacks Unit Tests
+ *
+ * Tests for Quiz Quest's teacher question packs: pack checks, imports,
+ * id collisions, bundled packs and the enable/remove toggles.
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+
+// Classic script - attaches itself to window
+import '../../games/quiz-quest/QuestionPacks.js';
+
+const STORAGE_KEY = 'quizQuestPacks';
+
+const BANK = {
+  science: {
+    1: [{ q: 'What do plants need?', a: 'Sunlight', wrong: ['Candy', 'Noise'] }]
+  }
+};
+const CATEGORIES = { science: { name: 'Science' }, math: { name: 'Math' } };
+
+const question = (q: string, a = 'Yes') => ({ q, a, wrong: ['No', 'Maybe'] });
+const pack = (id: string, questions = [question(`${id} question?`)]) => ({
+  id, name: `Pack ${id}`, category: 'science', tier: 1, questions
+});
+const file = (name: string, contents: unknown) => ({
+  name,
+  text: async () => typeof contents === 'string' ? contents : JSON.stringify(contents)
+});
+
+describe('QuestionPacks', () => {
+  let QuestionPackManager: any;
+  const create = () => new QuestionPackManager({
+    bank: BANK, categories: CATEGORIES, storageKey: STORAGE_KEY, manifestUrl: 'packs/index.json'
+  });
+
+  beforeAll(() => {
+    QuestionPackManager = (window as any).QuestionPackManager;
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('parsePack', () => {
+    it('should refuse packs that are not objects or have no id', () => {
+      const manager = create();
+      expect(manager.parsePack(null)).toEqual({ success: false, error: 'Pack must be a JSON object' });
+      expect(manager.parsePack([pack('a')])).toEqual({ success: false, error: 'Pack must be a JSON object' });
+      expect(manager.parsePack({ name: 'No id', questions: {} })).toEqual({ success: false, error: 'Pack is missing an id' });
+      expect(manager.parsePack({ id: '  ', questions: {} }).success).toBe(false);
+    });
+
+    it('should refuse a pack without questions by category and tier', () => {
+      const manager = create();
+      expect(manager.parsePack({ id: 'a' }).error).toBe('Pack "a" has no questions by category and tier');
+      expect(manager.parsePack({ id: 'a', questions: [question('Q?')] }).success).toBe(false);
+    });
+
+    it('should reject unknown categories, bad tiers and non-array batches', () => {
+      const result = create().parsePack({
+        id: 'mixed',
+        questions: {
+          art: { 1: [question('Paint?')] },
+          science: { 9: [question('Tier nine?')], 2: 'not a list', 1: [question('Fine?')] }
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.pack.accepted).toBe(1);
+      expect(result.pack.rejected.map((r: any) => r.errors[0]).sort()).toEqual([
+        'Batch must be an array',
+        'Tier must be 1-5, got "9"',
+        'Unknown category "art"'
+      ]);
+      expect(result.pack.rejected).toHaveLength(3);
+    });
+
+    it('should reject bad questions and duplicates but keep the rest', () => {
+      const result = create().parsePack(pack('p', [
+        question('Fine?'),
+        { q: '', a: 'x', wrong: ['y', 'z'] },
+        { q: 'Too few wrong?', a: 'x', wrong: ['y'] },
+        question('What do plants need?'),
+        question('fine?'),
+        { q: 'Answer twice?', a: 'x', wrong: ['x', 'y'] }
+      ]));
+
+      expect(result.pack.accepted).toBe(1);
+      expect(result.pack.questions.science[1][0]).toMatchObject({ q: 'Fine?', id: 'p-science-1-0' });
+      expect(result.pack.rejected.map((r: any) => [r.index, r.errors[0]])).toEqual([
+        [1, 'Missing or invalid question text (q)'],
+        [2, 'Wrong answers must be array with at least 2 items'],
+        [3, 'Duplicate question'],
+        [4, 'Duplicate question'],
+        [5, 'Answer is also listed as a wrong choice']
+      ]);
+    });
+
+    it('should reject entries that are not questions and wrong answers that are not text', () => {
+      const result = create().parsePack(pack('p', [
+        null,
+        'What?',
+        [question('In a list?')],
+        { q: 'Odd wrong answers?', a: 'x', wrong: [null, 5] },
+        { q: 'Empty wrong answer?', a: 'x', wrong: ['y', ''] },
+        question('Fine?')
+      ] as any));
+
+      expect(result.success).toBe(true);
+      expect(result.pack.accepted).toBe(1);
+      expect(result.pack.rejected.map((r: any) => [r.index, r.question, r.errors[0]])).toEqual([
+        [0, null, 'Question must be an object'],
+        [1, null, 'Question must be an object'],
+        [2, null, 'Question must be an object'],
+        [3, 'Odd wrong answers?', 'Wrong answers must all be text'],
+        [4, 'Empty wrong answer?', 'Wrong answers must all be text']
+      ]);
+    });
+  });
+
+  describe('importFile', () => {
+    it('should add and remember an uploaded pack', async () => {
+      const manager = create();
+      const result = await manager.importFile(file('a.json', pack('a')));
+
+      expect(result.success).toBe(true);
+      expect(result.renamedFrom).toBeUndefined();
+      expect(create().getPacks().map((p: any) => [p.id, p.source])).toEqual([['a', 'uploaded']]);
+    });
+
+    it('should refuse files that are not valid JSON or not valid packs', async () => {
+      const manager = create();
+      expect(await manager.importFile(file('bad.json', '{ nope'))).toEqual({ success: false, error: 'bad.json is not valid JSON' });
+      expect((await manager.importFile(file('empty.json', {}))).error).toBe('Pack is missing an id');
+      expect(manager.getPacks()).toEqual([]);
+      expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+    });
+
+    it('should import a pack with a null question and report it', async () => {
+      const manager = create();
+      const result = await manager.importFile(file('p.json', { id: 'p', category: 'science', tier: 1, questions: [null] }));
+
+      expect(result.success).toBe(true);
+      expect(result.pack.accepted).toBe(0);
+      expect(result.pack.rejected[0].errors).toEqual(['Question must be an object']);
+    });
+
+    it('should import a pack with a taken id under a new id', async () => {
+      const manager = create();
+      manager.addPack(pack('solar'), 'bundled');
+      await manager.importFile(file('a.json', pack('solar', [question('Sun?')])));
+      const result = await manager.importFile(file('b.json', pack('solar', [question('Moon?')])));
+
+      expect(result).toMatchObject({ success: true, renamedFrom: 'solar' });
+      expect(result.pack.id).toBe('solar-3');
+      expect(manager.getPacks().map((p: any) => [p.id, p.source])).toEqual([
+        ['solar', 'bundled'], ['solar-2', 'uploaded'], ['solar-3', 'uploaded']
+      ]);
+      // The bundled pack is untouched
+      expect(manager.getQuestions('science', 1).map((q: any) => q.q)).toEqual([
+        'What do plants need?', 'solar question?', 'Sun?', 'Moon?'
+      ]);
+      expect(create().getPacks().map((p: any) => p.id)).toEqual(['solar-2', 'solar-3']);
+    });
+  });
+
+  describe('loadBundled', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    const serve = (files: Record<string, unknown>) => vi.stubGlobal('fetch', vi.fn(async (url: string) => {
+      if (!(url in files)) return { ok: false, json: async () => ({}) };
+      return { ok: true, json: async () => files[url] };
+    }));
+
+    it('should add the packs in the manifest', async () => {
+      serve({ 'packs/index.json': { packs: ['a.json'] }, 'packs/a.json': pack('a') });
+      const manager = create();
+
+      const results = await manager.loadBundled();
+      expect(results.map((r: any) => r.success)).toEqual([true]);
+      expect(manager.getPacks().map((p: any) => [p.id, p.source])).toEqual([['a', 'bundled']]);
+    });
+
+    it('should not replace an uploaded pack with the same id', async () => {
+      const manager = create();
+      await manager.importFile(file('mine.json', pack('solar', [question('My own?')])));
+
+      serve({ 'packs/index.json': { packs: ['solar.json'] }, 'packs/solar.json': pack('solar') });
+      const restarted = create();
+      const results = await restarted.loadBundled();
+
+      expect(results).toEqual([{ success: false, error: 'Pack id "solar" is already used by an uploaded pack' }]);
+      expect(restarted.getPacks().map((p: any) => [p.id, p.source])).toEqual([['solar', 'uploaded']]);
+      expect(restarted.getQuestions('science', 1).map((q: any) => q.q)).toContain('My own?');
+    });
+
+    it('should carry on without bundled packs when fetch fails', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.stubGlobal('fetch', vi.fn(async () => { throw new Error('blocked'); }));
+
+      expect(await create().loadBundled()).toEqual([]);
+    });
+  });
+
+  describe('toggles', () => {
+    it('should leave disabled packs out of the questions and remember it', async () => {
+      const manager = create();
+      await manager.importFile(file('a.json', pack('a')));
+      expect(manager.getQuestions('science', 1)).toHaveLength(2);
+
+      expect(manager.setEnabled('a', false)).toBe(true);
+      expect(manager.getQuestions('science', 1)).toEqual(BANK.science[1]);
+      expect(create().getPacks()[0].enabled).toBe(false);
+
+      manager.setEnabled('a', true);
+      expect(create().getQuestions('science', 1)).toHaveLength(2);
+      expect(manager.setEnabled('missing', false)).toBe(false);
+    });
+
+    it('should only remove uploaded packs', async () => {
+      const manager = create();
+      manager.addPack(pack('bundled'), 'bundled');
+      await manager.importFile(file('a.json', pack('a')));
+      manager.setEnabled('a', false);
+
+      expect(manager.removePack('bundled')).toBe(false);
+      expect(manager.removePack('a')).toBe(true);
+      expect(manager.removePack('a')).toBe(false);
+      expect(manager.getPacks().map((p: any) => p.id)).toEqual(['bundled']);
+      expect(JSON.parse(localStorage.getItem(STORAGE_KEY)!)).toEqual({ enabled: {}, uploaded: [] });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Receipt Unit Tests
+ *
+ * Tests for Candy Shop's step-by-step receipts: deals, coupons, tax and
+ * split payments.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { CURRENCIES, getItemsForCurrency } from '../../games/candy-shop/candy-shop.config.js';
+
+// Classic scripts - attach themselves to window
+import '../../games/candy-shop/CurrencySystem.js';
+import '../../games/candy-shop/Receipt.js';
+
+const { USD, JPY } = CURRENCIES as any;
+const items = getItemsForCurrency('USD');
+const byId = (id: string) => items.find((item: any) => item.id === id);
+
+describe('Receipt', () => {
+  let receipt: any;
+
+  beforeAll(() => {
+    receipt = (window as any).Receipt;
+  });
+
+  describe('deals', () => {
+    it('should give every third item free on buy 2 get 1 free', () => {
+      const deal = { type: 'buyGetFree', itemId: 'cookie', buy: 2, free: 1, display: 'Buy 2 Cookies, get 1 free' };
+
+      expect(receipt.applyDeal(deal, { item: byId('cookie'), quantity: 2 }, USD).saving).toBe(0);
+      expect(receipt.applyDeal(deal, { item: byId('cookie'), quantity: 3 }, USD))
+        .toEqual({ saving: 1, math: '1 free × $1.00' });
+      expect(receipt.applyDeal(deal, { item: byId('cookie'), quantity: 7 }, USD).saving).toBe(2);
+    });
+
+    it('should price whole bundles at the bundle price', () => {
+      const deal = { type: 'bundle', itemId: 'lollipop', size: 3, price: 1.2, display: '3 Lollipops for $1.20' };
+      const { saving, math } = receipt.applyDeal(deal, { item: byId('lollipop'), quantity: 4 }, USD);
+
+      expect(saving).toBe(0.3);
+      expect(math).toBe('1 × (3 × $0.50 − $1.20)');
+    });
+  });
+
+  describe('coupons', () => {
+    it('should take a percent or a fixed amount off', () => {
+      expect(receipt.applyCoupon({ type: 'percent', value: 15 }, 4.5, USD).saving).toBe(0.68);
+      expect(receipt.applyCoupon({ type: 'fixed', value: 1, minimum: 5 }, 6, USD).saving).toBe(1);
+    });
+
+    it('should not use a fixed coupon under its minimum', () => {
+      expect(receipt.applyCoupon({ type: 'fixed', value: 1, minimum: 5 }, 4.5, USD))
+        .toEqual({ saving: 0, math: "$4.50 is under $5.00, so it can't be used" });
+    });
+  });
+
+  describe('calculate', () => {
+    it('should work through deals, coupon and tax in order', () => {
+      const result = receipt.calculate(
+        [{ item: byId('cookie'), quantity: 3 }, { item: byId('cake'), quantity: 1 }],
+        {
+          deals: [{ type: 'buyGetFree', itemId: 'cookie', buy: 2, free: 1, display: 'Buy 2 Cookies, get 1 free' }],
+          coupon: { type: 'percent', value: 10, display: '10% off!' },
+          taxRate: 0.08,
+          payment: { cash: 10 }
+        },
+        USD
+      );
+
+      expect(result.steps.map((step: any) => [step.kind, step.amount])).toEqual([
+        ['item', 3],
+        ['item', 3],
+        ['subtotal', 6],
+        ['deal', -1],
+        ['subtotal', 5],
+        ['coupon', -0.5],
+        ['tax', 0.36],
+        ['total', 4.86],
+        ['payment', 10],
+        ['change', 5.14]
+      ]);
+      expect(result).toMatchObject({ subtotal: 6, discountAmount: 1.5, taxAmount: 0.36, total: 4.86, paid: 10, change: 5.14 });
+      expect(result.steps[9].math).toBe('$10.00 − $4.86');
+    });
+
+    it('should take a gift card off before the cash', () => {
+      const result = receipt.calculate(
+        [{ item: { id: 'cake', name: 'Cupcake', icon: '🧁', price: 350 }, quantity: 3 }],
+        { payment: { giftCard: 500, cash: 1000 } },
+        JPY
+      );
+
+      expect(result).toMatchObject({ total: 1050, due: 550, paid: 1000, change: 450 });
+      expect(result.steps.map((step: any) => step.label)).toEqual([
+        '🧁 Cupcake', 'Subtotal', 'Total', 'Gift card', 'Left to pay', 'Cash', 'Change'
+      ]);
+    });
+
+    it('should leave out payment steps when there is no payment', () => {
+      const result = receipt.calculate([{ item: byId('candy'), quantity: 2 }], {}, USD);
+
+      expect(result.steps.map((step: any) => step.kind)).toEqual(['item', 'subtotal', 'total']);
+      expect(result).toMatchObject({ total: 0.5, paid: 0, change: 0 });
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * ReviewScheduler Unit Tests
+ *
+ * Tests for Proverb Ascension's spaced repetition: intervals, ease, the
+ * due queue and the modes a due verse is practiced in.
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+
+// Classic script - attaches itself to window
+import '../../games/proverb-ascension/ReviewScheduler.js';
+
+const MINUTE = 60000;
+const NOW = 1_700_000_000_000;
+
+describe('ReviewScheduler', () => {
+  let ReviewScheduler: any;
+  let DEFAULTS: any;
+
+  beforeAll(() => {
+    ReviewScheduler = (window as any).ReviewScheduler;
+    DEFAULTS = (window as any).REVIEW_SCHEDULER_DEFAULTS;
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('intervals', () => {
+    it('should climb the interval ladder on passing reviews', () => {
+      const scheduler = new ReviewScheduler('Ada');
+      const intervals = DEFAULTS.INTERVALS.map((_: number, i: number) => {
+        const card = scheduler.review(1, 1, NOW + i);
+        return card.intervalMinutes;
+      });
+
+      expect(intervals).toEqual(DEFAULTS.INTERVALS);
+      expect(scheduler.getCard(1).dueAt).toBe(NOW + 4 + 40 * MINUTE);
+    });
+
+    it('should grow by the ease factor past the last interval', () => {
+      const scheduler = new ReviewScheduler('Ada');
+      DEFAULTS.INTERVALS.forEach(() => scheduler.review(1, 1, NOW));
+
+      const card = scheduler.review(1, 1, NOW);
+      expect(card.intervalMinutes).toBe(Math.round(40 * card.ease));
+    });
+
+    it('should scale intervals by the multiplier', () => {
+      const scheduler = new ReviewScheduler('Ada', 0.5);
+      expect(scheduler.review(1, 1, NOW).dueAt).toBe(NOW + 1 * MINUTE);
+    });
+
+    it('should drop back to the first interval on a lapse', () => {
+      const scheduler = new ReviewScheduler('Ada');
+      [1, 1, 1].forEach(acc => scheduler.review(1, acc, NOW));
+
+      const card = scheduler.review(1, 0.5, NOW);
+      expect(card).toMatchObject({ stage: 0, intervalMinutes: DEFAULTS.INTERVALS[0], lapses: 1, reps: 3 });
+    });
+
+    it('should not count failing a new verse as a lapse', () => {
+      const scheduler = new ReviewScheduler('Ada');
+      expect(scheduler.review(1, 0, NOW)).toMatchObject({ stage: 0, lapses: 0, reps: 0 });
+    });
+  });
+
+  describe('ease', () => {
+    it('should grow on perfect recall and shrink on weak recall', () => {
+      const scheduler = new ReviewScheduler('Ada');
+      expect(scheduler.review(1, 1, NOW).ease).toBeCloseTo(DEFAULTS.DEFAULT_EASE + 0.1);
+      expect(scheduler.review(2, 0.6, NOW).ease).toBeCloseTo(DEFAULTS.DEFAULT_EASE - 0.14);
+    });
+
+    it('should stay between the minimum and maximum ease', () => {
+      const scheduler = new ReviewScheduler('Ada');
+      for (let i = 0; i < 20; i++) scheduler.review(1, 1, NOW);
+      for (let i = 0; i < 20; i++) scheduler.review(2, 0, NOW);
+
+      expect(scheduler.getCard(1).ease).toBe(DEFAULTS.MAX_EASE);
+      expect(scheduler.getCard(2).ease).toBe(DEFAULTS.MIN_EASE);
+    });
+  });
+
+  describe('due queue', () => {
+    it('should list due verses most overdue first', () => {
+      const scheduler = new ReviewScheduler('Ada');
+      scheduler.review(1, 1, NOW);                 // due in 2 minutes
+      scheduler.review(2, 0, NOW - 10 * MINUTE);   // due 8 minutes ago
+      scheduler.review(3, 1, NOW - 5 * MINUTE);    // due 3 minutes ago
+
+      expect(scheduler.getDue(NOW)).toEqual([2, 3]);
+      expect(scheduler.isDue(1, NOW)).toBe(false);
+      expect(scheduler.isDue(4, NOW)).toBe(false);
+      expect(scheduler.getNextDueAt(NOW)).toBe(NOW + 2 * MINUTE);
+    });
+
+    it('should report nothing upcoming when every verse is due', () => {
+      const scheduler = new ReviewScheduler('Ada');
+      expect(scheduler.getNextDueAt(NOW)).toBeNull();
+
+      scheduler.review(1, 1, NOW - 60 * MINUTE);
+      expect(scheduler.getNextDueAt(NOW)).toBeNull();
+      expect(scheduler.getDue(NOW)).toEqual([1]);
+    });
+
+    it('should keep a schedule per player', () => {
+      new ReviewScheduler('Ada').review(1, 1, NOW);
+      new ReviewScheduler('Bo').review(2, 1, NOW);
+
+      expect(Object.keys(new ReviewScheduler('ADA').cards)).toEqual(['1']);
+      expect(Object.keys(new ReviewScheduler('bo').cards)).toEqual(['2']);
+      expect(new ReviewScheduler().cards).toEqual({});
+    });
+  });
+
+  describe('review modes', () => {
+    it('should have no modes for a verse that is not due', () => {
+      const scheduler = new ReviewScheduler('Ada');
+      scheduler.review(1, 1, NOW);
+
+      expect(scheduler.getReviewModes(1, NOW)).toBeNull();
+      expect(scheduler.getReviewModes(2, NOW)).toBeNull();
+    });
+
+    it('should recognize a lapsed verse and recall a settled one', () => {
+      const scheduler = new ReviewScheduler('Ada');
+      const later = NOW + 24 * 60 * MINUTE;
+      scheduler.review(1, 0, NOW);
+      scheduler.review(2, 1, NOW);
+      scheduler.review(2, 1, NOW);
+      [1, 1, 1, 1, 1, 1].forEach(acc => scheduler.review(3, acc, NOW));
+
+      expect(scheduler.getReviewModes(1, later)).toEqual(DEFAULTS.STAGE_MODES[0]);
+      expect(scheduler.getReviewModes(2, later)).toEqual(DEFAULTS.STAGE_MODES[1]);
+      // Past the last entry the settled modes carry on
+      expect(scheduler.getReviewModes(3, later + 1e9)).toEqual(DEFAULTS.STAGE_MODES[2]);
+    });
+
+    it('should use the stage modes it is given', () => {
+      const scheduler = new ReviewScheduler('Ada', 1, { STAGE_MODES: [['trueFalse']] });
+      scheduler.review(1, 1, NOW);
+      expect(scheduler.getReviewModes(1, NOW + 60 * MINUTE)).toEqual(['trueFalse']);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * ShopBusiness Unit Tests
+ *
+ * Tests for Candy Shop's business mode: prices, stock, sales and the
+ * end-of-day ledger.
+ */
+
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { CURRENCIES, SHOP_CONFIG, getItemsForCurrency } from '../../games/candy-shop/candy-shop.config.js';
+
+// Classic scripts - attach themselves to window
+import '../../games/candy-shop/CurrencySystem.js';
+import '../../games/candy-shop/ShopBusiness.js';
+
+const USD = (CURRENCIES as any).USD;
+const BUSINESS = (SHOP_CONFIG as any).BUSINESS;
+const items = getItemsForCurrency('USD');
+const byId = (id: string) => items.find((item: any) => item.id === id);
+
+describe('ShopBusiness', () => {
+  let shop: any;
+  let business: any;
+
+  beforeAll(() => {
+    shop = (window as any).ShopBusiness;
+  });
+
+  beforeEach(() => {
+    business = shop.createBusiness(items, 'USD', { startingMoney: 20, startingStock: 5 });
+  });
+
+  describe('prices', () => {
+    it('should keep prices between cost and twice the list price', () => {
+      const lollipop = byId('lollipop');
+
+      expect(shop.getPriceBounds(lollipop, BUSINESS, USD)).toEqual({ min: 0.2, max: 1 });
+      expect(shop.setPrice(business, lollipop, 0.75, BUSINESS, USD)).toEqual({ success: true, error: null });
+      expect(business.prices.lollipop).toBe(0.75);
+
+      const result = shop.setPrice(business, lollipop, 1.5, BUSINESS, USD);
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Lollipop must cost between $0.20 and $1.00');
+      expect(shop.setPrice(business, lollipop, NaN, BUSINESS, USD).success).toBe(false);
+      expect(business.prices.lollipop).toBe(0.75);
+    });
+
+    it('should lose customers as prices climb above the list price', () => {
+      expect(shop.getDemand(0.4, 0.5)).toBe(1);
+      expect(shop.getDemand(0.5, 0.5)).toBe(1);
+      expect(shop.getDemand(1, 0.5)).toBe(0.25);
+    });
+
+    it('should only put stocked items on the shelf, at the shop price', () => {
+      business.stock.cake = 0;
+      business.prices.cookie = 1.25;
+      const shelf = shop.getShelfItems(business, items);
+
+      expect(shelf.map((item: any) => item.id)).not.toContain('cake');
+      expect(shelf.find((item: any) => item.id === 'cookie')).toMatchObject({ price: 1.25, listPrice: 1, stock: 5 });
+    });
+  });
+
+  describe('restock', () => {
+    it('should buy stock at cost', () => {
+      const result = shop.restock(business, { cake: 3, candy: 10 }, items, BUSINESS, USD);
+
+      expect(result).toEqual({ success: true, error: null, spent: 4.6 });
+      expect(business.stock.cake).toBe(8);
+      expect(business.stock.candy).toBe(15);
+      expect(business.cash).toBe(15.4);
+      expect(business.today.restocked).toBe(4.6);
+    });
+
+    it('should refuse what the shop cannot afford or hold', () => {
+      expect(shop.restock(business, { cake: 20 }, items, BUSINESS, USD).error)
+        .toBe('That costs $24.00 but you have $20.00');
+      expect(shop.restock(business, { candy: 26 }, items, BUSINESS, USD).error)
+        .toBe('The shelf only holds 30 of Hard Candy');
+      expect(shop.restock(business, { candy: 1.5 }, items, BUSINESS, USD).success).toBe(false);
+      expect(business.cash).toBe(20);
+      expect(business.stock.candy).toBe(5);
+    });
+  });
+
+  describe('sales and the ledger', () => {
+    it('should add up revenue, cost of goods, tips and profit for the day', () => {
+      shop.restock(business, { cake: 1 }, items, BUSINESS, USD);
+      shop.recordSale(business, [{ item: byId('cake'), quantity: 2 }, { item: byId('candy'), quantity: 3 }], 6.75, 1.01, USD);
+      shop.recordWalkout(business);
+
+      expect(business.stock.cake).toBe(4);
+      expect(business.stock.candy).toBe(2);
+
+      const ledger = shop.closeDay(business, USD, BUSINESS.HISTORY_DAYS);
+      expect(ledger).toEqual({
+        day: 1,
+        revenue: 6.75,
+        costOfGoods: 2.7,
+        tips: 1.01,
+        taxCollected: 0,
+        restocked: 1.2,
+        customers: 1,
+        walkouts: 1,
+        profit: 5.06,
+        cash: 26.56
+      });
+      expect(business.day).toBe(2);
+      expect(business.today).toMatchObject({ day: 2, revenue: 0, customers: 0 });
+      expect(business.history).toEqual([ledger]);
+    });
+
+    it('should pay sales tax on instead of counting it as revenue', () => {
+      // Two $3.00 cupcakes with a $1.00 coupon is $5.00, + 8% tax = $5.40 paid
+      shop.recordSale(business, [{ item: byId('cake'), quantity: 2 }], 5, 0.81, USD, 0.4);
+
+      expect(business.cash).toBe(25.81);
+      const ledger = shop.closeDay(business, USD, BUSINESS.HISTORY_DAYS);
+      expect(ledger).toMatchObject({ revenue: 5, taxCollected: 0.4, costOfGoods: 2.4, profit: 3.41, cash: 25.81 });
+    });
+
+    it('should close a day saved before tax was tracked', () => {
+      delete business.today.taxCollected;
+      shop.recordSale(business, [{ item: byId('candy'), quantity: 1 }], 0.25, 0, USD);
+      expect(business.today.taxCollected).toBe(0);
+
+      delete business.today.taxCollected;
+      expect(shop.closeDay(business, USD, BUSINESS.HISTORY_DAYS).taxCollected).toBe(0);
+    });
+
+    it('should know when the shelves are empty and keep only recent days', () => {
+      Object.keys(business.stock).forEach(id => { business.stock[id] = 0; });
+      expect(shop.hasStock(business)).toBe(false);
+
+      for (let i = 0; i < 4; i++) shop.closeDay(business, USD, 3);
+      expect(business.history.map((day: any) => day.day)).toEqual([2, 3, 4]);
+    });
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * StoryEngine Unit Tests
+ *
+ * Tests for Story Cloud's reader state: choice conditions, locked
+ * choices, choice effects, undo and save/resume snapshots.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+// Classic script - attaches itself to window
+import '../../games/story-cloud/StoryEngine.js';
+
+// A gate that opens with a key, a flag or good answers
+const STORY = {
+  id: 'gate',
+  title: 'The Gate',
+  startNode: 'start',
+  nodes: {
+    start: {
+      content: 'A cloud gate.',
+      question: { text: 'What color is the gate?', options: ['Blue', 'Pink'], answer: 1 },
+      choices: [
+        { text: 'Pick up the key', nextId: 'yard', item: 'gold_key' },
+        { text: 'Wave to the bunny', nextId: 'yard', effects: { setFlag: 'friends', addScore: 10 } },
+        { text: 'Walk on', nextId: 'yard' }
+      ]
+    },
+    yard: {
+      content: 'The gate is shut.',
+      question: { text: 'Is the gate open?', options: ['Yes', 'No'], answer: 1 },
+      choices: [
+        { text: 'Unlock it', nextId: 'end', requires: { item: 'gold_key' }, effects: { removeItem: 'gold_key' } },
+        { text: 'Ask the bunny', nextId: 'end', requires: { flag: 'friends' }, lockedText: 'Make a friend first' },
+        { text: 'Answer the riddle', nextId: 'end', requires: { minAccuracy: 100 } },
+        { text: 'Go home', nextId: 'end' }
+      ]
+    },
+    end: { content: 'THE END', isEnding: true }
+  }
+};
+
+describe('StoryEngine', () => {
+  let StoryEngine: any;
+
+  beforeAll(() => {
+    StoryEngine = (window as any).StoryEngine;
+  });
+
+  const engineAt = (nodeId: string, setup: (engine: any) => void = () => {}) => {
+    const engine = new StoryEngine(STORY);
+    engine.currentNodeId = nodeId;
+    setup(engine);
+    return engine;
+  };
+  const lockOf = (engine: any, index: number) => {
+    const { locked, reason } = engine.getChoices()[index];
+    return { locked, reason };
+  };
+
+  it('should refuse data without nodes', () => {
+    expect(() => new StoryEngine(null)).toThrow('Invalid story data provided');
+    expect(() => new StoryEngine({ title: 'Empty' })).toThrow('Invalid story data provided');
+  });
+
+  describe('conditions', () => {
+    it('should meet a choice without requirements', () => {
+      expect(engineAt('yard').checkCondition(STORY.nodes.yard.choices[3])).toEqual({ met: true, reason: null });
+    });
+
+    it('should need the item in the inventory', () => {
+      expect(lockOf(engineAt('yard'), 0)).toEqual({ locked: true, reason: 'Needs the gold key' });
+      expect(lockOf(engineAt('yard', e => e.inventory.push('gold_key')), 0)).toEqual({ locked: false, reason: null });
+    });
+
+    it('should need the flag to be set', () => {
+      expect(lockOf(engineAt('yard'), 1)).toEqual({ locked: true, reason: 'Make a friend first' });
+      expect(lockOf(engineAt('yard', e => { e.flags.friends = true; }), 1).locked).toBe(false);
+    });
+
+    it('should need every listed item and flag', () => {
+      const engine = engineAt('yard', e => { e.inventory.push('gold_key'); e.flags.friends = true; });
+      const choice = { requires: { item: ['gold_key', 'silver_map'], flag: ['friends', 'brave'] } };
+
+      expect(engine.checkCondition(choice)).toEqual({ met: false, reason: 'Needs the silver map' });
+      engine.inventory.push('silver_map');
+      expect(engine.checkCondition(choice)).toEqual({ met: false, reason: 'Needs: brave' });
+      engine.flags.brave = true;
+      expect(engine.checkCondition(choice).met).toBe(true);
+    });
+
+    it('should count questions answered toward the accuracy comparison', () => {
+      const engine = engineAt('start');
+      const riddle = STORY.nodes.yard.choices[2];
+
+      // No questions answered yet is never enough
+      expect(engine.checkCondition(riddle)).toEqual({ met: false, reason: 'Needs 100% of questions right (you have 0%)' });
+
+      engine.checkAnswer(1);
+      expect(engine.checkCondition(riddle).met).toBe(true);
+
+      engine.checkAnswer(0);
+      expect(engine.checkCondition(riddle)).toEqual({ met: false, reason: 'Needs 100% of questions right (you have 50%)' });
+      expect(engine.checkCondition({ requires: { minAccuracy: 50 } }).met).toBe(true);
+    });
+  });
+
+  describe('getChoices', () => {
+    it('should list every choice with its index and lock state', () => {
+      const choices = engineAt('yard', e => e.inventory.push('gold_key')).getChoices();
+
+      expect(choices.map((c: any) => [c.index, c.text, c.locked])).toEqual([
+        [0, 'Unlock it', false],
+        [1, 'Ask the bunny', true],
+        [2, 'Answer the riddle', true],
+        [3, 'Go home', false]
+      ]);
+      expect(choices[0].nextId).toBe('end');
+    });
+
+    it('should have no choices at an ending or a missing node', () => {
+      expect(engineAt('end').getChoices()).toEqual([]);
+      expect(engineAt('nowhere').getChoices()).toEqual([]);
+    });
+
+    it('should not follow a locked choice', () => {
+      const engine = engineAt('yard');
+      expect(engine.makeChoice(0)).toBeNull();
+      expect(engine.makeChoice(9)).toBeNull();
+      expect(engine.currentNodeId).toBe('yard');
+      expect(engine.history).toEqual([]);
+    });
+  });
+
+  describe('applyEffects', () => {
+    it('should set flags and add score', () => {
+      const engine = new StoryEngine(STORY);
+      engine.makeChoice(1);
+
+      expect(engine.flags).toEqual({ friends: true });
+      expect(engine.bonusScore).toBe(10);
+      expect(lockOf(engine, 1).locked).toBe(false);
+    });
+
+    it('should use up an item', () => {
+      const engine = new StoryEngine(STORY);
+      engine.makeChoice(0);
+      expect(engine.inventory).toEqual(['gold_key']);
+
+      engine.makeChoice(0);
+      expect(engine.inventory).toEqual([]);
+      expect(engine.currentNodeId).toBe('end');
+      expect(engine.isEnding()).toBe(true);
+    });
+
+    it('should take lists and ignore what does not apply', () => {
+      const engine = engineAt('start', e => e.inventory.push('a', 'b'));
+      engine.applyEffects({ effects: { setFlag: ['x', 'y'], removeItem: ['a', 'missing'], addScore: 'lots' } });
+      engine.applyEffects({});
+
+      expect(engine.flags).toEqual({ x: true, y: true });
+      expect(engine.inventory).toEqual(['b']);
+      expect(engine.bonusScore).toBe(0);
+    });
+  });
+
+  describe('save and resume', () => {
+    // Answered the first question, waved to the bunny, then missed the yard question
+    const played = () => {
+      const engine = new StoryEngine(STORY);
+      engine.checkAnswer(1);
+      engine.makeChoice(1);
+      engine.checkAnswer(0);
+      return engine;
+    };
+    const place = (engine: any) => ({
+      node: engine.currentNodeId,
+      inventory: engine.inventory,
+      flags: engine.flags,
+      bonusScore: engine.bonusScore,
+      history: engine.history.map((h: any) => [h.nodeId, h.choice]),
+      stats: engine.getStats()
+    });
+    const roundTrip = (snapshot: any) => JSON.parse(JSON.stringify(snapshot));
+
+    it('should resume at the same node with the same flags and history', () => {
+      const engine = played();
+      const resumed = new StoryEngine(STORY);
+
+      expect(resumed.restore(roundTrip(engine.serialize()))).toBe(true);
+      expect(resumed.currentNodeId).toBe('yard');
+      expect(resumed.flags).toEqual({ friends: true });
+      expect(resumed.bonusScore).toBe(10);
+      expect(resumed.history.map((h: any) => [h.nodeId, h.choice])).toEqual([['start', 1]]);
+    });
+
+    it('should resume from the start of the node, before its question', () => {
+      const engine = played();
+      const resumed = new StoryEngine(STORY);
+      resumed.restore(roundTrip(engine.serialize()));
+
+      // The yard question was answered after arriving, so it is asked again
+      expect(engine.getStats().questionsAnswered).toBe(2);
+      expect(resumed.getStats()).toMatchObject({ questionsAnswered: 1, questionsCorrect: 1 });
+    });
+
+    it('should undo after a restore', () => {
+      const engine = played();
+      engine.makeChoice(1);
+      const resumed = new StoryEngine(STORY);
+      resumed.restore(roundTrip(engine.serialize()));
+
+      expect(resumed.currentNodeId).toBe('end');
+      expect(resumed.undo()).toBe(STORY.nodes.yard);
+      expect(resumed.flags).toEqual({ friends: true });
+      expect(resumed.getStats()).toMatchObject({ questionsAnswered: 1, questionsCorrect: 1 });
+
+      expect(resumed.undo()).toBe(STORY.nodes.start);
+      expect(place(resumed)).toEqual(place(new StoryEngine(STORY)));
+      expect(resumed.canUndo()).toBe(false);
+      expect(resumed.undo()).toBeNull();
+    });
+
+    it('should rewind items and effects on undo', () => {
+      const engine = new StoryEngine(STORY);
+      engine.makeChoice(0);
+      engine.makeChoice(0);
+      expect(engine.inventory).toEqual([]);
+
+      engine.undo();
+      expect(engine.inventory).toEqual(['gold_key']);
+      engine.undo();
+      expect(engine.inventory).toEqual([]);
+      expect(engine.currentNodeId).toBe('start');
+    });
+
+    it('should refuse stale or invalid snapshots without changing anything', () => {
+      const engine = played();
+      const before = place(engine);
+      const good = engine.serialize();
+
+      const bad = [
+        null,
+        {},
+        { ...good, currentNodeId: 'removed_node' },
+        { ...good, history: [{ ...good.history[0], nodeId: 'removed_node' }] },
+        { ...good, history: [{ nodeId: 'start', choice: 1 }] },
+        { ...good, inventory: 'gold_key' },
+        { ...good, storyId: 'another-story' },
+        { ...good, version: 2 }
+      ];
+      bad.forEach(snapshot => expect(engine.restore(snapshot)).toBe(false));
+
+      expect(place(engine)).toEqual(before);
+      expect(engine.undo()).toBe(STORY.nodes.start);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * StoryFormat Unit Tests
+ *
+ * Tests for the Story Cloud story script compiler and graph validator.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+// Classic script - attaches itself to window
+import '../../games/story-cloud/StoryFormat.js';
+
+const SCRIPT = `# Test Trip
+difficulty: 2
+
+## start
+scene: ☁️ 🐰 ☁️
+Cinnamoroll packed a bag.
+
+He was ready.
+
+? What did Cinnamoroll pack?
+- A kite
+* A bag
+
+> Go outside -> outside | icon: 🚪 | item: bag
+> Stay in -> home_end
+
+## outside
+It was sunny.
+
+> Go home -> home_end
+
+## home_end
+ending: best
+THE END
+`;
+
+function graph(nodes: Record<string, any>, startNode = 'a') {
+  return { title: 'Graph', startNode, nodes };
+}
+
+describe('StoryFormat', () => {
+  let format: any;
+
+  beforeAll(() => {
+    format = (window as any).StoryFormat;
+  });
+
+  describe('compileScript', () => {
+    it('should compile nodes, questions and choices', () => {
+      const { success, story } = format.compileScript(SCRIPT);
+
+      expect(success).toBe(true);
+      expect(story.id).toBe('test-trip');
+      expect(story.difficulty).toBe(2);
+      expect(story.startNode).toBe('start');
+      expect(story.nodes.start.content).toBe('Cinnamoroll packed a bag.\n\nHe was ready.');
+      expect(story.nodes.start.question).toEqual({
+        text: 'What did Cinnamoroll pack?',
+        options: ['A kite', 'A bag'],
+        answer: 1,
+      });
+      expect(story.nodes.start.choices[0]).toEqual({
+        text: 'Go outside', nextId: 'outside', icon: '🚪', item: 'bag',
+      });
+      expect(story.nodes.home_end).toMatchObject({ isEnding: true, endingType: 'best' });
+    });
+
+    it('should compile choice conditions and effects', () => {
+      const { story } = format.compileScript(
+        '# Gate\n## a\n> Open -> end | requires-item: key | min-accuracy: 75 | set-flag: opened | add-score: 20 | locked-text: Find the key\n## end\nending: good\nEnd'
+      );
+
+      expect(story.nodes.a.choices[0]).toEqual({
+        text: 'Open',
+        nextId: 'end',
+        requires: { item: 'key', minAccuracy: 75 },
+        effects: { setFlag: 'opened', addScore: 20 },
+        lockedText: 'Find the key',
+      });
+    });
+
+    it('should report line numbers for script mistakes', () => {
+      const { success, errors } = format.compileScript('# Oops\n\n## start\n> Nowhere\n? Pick\n- a\n- b\n');
+
+      expect(success).toBe(false);
+      expect(errors).toContainEqual({ line: 4, message: expect.stringContaining('needs a target') });
+      expect(errors).toContainEqual({ line: 5, message: expect.stringContaining('exactly one option') });
+    });
+
+    it('should compile the bundled story files', () => {
+      const dir = resolve(__dirname, '../../games/story-cloud/stories');
+      const manifest = JSON.parse(readFileSync(resolve(dir, 'index.json'), 'utf8'));
+
+      manifest.stories.forEach((file: string) => {
+        const { success, story } = format.parse(readFileSync(resolve(dir, file), 'utf8'));
+        expect(success).toBe(true);
+        expect(format.validate(story).valid).toBe(true);
+      });
+    });
+  });
+
+  describe('parse', () => {
+    it('should accept JSON with nodes as an array', () => {
+      const json = JSON.stringify({
+        format: 'story-cloud', title: 'Short', startNode: 'a',
+        nodes: [{ id: 'a', content: 'Hi', isEnding: true }],
+      });
+
+      const { story } = format.parse(json);
+
+      expect(story.nodes.a.choices).toEqual([]);
+      expect(story.id).toBe('short');
+    });
+
+    it('should reject other formats and newer versions', () => {
+      expect(format.parse('{"format":"quiz-pack"}').success).toBe(false);
+      expect(format.parse('{"format":"story-cloud","version":99}').success).toBe(false);
+      expect(format.parse('{ broken').success).toBe(false);
+    });
+  });
+
+  describe('validate', () => {
+    it('should pass a well-formed story', () => {
+      const { story } = format.compileScript(SCRIPT);
+
+      expect(format.validate(story)).toEqual({ valid: true, errors: [], warnings: [] });
+    });
+
+    it('should flag dangling nextIds', () => {
+      const result = format.validate(graph({
+        a: { choices: [{ text: 'Go', nextId: 'missing' }, { text: 'End', nextId: 'end' }] },
+        end: { isEnding: true },
+      }));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toEqual({ nodeId: 'a', message: 'Choice 1 leads to missing node "missing"' });
+    });
+
+    it('should warn about unreachable nodes', () => {
+      const result = format.validate(graph({
+        a: { choices: [{ text: 'End', nextId: 'end' }] },
+        lonely: { choices: [{ text: 'End', nextId: 'end' }] },
+        end: { isEnding: true },
+      }));
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toEqual([{ nodeId: 'lonely', message: 'Node can never be reached from the start' }]);
+    });
+
+    it('should flag nodes with no way to reach an ending', () => {
+      const result = format.validate(graph({
+        a: { choices: [{ text: 'Loop', nextId: 'b' }, { text: 'End', nextId: 'end' }] },
+        b: { choices: [{ text: 'Back', nextId: 'c' }] },
+        c: { choices: [{ text: 'Again', nextId: 'b' }] },
+        end: { isEnding: true },
+      }));
+
+      const stuck = result.errors.map((e: any) => e.nodeId);
+      expect(stuck).toEqual(['b', 'c']);
+    });
+
+    it('should flag out-of-range question answers', () => {
+      const result = format.validate(graph({
+        a: {
+          question: { text: 'Q', options: ['x', 'y'], answer: 2 },
+          choices: [{ text: 'End', nextId: 'end' }],
+        },
+        end: { isEnding: true },
+      }));
+
+      expect(result.errors).toEqual([{ nodeId: 'a', message: 'Question answer 2 is not one of its 2 options' }]);
+    });
+
+    it('should flag malformed conditions and effects', () => {
+      const result = format.validate(graph({
+        a: {
+          choices: [
+            { text: 'End', nextId: 'end', requires: { minAccuracy: 150, mood: 'happy' } },
+            { text: 'End', nextId: 'end', effects: { addScore: 'lots' } },
+          ],
+        },
+        end: { isEnding: true },
+      }));
+
+      expect(result.errors.map((e: any) => e.message)).toEqual([
+        'Choice 1 has unknown condition "mood"',
+        'Choice 1 needs a minAccuracy between 0 and 100',
+        'Choice 2 needs a number for addScore',
+      ]);
+    });
+
+    it('should warn about requirements nothing can satisfy', () => {
+      const result = format.validate(graph({
+        a: {
+          choices: [
+            { text: 'Door', nextId: 'end', requires: { item: 'key' } },
+            { text: 'Gate', nextId: 'end', requires: { flag: 'opened' } },
+          ],
+        },
+        end: { isEnding: true },
+      }));
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings.map((w: any) => w.message)).toEqual([
+        'Every choice has a condition - readers who meet none of them get stuck',
+        'Requires item "key" that no choice gives',
+        'Requires flag "opened" that no choice sets',
+      ]);
+    });
+
+    it('should flag a missing start node', () => {
+      const result = format.validate(graph({ end: { isEnding: true } }, 'nope'));
+
+      expect(result.errors[0].message).toBe('Start node "nope" does not exist');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * WritingFeedback Unit Tests
+ *
+ * Tests for the Dream Journal's offline writing checks.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+// Classic script - attaches itself to window
+import '../../games/dream-journal/WritingFeedback.js';
+
+const LEVEL_2 = { sentences: 2, variety: 0.6, maxRepeats: 3, keywords: 1 };
+const LEVEL_5 = { sentences: 6, variety: 0.8, maxRepeats: 5, keywords: 2 };
+
+const OCEAN_PROMPT = 'What would you discover at the bottom of the ocean?';
+const OCEAN_STORY =
+  'The ocean is deep and mysterious. At the bottom, creatures glow like lanterns in a black sky. ' +
+  'I would swim down in a submarine made of glass and watch jellyfish drift past the windows. ' +
+  'Maybe I would discover a sunken ship covered in coral and sleepy octopuses. ' +
+  "Inside the captain's cabin there might be a torn yellow map. " +
+  'My friends would never believe me, so we would plan an adventure together!';
+
+describe('WritingFeedback', () => {
+  let feedback: any;
+
+  beforeAll(() => {
+    feedback = (window as any).WritingFeedback;
+  });
+
+  describe('text helpers', () => {
+    it('should count sentences, including a last one with no full stop', () => {
+      expect(feedback.countSentences('I like cake. Do you?! Yes... we do')).toBe(4);
+      expect(feedback.countSentences('It costs 2.50 dollars.')).toBe(1);
+      expect(feedback.countSentences('  ')).toBe(0);
+    });
+
+    it('should measure variety without punishing long entries', () => {
+      const fresh = feedback.tokenize(OCEAN_STORY);
+      const repetitive = feedback.tokenize('the dog was happy and the dog ran and the dog was happy '.repeat(3));
+
+      expect(feedback.measureVariety(fresh)).toBeGreaterThan(0.85);
+      expect(feedback.measureVariety(repetitive)).toBeLessThan(0.5);
+      expect(feedback.measureVariety(feedback.tokenize(OCEAN_STORY + ' ' + OCEAN_STORY.toUpperCase())))
+        .toBeGreaterThan(0.85);
+      expect(feedback.measureVariety([])).toBe(0);
+    });
+
+    it('should take topic words from prompts, not instructions', () => {
+      expect(feedback.extractKeywords(OCEAN_PROMPT)).toEqual(['discover', 'bottom', 'ocean']);
+      expect(feedback.extractKeywords('Describe your perfect day from start to finish.'))
+        .toEqual(['perfect', 'day', 'start', 'finish']);
+    });
+  });
+
+  describe('analyze', () => {
+    it('should pass every check for a strong entry', () => {
+      const result = feedback.analyze(OCEAN_STORY, { settings: LEVEL_5, prompt: OCEAN_PROMPT });
+
+      expect(result.sentenceCount).toBe(6);
+      expect(result.keywordsUsed).toEqual(['discover', 'bottom', 'ocean']);
+      expect(result.addressesPrompt).toBe(true);
+      expect(result.checks).toEqual({ sentences: true, variety: true, repetition: true, prompt: true });
+      expect(result.score).toBe(100);
+      expect(result.tips).toEqual([]);
+    });
+
+    it('should match prompt words in other forms', () => {
+      const result = feedback.analyze('We discovered two oceans.', { settings: LEVEL_5, prompt: OCEAN_PROMPT });
+
+      expect(result.keywordsUsed).toEqual(['discover', 'ocean']);
+      expect(result.checks.prompt).toBe(true);
+    });
+
+    it('should flag overused words but not the prompt topic', () => {
+      const text = 'The ocean was big. The ocean was blue. The ocean was cold. The ocean was fun. ' +
+        'The fish was happy. The crab was happy. The seal was happy. The whale was happy.';
+      const result = feedback.analyze(text, { settings: LEVEL_2, prompt: OCEAN_PROMPT });
+
+      expect(result.repeatedWords).toEqual([{ word: 'happy', count: 4 }]);
+      expect(result.checks.repetition).toBe(false);
+      expect(result.tips[0]).toBe('You used "happy" 4 times - can you find another word?');
+    });
+
+    it('should use the level targets', () => {
+      const text = 'I found a shiny shell at the bottom of the ocean. It sparkled like a star.';
+
+      expect(feedback.analyze(text, { settings: LEVEL_2, prompt: OCEAN_PROMPT }).checks.sentences).toBe(true);
+
+      const older = feedback.analyze(text, { settings: LEVEL_5, prompt: OCEAN_PROMPT });
+      expect(older.checks.sentences).toBe(false);
+      expect(older.tips[0]).toBe('Try telling your story in 6 or more sentences.');
+      expect(older.score).toBeLessThan(100);
+    });
+
+    it('should report the story starter used', () => {
+      const starters = ['Once upon a time...', 'One sunny morning...'];
+
+      expect(feedback.analyze('One sunny morning, I flew away.', { settings: LEVEL_2, starters }).starterUsed)
+        .toBe('One sunny morning...');
+      expect(feedback.analyze('Someone sunny morning people.', { settings: LEVEL_2, starters }).starterUsed)
+        .toBeNull();
+    });
+
+    it('should suggest prompt words that were missed', () => {
+      const result = feedback.analyze('I ate a sandwich. It was tasty.', { settings: LEVEL_2, prompt: OCEAN_PROMPT });
+
+      expect(result.addressesPrompt).toBe(false);
+      expect(result.tips).toContain('Tell me more about the prompt - maybe write about "discover", "bottom", "ocean".');
+    });
+  });
+});